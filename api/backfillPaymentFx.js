@@ -0,0 +1,249 @@
+/**
+ * /api/backfillPaymentFx.js
+ * ──────────────────────────────────────────────────────────────────────────────
+ * PROPÓSITO
+ *   Recalcular `usd_equiv` de los pagos en ARS (y EUR/BRL/CLP/UYU, con el cruzado vía ARS)
+ *   ya guardados en `Reservas.payments[]`
+ *   con la cotización del DÍA DE CADA PAGO (lib/paymentFx.js), en lugar de la del
+ *   check-in que usaban addPayment / linkUsdFxToReservations hasta ahora.
+ *   Los pagos nuevos ya se guardan así (addPayment y enrich); esto corrige los viejos.
+ *
+ * QUÉ PAGOS TOCA
+ *   - Pagos no-USD sin `fx_source` (legacy) o sin usd_equiv.
+ *   - Con force=true también los ya resueltos (p.ej. si se cargaron cotizaciones que
+ *     faltaban y el pago había caído en 'lookback' o 'checkin').
+ *   - Nunca los que tienen TC cargado a mano (`fx_source: 'payload'`).
+ *   - Si no hay cotización para el pago queda como estaba (cuenta en `unresolved`).
+ *   - La copia cruda de la subcolección `payments` (enrich) no se modifica.
+ *
+ * ACCESO (solo para escribir; dryRun=true queda abierto)
+ *   - Authorization: Bearer <idToken> de un usuario con 'fx_override' en `users/{uid}.apps`, o
+ *   - x-cron-secret: <CRON_SECRET> (corridas programadas)
+ *
+ * PARÁMETROS (query o body, GET/POST)
+ *   - since=YYYY-MM-DD       Inicio del rango de arrival_iso (obligatorio)
+ *   - until=YYYY-MM-DD       Fin del rango (default: hoy)
+ *   - propertyIds=100,101    Filtro opcional de propiedades (hasta 30; va en la query)
+ *   - force=true|false       Recalcula también pagos ya resueltos (default: false)
+ *   - dryRun=true|false      No escribe, solo simula (default: true)
+ *   - limit=500              Máximo de reservas a revisar (1..2000), por orden de arrival_iso;
+ *                            si quedan más, `truncated: true` y `resumeSince` para seguir
+ *
+ *   La política de fallback es la de env PAYMENT_FX_POLICY / PAYMENT_FX_LOOKBACK_DAYS;
+ *   la casa / compra-venta / spread de cada pago sale de `configuracion/fx_policies`
+ *   según propiedad y forma de cobro (lib/fxPolicy.js). Si se cambió esa config,
+ *   correr con force=true para re-aplicarla.
+ *
+ * ESCRITURA (por reserva con cambios)
+ *   - payments[] con usd_equiv / fxRateUsed / fx_date / fx_source / fx_policy
+ *   - payment_status recalculado, contentHash, lastUpdatedBy: 'payment_fx_backfill'
+ *   - historial `source: 'payment_fx_backfill'` con los pagos cambiados (from/to)
+ *
+ * RESPUESTA
+ *   {
+ *     ok, dryRun, force, range: { since, until }, policy, truncated, resumeSince,
+ *     totals: { scanned, reservations_updated, payments_updated, unresolved },
+ *     items: [{ id, id_human, payments: [{ index, amount, currency, ts_date, from: { usd_equiv, fxRateUsed },
+ *                                          to: { usd_equiv, fxRateUsed, fx_date, fx_source, fx_policy } }] }]
+ *   }
+ *
+ * ERRORES
+ *   - 400: since/until inválidos
+ *   - 401: no autenticado · 403: sin permiso 'fx_override' (solo con dryRun=false)
+ *   - 405: método no permitido
+ *   - 500: error interno
+ * ──────────────────────────────────────────────────────────────────────────────
+ */
+
+import { DateTime } from 'luxon';
+import { firestore, FieldValue, authAdmin } from '../lib/firebaseAdmin.js';
+import { TZ, hashDoc, loadFxPolicies, paymentFxUSD } from '../lib/importProcessShared.js';
+import { PAYMENT_CURRENCIES, applyPaymentFx, needsPaymentFx, parsePaymentFxPolicy, paymentDateISO } from '../lib/paymentFx.js';
+
+const log = (...a) => console.log('[BackfillPaymentFx]', ...a);
+const SAFE_BATCH_OPS = 450;
+const PAGE_SIZE = 200;
+const MAX_PROPERTY_IDS = 30; // tope de Firestore para `in`
+const FX_ADMIN_APP_ID = 'fx_override'; // los mismos que corrigen cotizaciones (/api/fxOverride)
+
+const ok = (res, data) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Vercel-Cron, x-cron-secret');
+  return res.status(200).json(data);
+};
+const bad = (res, code, error) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Vercel-Cron, x-cron-secret');
+  return res.status(code).json({ error });
+};
+
+async function getAuthUser(req) {
+  try {
+    const h = req.headers?.authorization || req.headers?.Authorization || '';
+    const m = h.match(/^Bearer\s+([A-Za-z0-9\-\._~\+\/]+=*)$/i);
+    if (!m) return null;
+    const decoded = await authAdmin.verifyIdToken(m[1]);
+    const name = decoded.name || decoded.displayName || null;
+    return { uid: decoded.uid, email: decoded.email || null, name };
+  } catch (e) {
+    log('WARN verifyIdToken', e?.message);
+    return null;
+  }
+}
+
+/** { by } si puede reescribir pagos (cron o usuario con permiso); { status, error } si no. */
+async function authorize(req) {
+  const secret = process.env.CRON_SECRET;
+  if (secret && req.headers?.['x-cron-secret'] === secret) return { by: { uid: null, email: null, name: 'cron' } };
+  const authUser = await getAuthUser(req);
+  if (!authUser) return { status: 401, error: 'No autenticado' };
+  const userSnap = await firestore.collection('users').doc(authUser.uid).get();
+  const apps = userSnap.exists ? (userSnap.data()?.apps || []) : [];
+  if (!apps.includes(FX_ADMIN_APP_ID)) return { status: 403, error: `Requiere permiso '${FX_ADMIN_APP_ID}'` };
+  return { by: authUser };
+}
+
+const toISO = (s) => {
+  const d = DateTime.fromISO(String(s || ''), { zone: TZ });
+  return d.isValid ? d.toISODate() : null;
+};
+const toBool = (v, def) => (v === undefined || v === null || v === '' ? def : v === true || String(v).toLowerCase() === 'true');
+const toList = (v) => (Array.isArray(v) ? v : String(v || '').split(',')).map((x) => String(x).trim()).filter(Boolean);
+
+const FX_KEYS = ['usd_equiv', 'fxRateUsed', 'fx_date', 'fx_source', 'fx_policy'];
+const fxChanged = (a, b) => FX_KEYS.some((k) => JSON.stringify(a?.[k] ?? null) !== JSON.stringify(b?.[k] ?? null));
+
+// normaliza pagos a USD (usa usd_equiv si viene de ARS / EUR / BRL / CLP / UYU)
+function computePaidUSD(payments = []) {
+  let paidUSD = 0;
+  for (const p of payments || []) {
+    const curr = String(p.currency || '').toUpperCase();
+    const amt = Number(p.amount);
+    if (!Number.isFinite(amt) || !amt) continue;
+    if (curr === 'USD') paidUSD += amt;
+    else if (PAYMENT_CURRENCIES.includes(curr) && p.usd_equiv !== null && Number.isFinite(Number(p.usd_equiv))) paidUSD += Number(p.usd_equiv);
+  }
+  return paidUSD;
+}
+function paymentStatusFor(payments, toPay) {
+  const paidUSD = computePaidUSD(payments);
+  const toPayUSD = Number(toPay);
+  if (Number.isFinite(toPayUSD) && toPayUSD > 0) return paidUSD >= toPayUSD ? 'paid' : (paidUSD > 0 ? 'partial' : 'unpaid');
+  return paidUSD > 0 ? 'partial' : 'unpaid';
+}
+
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') return ok(res, { ok: true });
+  if (req.method !== 'GET' && req.method !== 'POST') return bad(res, 405, 'Método no permitido');
+
+  try {
+    const params = { ...(req.query || {}), ...(req.method === 'POST' ? (req.body || {}) : {}) };
+    const since = toISO(params.since);
+    const until = params.until ? toISO(params.until) : DateTime.now().setZone(TZ).toISODate();
+    if (!since || !until || since > until) return bad(res, 400, 'since/until inválidos (YYYY-MM-DD, since <= until)');
+    const propertyIds = [...new Set(toList(params.propertyIds))];
+    if (propertyIds.length > MAX_PROPERTY_IDS) return bad(res, 400, `propertyIds: máximo ${MAX_PROPERTY_IDS}`);
+    const force = toBool(params.force, false);
+    const dryRun = toBool(params.dryRun, true);
+    if (!dryRun) {
+      const auth = await authorize(req);
+      if (!auth.by) return bad(res, auth.status, auth.error);
+    }
+    const limit = Math.min(2000, Math.max(1, Number(params.limit) || 500));
+    const policy = parsePaymentFxPolicy(process.env.PAYMENT_FX_POLICY);
+    const fxPolicies = await loadFxPolicies({ fresh: true });
+
+    const totals = { scanned: 0, reservations_updated: 0, payments_updated: 0, unresolved: 0 };
+    const items = [];
+    let batch = firestore.batch();
+    let ops = 0;
+    const flush = async (force = false) => {
+      if (ops && (force || ops >= SAFE_BATCH_OPS)) {
+        await batch.commit();
+        batch = firestore.batch();
+        ops = 0;
+      }
+    };
+
+    const backfillDoc = async (doc) => {
+      const before = doc.data() || {};
+      const payments = Array.isArray(before.payments) ? before.payments : [];
+      const changes = [];
+      const next = [];
+      for (let i = 0; i < payments.length; i++) {
+        const p = payments[i];
+        if (!needsPaymentFx(p, { force })) { next.push(p); continue; }
+        const fx = await paymentFxUSD({ ts: p.ts, currency: p.currency, reservation: before, method: p.method, policy, fxPolicies });
+        // sin cotización no se toca el pago: se conserva el usd_equiv que tuviera
+        if (!fx) { totals.unresolved++; next.push(p); continue; }
+        const q = applyPaymentFx(p, fx);
+        next.push(q);
+        if (fxChanged(p, q)) {
+          changes.push({
+            index: i,
+            amount: p.amount,
+            currency: String(p.currency || '').toUpperCase(),
+            ts_date: paymentDateISO(p.ts),
+            from: { usd_equiv: p.usd_equiv ?? null, fxRateUsed: p.fxRateUsed ?? null },
+            to: { usd_equiv: q.usd_equiv, fxRateUsed: q.fxRateUsed, fx_date: q.fx_date, fx_source: q.fx_source, fx_policy: q.fx_policy },
+          });
+        }
+      }
+      if (!changes.length) return;
+
+      totals.reservations_updated++;
+      totals.payments_updated += changes.length;
+      items.push({ id: doc.id, id_human: before.id_human || null, payments: changes });
+      if (dryRun) return;
+
+      const update = { payments: next, payment_status: paymentStatusFor(next, before.toPay) };
+      update.contentHash = hashDoc({ ...before, ...update });
+      update.lastUpdatedAt = FieldValue.serverTimestamp();
+      update.lastUpdatedBy = 'payment_fx_backfill';
+      batch.update(doc.ref, update); ops++;
+      batch.set(doc.ref.collection('historial').doc(`${Date.now()}_paymentFx`), {
+        ts: FieldValue.serverTimestamp(),
+        source: 'payment_fx_backfill',
+        context: { propiedad_id: before.propiedad_id || null, policy, force },
+        changeType: 'updated',
+        changedKeys: update.payment_status !== before.payment_status ? ['payments', 'payment_status'] : ['payments'],
+        payload: { payments: changes, payment_status: { from: before.payment_status ?? null, to: update.payment_status } },
+        hashFrom: before.contentHash || null,
+        hashTo: update.contentHash,
+      }); ops++;
+      await flush();
+    };
+
+    // propiedades en la query (índice propiedad_id + arrival_iso, el mismo de reservasByCheckin)
+    // y páginas por arrival_iso con startAfter hasta `limit`
+    let query = firestore.collection('Reservas')
+      .where('arrival_iso', '>=', since)
+      .where('arrival_iso', '<=', until);
+    if (propertyIds.length) query = query.where('propiedad_id', 'in', propertyIds);
+    query = query.orderBy('arrival_iso');
+
+    let last = null;
+    let exhausted = false;
+    while (totals.scanned < limit) {
+      const size = Math.min(PAGE_SIZE, limit - totals.scanned);
+      const snap = await (last ? query.startAfter(last) : query).limit(size).get();
+      for (const doc of snap.docs) await backfillDoc(doc);
+      totals.scanned += snap.size;
+      if (snap.size) last = snap.docs[snap.size - 1];
+      if (snap.size < size) { exhausted = true; break; }
+    }
+    await flush(true);
+
+    // se cortó en `limit`: ¿quedaron reservas sin revisar?
+    const truncated = !exhausted && !!last && !(await query.startAfter(last).limit(1).get()).empty;
+    const resumeSince = truncated ? (last.data()?.arrival_iso || null) : null;
+
+    log('DONE', { since, until, dryRun, force, truncated, ...totals });
+    return ok(res, { ok: true, dryRun, force, range: { since, until }, policy, truncated, resumeSince, totals, items });
+  } catch (e) {
+    log('ERROR', e?.message); console.error(e);
+    return bad(res, 500, e?.message || 'Error interno');
+  }
+}
@@ -1,9 +1,15 @@
 // /api/cronOrchestrator.js
 // Orquesta en SECUENCIA con logs, métricas de duración y timeouts:
-// 1) /api/wubookImportByArrival   (POST { dryRun })
+// 1) /api/wubookImportByArrival   (POST { dryRun })  ← solo con full=true (cron diario, ver vercel.json)
 // 2) /api/wubookSyncToday         (POST { dryRun })
-// 3) /api/enrichWubookData        (POST { limit:500, dryRun })
-// 4) /api/enrichWubookData        (POST { limit:100, dryRun, syncMode:"active" })
+// 3) /api/wubookSyncModified      (POST { dryRun })  ← delta por fecha de modificación (watermark por propiedad);
+//                                                      cada 30 min reemplaza al import completo por arrival
+// 4) /api/wubook/webhook          (POST { drain: true })  ← reintenta la cola del webhook en 'error'
+//                                                      (solo con WUBOOK_WEBHOOK_SECRET y sin dryRun)
+// 5) /api/wubookPushNotes         (POST { dryRun })  ← notas de hosts → WuBook (antes del enrich)
+// 6) /api/wubookPushPayments      (POST { dryRun })  ← pagos de hosts → WuBook (opt-in por propiedad)
+// 7) /api/enrichWubookData        (POST { limit:500, dryRun })
+// 8) /api/enrichWubookData        (POST { limit:100, dryRun, syncMode:"active" })
 
 // /api/cronOrchestrator.js
 import { firestore, FieldValue } from '../../lib/firebaseAdmin.js';
@@ -64,7 +70,7 @@ async function releaseLock() {
 }
 
 // ---- HTTP POST con reintentos y timeout por paso
-async function postJSON(url, body, { retries = 2, name = '', stepTimeoutMs = 120000 } = {}) {
+async function postJSON(url, body, { retries = 2, name = '', stepTimeoutMs = 120000, headers = {} } = {}) {
   const payload = JSON.stringify(body ?? {});
   let attempt = 0;
   let lastErr;
@@ -76,7 +82,7 @@ async function postJSON(url, body, { retries = 2, name = '', stepTimeoutMs = 120
       log(`STEP START ${name || url} (try ${attempt + 1})`);
       const r = await fetch(url, {
         method: 'POST',
-        headers: { 'content-type': 'application/json' },
+        headers: { 'content-type': 'application/json', ...headers },
         body: payload,
         signal: controller.signal,
       });
@@ -115,6 +121,8 @@ export default async function handler(req, res) {
   const qDry = String(req.query?.dryRun || '').toLowerCase();
   const bDry = typeof req.body?.dryRun === 'boolean' ? req.body.dryRun : undefined;
   const dryRun = bDry !== undefined ? bDry : qDry === 'true';
+  // full=true suma el import completo por arrival (red de seguridad diaria del delta)
+  const full = String(req.query?.full ?? req.body?.full ?? '').toLowerCase() === 'true';
 
   const stepTimeoutMs = Number(req.query?.stepTimeoutMs || req.body?.stepTimeoutMs || 120000);
   const totalTimeoutMs = Number(req.query?.totalTimeoutMs || req.body?.totalTimeoutMs || 420000);
@@ -122,7 +130,7 @@ export default async function handler(req, res) {
 
   const startedAt = new Date().toISOString();
   const startedMs = ms();
-  log('INIT', { dryRun, BASE, stepTimeoutMs, totalTimeoutMs, retries });
+  log('INIT', { dryRun, full, BASE, stepTimeoutMs, totalTimeoutMs, retries });
 
   // Intentar lock
   const lock = await acquireLock({ ttlMs: totalTimeoutMs + 60_000 });
@@ -136,8 +144,19 @@ export default async function handler(req, res) {
   }, totalTimeoutMs);
 
   const steps = [
-    { name: 'wubookImportByArrival', url: `${BASE}/api/wubookImportByArrival`, body: { dryRun } },
+    ...(full ? [{ name: 'wubookImportByArrival', url: `${BASE}/api/wubookImportByArrival`, body: { dryRun } }] : []),
     { name: 'wubookSyncToday', url: `${BASE}/api/wubookSyncToday`, body: { dryRun } },
+    { name: 'wubookSyncModified', url: `${BASE}/api/wubookSyncModified`, body: { dryRun } },
+    ...(process.env.WUBOOK_WEBHOOK_SECRET && !dryRun
+      ? [{
+        name: 'wubookWebhookDrain',
+        url: `${BASE}/api/wubook/webhook`,
+        body: { drain: true },
+        headers: { 'x-webhook-secret': process.env.WUBOOK_WEBHOOK_SECRET },
+      }]
+      : []),
+    { name: 'wubookPushNotes', url: `${BASE}/api/wubookPushNotes`, body: { dryRun } },
+    { name: 'wubookPushPayments', url: `${BASE}/api/wubookPushPayments`, body: { dryRun } },
     { name: 'enrichWubookData(500)', url: `${BASE}/api/enrichWubookData`, body: { limit: 500, dryRun } },
     { name: 'enrichWubookData(active)', url: `${BASE}/api/enrichWubookData`, body: { limit: 100, dryRun, syncMode: 'active' } },
   ];
@@ -152,7 +171,7 @@ export default async function handler(req, res) {
       // refrescar lock entre steps para evitar que expire en corridas largas
       await refreshLock({ ttlMs: totalTimeoutMs + 60_000 });
 
-      const r = await postJSON(s.url, s.body, { name: s.name, stepTimeoutMs, retries });
+      const r = await postJSON(s.url, s.body, { name: s.name, stepTimeoutMs, retries, headers: s.headers });
       results.push({ name: s.name, ...r });
 
       // Continuar aunque un paso falle (cambio a break si querés cortar en el primero que falle)
@@ -172,6 +191,7 @@ export default async function handler(req, res) {
   const summary = {
     ok: results.every((r) => r.ok || r.skipped),
     dryRun,
+    full,
     startedAt,
     endedAt,
     totalDurationMs,
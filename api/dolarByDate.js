@@ -3,13 +3,24 @@
  * ──────────────────────────────────────────────────────────────────────────────
  * PROPÓSITO
  *   Endpoint unificado para obtener y persistir cotizaciones:
- *   - MODO 1 (DIARIO, múltiples monedas): usa https://dolarapi.com/v1/cotizaciones
- *   - MODO 2 (HISTÓRICO USD): usa https://api.argentinadatos.com/v1/cotizaciones/dolares
+ *   - MODO 1 (DIARIO, múltiples monedas): por defecto dolarapi.com, después archivo local
+ *   - MODO 2 (HISTÓRICO USD): por defecto api.argentinadatos.com, después archivo local
+ *
+ * PROVEEDORES (lib/fxProviders.js)
+ *   - Se prueban en orden de prioridad; si uno falla o no tiene el dato se pasa al siguiente.
+ *   - Orden: query `providers=` > env FX_PROVIDERS_DAILY / FX_PROVIDERS_HISTORICAL > default.
+ *   - Ids: dolarapi (diario) · argentinadatos (histórico) · file (ambos; FX_FILE_PATH, carga manual / tests)
+ *   - `fuente` guardada = la del proveedor que respondió; `attempts` cuenta qué se probó.
  *
  * PERSISTENCIA (Firestore)
- *   Esquema: cotizaciones/<MONEDA>/<yyyy>/<mm>/<dd>/cot
+ *   Esquema: cotizaciones/<MONEDA>/<yyyy>/<mm>/<dd>/cot           (casa oficial)
+ *            cotizaciones/<MONEDA>/<yyyy>/<mm>/<dd>/cot_<casa>    (blue, bolsa, ...; ver lib/fxPolicy.js)
+ *   Cada casa tiene su doc para que una no pise a la otra; las usa la conversión de pagos
+ *   ARS según `configuracion/fx_policies`.
  *   Campos guardados: { fecha, casa, moneda, compra, venta, fuente, createdAt, updatedAt, ... }
  *   Observación: para histórico USD se agrega `fallback: "previous"` si aplica.
+ *   Los docs corregidos a mano (`manual: true`, /api/fxOverride) no se pisan salvo force=true
+ *   (modo diario y histórico); el resultado queda con saved.skipped = "manual".
  *
  * PARÁMETROS DE QUERY
  *   ► Parámetros de modo HISTÓRICO (exclusivo USD):
@@ -18,25 +29,28 @@
  *     - from=YYYY-MM-DD&to=YYYY-MM-DD  → rango inclusivo
  *     - casa=oficial|blue|bolsa|...    → casa en ArgentinaDatos (por defecto "oficial")
  *     - fallback=previous|none         → si no hay dato exacto, usa el hábil anterior
- *     - force=true|false               → (respetado en persistencia por compat, se mergea siempre)
+ *     - force=true|false               → pisa también cotizaciones corregidas a mano (manual: true, ver /api/fxOverride)
  *     - compact=true|false             → si es un único día y OK, devuelve objeto plano
+ *     - providers=argentinadatos,file  → prioridad de proveedores (ambos modos)
  *
  *   ► Parámetros de modo DIARIO (múltiples monedas):
  *     - monedas=USD,EUR,BRL,...        → filtra set (si no se pasa, trae todas las devueltas por DolarApi)
  *     - compact=true|false             → si se filtra a 1 moneda, devuelve objeto plano {moneda, compra, venta, fecha, casa}
  *
  * DETECCIÓN DE MODO
- *   - Si se especifica cualquiera de: fecha | lastDays | (from & to) ⇒ MODO HISTÓRICO USD (ArgentinaDatos)
- *   - Si NO se especifican fechas ⇒ MODO DIARIO (DolarApi.com, varias monedas)
+ *   - Si se especifica cualquiera de: fecha | lastDays | (from & to) ⇒ MODO HISTÓRICO USD
+ *   - Si NO se especifican fechas ⇒ MODO DIARIO (varias monedas)
  *
  * RESPUESTAS
  *   - Histórico (resumen):
  *     {
  *       mode: "historical_usd",
- *       fuente: "api.argentinadatos.com",
+ *       fuente: "api.argentinadatos.com",   // las de los resultados OK, separadas por coma
+ *       providers: ["argentinadatos", "file"],
  *       casa: "oficial",
  *       processed, ok, not_found, errors,
- *       results: [{ date, casa, status: "ok|not_found|error", compra, venta, fallback, saved: {path,...} }]
+ *       results: [{ date, casa, status: "ok|not_found|error", provider, fuente, compra, venta, fallback,
+ *                   saved: {path,...}, attempts }]
  *     }
  *   - Histórico (compact=true y 1 fecha válida):
  *     { fuente: "api.argentinadatos.com", casa: "oficial", fecha, compra, venta, fallback, savedPath }
@@ -45,7 +59,8 @@
  *     {
  *       mode: "daily_multi",
  *       source: "dolarapi.com",
- *       count,
+ *       provider: "dolarapi",
+ *       count, attempts,
  *       results: [{ moneda, casa, fecha, compra, venta, saved: {path,...} }],
  *       index: { [MONEDA]: { compra, venta, fecha, casa } }
  *     }
@@ -63,6 +78,7 @@
  * NOTAS
  *   - DolarApi.com entrega un array con varias monedas y `fechaActualizacion` (se normaliza a YYYY-MM-DD en TZ AR).
  *   - El histórico por fecha de ArgentinaDatos se implementa solo para USD (como en la versión original).
+ *   - Si todos los proveedores del diario fallan → 502 { error: "providers_failed", attempts }.
  *   - Persistencia siempre hace `set(..., {merge:true})` para idempotencia.
  *   - Cache-Control: s-maxage=1800; stale-while-revalidate=600.
  *
@@ -74,25 +90,13 @@
 
 import { DateTime, Interval } from "luxon";
 import { firestore, FieldValue } from "../lib/firebaseAdmin.js";
+import { quoteDocIdForCasa } from "../lib/fxPolicy.js";
+import { FxProviderError, fetchDailyQuotes, fetchHistoricalQuote, resolveFxProviders } from "../lib/fxProviders.js";
 
 const log = (...xs) => console.log("[Quotes]", ...xs);
 
 const TZ = "America/Argentina/Buenos_Aires";
 
-// --- Fuentes ---
-const ARDATOS_BASE =
-  process.env.BASE_URL_ARDATOS ||
-  "https://api.argentinadatos.com/v1/cotizaciones/dolares";
-
-const DOLARAPI_BASE = 
-  process.env.BASE_URL_DOLARAPI ||"https://dolarapi.com/v1";
-
-  // Sanity logs al cargar el módulo
-log("ENV", {
-  ARDATOS_BASE,
-  DOLARAPI_BASE,
-});
-
 // ---------- HTTP helpers ----------
 function ok(res, data) {
   res.setHeader("Access-Control-Allow-Origin", "*");
@@ -123,17 +127,25 @@ function datesBetween(fromISO, toISO) {
 }
 
 // ---------- Persistencia ----------
-async function saveToFirestoreGeneric({ moneda, isoDate, casa, compra, venta, fuente, extra = {} }) {
+async function saveToFirestoreGeneric({ moneda, isoDate, casa, compra, venta, fuente, extra = {}, force = false }) {
   const dt = DateTime.fromISO(isoDate, { zone: TZ });
   const yyyy = dt.toFormat("yyyy");
   const mm = dt.toFormat("MM");
   const dd = dt.toFormat("dd");
 
   const base = firestore.collection("cotizaciones").doc(String(moneda).toUpperCase());
-  const ref = base.collection(yyyy).doc(mm).collection(dd).doc("cot");
+  const docId = quoteDocIdForCasa(casa);
+  const ref = base.collection(yyyy).doc(mm).collection(dd).doc(docId);
 
   const snap = await ref.get();
   const exists = snap.exists;
+  const path = `cotizaciones/${String(moneda).toUpperCase()}/${yyyy}/${mm}/${dd}/${docId}`;
+
+  // corregida a mano en /api/fxOverride: no se pisa salvo force=true
+  if (exists && snap.data()?.manual === true && !force) {
+    log("SKIP manual", path);
+    return { path, upserted: false, skipped: "manual" };
+  }
 
   const payload = {
     fecha: isoDate,
@@ -145,61 +157,19 @@ async function saveToFirestoreGeneric({ moneda, isoDate, casa, compra, venta, fu
     updatedAt: FieldValue.serverTimestamp(),
     ...(exists ? {} : { createdAt: FieldValue.serverTimestamp() }),
     ...extra,
+    ...(exists && snap.data()?.manual === true ? { manual: false, overriddenManual: true } : {}),
   };
 
   await ref.set(payload, { merge: true });
-  return { path: `cotizaciones/${String(moneda).toUpperCase()}/${yyyy}/${mm}/${dd}/cot`, upserted: !exists };
-}
-
-// ---------- HISTÓRICO USD (ArgentinaDatos) ----------
-async function fetchUSDByDate_AD(casa, isoDate) {
-  // sanity: si por error ARDATOS_BASE apunta a dolarapi, frená
-  if (ARDATOS_BASE.includes("dolarapi.com")) {
-    throw new Error(
-      `Misconfig: ARDATOS_BASE apunta a dolarapi (${ARDATOS_BASE}). Corrigí BASE_URL_ARDATOS.`
-    );
-  }
-  const fechaPath = DateTime.fromISO(isoDate, { zone: TZ }).toFormat("yyyy/MM/dd");
-  const url = `${ARDATOS_BASE}/${encodeURIComponent(casa)}/${fechaPath}`;
-  log("fetchUSDByDate_AD →", url);
-  const r = await fetch(url, { headers: { accept: "application/json" } });
-  if (r.ok) return await r.json();
-  if (r.status !== 404) {
-    const body = await r.text();
-    throw new Error(`ArgentinaDatos ${r.status}: ${body.slice(0, 240)}`);
-  }
-  return null; // 404
-}
-
-async function fetchUSDHistoricalFallback_AD(casa, isoDate) {
-  if (ARDATOS_BASE.includes("dolarapi.com")) {
-    throw new Error(
-      `Misconfig: ARDATOS_BASE apunta a dolarapi (${ARDATOS_BASE}). Corrigí BASE_URL_ARDATOS.`
-    );
-  }
-  const url = `${ARDATOS_BASE}/${encodeURIComponent(casa)}`;
-  log("fetchUSDHistoricalFallback_AD →", url);
-  const r = await fetch(url, { headers: { accept: "application/json" } });
-  if (!r.ok) throw new Error(`ArgentinaDatos hist ${r.status}`);
-  const arr = await r.json();
-  
-
-  if (!Array.isArray(arr)) return null;
-
-  let found = arr.find((x) => x?.fecha === isoDate);
-  if (found) return found;
-
-  // último hábil anterior
-  found = arr
-    .filter((x) => x?.fecha && x.fecha < isoDate)
-    .sort((a, b) => (a.fecha < b.fecha ? 1 : -1))[0];
-  return found ? { ...found, fallback: "previous" } : null;
+  return { path, upserted: !exists };
 }
 
-async function processUSDHistorical({ isoDate, casa = "oficial", force = false, allowPrev = false }) {
-  let q = await fetchUSDByDate_AD(casa, isoDate);
-  if (!q && allowPrev) q = await fetchUSDHistoricalFallback_AD(casa, isoDate);
-  if (!q) return { date: isoDate, casa, status: "not_found" };
+// ---------- HISTÓRICO USD (proveedores con fallback, ver lib/fxProviders.js) ----------
+async function processUSDHistorical({ isoDate, casa = "oficial", force = false, allowPrev = false, providers }) {
+  const { provider, fuente, quote: q, attempts } = await fetchHistoricalQuote(providers, {
+    moneda: "USD", casa, isoDate, allowPrev, log,
+  });
+  if (!q) return { date: isoDate, casa, status: "not_found", attempts };
 
   const saved = await saveToFirestoreGeneric({
     moneda: "USD",
@@ -207,71 +177,54 @@ async function processUSDHistorical({ isoDate, casa = "oficial", force = false,
     casa: q?.casa || casa,
     compra: q?.compra,
     venta: q?.venta,
-    fuente: "api.argentinadatos.com",
+    fuente,
     extra: q?.fallback ? { fallback: q.fallback } : {},
+    force,
   });
 
   return {
     date: isoDate,
     casa,
     status: "ok",
+    provider,
+    fuente,
     compra: q?.compra ?? null,
     venta: q?.venta ?? null,
     fallback: q?.fallback || null,
     saved,
+    attempts,
   };
 }
 
-// ---------- DIARIO (DolarApi.com) ----------
-// GET /v1/cotizaciones -> array [{moneda:"USD", casa:"oficial", nombre:"Dólar", compra, venta, fechaActualizacion}, ...]
-async function fetchDailyAllFromDolarApi() {
-  // sanity inversa: que DOLARAPI_BASE no apunte a ArgentinaDatos
-  if (DOLARAPI_BASE.includes("argentinadatos.com")) {
-    throw new Error(
-      `Misconfig: DOLARAPI_BASE apunta a ArgentinaDatos (${DOLARAPI_BASE}). Corrigí BASE_URL_DOLARAPI.`
-    );
-  }
-  const url = `${DOLARAPI_BASE}/cotizaciones`;
-  log("fetchDailyAllFromDolarApi →", url);
-  const r = await fetch(url, { headers: { accept: "application/json" } });
-  if (!r.ok) {
-    const body = await r.text();
-    throw new Error(`DolarApi ${r.status}: ${body.slice(0, 240)}`);
-  }
-  const data = await r.json();
-  return Array.isArray(data) ? data : [];
-}
-
+// ---------- DIARIO (proveedores con fallback, ver lib/fxProviders.js) ----------
 /**
  * Persiste varias monedas del modo diario.
  * - `monedasFilter`: Set con símbolos permitidos (USD,EUR,BRL,CLP,UYU...). Si null -> todas.
  * Devuelve resumen con lo guardado.
  */
-async function processDailyAll({ monedasFilter = null }) {
-  const items = await fetchDailyAllFromDolarApi();
+async function processDailyAll({ monedasFilter = null, providers, force = false }) {
+  const { provider, fuente, items, attempts } = await fetchDailyQuotes(providers, { log });
 
   const results = [];
   for (const it of items) {
-    const symbol = String(it.moneda || "").toUpperCase(); // p.ej. "USD","EUR"
+    const symbol = it.moneda; // p.ej. "USD","EUR"
     if (monedasFilter && !monedasFilter.has(symbol)) continue;
 
-    // fechaActualizacion viene ISO con hora Z; nos quedamos con YYYY-MM-DD (AR)
-    const isoDate = toISODateAR(it.fechaActualizacion);
-
     const saved = await saveToFirestoreGeneric({
       moneda: symbol,
-      isoDate,
+      isoDate: it.fecha,
       casa: it.casa || "oficial",
       compra: it.compra,
       venta: it.venta,
-      fuente: "dolarapi.com",
+      fuente,
       extra: { nombre: it.nombre || null },
+      force,
     });
 
     results.push({
       moneda: symbol,
       casa: it.casa || "oficial",
-      fecha: isoDate,
+      fecha: it.fecha,
       compra: it.compra ?? null,
       venta: it.venta ?? null,
       saved,
@@ -284,7 +237,7 @@ async function processDailyAll({ monedasFilter = null }) {
     index[r.moneda] = { compra: r.compra, venta: r.venta, fecha: r.fecha, casa: r.casa };
   }
 
-  return { source: "dolarapi.com", count: results.length, results, index };
+  return { source: fuente, provider, count: results.length, results, index, attempts };
 }
 
 // ===================================================
@@ -293,7 +246,7 @@ async function processDailyAll({ monedasFilter = null }) {
 export default async function handler(req, res) {
   try {
     const {
-      // Si especificás fechas -> entra en modo HISTÓRICO USD (ArgentinaDatos)
+      // Si especificás fechas -> entra en modo HISTÓRICO USD
       fecha,                // YYYY-MM-DD
       lastDays,             // ej 3
       from, to,             // rango
@@ -302,10 +255,11 @@ export default async function handler(req, res) {
       fallback = "none",    // "none" | "previous"
       force = "false",
 
-      // Si NO hay fechas -> entra en modo DIARIO (DolarApi.com)
+      // Si NO hay fechas -> entra en modo DIARIO
       // Podés limitar monedas: USD,EUR,BRL,CLP,UYU...
       monedas,              // ej: "USD,EUR"
       compact = "true",
+      providers: providersParam,  // ej: "file,argentinadatos"
     } = req.query;
 
     const isHistoricalMode = Boolean(fecha || lastDays || (from && to));
@@ -314,6 +268,7 @@ export default async function handler(req, res) {
 
     // ------------------ MODO HISTÓRICO (USD) ------------------
     if (isHistoricalMode) {
+      const providers = resolveFxProviders("historical", providersParam);
       // Resolver fechas a procesar
       let dates = [];
       if (lastDays) {
@@ -332,16 +287,17 @@ export default async function handler(req, res) {
       const results = [];
       for (const d of dates) {
         try {
-          results.push(await processUSDHistorical({ isoDate: d, casa, force: _force, allowPrev }));
+          results.push(await processUSDHistorical({ isoDate: d, casa, force: _force, allowPrev, providers }));
         } catch (e) {
           log("ERR historic", d, e?.message);
-          results.push({ date: d, casa, status: "error", error: e?.message || "error" });
+          results.push({ date: d, casa, status: "error", error: e?.message || "error", attempts: e?.attempts || [] });
         }
       }
 
       const summary = {
         mode: "historical_usd",
-        fuente: "api.argentinadatos.com",
+        fuente: [...new Set(results.map((r) => r.fuente).filter(Boolean))].join(",") || null,
+        providers: providers.map((p) => p.id),
         casa,
         processed: results.length,
         ok: results.filter((r) => r.status === "ok").length,
@@ -353,7 +309,7 @@ export default async function handler(req, res) {
       if (compact === "true" && results.length === 1 && results[0].status === "ok") {
         const r = results[0];
         return ok(res, {
-          fuente: summary.fuente,
+          fuente: r.fuente,
           casa,
           fecha: r.date,
           compra: r.compra,
@@ -376,12 +332,19 @@ export default async function handler(req, res) {
           )
         : null;
 
-    const daily = await processDailyAll({ monedasFilter: filter });
+    let daily;
+    try {
+      daily = await processDailyAll({ monedasFilter: filter, providers: resolveFxProviders("daily", providersParam), force: _force });
+    } catch (e) {
+      if (!(e instanceof FxProviderError)) throw e;
+      log("ERR daily", e.message);
+      return bad(res, 502, "providers_failed", { message: e.message, attempts: e.attempts });
+    }
 
     if (compact === "true" && filter && filter.size === 1) {
       const sym = [...filter][0];
       const r = daily.index[sym];
-      if (r) return ok(res, { fuente: "dolarapi.com", moneda: sym, ...r });
+      if (r) return ok(res, { fuente: daily.source, moneda: sym, ...r });
     }
 
     return ok(res, { mode: "daily_multi", ...daily });
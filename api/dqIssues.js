@@ -0,0 +1,210 @@
+/**
+ * /api/dqIssues.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * OBJETIVO
+ *   Listar y resolver problemas de calidad de datos que el import guarda en las
+ *   reservas (`dq_issues[]`, ver lib/dqIssues.js). Hoy: 'arrival_mismatch'
+ *   (room.dfrom ≠ reserva.dfrom en WuBook).
+ *
+ * GET
+ *   ?property=<id>              (opcional)
+ *   ?from=YYYY-MM-DD&to=YYYY-MM-DD  (opcional; filtra por arrival_iso, inclusivo)
+ *   ?status=open|resolved|all   (default open)
+ *   ?limit=<n>                  (default 500, máx 2000; cuenta issues que pasan los filtros)
+ *   → { ok, count, truncated, items: [{ id, propiedad_id, propiedad_nombre, id_human, codigo_depto,
+ *        depto_nombre, nombre_huesped, arrival_iso, departure_iso, issues: [...] }] }
+ *
+ * POST (requiere Authorization: Bearer <idToken>)
+ *   { id, code: 'arrival_mismatch', resolution: 'room' | 'reservation' }
+ *     → marca el issue resuelto; si la fecha confirmada difiere de la actual,
+ *       actualiza arrival/arrival_iso. El import siguiente respeta lo confirmado
+ *       mientras WuBook no cambie esas fechas.
+ *
+ * ESCRITURA
+ *   - Transacción sobre el doc + historial `source: 'dq_resolve'`; recalcula `contentHash`.
+ *
+ * ERRORES
+ *   - 400: parámetros inválidos
+ *   - 401: no autenticado
+ *   - 404: reserva o issue no encontrado
+ *   - 405: método no permitido
+ *   - 500: error interno
+ */
+
+import { DateTime } from 'luxon';
+import { firestore, FieldValue, authAdmin } from '../lib/firebaseAdmin.js';
+import { TZ, euToISO, hashDoc, diffDocs } from '../lib/importProcessShared.js';
+import { DQ_ARRIVAL_MISMATCH, DQ_RESOLUTIONS, hasOpenDq } from '../lib/dqIssues.js';
+
+const log = (...a) => console.log('[DqIssues]', ...a);
+const PAGE_SIZE = 500;
+
+const ok = (res, data) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  return res.status(200).json(data);
+};
+const bad = (res, code, error) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  return res.status(code).json({ error });
+};
+
+function parseBody(req) {
+  if (!req.body) return {};
+  if (typeof req.body === 'string') {
+    try { return JSON.parse(req.body); } catch { return {}; }
+  }
+  return req.body;
+}
+
+async function getAuthUser(req) {
+  try {
+    const h = req.headers?.authorization || req.headers?.Authorization || '';
+    const m = h.match(/^Bearer\s+([A-Za-z0-9\-\._~\+\/]+=*)$/i);
+    if (!m) return null;
+    const decoded = await authAdmin.verifyIdToken(m[1]);
+    const name = decoded.name || decoded.displayName || null;
+    return { uid: decoded.uid, email: decoded.email || null, name };
+  } catch (e) {
+    log('WARN verifyIdToken', e?.message);
+    return null;
+  }
+}
+
+const isISODate = (s) => /^\d{4}-\d{2}-\d{2}$/.test(String(s || ''));
+
+const mapIssueDoc = (d, status) => {
+  const x = d.data() || {};
+  if (x.is_cancelled === true) return null;
+  const issues = (Array.isArray(x.dq_issues) ? x.dq_issues : [])
+    .filter((i) => status === 'all' || i?.status === status);
+  if (!issues.length) return null;
+  return {
+    id: d.id,
+    propiedad_id: x.propiedad_id || null,
+    propiedad_nombre: x.propiedad_nombre || null,
+    id_human: x.id_human || null,
+    codigo_depto: x.codigo_depto || null,
+    depto_nombre: x.depto_nombre || null,
+    nombre_huesped: x.nombre_huesped || null,
+    arrival_iso: x.arrival_iso || null,
+    departure_iso: x.departure_iso || null,
+    issues,
+  };
+};
+
+async function listIssues({ property, from, to, status, limit }) {
+  // dq_open existe en todo doc que alguna vez tuvo issues (true/false). Propiedad en la
+  // query (igualdades, sin índice compuesto); fechas y estado del issue en memoria,
+  // paginando hasta juntar `limit` coincidencias.
+  let query = firestore.collection('Reservas');
+  query = status === 'open' ? query.where('dq_open', '==', true) : query.where('dq_open', 'in', [true, false]);
+  if (property) query = query.where('propiedad_id', '==', property);
+
+  const items = [];
+  let last = null;
+  let truncated = false;
+  for (;;) {
+    const snap = await (last ? query.startAfter(last) : query).limit(PAGE_SIZE).get();
+    for (const d of snap.docs) {
+      const arrival = String(d.data()?.arrival_iso || '');
+      if ((from && arrival < from) || (to && arrival > to)) continue;
+      const item = mapIssueDoc(d, status);
+      if (!item) continue;
+      if (items.length === limit) { truncated = true; break; }
+      items.push(item);
+    }
+    if (truncated || snap.size < PAGE_SIZE) break;
+    last = snap.docs[snap.size - 1];
+  }
+  items.sort((a, b) => String(a.arrival_iso).localeCompare(String(b.arrival_iso)) || a.id.localeCompare(b.id));
+  return { items, truncated };
+}
+
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') return ok(res, { ok: true });
+
+  try {
+    if (req.method === 'GET') {
+      const q = req.query || {};
+      const property = String(q.property || q.propiedad_id || '').trim();
+      const from = String(q.from || '').trim();
+      const to = String(q.to || '').trim();
+      const status = String(q.status || 'open').trim().toLowerCase();
+      const limit = Math.max(1, Math.min(2000, Number(q.limit) || 500));
+      if ((from && !isISODate(from)) || (to && !isISODate(to))) return bad(res, 400, 'from/to deben ser YYYY-MM-DD');
+      if (!['open', 'resolved', 'all'].includes(status)) return bad(res, 400, 'status debe ser open | resolved | all');
+
+      const { items, truncated } = await listIssues({ property, from, to, status, limit });
+      return ok(res, { ok: true, count: items.length, truncated, items });
+    }
+
+    if (req.method !== 'POST') return bad(res, 405, 'Método no permitido');
+
+    const authUser = await getAuthUser(req);
+    if (!authUser) return bad(res, 401, 'No autenticado');
+
+    const body = parseBody(req);
+    const id = String(body.id || '').trim();
+    const code = String(body.code || DQ_ARRIVAL_MISMATCH).trim();
+    const resolution = String(body.resolution || '').trim();
+    if (!id) return bad(res, 400, 'id es obligatorio');
+    if (code !== DQ_ARRIVAL_MISMATCH) return bad(res, 400, `code no soportado: ${code}`);
+    if (!DQ_RESOLUTIONS.includes(resolution)) return bad(res, 400, `resolution debe ser ${DQ_RESOLUTIONS.join(' | ')}`);
+
+    const ref = firestore.collection('Reservas').doc(id);
+    const result = await firestore.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      if (!snap.exists) return { status: 404, error: 'Reserva no encontrada' };
+      const before = snap.data() || {};
+      const issues = Array.isArray(before.dq_issues) ? before.dq_issues : [];
+      const idx = issues.findIndex((i) => i?.code === code);
+      if (idx < 0) return { status: 404, error: 'Issue no encontrado en la reserva' };
+
+      const issue = issues[idx];
+      const arrival = resolution === 'reservation' ? issue.reservation_value : issue.room_value;
+      const nextIssues = issues.map((i, k) => (k === idx ? {
+        ...i,
+        status: 'resolved',
+        resolution,
+        resolvedAt: DateTime.now().setZone(TZ).toISO(),
+        resolvedBy: { uid: authUser.uid, email: authUser.email, name: authUser.name },
+      } : i));
+
+      const update = { dq_issues: nextIssues, dq_open: hasOpenDq(nextIssues) };
+      if (arrival && arrival !== before.arrival) {
+        update.arrival = arrival;
+        update.arrival_iso = euToISO(arrival);
+      }
+      const after = { ...before, ...update };
+      const diff = diffDocs(before, after);
+      update.contentHash = hashDoc(after);
+      update.lastUpdatedAt = FieldValue.serverTimestamp();
+      update.lastUpdatedBy = authUser.email || authUser.uid;
+
+      tx.update(ref, update);
+      tx.set(ref.collection('historial').doc(`${Date.now()}_dqResolve`), {
+        ts: FieldValue.serverTimestamp(),
+        source: 'dq_resolve',
+        context: { propiedad_id: before.propiedad_id || null, code, resolution },
+        changeType: 'updated',
+        changedKeys: Object.keys(diff),
+        diff,
+        hashFrom: before.contentHash || null,
+        hashTo: update.contentHash,
+        by: { uid: authUser.uid, email: authUser.email, name: authUser.name },
+      });
+      return { status: 200, arrival_iso: after.arrival_iso, dq_open: update.dq_open };
+    });
+
+    if (result.status !== 200) return bad(res, result.status, result.error);
+    log('RESOLVED', { id, code, resolution, arrival_iso: result.arrival_iso });
+    return ok(res, { ok: true, id, code, resolution, arrival_iso: result.arrival_iso, dq_open: result.dq_open });
+  } catch (err) {
+    log('ERROR', err?.message); console.error(err);
+    return bad(res, 500, err?.message || 'Error interno');
+  }
+}
@@ -19,12 +19,37 @@
  *     - Pone timestamps (FieldValue.serverTimestamp) y guarda el raw original
  *     - Se ejecuta tanto en el flujo de procesamiento por reservationId como
  *       en el batch por query
+ *     - Los pagos host espejados por /api/wubookPushPayments vuelven con la marca
+ *       `[dh:<push_ref>]` en remarks: se reconocen por push_ref y NO se duplican
+ *       (el pago host adopta el wubook_id si todavía no lo tenía)
  *
  * MODOS: 'pending' | 'active' | forceUpdate
+ *   Por id: body { reservationId } o, en proceso, `enrichReservation(reservationId)`
+ *   (lo usa /api/wubook/webhook en vez de llamar a este endpoint por HTTP).
+ *
+ * LLAMADAS A WUBOOK (lib/wubookClient.js)
+ *   - Rate limit por apiKey + reintentos ante 429/5xx los resuelve el cliente.
+ *   - En el batch se traen los datos de hasta WUBOOK_ENRICH_CONCURRENCY (4) reservas
+ *     en paralelo; la escritura sigue siendo secuencial.
+ *   - Si WuBook falla para una reserva, NO se escriben placeholders: el doc queda
+ *     como estaba (si era 'pending' se reintenta en la próxima corrida) y figura en
+ *     `errors[]` de la respuesta. Cliente inexistente (404) no pisa el nombre.
+ *   - La respuesta incluye `wubook_api` (llamadas/reintentos/429 de esta corrida).
+ *   - El batch (no dryRun) deja por propiedad reservas pedidas/fallidas en
+ *     `syncStatus/{propiedad_id}.enrich` (ver lib/syncStatus.js).
+ *
+ * HUÉSPEDES (lib/guests.js)
+ *   - Con los datos del cliente se crea/actualiza el perfil `Huespedes/{id}`
+ *     (por booker de WuBook; si no, por email/teléfono normalizados) y la
+ *     reserva queda linkeada con `huesped_id`. El historial lo sirve /api/huespedes.
+ *   - Reservas con `pii_erased` (/api/guestPiiErasure): no se linkean y cliente/notas
+ *     se guardan anonimizados (solo se actualizan pagos y totales).
  *
  * ✅ Notas y Pagos unificados (fuente de verdad):
- *   - notes[]    (source: 'wubook' | 'host') con dedupe estable
+ *   - notes[]    (source: 'wubook' | 'host') con dedupe estable; las notas host enviadas
+ *     por /api/wubookPushNotes vuelven con `[dh:<push_ref>]` y no se duplican
  *   - payments[] (source: 'wubook' | 'host') con dedupe estable
+ *   - Pagos en ARS de WuBook: usd_equiv con el TC del día del pago (lib/paymentFx.js)
  *
  * ❌ EXTRAS:
  *   - NO carga ni modifica extras[] ni extrasUSD.
@@ -49,23 +74,34 @@
  *       • dateField: 'arrival_iso' | 'departure_iso' (default: 'arrival_iso')
  *   - El filtro se aplica sobre Firestore (no sobre WuBook) al seleccionar reservas.
  *
+ * DRY RUN
+ *   - Con `dryRun: true` la respuesta trae `dry_run_report[]`: por doc, change
+ *     'updated' | 'unchanged' con changedKeys y diff from/to (lib/dryRunReport.js).
+ *   - `report: 'json' | 'csv'` (solo con dryRun) lo devuelve como archivo adjunto.
+ *
  * NUEVO: CHUNKING DE BATCH (evita exceder 500 writes)
  *   - Firestore batch soporta hasta 500 operaciones. Este endpoint puede excederlo
  *     al crear historial + pagos individuales.
  *   - Se hace commit parcial cuando se llega a un umbral seguro (~450 ops).
  */
 
-import axios from 'axios';
-import qs from 'qs';
 import { firestore, FieldValue, Timestamp } from '../lib/firebaseAdmin.js';
 import crypto from 'crypto';
 import { DateTime } from 'luxon';
+import { kpPost, kapiPost, mapWithConcurrency, wubookMetricsSince, getWubookMetrics } from '../lib/wubookClient.js';
+import { DRY_RUN_FORMATS, buildReportEntry, sendReportFile } from '../lib/dryRunReport.js';
+import { recordEnrichRun, paymentFxUSD } from '../lib/importProcessShared.js';
+import { getWubookConfig } from '../lib/fetchPropertiesAndRoomMaps.js';
+import { PAYMENT_CURRENCIES, applyPaymentFx, needsPaymentFx } from '../lib/paymentFx.js';
+import { anonymizeReservationFields } from '../lib/piiErasure.js';
+import { notePushRef, parsePushRef } from '../lib/wubookPush.js';
+import {
+  HUESPEDES_COLLECTION, guestFromCustomer, guestMatchKeys, guestIdForBooker, isBookerId, mergeGuestProfile,
+} from '../lib/guests.js';
 
 // ===================== CONFIG =====================
 const log = (...args) => console.log('[EnrichWubook]', ...args);
-const BASE_URL_KP   = process.env.WUBOOK_BASE_URL      || 'https://kapi.wubook.net/kp';
-const BASE_URL_KAPI = process.env.WUBOOK_BASE_URL_KAPI || 'https://kapi.wubook.net/kapi';
-const apiKeyCache = new Map();
+const ENRICH_CONCURRENCY = Number(process.env.WUBOOK_ENRICH_CONCURRENCY) || 4;
 const TZ = 'America/Argentina/Buenos_Aires';
 
 // ===================== HASH / DIFF =====================
@@ -129,7 +165,7 @@ function computePaidUSD(payments = []) {
     const amt = numOrZero(p.amount);
     if (!amt) continue;
     if (curr === 'USD') paidUSD += amt;
-    else if (curr === 'ARS') {
+    else if (PAYMENT_CURRENCIES.includes(curr)) {
       const usdEquiv = Number(p.usd_equiv);
       if (Number.isFinite(usdEquiv)) paidUSD += usdEquiv;
     }
@@ -147,81 +183,151 @@ function computePaymentStatus(payments = [], toPay) {
 }
 
 // ===================== API HELPERS =====================
-async function getApiKey(propId) {
-  if (apiKeyCache.has(propId)) return apiKeyCache.get(propId);
-  const snap = await firestore.collection('propiedades').doc(propId).get();
-  if (!snap.exists) return null;
-  const data = snap.data();
-  const apiKey = data?.api_key || data?.integraciones?.wubook_apiKey || data?.integraciones?.wubook?.apiKey;
-  if (apiKey) apiKeyCache.set(propId, apiKey);
-  return apiKey;
-}
-
 async function fetchCustomerData(apiKey, bookerId) {
-  if (!bookerId || !/^\d+$/.test(String(bookerId))) return { nombre_huesped: String(bookerId) };
+  // sin booker numérico no hay cliente que buscar: se conserva lo que tenga el doc
+  if (!isBookerId(bookerId)) return {};
+  let data;
   try {
-    const headers = { 'x-api-key': apiKey, 'Content-Type': 'application/x-www-form-urlencoded' };
-    const payload = qs.stringify({ id: bookerId });
-    const resp = await axios.post(`${BASE_URL_KP}/customers/fetch_one`, payload, { headers });
-    const mainInfo = resp.data?.data?.main_info;
-    const contacts = resp.data?.data?.contacts;
-    if (!mainInfo) return { nombre_huesped: 'Cliente no encontrado (sin main_info)' };
-    const fullName = `${mainInfo.name || ''} ${mainInfo.surname || ''}`.trim() || 'Cliente Anónimo';
-    return {
-      nombre_huesped: fullName,
-      customer_email: contacts?.email || null,
-      customer_phone: contacts?.phone || null,
-      customer_address: mainInfo?.address || null,
-      customer_city: mainInfo?.city || null,
-      customer_country: mainInfo?.country || null,
-    };
+    data = await kpPost(apiKey, '/customers/fetch_one', { id: bookerId });
   } catch (error) {
-    log(`Error fetching customer ${bookerId}:`, error.response?.data || error.message);
-    return {
-      nombre_huesped: 'Error al buscar nombre',
-      customer_email: null, customer_phone: null,
-      customer_address: null, customer_city: null, customer_country: null
-    };
+    // cliente borrado en WuBook: no hay nada que actualizar (se conserva lo que haya)
+    if (error?.kind === 'not_found') {
+      log(`Customer ${bookerId} not found in WuBook; keeping current data.`);
+      return {};
+    }
+    throw error;
   }
+  const mainInfo = data?.main_info;
+  const contacts = data?.contacts;
+  if (!mainInfo) return { nombre_huesped: 'Cliente no encontrado (sin main_info)' };
+  const fullName = `${mainInfo.name || ''} ${mainInfo.surname || ''}`.trim() || 'Cliente Anónimo';
+  return {
+    nombre_huesped: fullName,
+    customer_email: contacts?.email || null,
+    customer_phone: contacts?.phone || null,
+    customer_address: mainInfo?.address || null,
+    customer_city: mainInfo?.city || null,
+    customer_country: mainInfo?.country || null,
+  };
 }
 
 async function fetchPayments(apiKey, rcode) {
-  try {
-    const payload = qs.stringify({ rcode });
-    const resp = await axios.post(`${BASE_URL_KAPI}/payments/get_payments`, payload, { auth: { username: apiKey, password: '' } });
-    return resp.data?.data || [];
-  } catch (error) {
-    log(`Error fetching payments for rcode ${rcode}:`, error.response?.data || error.message);
-    return [];
-  }
+  return (await kapiPost(apiKey, '/payments/get_payments', { rcode })) || [];
 }
 
 async function fetchNotes(apiKey, rcode) {
-  try {
-    const payload = qs.stringify({ rcode });
-    const resp = await axios.post(`${BASE_URL_KAPI}/notes/get_notes`, payload, { auth: { username: apiKey, password: '' } });
-    return resp.data?.data || [];
-  } catch (error) {
-    log(`Error fetching notes for rcode ${rcode}:`, error.response?.data || error.message);
-    return [];
+  return (await kapiPost(apiKey, '/notes/get_notes', { rcode })) || [];
+}
+
+/** Cliente + pagos + notas de una reserva. Los errores de WuBook se propagan (WubookError). */
+async function fetchWubookData(apiKey, bookerId, rcode) {
+  const [customerData, wubookPaysRaw, wubookNotesRaw] = await Promise.all([
+    fetchCustomerData(apiKey, bookerId),
+    fetchPayments(apiKey, rcode),
+    fetchNotes(apiKey, rcode),
+  ]);
+  return { customerData, wubookPaysRaw, wubookNotesRaw };
+}
+
+const describeError = (id, e, propiedad_id = null) => ({
+  id,
+  propiedad_id,
+  kind: e?.kind || 'unknown',
+  status: e?.status ?? null,
+  path: e?.path || null,
+  error: e?.message || 'error',
+});
+
+// ===================== HUÉSPEDES =====================
+// Booker de la reserva: el import lo guarda en `wubook_booker_id`; los docs de imports
+// viejos lo tienen en `nombre_huesped` solo mientras es numérico (después es el nombre).
+const bookerIdOf = (d) => d?.wubook_booker_id || (isBookerId(d?.nombre_huesped) ? String(d.nombre_huesped).trim() : null);
+
+/**
+ * Perfil `Huespedes` de la reserva (ver lib/guests.js): el `huesped_id` que ya tenga el
+ * doc y, si no, por booker o email/teléfono. Devuelve { id, write } (write = perfil a
+ * guardar, null si no cambió) o null si no hay con qué identificarlo: con solo el nombre
+ * no se crea un perfil. `cache` evita duplicar perfiles dentro de la misma corrida (el
+ * batch todavía no se commiteó).
+ */
+async function resolveGuest({ bookerId, customerData, propiedad_id, linkedId = null, cache }) {
+  const guest = guestFromCustomer(customerData);
+  const keys = guestMatchKeys(guest);
+  const bookerDocId = guestIdForBooker(bookerId);
+  const col = firestore.collection(HUESPEDES_COLLECTION);
+
+  let id = [bookerDocId, ...keys].map((k) => k && cache.ids.get(k)).find(Boolean) || null;
+  let existing = id ? cache.profiles.get(id) : null;
+
+  if (!id && linkedId) {
+    existing = cache.profiles.get(linkedId) || null;
+    if (existing) id = linkedId;
+    else {
+      const snap = await col.doc(linkedId).get();
+      if (snap.exists) { id = snap.id; existing = snap.data(); }
+    }
+  }
+  if (!id && bookerDocId) {
+    const snap = await col.doc(bookerDocId).get();
+    if (snap.exists) { id = snap.id; existing = snap.data(); }
+  }
+  if (!id && bookerDocId) {
+    const q = await col.where('wubook_booker_ids', 'array-contains', String(bookerId).trim()).limit(1).get();
+    if (!q.empty) { id = q.docs[0].id; existing = q.docs[0].data(); }
   }
+  if (!id && keys.length) {
+    const q = await col.where('match_keys', 'array-contains-any', keys).limit(1).get();
+    if (!q.empty) { id = q.docs[0].id; existing = q.docs[0].data(); }
+  }
+  // sin booker ni email/teléfono (p.ej. doc viejo con solo el nombre o cliente borrado
+  // en WuBook) y sin perfil previo: no se crea nada
+  if (!id && !bookerDocId && !keys.length) return null;
+
+  const isNew = !id;
+  if (isNew) id = bookerDocId || col.doc().id;
+  const profile = mergeGuestProfile(existing || {}, { bookerId: bookerDocId ? bookerId : null, guest, propiedad_id });
+  const changed = isNew || stableStringify(profile) !== stableStringify(mergeGuestProfile(existing || {}));
+
+  cache.profiles.set(id, { ...(existing || {}), ...profile });
+  for (const k of [bookerDocId, ...profile.match_keys]) if (k) cache.ids.set(k, id);
+  return { id, isNew, write: changed ? profile : null };
 }
 
+const guestWrite = (link) => ({
+  ...link.write,
+  updatedAt: FieldValue.serverTimestamp(),
+  ...(link.isNew ? { createdAt: FieldValue.serverTimestamp() } : {}),
+});
+
 // ===================== MAP / DEDUPE =====================
 // Notes
 function mapWubookNotesToUnified(arr = []) {
-  return (Array.isArray(arr) ? arr : []).map(n => ({
-    ts: n.created_at || Timestamp.now(),
-    by: 'wubook',
-    text: String(n.remarks ?? '').trim(),
-    source: 'wubook',
-    wubook_id: n.id ?? null,
-    sent_to_wubook: true,
-  })).filter(n => n.text);
+  return (Array.isArray(arr) ? arr : []).map(n => {
+    // notas enviadas por /api/wubookPushNotes vuelven con la marca [dh:<push_ref>]
+    const { text, ref } = parsePushRef(n.remarks);
+    return {
+      ts: n.created_at || Timestamp.now(),
+      by: 'wubook',
+      text,
+      source: 'wubook',
+      wubook_id: n.id ?? null,
+      sent_to_wubook: true,
+      ...(ref ? { push_ref: ref } : {}),
+    };
+  }).filter(n => n.text);
 }
 function dedupeNotes(arr = []) {
+  // una nota host ya enviada vuelve como 'wubook' con su push_ref: la nota host
+  // adopta ese wubook_id (si el push no llegó a grabarlo) y la copia cae por la clave `w:`
+  const idByRef = new Map();
+  for (const n of arr) if (n.source === 'wubook' && n.push_ref && n.wubook_id) idByRef.set(n.push_ref, n.wubook_id);
+
   const seen = new Set(); const out = [];
-  for (const n of arr) {
+  for (const n0 of arr) {
+    const ref = (n0.source === 'host' && !n0.wubook_id && idByRef.size) ? notePushRef(n0) : null;
+    const n = (ref && idByRef.has(ref))
+      ? { ...n0, push_ref: ref, wubook_id: idByRef.get(ref), sent_to_wubook: true, wubook_push_error: null }
+      : n0;
     const key = n.wubook_id
       ? `w:${n.wubook_id}`
       : `s:${n.source}|t:${(n.ts?.seconds ?? n.ts?._seconds ?? n.ts ?? '')}|x:${(n.text||'').slice(0,120)}`;
@@ -258,6 +364,11 @@ function mapWubookPaymentsToUnified(arr = []) {
       ? cleaned.toUpperCase()
       : (Number.isFinite(amt) && Math.abs(amt) > 10000 ? 'ARS' : 'USD');
 
+    // pagos enviados por /api/wubookPushPayments vuelven con la marca [dh:<push_ref>]
+    const rawConcept = (p.remarks ?? p.concept ?? null) ? String(p.remarks ?? p.concept).trim() : null;
+    const { text: conceptText, ref } = parsePushRef(rawConcept);
+    const concept = ref ? (conceptText || null) : rawConcept;
+
     return {
       ts,
       by: p.team_user || p.by || 'wubook',
@@ -268,14 +379,54 @@ function mapWubookPaymentsToUnified(arr = []) {
       amount: Number.isFinite(amt) ? amt : 0,
       currency,
       method: String(p.type || p.method || 'unknown'),
-      concept: (p.remarks ?? p.concept ?? null) ? String(p.remarks ?? p.concept).trim() : null,
+      concept,
+      ...(ref ? { push_ref: ref } : {}),
       raw: p,
     };
   }).filter(p => p.amount !== 0);
 }
+// pagos ARS / EUR / BRL / CLP / UYU: usd_equiv con el TC del día de cada pago (lib/paymentFx.js);
+// en ARS, con la casa de la forma de cobro (lib/fxPolicy.js)
+async function withPaymentFx(payments = [], reservation = {}) {
+  const out = [];
+  for (const p of payments) {
+    out.push(needsPaymentFx(p) ? applyPaymentFx(p, await paymentFxUSD({ ts: p.ts, currency: p.currency, reservation, method: p.method })) : p);
+  }
+  return out;
+}
+
+// copia de cada pago nuevo en la subcolección `payments` (single y batch)
+const paymentSubdoc = (np) => ({
+  ts: np.ts || FieldValue.serverTimestamp(),
+  by: np.by || 'wubook',
+  byUid: np.byUid || null,
+  byEmail: np.byEmail || null,
+  source: np.source || 'wubook',
+  wubook_id: np.wubook_id || null,
+  amount: Number.isFinite(Number(np.amount)) ? Number(np.amount) : 0,
+  currency: np.currency || null,
+  method: np.method || null,
+  concept: np.concept || np.note || null,
+  usd_equiv: Number.isFinite(Number(np.usd_equiv)) ? Number(np.usd_equiv) : null,
+  fxRateUsed: Number.isFinite(Number(np.fxRateUsed)) ? Number(np.fxRateUsed) : null,
+  fx_date: np.fx_date || null,
+  fx_source: np.fx_source || null,
+  fx_policy: np.fx_policy || null,
+  createdAt: FieldValue.serverTimestamp(),
+  raw: np,
+});
+
 function dedupePayments(arr = []) {
+  // un pago host ya espejado en WuBook vuelve como 'wubook' con el mismo push_ref:
+  // el pago host adopta ese wubook_id y la copia cae por la clave `w:`
+  const idByRef = new Map();
+  for (const p of arr) if (p.source === 'wubook' && p.push_ref && p.wubook_id) idByRef.set(p.push_ref, p.wubook_id);
+
   const seen = new Set(); const out = [];
-  for (const p of arr) {
+  for (const p0 of arr) {
+    const p = (p0.source === 'host' && p0.push_ref && !p0.wubook_id && idByRef.has(p0.push_ref))
+      ? { ...p0, wubook_id: idByRef.get(p0.push_ref), sent_to_wubook: true, wubook_push_error: null }
+      : p0;
     const key = p.wubook_id
       ? `w:${p.wubook_id}`
       : `s:${p.source}|t:${(p.ts?.seconds ?? p.ts?._seconds ?? p.ts ?? '')}|a:${p.amount}|c:${p.currency}|m:${p.method}`;
@@ -286,6 +437,177 @@ function dedupePayments(arr = []) {
   return out;
 }
 
+// ===================== ENRICH POR ID =====================
+/**
+ * Enrich de un doc puntual de `Reservas` (cliente, pagos, notas y huésped desde WuBook).
+ * Lo usa el handler con `reservationId` y /api/wubook/webhook (en proceso, sin HTTP).
+ * → { status, body, reported? }   // reported: el handler agrega el dry_run_report
+ */
+export async function enrichReservation(reservationId, {
+  dryRun = false,
+  syncMode = 'pending',
+  metricsStart = getWubookMetrics(),
+  addReport = () => {},
+} = {}) {
+  const doc = await firestore.collection('Reservas').doc(String(reservationId)).get();
+  if (!doc.exists) {
+    return { status: 200, body: { ok: true, message: 'Reservation not found.', processed: 0 } };
+  }
+  const singleOld = doc.data();
+  const { propiedad_id, id_human } = singleOld || {};
+  const bookerId = bookerIdOf(singleOld);
+  if (!propiedad_id || !id_human) {
+    return { status: 200, body: { ok: true, message: 'Doc missing propiedad_id/id_human.', processed: 0 } };
+  }
+  const apiKey = (await getWubookConfig(propiedad_id))?.apiKey;
+  if (!apiKey) {
+    return { status: 200, body: { ok: true, message: 'No apiKey for propiedad.', processed: 0 } };
+  }
+
+  let customerData, wubookPaysRaw, wubookNotesRaw;
+  try {
+    ({ customerData, wubookPaysRaw, wubookNotesRaw } = await fetchWubookData(apiKey, bookerId, id_human));
+  } catch (e) {
+    log(`WuBook error for ${doc.id}:`, e?.kind, e?.message);
+    return {
+      status: 502,
+      body: {
+        ok: false, dryRun, processed: 0, totalFound: 1,
+        errors: [describeError(doc.id, e, propiedad_id)], wubook_api: wubookMetricsSince(metricsStart),
+      },
+    };
+  }
+
+  const guestLink = singleOld.pii_erased === true ? null : await resolveGuest({
+    bookerId, customerData, propiedad_id, linkedId: singleOld.huesped_id || null,
+    cache: { ids: new Map(), profiles: new Map() },
+  });
+
+  // ======= UNIFICACIÓN =======
+  const unifiedNotesFromWubook = mapWubookNotesToUnified(wubookNotesRaw);
+  const existingUnifiedNotes   = Array.isArray(singleOld.notes) ? singleOld.notes : [];
+  const mergedNotes            = dedupeNotes([...existingUnifiedNotes, ...unifiedNotesFromWubook]);
+
+  const unifiedPaysFromWubook  = await withPaymentFx(mapWubookPaymentsToUnified(wubookPaysRaw), singleOld);
+  const existingUnifiedPays    = Array.isArray(singleOld.payments) ? singleOld.payments : [];
+  const mergedPayments         = dedupePayments([...existingUnifiedPays, ...unifiedPaysFromWubook]);
+
+  // ======= TOTAL: NO tocar extras; usar el breakdown existente =======
+  const currentBD = singleOld?.toPay_breakdown || {};
+  const preservedBD = {
+    baseUSD:    preserveNonNull(currentBD.baseUSD,    currentBD.baseUSD ?? null),
+    ivaPercent: preserveNonNull(currentBD.ivaPercent, currentBD.ivaPercent ?? null),
+    ivaUSD:     preserveNonNull(currentBD.ivaUSD,     currentBD.ivaUSD ?? null),
+    // 👇 NO introducir extras nuevos; solo preservar si ya existe
+    extrasUSD:  preserveNonNull(currentBD.extrasUSD,  currentBD.extrasUSD ?? null),
+    fxRate:     preserveNonNull(currentBD.fxRate,     currentBD.fxRate ?? null),
+  };
+  const { total: newToPay } = recomputeToPayFrom(preservedBD, preservedBD.extrasUSD);
+  const newBreakdown = { ...currentBD, ...preservedBD };
+  const newPaymentStatus = computePaymentStatus(mergedPayments, newToPay);
+
+  // 🔹 info de solo lectura para UI (sin extras)
+  const wubookOriginal = {
+    baseUSD: numOrNull(currentBD?.baseUSD) ?? null,
+    ivaPercent: numOrNull(currentBD?.ivaPercent) ?? null,
+    ivaUSD: numOrNull(currentBD?.ivaUSD) ?? null,
+  };
+  const wubook_priceUSD =
+    numOrNull(singleOld?.wubook_priceUSD) ??
+    numOrNull(singleOld?.wubook_price?.amount) ?? null;
+
+  const fetchedData = {
+    ...customerData,
+    ...(guestLink ? { huesped_id: guestLink.id } : {}),
+    wubook_payments: wubookPaysRaw,
+    wubook_notes: wubookNotesRaw,
+
+    // fuente de verdad unificada
+    notes: mergedNotes,
+    payments: mergedPayments,
+
+    // operativos (sin tocar extras)
+    toPay: newToPay,
+    toPay_breakdown: newBreakdown,
+    payment_status: newPaymentStatus,
+
+    // solo lectura para UI
+    wubook_original: wubookOriginal,
+    wubook_priceUSD: wubook_priceUSD ?? null,
+  };
+  if (singleOld.pii_erased === true) Object.assign(fetchedData, anonymizeReservationFields(fetchedData));
+
+  // el perfil se guarda aunque la reserva no cambie (p.ej. se borró el perfil)
+  if (!dryRun && guestLink?.write) {
+    await firestore.collection(HUESPEDES_COLLECTION).doc(guestLink.id).set(guestWrite(guestLink), { merge: true });
+  }
+
+  const newDocForHash = { ...singleOld, ...fetchedData };
+  const newHash = hashDoc(newDocForHash);
+  if (newHash === singleOld.contentHash) {
+    log(`Skipping ${doc.id}, no changes detected (hash match).`);
+    addReport(doc, singleOld, 'unchanged');
+    return { status: 200, body: { ok: true, dryRun, processed: 0, totalFound: 1, message: 'Already up-to-date.' }, reported: true };
+  }
+
+  const updateData = {
+    ...fetchedData,
+    enrichmentStatus: 'completed',
+    enrichedAt: singleOld.enrichedAt || FieldValue.serverTimestamp(),
+    lastUpdatedBy: 'wubook_sync',
+    lastUpdatedAt: FieldValue.serverTimestamp(),
+    contentHash: newHash,
+  };
+
+  const diff = getObjectDiff(
+    { ...stripKeys(singleOld), nombre_huesped: singleOld?.nombre_huesped },
+    stripKeys(newDocForHash)
+  );
+  const changedKeys = Object.keys(diff);
+
+  if (dryRun) {
+    log(`[DryRun] Would update ${doc.id} (changes detected).`);
+    addReport(doc, singleOld, 'updated', diff);
+    return { status: 200, body: { ok: true, dryRun, processed: 1, totalFound: 1, message: 'Simulated.' }, reported: true };
+  }
+
+  const batch = firestore.batch();
+
+  // --- crear docs individuales para pagos nuevos en subcolección "payments"
+  const paymentKey = (p) => p.wubook_id
+    ? `w:${p.wubook_id}`
+    : `s:${(p.ts?.seconds ?? p.ts?._seconds ?? p.ts ?? '')}|a:${p.amount}|c:${p.currency}|m:${p.method}`;
+  const existingKeys = new Set((existingUnifiedPays || []).map(paymentKey));
+  const existingRefs = new Set((existingUnifiedPays || []).map(p => p.push_ref).filter(Boolean));
+  const newPaymentsFromWubook = (unifiedPaysFromWubook || [])
+    .filter(p => !existingKeys.has(paymentKey(p)) && !(p.push_ref && existingRefs.has(p.push_ref)));
+  for (const np of newPaymentsFromWubook) {
+    const payDocRef = doc.ref.collection('payments').doc();
+    batch.set(payDocRef, paymentSubdoc(np));
+  }
+  // --- end pagos individuales
+
+  batch.update(doc.ref, updateData);
+  const histRef = doc.ref.collection('historial').doc(`${Date.now()}_sync`);
+  batch.set(histRef, {
+    ts: FieldValue.serverTimestamp(),
+    source: 'wubook_sync',
+    context: { scope: 'sync', mode: syncMode, propiedad_id },
+    changeType: 'updated',
+    changedKeys,
+    diff,
+    hashFrom: singleOld.contentHash || null,
+    hashTo: newHash,
+    snapshotAfter: { ...singleOld, ...updateData },
+  });
+  await batch.commit();
+
+  return {
+    status: 200,
+    body: { ok: true, dryRun, processed: 1, totalFound: 1, message: 'Successfully synced 1 reservation (by id).' },
+  };
+}
+
 // ===================== HANDLER =====================
 export default async function handler(req, res) {
   if (req.method !== 'POST') return res.status(405).json({ error: 'Method Not Allowed' });
@@ -303,9 +625,28 @@ export default async function handler(req, res) {
       dateFrom = null,     // 'YYYY-MM-DD' (inicio rango)
       dateTo = null,       // 'YYYY-MM-DD' (fin rango, inclusivo)
       dateField = 'arrival_iso', // 'arrival_iso' | 'departure_iso' (default: arrival_iso)
+
+      report = null,       // 'json' | 'csv' (solo con dryRun)
     } = req.body;
 
     log('INIT', { limit, dryRun, forceUpdate, reservationId, syncMode, date, dateFrom, dateTo, dateField });
+    const metricsStart = getWubookMetrics();
+
+    if (report && (!dryRun || !DRY_RUN_FORMATS.includes(report))) {
+      return res.status(400).json({ ok: false, error: `report (${DRY_RUN_FORMATS.join(' | ')}) solo se admite con dryRun: true` });
+    }
+    // dryRun: qué se escribiría, doc por doc
+    const dryRunReport = [];
+    const addReport = (doc, data, change, diff) => dryRunReport.push(buildReportEntry({
+      propiedad_id: data?.propiedad_id || null, id: doc.id, id_human: data?.id_human || null, change, diff,
+    }));
+    const reply = (payload) => {
+      if (!dryRun) return res.status(200).json(payload);
+      const body = { ...payload, dry_run_report: dryRunReport };
+      if (!report) return res.status(200).json(body);
+      const stamp = DateTime.now().setZone(TZ).toFormat('yyyyLLdd_HHmm');
+      return sendReportFile(res, { format: report, filename: `dryrun_enrich_${stamp}`, entries: dryRunReport, payload: body });
+    };
 
     // ---- helper local para aplicar filtro por fecha a la query
     const applyDateFilter = (q) => {
@@ -344,153 +685,9 @@ export default async function handler(req, res) {
 
     // ---- Si viene reservationId, procesamos ese doc puntual
     if (reservationId) {
-      const doc = await firestore.collection('Reservas').doc(String(reservationId)).get();
-      if (!doc.exists) {
-        return res.status(200).json({ ok: true, message: 'Reservation not found.', processed: 0 });
-      }
-      const singleOld = doc.data();
-      const { propiedad_id, id_human, nombre_huesped: bookerId } = singleOld || {};
-      if (!propiedad_id || !id_human) {
-        return res.status(200).json({ ok: true, message: 'Doc missing propiedad_id/id_human.', processed: 0 });
-      }
-      const apiKey = await getApiKey(propiedad_id);
-      if (!apiKey) {
-        return res.status(200).json({ ok: true, message: 'No apiKey for propiedad.', processed: 0 });
-      }
-
-      const [customerData, wubookPaysRaw, wubookNotesRaw] = await Promise.all([
-        fetchCustomerData(apiKey, bookerId),
-        fetchPayments(apiKey, id_human),
-        fetchNotes(apiKey, id_human),
-      ]);
-
-      // ======= UNIFICACIÓN =======
-      const unifiedNotesFromWubook = mapWubookNotesToUnified(wubookNotesRaw);
-      const existingUnifiedNotes   = Array.isArray(singleOld.notes) ? singleOld.notes : [];
-      const mergedNotes            = dedupeNotes([...existingUnifiedNotes, ...unifiedNotesFromWubook]);
-
-      const unifiedPaysFromWubook  = mapWubookPaymentsToUnified(wubookPaysRaw);
-      const existingUnifiedPays    = Array.isArray(singleOld.payments) ? singleOld.payments : [];
-      const mergedPayments         = dedupePayments([...existingUnifiedPays, ...unifiedPaysFromWubook]);
-
-      // ======= TOTAL: NO tocar extras; usar el breakdown existente =======
-      const currentBD = singleOld?.toPay_breakdown || {};
-      const preservedBD = {
-        baseUSD:    preserveNonNull(currentBD.baseUSD,    currentBD.baseUSD ?? null),
-        ivaPercent: preserveNonNull(currentBD.ivaPercent, currentBD.ivaPercent ?? null),
-        ivaUSD:     preserveNonNull(currentBD.ivaUSD,     currentBD.ivaUSD ?? null),
-        // 👇 NO introducir extras nuevos; solo preservar si ya existe
-        extrasUSD:  preserveNonNull(currentBD.extrasUSD,  currentBD.extrasUSD ?? null),
-        fxRate:     preserveNonNull(currentBD.fxRate,     currentBD.fxRate ?? null),
-      };
-      const { total: newToPay } = recomputeToPayFrom(preservedBD, preservedBD.extrasUSD);
-      const newBreakdown = { ...currentBD, ...preservedBD };
-      const newPaymentStatus = computePaymentStatus(mergedPayments, newToPay);
-
-      // 🔹 info de solo lectura para UI (sin extras)
-      const wubookOriginal = {
-        baseUSD: numOrNull(currentBD?.baseUSD) ?? null,
-        ivaPercent: numOrNull(currentBD?.ivaPercent) ?? null,
-        ivaUSD: numOrNull(currentBD?.ivaUSD) ?? null,
-      };
-      const wubook_priceUSD =
-        numOrNull(singleOld?.wubook_priceUSD) ??
-        numOrNull(singleOld?.wubook_price?.amount) ?? null;
-
-      const fetchedData = {
-        ...customerData,
-        wubook_payments: wubookPaysRaw,
-        wubook_notes: wubookNotesRaw,
-
-        // fuente de verdad unificada
-        notes: mergedNotes,
-        payments: mergedPayments,
-
-        // operativos (sin tocar extras)
-        toPay: newToPay,
-        toPay_breakdown: newBreakdown,
-        payment_status: newPaymentStatus,
-
-        // solo lectura para UI
-        wubook_original: wubookOriginal,
-        wubook_priceUSD: wubook_priceUSD ?? null,
-      };
-
-      const newDocForHash = { ...singleOld, ...fetchedData };
-      const newHash = hashDoc(newDocForHash);
-      if (newHash === singleOld.contentHash) {
-        log(`Skipping ${doc.id}, no changes detected (hash match).`);
-        return res.status(200).json({ ok: true, dryRun, processed: 0, totalFound: 1, message: 'Already up-to-date.' });
-      }
-
-      const updateData = {
-        ...fetchedData,
-        enrichmentStatus: 'completed',
-        enrichedAt: singleOld.enrichedAt || FieldValue.serverTimestamp(),
-        lastUpdatedBy: 'wubook_sync',
-        lastUpdatedAt: FieldValue.serverTimestamp(),
-        contentHash: newHash,
-      };
-
-      if (dryRun) {
-        log(`[DryRun] Would update ${doc.id} (changes detected).`);
-        return res.status(200).json({ ok: true, dryRun, processed: 1, totalFound: 1, message: 'Simulated.' });
-      }
-
-      const diff = getObjectDiff(
-        { ...stripKeys(singleOld), nombre_huesped: singleOld?.nombre_huesped },
-        stripKeys(newDocForHash)
-      );
-      const changedKeys = Object.keys(diff);
-
-      const batch = firestore.batch();
-
-      // --- crear docs individuales para pagos nuevos en subcolección "payments"
-      const paymentKey = (p) => p.wubook_id
-        ? `w:${p.wubook_id}`
-        : `s:${(p.ts?.seconds ?? p.ts?._seconds ?? p.ts ?? '')}|a:${p.amount}|c:${p.currency}|m:${p.method}`;
-      const existingKeys = new Set((existingUnifiedPays || []).map(paymentKey));
-      const newPaymentsFromWubook = (unifiedPaysFromWubook || []).filter(p => !existingKeys.has(paymentKey(p)));
-      for (const np of newPaymentsFromWubook) {
-        const payDocRef = doc.ref.collection('payments').doc();
-        batch.set(payDocRef, {
-          ts: np.ts || FieldValue.serverTimestamp(),
-          by: np.by || 'wubook',
-          byUid: np.byUid || null,
-          byEmail: np.byEmail || null,
-          source: np.source || 'wubook',
-          wubook_id: np.wubook_id || null,
-          amount: Number.isFinite(Number(np.amount)) ? Number(np.amount) : 0,
-          currency: np.currency || null,
-          method: np.method || null,
-          concept: np.concept || np.note || null,
-          usd_equiv: Number.isFinite(Number(np.usd_equiv)) ? Number(np.usd_equiv) : null,
-          fxRateUsed: Number.isFinite(Number(np.fxRateUsed)) ? Number(np.fxRateUsed) : null,
-          createdAt: FieldValue.serverTimestamp(),
-          raw: np,
-        });
-      }
-      // --- end pagos individuales
-
-      batch.update(doc.ref, updateData);
-      const histRef = doc.ref.collection('historial').doc(`${Date.now()}_sync`);
-      batch.set(histRef, {
-        ts: FieldValue.serverTimestamp(),
-        source: 'wubook_sync',
-        context: { scope: 'sync', mode: syncMode, propiedad_id },
-        changeType: 'updated',
-        changedKeys,
-        diff,
-        hashFrom: singleOld.contentHash || null,
-        hashTo: newHash,
-        snapshotAfter: { ...singleOld, ...updateData },
-      });
-      await batch.commit();
-
-      return res.status(200).json({
-        ok: true, dryRun, processed: 1, totalFound: 1,
-        message: 'Successfully synced 1 reservation (by id).'
-      });
+      const single = await enrichReservation(reservationId, { dryRun, syncMode, metricsStart, addReport });
+      if (single.reported) return reply(single.body);
+      return res.status(single.status).json(single.body);
     }
 
     // ---- Query por modo
@@ -532,29 +729,56 @@ export default async function handler(req, res) {
     };
 
     let processedCount = 0;
+    const errors = [];
+
+    // ---- Traer WuBook en paralelo (acotado); el cliente limita por apiKey
+    const fetchedById = new Map();
+    const attemptedByProp = new Map(); // propiedad_id → { nombre, attempted } (para syncStatus)
+    await mapWithConcurrency(reservationsToProcess.docs, ENRICH_CONCURRENCY, async (doc) => {
+      const { propiedad_id, propiedad_nombre, id_human } = doc.data() || {};
+      const bookerId = bookerIdOf(doc.data());
+      if (!propiedad_id || !id_human) return;
+      const apiKey = (await getWubookConfig(propiedad_id))?.apiKey;
+      if (!apiKey) return;
+      const stats = attemptedByProp.get(propiedad_id) || { nombre: propiedad_nombre || null, attempted: 0 };
+      stats.attempted++;
+      attemptedByProp.set(propiedad_id, stats);
+      try {
+        fetchedById.set(doc.id, await fetchWubookData(apiKey, bookerId, id_human));
+      } catch (e) {
+        log(`WuBook error for ${doc.id}:`, e?.kind, e?.message);
+        errors.push(describeError(doc.id, e, propiedad_id));
+      }
+    });
 
+    const guestCache = { ids: new Map(), profiles: new Map() };
     for (const doc of reservationsToProcess.docs) {
       const oldDoc = doc.data();
-      const { propiedad_id, id_human, nombre_huesped: bookerId } = oldDoc || {};
-      if (!propiedad_id || !id_human) continue;
-
-      const apiKey = await getApiKey(propiedad_id);
-      if (!apiKey) continue;
+      const { propiedad_id, id_human } = oldDoc || {};
+      const fetched = fetchedById.get(doc.id);
+      if (!fetched) continue;
 
       log(`Processing doc ${doc.id} (rcode: ${id_human})...`);
 
-      const [customerData, wubookPaysRaw, wubookNotesRaw] = await Promise.all([
-        fetchCustomerData(apiKey, bookerId),
-        fetchPayments(apiKey, id_human),
-        fetchNotes(apiKey, id_human),
-      ]);
+      const { customerData, wubookPaysRaw, wubookNotesRaw } = fetched;
+
+      const guestLink = oldDoc.pii_erased === true
+        ? null
+        : await resolveGuest({
+          bookerId: bookerIdOf(oldDoc), customerData, propiedad_id, linkedId: oldDoc.huesped_id || null, cache: guestCache,
+        });
+      if (!dryRun && guestLink?.write) {
+        await commitIfNeeded();
+        batch.set(firestore.collection(HUESPEDES_COLLECTION).doc(guestLink.id), guestWrite(guestLink), { merge: true });
+        opCount++;
+      }
 
       // ======= UNIFICACIÓN =======
       const unifiedNotesFromWubook = mapWubookNotesToUnified(wubookNotesRaw);
       const existingUnifiedNotes   = Array.isArray(oldDoc.notes) ? oldDoc.notes : [];
       const mergedNotes            = dedupeNotes([...existingUnifiedNotes, ...unifiedNotesFromWubook]);
 
-      const unifiedPaysFromWubook  = mapWubookPaymentsToUnified(wubookPaysRaw);
+      const unifiedPaysFromWubook  = await withPaymentFx(mapWubookPaymentsToUnified(wubookPaysRaw), oldDoc);
       const existingUnifiedPays    = Array.isArray(oldDoc.payments) ? oldDoc.payments : [];
       const mergedPayments         = dedupePayments([...existingUnifiedPays, ...unifiedPaysFromWubook]);
 
@@ -581,6 +805,7 @@ export default async function handler(req, res) {
 
       const fetchedData = {
         ...customerData,
+        ...(guestLink ? { huesped_id: guestLink.id } : {}),
         wubook_payments: wubookPaysRaw,
         wubook_notes: wubookNotesRaw,
 
@@ -597,12 +822,14 @@ export default async function handler(req, res) {
         wubook_original: wubookOriginal,
         wubook_priceUSD: wubook_priceUSD ?? null
       };
+      if (oldDoc.pii_erased === true) Object.assign(fetchedData, anonymizeReservationFields(fetchedData));
 
       // Evitar updates innecesarios
       const newDocForHash = { ...oldDoc, ...fetchedData };
       const newHash = hashDoc(newDocForHash);
       if (newHash === oldDoc.contentHash) {
         log(`Skipping ${doc.id}, no changes detected (hash match).`);
+        if (dryRun) addReport(doc, oldDoc, 'unchanged');
         continue;
       }
 
@@ -615,18 +842,19 @@ export default async function handler(req, res) {
         contentHash: newHash,
       };
 
-      if (dryRun) {
-        log(`[DryRun] Would update ${doc.id} (changes detected).`);
-        processedCount++;
-        continue;
-      }
-
       const diff = getObjectDiff(
         { ...stripKeys(oldDoc), nombre_huesped: oldDoc?.nombre_huesped },
         stripKeys(newDocForHash)
       );
       const changedKeys = Object.keys(diff);
 
+      if (dryRun) {
+        log(`[DryRun] Would update ${doc.id} (changes detected).`);
+        addReport(doc, oldDoc, 'updated', diff);
+        processedCount++;
+        continue;
+      }
+
       // --- update principal
       await commitIfNeeded();
       batch.update(doc.ref, updateData); opCount++;
@@ -636,26 +864,13 @@ export default async function handler(req, res) {
         ? `w:${p.wubook_id}`
         : `s:${(p.ts?.seconds ?? p.ts?._seconds ?? p.ts ?? '')}|a:${p.amount}|c:${p.currency}|m:${p.method}`;
       const existingKeys = new Set((existingUnifiedPays || []).map(paymentKey));
-      const newPaymentsFromWubook = (unifiedPaysFromWubook || []).filter(p => !existingKeys.has(paymentKey(p)));
+      const existingRefs = new Set((existingUnifiedPays || []).map(p => p.push_ref).filter(Boolean));
+      const newPaymentsFromWubook = (unifiedPaysFromWubook || [])
+        .filter(p => !existingKeys.has(paymentKey(p)) && !(p.push_ref && existingRefs.has(p.push_ref)));
       for (const np of newPaymentsFromWubook) {
         await commitIfNeeded();
         const payDocRef = doc.ref.collection('payments').doc();
-        batch.set(payDocRef, {
-          ts: np.ts || FieldValue.serverTimestamp(),
-          by: np.by || 'wubook',
-          byUid: np.byUid || null,
-          byEmail: np.byEmail || null,
-          source: np.source || 'wubook',
-          wubook_id: np.wubook_id || null,
-          amount: Number.isFinite(Number(np.amount)) ? Number(np.amount) : 0,
-          currency: np.currency || null,
-          method: np.method || null,
-          concept: np.concept || np.note || null,
-          usd_equiv: Number.isFinite(Number(np.usd_equiv)) ? Number(np.usd_equiv) : null,
-          fxRateUsed: Number.isFinite(Number(np.fxRateUsed)) ? Number(np.fxRateUsed) : null,
-          createdAt: FieldValue.serverTimestamp(),
-          raw: np,
-        });
+        batch.set(payDocRef, paymentSubdoc(np));
         opCount++;
       }
       // --- end pagos individuales
@@ -687,11 +902,26 @@ export default async function handler(req, res) {
       log('All processed reservations were up-to-date. No batch commit needed.');
     }
 
-    return res.status(200).json({
+    // Salud por propiedad: cuántas reservas se pidieron a WuBook y cuáles fallaron
+    if (!dryRun) {
+      for (const [propId, stats] of attemptedByProp) {
+        await recordEnrichRun({
+          prop: { id: propId, nombre: stats.nombre },
+          attempted: stats.attempted,
+          errors: errors.filter((x) => x.propiedad_id === propId),
+          log,
+        });
+      }
+    }
+
+    return reply({
       ok: true,
       dryRun,
       processed: processedCount,
       totalFound: reservationsToProcess.size,
+      failed: errors.length,
+      errors,
+      wubook_api: wubookMetricsSince(metricsStart),
       message: dryRun
         ? `Simulated sync for ${processedCount} reservations.`
         : `Successfully synced ${processedCount} reservations. ${reservationsToProcess.size - processedCount} were already up-to-date.`
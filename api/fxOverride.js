@@ -0,0 +1,238 @@
+/**
+ * /api/fxOverride.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * OBJETIVO
+ *   Cargar o corregir a mano la cotización de un día cuando las APIs externas
+ *   (lib/fxProviders.js) trajeron un valor erróneo o nada, sin editar Firestore
+ *   a mano. Deja registro de quién la cambió y el valor anterior.
+ *
+ * ACCESO (GET y POST)
+ *   Authorization: Bearer <idToken> de un usuario con 'fx_override' en `users/{uid}.apps`
+ *   (el historial expone quién corrigió y por qué).
+ *
+ * GET
+ *   ?moneda=USD&casa=oficial     (default USD / oficial)
+ *   ?from=YYYY-MM-DD&to=YYYY-MM-DD  (default últimos 14 días; máx 62)
+ *   → { ok, moneda, casa, items: [{ fecha, path, exists, compra, venta, fuente, manual,
+ *        manualBy, manualReason, manualAt, previous, history: [...] }] }   // history solo si manual
+ *
+ * POST
+ *   { moneda?, casa?, fecha, compra?, venta?, reason?, relink?, propertyIds? }
+ *     - Al menos uno de compra/venta; el que no se informa conserva su valor.
+ *     - relink=true (solo USD oficial): re-linkea con force `usd_fx_on_checkin` de las
+ *       reservas con arrival_iso = fecha y de las que tomaron esa fecha como fallback
+ *       (`usd_fx_on_checkin.origen_fecha`, ver /api/linkUsdFxToReservations).
+ *       Los pagos ARS de ese día se recalculan con /api/backfillPaymentFx?force=true.
+ *
+ * ESCRITURA (lib/fxOverride.js)
+ *   - Transacción sobre `cotizaciones/<MONEDA>/yyyy/mm/dd/cot[_<casa>]` con manual: true
+ *     (/api/dolarByDate ya no lo pisa salvo force=true).
+ *   - En la misma transacción, historial en la subcolección `historial` del doc:
+ *     `source: 'manual_override'`, by, reason, from (valor anterior), to, relink
+ *     ({ requested } y, al terminar, { matched, updated, fallback: { updated } } o { error }).
+ *
+ * ERRORES
+ *   - 400: parámetros inválidos
+ *   - 401: no autenticado · 403: sin permiso 'fx_override'
+ *   - 405: método no permitido
+ *   - 500: error interno
+ */
+
+import { DateTime } from 'luxon';
+import { firestore, FieldValue, authAdmin } from '../lib/firebaseAdmin.js';
+import { TZ } from '../lib/importProcessShared.js';
+import { quoteDocPath } from '../lib/fxPolicy.js';
+import { FX_OVERRIDE_CURRENCIES, buildOverrideDoc, quoteSnapshot, validateFxOverride } from '../lib/fxOverride.js';
+import { updateFallbackReservationsForQuoteDate, updateReservationsForDate } from './linkUsdFxToReservations.js';
+
+const log = (...a) => console.log('[FxOverride]', ...a);
+const MAX_DAYS = 62;
+const FX_OVERRIDE_APP_ID = 'fx_override'; // mismo id que la tarjeta del dashboard
+
+const ok = (res, data) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  return res.status(200).json(data);
+};
+const bad = (res, code, error) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  return res.status(code).json({ error });
+};
+
+function parseBody(req) {
+  if (!req.body) return {};
+  if (typeof req.body === 'string') {
+    try { return JSON.parse(req.body); } catch { return {}; }
+  }
+  return req.body;
+}
+
+async function getAuthUser(req) {
+  try {
+    const h = req.headers?.authorization || req.headers?.Authorization || '';
+    const m = h.match(/^Bearer\s+([A-Za-z0-9\-\._~\+\/]+=*)$/i);
+    if (!m) return null;
+    const decoded = await authAdmin.verifyIdToken(m[1]);
+    const name = decoded.name || decoded.displayName || null;
+    return { uid: decoded.uid, email: decoded.email || null, name };
+  } catch (e) {
+    log('WARN verifyIdToken', e?.message);
+    return null;
+  }
+}
+
+/** { by } si puede corregir cotizaciones; { status, error } si no. */
+async function authorize(req) {
+  const authUser = await getAuthUser(req);
+  if (!authUser) return { status: 401, error: 'No autenticado' };
+  const userSnap = await firestore.collection('users').doc(authUser.uid).get();
+  const apps = userSnap.exists ? (userSnap.data()?.apps || []) : [];
+  if (!apps.includes(FX_OVERRIDE_APP_ID)) return { status: 403, error: `Requiere permiso '${FX_OVERRIDE_APP_ID}'` };
+  return { by: authUser };
+}
+
+const toISO = (s) => {
+  const d = DateTime.fromISO(String(s || ''), { zone: TZ });
+  return d.isValid ? d.toISODate() : null;
+};
+const tsISO = (ts) => (ts?.toDate ? DateTime.fromJSDate(ts.toDate()).setZone(TZ).toISO() : null);
+
+async function listDays({ moneda, casa, from, to }) {
+  const items = [];
+  for (let d = DateTime.fromISO(to, { zone: TZ }); d.toISODate() >= from; d = d.minus({ days: 1 })) {
+    const fecha = d.toISODate();
+    const path = quoteDocPath(moneda, fecha, casa);
+    const ref = firestore.doc(path);
+    const snap = await ref.get();
+    const x = snap.exists ? (snap.data() || {}) : {};
+    let history = [];
+    if (x.manual === true || x.overriddenManual === true) {
+      const h = await ref.collection('historial').orderBy('ts', 'desc').limit(20).get();
+      history = h.docs.map((doc) => {
+        const e = doc.data() || {};
+        return { ts: tsISO(e.ts), by: e.by || null, reason: e.reason || null, from: e.from || null, to: e.to || null, relink: e.relink || null };
+      });
+    }
+    items.push({
+      fecha,
+      path,
+      exists: snap.exists,
+      compra: x.compra ?? null,
+      venta: x.venta ?? null,
+      fuente: x.fuente || null,
+      manual: x.manual === true,
+      manualBy: x.manualBy || null,
+      manualReason: x.manualReason || null,
+      manualAt: tsISO(x.manualAt),
+      previous: x.previous || null,
+      history,
+    });
+  }
+  return items;
+}
+
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') return ok(res, { ok: true });
+  if (req.method !== 'GET' && req.method !== 'POST') return bad(res, 405, 'Método no permitido');
+
+  try {
+    const auth = await authorize(req);
+    if (!auth.by) return bad(res, auth.status, auth.error);
+
+    const today = DateTime.now().setZone(TZ).toISODate();
+
+    if (req.method === 'GET') {
+      const q = req.query || {};
+      const moneda = String(q.moneda || 'USD').trim().toUpperCase();
+      const casa = String(q.casa || 'oficial').trim().toLowerCase();
+      const to = q.to ? toISO(q.to) : today;
+      const from = q.from ? toISO(q.from) : (to && DateTime.fromISO(to, { zone: TZ }).minus({ days: 13 }).toISODate());
+      if (!FX_OVERRIDE_CURRENCIES.includes(moneda)) return bad(res, 400, `moneda debe ser ${FX_OVERRIDE_CURRENCIES.join(' | ')}`);
+      if (!from || !to || from > to) return bad(res, 400, 'from/to inválidos (YYYY-MM-DD, from <= to)');
+      const days = DateTime.fromISO(to, { zone: TZ }).diff(DateTime.fromISO(from, { zone: TZ }), 'days').days + 1;
+      if (days > MAX_DAYS) return bad(res, 400, `Rango máximo: ${MAX_DAYS} días`);
+
+      const items = await listDays({ moneda, casa, from, to });
+      return ok(res, { ok: true, moneda, casa, range: { from, to }, items });
+    }
+
+    const { value, error } = validateFxOverride(parseBody(req), { todayISO: today });
+    if (error) return bad(res, 400, error);
+    const by = { uid: auth.by.uid, email: auth.by.email, name: auth.by.name };
+
+    const ref = firestore.doc(quoteDocPath(value.moneda, value.fecha, value.casa));
+    const histRef = ref.collection('historial').doc(`${Date.now()}_manual`);
+    const saved = await firestore.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      const before = snap.exists ? (snap.data() || {}) : null;
+      const doc = buildOverrideDoc(value, { before, by });
+      // el lado que no se informó viene del doc: revalidar el par completo
+      if (doc.compra !== null && doc.venta !== null && Number(doc.compra) > Number(doc.venta)) {
+        return { error: `compra (${doc.compra}) no puede ser mayor que venta (${doc.venta})` };
+      }
+      tx.set(ref, {
+        ...doc,
+        manualAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+        ...(before ? {} : { createdAt: FieldValue.serverTimestamp() }),
+      }, { merge: true });
+      // la auditoría va en la misma transacción que el cambio
+      const from = quoteSnapshot(before);
+      tx.set(histRef, {
+        ts: FieldValue.serverTimestamp(),
+        source: 'manual_override',
+        by,
+        reason: value.reason,
+        from,
+        to: { compra: doc.compra, venta: doc.venta },
+        relink: value.relink ? { requested: true } : null,
+      });
+      return { doc, from };
+    });
+    if (saved.error) return bad(res, 400, saved.error);
+
+    // re-link de usd_fx_on_checkin de las reservas de ese día y de las que la usaron
+    // como fallback (force); el resultado queda en la entrada de historial
+    let relink = null;
+    if (value.relink) {
+      try {
+        const r = await updateReservationsForDate({
+          dateISO: value.fecha,
+          quote: { ...saved.doc, _sourceDate: value.fecha },
+          propertyIds: value.propertyIds,
+          force: true,
+          dryRun: false,
+        });
+        const fb = await updateFallbackReservationsForQuoteDate({
+          quoteDateISO: value.fecha,
+          quote: saved.doc,
+          propertyIds: value.propertyIds,
+          dryRun: false,
+        });
+        relink = { requested: true, matched: r.matched, updated: r.updated, fallback: { updated: fb.updated } };
+      } catch (e) {
+        await histRef.update({ relink: { requested: true, error: e?.message || 'error' } });
+        throw e;
+      }
+      await histRef.update({ relink });
+    }
+
+    log('SAVED', { path: ref.path, by: by.email || by.uid, from: saved.from, to: { compra: saved.doc.compra, venta: saved.doc.venta }, relink });
+    return ok(res, {
+      ok: true,
+      path: ref.path,
+      fecha: value.fecha,
+      moneda: value.moneda,
+      casa: value.casa,
+      from: saved.from,
+      to: { compra: saved.doc.compra, venta: saved.doc.venta },
+      relink,
+    });
+  } catch (err) {
+    log('ERROR', err?.message); console.error(err);
+    return bad(res, 500, err?.message || 'Error interno');
+  }
+}
@@ -0,0 +1,325 @@
+/**
+ * /api/guestPiiErasure.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * OBJETIVO
+ *   Anonimizar los datos personales de huéspedes (ver lib/piiErasure.js) en
+ *   `Reservas`, su subcolección `historial` (snapshots, diffs y notas) y el perfil
+ *   de `Huespedes`, sin tocar montos ni pagos (liquidaciones siguen cerrando igual).
+ *
+ * MODOS (POST)
+ *   - A pedido del huésped: { huespedId } | { reservationId } | { email }
+ *       → todas las reservas del huésped + su perfil. Con reservationId sin huésped
+ *         linkeado, solo los rooms de esa reserva.
+ *   - Retención: { mode: 'retention', retentionDays?, limit?, full? }
+ *       → reservas con departure_iso anterior a hoy - retentionDays
+ *         (default env PII_RETENTION_DAYS o 730). Recorre de la salida más vieja a la
+ *         más reciente desde el watermark (`configuracion/pii_retention.watermark`: toda
+ *         reserva con departure_iso anterior ya está anonimizada), así no relee lo ya
+ *         anonimizado en cada corrida; `limit` cuenta solo pendientes.
+ *         El watermark avanza solo con dryRun=false. full=true recorre desde el principio
+ *         (p.ej. después de importar reservas viejas).
+ *         El perfil solo se anonimiza si ya no le quedan reservas sin anonimizar.
+ *   Comunes: { dryRun?: boolean, reason?: string }
+ *
+ * AUTORIZACIÓN
+ *   - Authorization: Bearer <idToken> de un usuario con 'pii_admin' en `users/{uid}.apps`, o
+ *   - x-cron-secret: <CRON_SECRET> (corridas programadas de retención)
+ *
+ * ESCRITURA
+ *   - Reserva: campos PII anonimizados + `pii_erased: true`, `pii_erasedAt`,
+ *     `pii_erasure: { reason, mode, by }`; recalcula `contentHash`; historial `source: 'pii_erasure'`
+ *     (solo con los nombres de campo, sin valores).
+ *   - Crudo de WuBook (`WubookRaw/{rsrvid}`): se borra.
+ *   - Import y enrich respetan `pii_erased` y no vuelven a escribir esos datos.
+ *
+ * RESPUESTA
+ *   { ok, dryRun, mode, cutoff?, watermark?: { from, to }, scanned, erased, already_erased, historial_updated,
+ *     huespedes_anonymized, ids: [...] }
+ *
+ * ERRORES
+ *   - 400: falta huespedId / reservationId / email (o modo inválido)
+ *   - 401: no autenticado · 403: sin permiso 'pii_admin'
+ *   - 404: huésped o reserva no encontrada
+ *   - 405: método no permitido
+ *   - 500: error interno
+ */
+
+import { DateTime } from 'luxon';
+import { firestore, FieldValue, authAdmin } from '../lib/firebaseAdmin.js';
+import { TZ, hashDoc } from '../lib/importProcessShared.js';
+import { HUESPEDES_COLLECTION, guestMatchKeys } from '../lib/guests.js';
+import { WUBOOK_RAW_COLLECTION } from '../lib/wubookRaw.js';
+import {
+  DEFAULT_PII_RETENTION_DAYS, anonymizeReservationFields, anonymizeHistorialEntry, anonymizeGuestProfile, retentionCutoffISO,
+} from '../lib/piiErasure.js';
+
+const log = (...a) => console.log('[GuestPiiErasure]', ...a);
+
+const PII_ADMIN_APP_ID = 'pii_admin';
+const SAFE_BATCH_OPS = 450;
+const RETENTION_PAGE_SIZE = 500;
+const RETENTION_META = { collection: 'configuracion', doc: 'pii_retention' };
+
+const ok = (res, data) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, x-cron-secret');
+  return res.status(200).json(data);
+};
+const bad = (res, code, error) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, x-cron-secret');
+  return res.status(code).json({ error });
+};
+
+function parseBody(req) {
+  if (!req.body) return {};
+  if (typeof req.body === 'string') {
+    try { return JSON.parse(req.body); } catch { return {}; }
+  }
+  return req.body;
+}
+
+async function getAuthUser(req) {
+  try {
+    const h = req.headers?.authorization || req.headers?.Authorization || '';
+    const m = h.match(/^Bearer\s+([A-Za-z0-9\-\._~\+\/]+=*)$/i);
+    if (!m) return null;
+    const decoded = await authAdmin.verifyIdToken(m[1]);
+    const name = decoded.name || decoded.displayName || null;
+    return { uid: decoded.uid, email: decoded.email || null, name };
+  } catch (e) {
+    log('WARN verifyIdToken', e?.message);
+    return null;
+  }
+}
+
+/** { by } si puede borrar; { status, error } si no. */
+async function authorize(req) {
+  const secret = process.env.CRON_SECRET;
+  if (secret && req.headers?.['x-cron-secret'] === secret) return { by: { uid: null, email: null, name: 'cron' } };
+  const authUser = await getAuthUser(req);
+  if (!authUser) return { status: 401, error: 'No autenticado' };
+  const userSnap = await firestore.collection('users').doc(authUser.uid).get();
+  const apps = userSnap.exists ? (userSnap.data()?.apps || []) : [];
+  if (!apps.includes(PII_ADMIN_APP_ID)) return { status: 403, error: `Requiere permiso '${PII_ADMIN_APP_ID}'` };
+  return { by: authUser };
+}
+
+// ---- Selección de reservas
+async function docsForGuest(huespedId) {
+  const snap = await firestore.collection('Reservas').where('huesped_id', '==', huespedId).get();
+  return snap.docs;
+}
+
+async function docsForReservation(reservationId) {
+  const snap = await firestore.collection('Reservas').doc(reservationId).get();
+  if (!snap.exists) return { status: 404, error: 'Reserva no encontrada' };
+  const { huesped_id, propiedad_id, id_human } = snap.data() || {};
+  if (huesped_id) return { huespedId: huesped_id, docs: await docsForGuest(huesped_id) };
+  // sin perfil: todos los rooms de la misma reserva
+  const rooms = await firestore.collection('Reservas')
+    .where('propiedad_id', '==', propiedad_id)
+    .where('id_human', '==', id_human)
+    .get();
+  return { huespedId: null, docs: rooms.docs };
+}
+
+// Los docs sin anonimizar no tienen `pii_erased` (un `!= true` los dejaría afuera):
+// se pagina desde el watermark salteando los ya anonimizados hasta juntar `limit` pendientes.
+// `watermark`: hasta dónde queda todo anonimizado si se borran los `docs` devueltos
+// (la salida del último pendiente, o el cutoff si se recorrió todo).
+async function docsForRetention(cutoff, limit, { from = null } = {}) {
+  let query = firestore.collection('Reservas').where('departure_iso', '<', cutoff);
+  if (from) query = query.where('departure_iso', '>=', from);
+  query = query.orderBy('departure_iso', 'asc');
+  const docs = [];
+  let alreadyErased = 0;
+  let last = null;
+  let exhausted = false;
+  while (true) {
+    const snap = await (last ? query.startAfter(last) : query).limit(RETENTION_PAGE_SIZE).get();
+    let consumed = 0;
+    for (const d of snap.docs) {
+      if (docs.length >= limit) break;
+      consumed++;
+      if (d.data()?.pii_erased === true) alreadyErased++;
+      else docs.push(d);
+    }
+    if (consumed < snap.size) break; // cortó en limit con docs por delante
+    if (snap.size < RETENTION_PAGE_SIZE) { exhausted = true; break; }
+    if (docs.length >= limit) break;
+    last = snap.docs[snap.size - 1];
+  }
+  const watermark = exhausted ? cutoff : docs.at(-1).data().departure_iso;
+  return { docs, alreadyErased, watermark };
+}
+
+// ---- Escritura
+async function eraseReservation(doc, { dryRun, meta }) {
+  const before = doc.data() || {};
+  if (before.pii_erased === true) return { erased: false, historial: 0 };
+
+  const patch = anonymizeReservationFields(before);
+  const histSnap = await doc.ref.collection('historial').get();
+  const histPatches = histSnap.docs
+    .map((h) => ({ ref: h.ref, patch: anonymizeHistorialEntry(h.data() || {}) }))
+    .filter((x) => x.patch);
+  if (dryRun) return { erased: true, historial: histPatches.length };
+
+  const update = {
+    ...patch,
+    pii_erased: true,
+    pii_erasedAt: DateTime.now().setZone(TZ).toISO(),
+    pii_erasure: meta,
+  };
+  update.contentHash = hashDoc({ ...before, ...update });
+  update.lastUpdatedAt = FieldValue.serverTimestamp();
+  update.lastUpdatedBy = 'pii_erasure';
+
+  let batch = firestore.batch();
+  let ops = 0;
+  const flush = async (force = false) => {
+    if (ops && (force || ops >= SAFE_BATCH_OPS)) {
+      await batch.commit();
+      batch = firestore.batch();
+      ops = 0;
+    }
+  };
+
+  batch.update(doc.ref, update); ops++;
+  // el crudo de WuBook trae los mismos datos personales: se borra
+  if (before.rsrvid) { batch.delete(firestore.collection(WUBOOK_RAW_COLLECTION).doc(String(before.rsrvid))); ops++; }
+  for (const h of histPatches) {
+    batch.update(h.ref, h.patch); ops++;
+    await flush();
+  }
+  batch.set(doc.ref.collection('historial').doc(`${Date.now()}_piiErasure`), {
+    ts: FieldValue.serverTimestamp(),
+    source: 'pii_erasure',
+    context: { propiedad_id: before.propiedad_id || null, ...meta },
+    changeType: 'updated',
+    changedKeys: Object.keys(patch),
+    payload: { historial_updated: histPatches.length },
+    hashFrom: before.contentHash || null,
+    hashTo: update.contentHash,
+  }); ops++;
+  await flush(true);
+  return { erased: true, historial: histPatches.length };
+}
+
+async function anonymizeGuest(huespedId, { dryRun, meta }) {
+  const ref = firestore.collection(HUESPEDES_COLLECTION).doc(huespedId);
+  const snap = await ref.get();
+  if (!snap.exists || snap.data()?.pii_erased === true) return false;
+  if (!dryRun) {
+    await ref.set({
+      ...anonymizeGuestProfile(snap.data() || {}),
+      pii_erased: true,
+      pii_erasedAt: DateTime.now().setZone(TZ).toISO(),
+      pii_erasure: meta,
+      updatedAt: FieldValue.serverTimestamp(),
+    }, { merge: true });
+  }
+  return true;
+}
+
+/** Retención: el perfil se borra solo si todas sus reservas ya están anonimizadas. */
+async function guestFullyErased(huespedId, erasedIds) {
+  const docs = await docsForGuest(huespedId);
+  return docs.every((d) => d.data()?.pii_erased === true || erasedIds.has(d.id));
+}
+
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') return ok(res, { ok: true });
+  if (req.method !== 'POST') return bad(res, 405, 'Método no permitido');
+
+  try {
+    const auth = await authorize(req);
+    if (!auth.by) return bad(res, auth.status, auth.error);
+
+    const body = parseBody(req);
+    const dryRun = body.dryRun === true || body.dryRun === 'true';
+    const mode = body.mode === 'retention' ? 'retention' : 'request';
+    const meta = {
+      mode,
+      reason: String(body.reason || (mode === 'retention' ? 'retention' : 'guest_request')).slice(0, 200),
+      by: { uid: auth.by.uid || null, email: auth.by.email || null, name: auth.by.name || null },
+    };
+
+    let docs = [];
+    let huespedIds = [];
+    let cutoff = null;
+    let alreadyErased = 0;
+    let watermark = null;
+
+    if (mode === 'retention') {
+      const retentionDays = Number(body.retentionDays ?? process.env.PII_RETENTION_DAYS ?? DEFAULT_PII_RETENTION_DAYS);
+      if (!Number.isFinite(retentionDays) || retentionDays < 1) return bad(res, 400, 'retentionDays debe ser un número ≥ 1');
+      const limit = Math.max(1, Math.min(1000, Number(body.limit) || 200));
+      cutoff = retentionCutoffISO(DateTime.now().setZone(TZ).toISODate(), retentionDays);
+      const full = body.full === true || body.full === 'true';
+      const metaSnap = full ? null : await firestore.collection(RETENTION_META.collection).doc(RETENTION_META.doc).get();
+      const from = metaSnap?.data()?.watermark || null;
+      let next;
+      ({ docs, alreadyErased, watermark: next } = await docsForRetention(cutoff, limit, { from }));
+      watermark = { from, to: next };
+    } else if (body.huespedId) {
+      const id = String(body.huespedId).trim();
+      const g = await firestore.collection(HUESPEDES_COLLECTION).doc(id).get();
+      if (!g.exists) return bad(res, 404, 'Huésped no encontrado');
+      huespedIds = [id];
+      docs = await docsForGuest(id);
+    } else if (body.reservationId) {
+      const r = await docsForReservation(String(body.reservationId).trim());
+      if (r.status) return bad(res, r.status, r.error);
+      huespedIds = r.huespedId ? [r.huespedId] : [];
+      docs = r.docs;
+    } else if (body.email) {
+      const keys = guestMatchKeys({ email: body.email });
+      if (!keys.length) return bad(res, 400, 'email inválido');
+      const g = await firestore.collection(HUESPEDES_COLLECTION).where('match_keys', 'array-contains-any', keys).get();
+      if (g.empty) return bad(res, 404, 'Huésped no encontrado');
+      huespedIds = g.docs.map((d) => d.id);
+      docs = (await Promise.all(huespedIds.map(docsForGuest))).flat();
+    } else {
+      return bad(res, 400, 'Falta huespedId, reservationId o email (o mode: "retention")');
+    }
+
+    const summary = {
+      scanned: docs.length + alreadyErased, erased: 0, already_erased: alreadyErased, historial_updated: 0, huespedes_anonymized: 0,
+    };
+    const erasedIds = new Set();
+    for (const doc of docs) {
+      const r = await eraseReservation(doc, { dryRun, meta });
+      if (!r.erased) { summary.already_erased++; continue; }
+      summary.erased++;
+      summary.historial_updated += r.historial;
+      erasedIds.add(doc.id);
+    }
+
+    if (mode === 'retention') {
+      const candidates = new Set(docs.map((d) => d.data()?.huesped_id).filter(Boolean));
+      for (const id of candidates) if (await guestFullyErased(id, erasedIds)) huespedIds.push(id);
+    }
+    for (const id of huespedIds) {
+      if (await anonymizeGuest(id, { dryRun, meta })) summary.huespedes_anonymized++;
+    }
+
+    // todo lo anterior a watermark.to ya quedó anonimizado: la próxima corrida arranca ahí
+    if (watermark && !dryRun && watermark.to && watermark.to !== watermark.from) {
+      await firestore.collection(RETENTION_META.collection).doc(RETENTION_META.doc).set({
+        watermark: watermark.to,
+        cutoff,
+        updatedAt: FieldValue.serverTimestamp(),
+      }, { merge: true });
+    }
+
+    log('DONE', { mode, dryRun, cutoff, watermark, ...summary });
+    return ok(res, { ok: true, dryRun, mode, ...(cutoff ? { cutoff, watermark } : {}), ...summary, ids: [...erasedIds] });
+  } catch (err) {
+    log('ERROR', err?.message); console.error(err);
+    return bad(res, 500, err?.message || 'Error interno');
+  }
+}
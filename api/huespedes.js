@@ -0,0 +1,134 @@
+/**
+ * /api/huespedes.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * OBJETIVO
+ *   Consultar perfiles de huésped (`Huespedes`, ver lib/guests.js) y su historial:
+ *   estadías en todas las propiedades, noches, gasto total y notas.
+ *   Los perfiles los crea/actualiza el enrich y las reservas los referencian con `huesped_id`.
+ *
+ * ACCESO
+ *   Authorization: Bearer <idToken> de un usuario con 'huespedes' en `users/{uid}.apps`
+ *   (devuelve datos personales: emails, teléfonos, dirección e historial de estadías).
+ *
+ * GET
+ *   ?id=<huesped_id>               → perfil + historial
+ *   ?reservationId=<doc Reservas>  → idem, para el huésped de esa reserva
+ *   ?email=<email> | ?phone=<tel>  → búsqueda (match normalizado, ver lib/guests.js)
+ *
+ *   Perfil + historial:
+ *   → { ok, huesped: { id, nombre, emails, phones, wubook_booker_ids, address, city, country, propiedad_ids },
+ *       totals: { stays, cancelled, nights, spend_usd, paid_usd, first_arrival, last_arrival },
+ *       stays: [{ propiedad_id, propiedad_nombre, id_human, arrival_iso, departure_iso, nights,
+ *                 deptos, source, is_cancelled, toPay_usd, paid_usd }],   // más reciente primero
+ *       notes: [{ id_human, propiedad_id, source, by, ts, text }] }
+ *   Búsqueda:
+ *   → { ok, count, items: [{ id, nombre, emails, phones }] }
+ *
+ * ERRORES
+ *   - 400: falta id / reservationId / email / phone
+ *   - 401: no autenticado · 403: sin permiso 'huespedes'
+ *   - 404: huésped o reserva no encontrada (o reserva sin huésped linkeado)
+ *   - 405: método no permitido
+ *   - 500: error interno
+ */
+
+import { firestore, authAdmin } from '../lib/firebaseAdmin.js';
+import { HUESPEDES_COLLECTION, guestMatchKeys, summarizeGuestStays } from '../lib/guests.js';
+
+const log = (...a) => console.log('[Huespedes]', ...a);
+const HUESPEDES_APP_ID = 'huespedes';
+
+const ok = (res, data) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  return res.status(200).json(data);
+};
+const bad = (res, code, error) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  return res.status(code).json({ error });
+};
+
+async function getAuthUser(req) {
+  try {
+    const h = req.headers?.authorization || req.headers?.Authorization || '';
+    const m = h.match(/^Bearer\s+([A-Za-z0-9\-\._~\+\/]+=*)$/i);
+    if (!m) return null;
+    const decoded = await authAdmin.verifyIdToken(m[1]);
+    const name = decoded.name || decoded.displayName || null;
+    return { uid: decoded.uid, email: decoded.email || null, name };
+  } catch (e) {
+    log('WARN verifyIdToken', e?.message);
+    return null;
+  }
+}
+
+/** { by } si puede consultar huéspedes; { status, error } si no. */
+async function authorize(req) {
+  const authUser = await getAuthUser(req);
+  if (!authUser) return { status: 401, error: 'No autenticado' };
+  const userSnap = await firestore.collection('users').doc(authUser.uid).get();
+  const apps = userSnap.exists ? (userSnap.data()?.apps || []) : [];
+  if (!apps.includes(HUESPEDES_APP_ID)) return { status: 403, error: `Requiere permiso '${HUESPEDES_APP_ID}'` };
+  return { by: authUser };
+}
+
+const publicProfile = (id, x = {}) => ({
+  id,
+  nombre: x.nombre || null,
+  emails: x.emails || [],
+  phones: x.phones || [],
+  wubook_booker_ids: x.wubook_booker_ids || [],
+  address: x.address || null,
+  city: x.city || null,
+  country: x.country || null,
+  propiedad_ids: x.propiedad_ids || [],
+});
+
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') return ok(res, { ok: true });
+  if (req.method !== 'GET') return bad(res, 405, 'Método no permitido');
+
+  try {
+    const auth = await authorize(req);
+    if (!auth.by) return bad(res, auth.status, auth.error);
+
+    const q = req.query || {};
+    let id = String(q.id || '').trim();
+    const reservationId = String(q.reservationId || '').trim();
+    const email = String(q.email || '').trim();
+    const phone = String(q.phone || '').trim();
+
+    if (!id && !reservationId && (email || phone)) {
+      const keys = guestMatchKeys({ email, phone });
+      if (!keys.length) return bad(res, 400, 'email/phone inválido');
+      const snap = await firestore.collection(HUESPEDES_COLLECTION).where('match_keys', 'array-contains-any', keys).limit(20).get();
+      const items = snap.docs.map((d) => {
+        const { nombre, emails, phones } = publicProfile(d.id, d.data());
+        return { id: d.id, nombre, emails, phones };
+      });
+      return ok(res, { ok: true, count: items.length, items });
+    }
+
+    if (!id && reservationId) {
+      const r = await firestore.collection('Reservas').doc(reservationId).get();
+      if (!r.exists) return bad(res, 404, 'Reserva no encontrada');
+      id = r.data()?.huesped_id || '';
+      if (!id) return bad(res, 404, 'La reserva no tiene huésped linkeado (¿falta el enrich?)');
+    }
+    if (!id) return bad(res, 400, 'Falta id, reservationId, email o phone');
+
+    const snap = await firestore.collection(HUESPEDES_COLLECTION).doc(id).get();
+    if (!snap.exists) return bad(res, 404, 'Huésped no encontrado');
+
+    const reservas = await firestore.collection('Reservas').where('huesped_id', '==', id).get();
+    const { stays, totals, notes } = summarizeGuestStays(reservas.docs.map((d) => d.data() || {}));
+
+    return ok(res, { ok: true, huesped: publicProfile(id, snap.data()), totals, stays, notes });
+  } catch (err) {
+    log('ERROR', err?.message); console.error(err);
+    return bad(res, 500, err?.message || 'Error interno');
+  }
+}
@@ -71,6 +71,9 @@
  * NOTAS
  *   - Este proceso NO genera nuevas cotizaciones; solo linkea desde Firestore.
  *   - Incluye fallback automático después de 10:10 AR si falta cotización del día.
+ *   - `updateReservationsForDate` y `updateFallbackReservationsForQuoteDate` se exportan
+ *     para /api/fxOverride (re-linkear con force las reservas de un día cuya cotización
+ *     se corrigió a mano, y las de otros días que la usaron como fallback).
  * ──────────────────────────────────────────────────────────────────────────────
  */
 
@@ -181,22 +184,30 @@ function* dateRangeIterator(startISO, endISO) {
 }
 
 // ── Actualiza reservas ──────────────────────────────────────────────────────
-async function updateReservationsForDate({
-  dateISO,
-  quote,
-  propertyIds,
-  force,
-  dryRun,
-  pageSize = 500,
-  usedFallback = false,
-  fallbackFrom = null,
-}) {
-  log("DATE_START", { dateISO, usedFallback, fallbackFrom });
-
-  const baseQuery = firestore
-    .collection("Reservas")
-    .where("arrival_iso", "==", dateISO);
+function fxOnCheckinPayload({ dateISO, quote, usedFallback, fallbackFrom }) {
+  return {
+    usd_fx_on_checkin: {
+      casa: (quote.casa || "oficial").toString().toLowerCase(),
+      fecha: dateISO,
+      compra: Number.isFinite(Number(quote.compra))
+        ? Number(quote.compra)
+        : null,
+      venta: Number.isFinite(Number(quote.venta))
+        ? Number(quote.venta)
+        : null,
+      fuente: usedFallback
+        ? "cotizaciones:firestore:fallback"
+        : "cotizaciones:firestore",
+      origen_fecha: quote._sourceDate || fallbackFrom || dateISO,
+      setAt: FieldValue.serverTimestamp(),
+    },
+    updatedAt: FieldValue.serverTimestamp(),
+  };
+}
 
+// recorre `baseQuery` (por propiedades de a 10, paginado) y escribe lo que devuelva
+// `buildPayload(data)`; null = no tocar el doc
+async function writeReservationsPaged({ baseQuery, propertyIds, dryRun, pageSize, buildPayload }) {
   const chunks = [];
   if (Array.isArray(propertyIds) && propertyIds.length > 0) {
     for (let i = 0; i < propertyIds.length; i += 10)
@@ -224,8 +235,8 @@ async function updateReservationsForDate({
 
       for (const doc of snap.docs) {
         matched++;
-        const d = doc.data() || {};
-        if (d.usd_fx_on_checkin && !force) {
+        const payload = buildPayload(doc.data() || {});
+        if (!payload) {
           skippedExisting++;
           continue;
         }
@@ -234,25 +245,6 @@ async function updateReservationsForDate({
           continue;
         }
 
-        const payload = {
-          usd_fx_on_checkin: {
-            casa: (quote.casa || "oficial").toString().toLowerCase(),
-            fecha: dateISO,
-            compra: Number.isFinite(Number(quote.compra))
-              ? Number(quote.compra)
-              : null,
-            venta: Number.isFinite(Number(quote.venta))
-              ? Number(quote.venta)
-              : null,
-            fuente: usedFallback
-              ? "cotizaciones:firestore:fallback"
-              : "cotizaciones:firestore",
-            origen_fecha: quote._sourceDate || fallbackFrom || dateISO,
-            setAt: FieldValue.serverTimestamp(),
-          },
-          updatedAt: FieldValue.serverTimestamp(),
-        };
-
         batch.set(doc.ref, payload, { merge: true });
         ops++;
         updated++;
@@ -269,11 +261,74 @@ async function updateReservationsForDate({
       if (snap.size < pageSize) break;
     }
   }
+  return { matched, skippedExisting, updated };
+}
+
+export async function updateReservationsForDate({
+  dateISO,
+  quote,
+  propertyIds,
+  force,
+  dryRun,
+  pageSize = 500,
+  usedFallback = false,
+  fallbackFrom = null,
+}) {
+  log("DATE_START", { dateISO, usedFallback, fallbackFrom });
+
+  const { matched, skippedExisting, updated } = await writeReservationsPaged({
+    baseQuery: firestore.collection("Reservas").where("arrival_iso", "==", dateISO),
+    propertyIds,
+    dryRun,
+    pageSize,
+    buildPayload: (d) =>
+      d.usd_fx_on_checkin && !force
+        ? null
+        : fxOnCheckinPayload({ dateISO, quote, usedFallback, fallbackFrom }),
+  });
 
   log("DATE_DONE", { dateISO, matched, skippedExisting, updated });
   return { dateISO, matched, skippedExisting, updated };
 }
 
+/**
+ * Re-linkea (siempre con force) las reservas de OTROS días que tomaron la cotización de
+ * `quoteDateISO` como fallback (`usd_fx_on_checkin.origen_fecha`); conservan su `fecha`
+ * (arrival) y la fuente de fallback. Para /api/fxOverride.
+ */
+export async function updateFallbackReservationsForQuoteDate({
+  quoteDateISO,
+  quote,
+  propertyIds,
+  dryRun,
+  pageSize = 500,
+}) {
+  log("FALLBACK_START", { quoteDateISO });
+
+  const { matched, skippedExisting, updated } = await writeReservationsPaged({
+    baseQuery: firestore
+      .collection("Reservas")
+      .where("usd_fx_on_checkin.origen_fecha", "==", quoteDateISO),
+    propertyIds,
+    dryRun,
+    pageSize,
+    // las de arrival = quoteDateISO las cubre updateReservationsForDate
+    buildPayload: (d) => {
+      const arrival = d.usd_fx_on_checkin?.fecha || d.arrival_iso;
+      if (!arrival || arrival === quoteDateISO) return null;
+      return fxOnCheckinPayload({
+        dateISO: arrival,
+        quote: { ...quote, _sourceDate: quoteDateISO },
+        usedFallback: true,
+        fallbackFrom: quoteDateISO,
+      });
+    },
+  });
+
+  log("FALLBACK_DONE", { quoteDateISO, matched, skippedExisting, updated });
+  return { quoteDateISO, matched, skippedExisting, updated };
+}
+
 // ── Handler ──────────────────────────────────────────────────────────────────
 export default async function handler(req, res) {
   try {
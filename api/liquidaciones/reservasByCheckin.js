@@ -1,5 +1,11 @@
 // /api/liquidaciones/reservasByCheckin.js
+// GET ?property&deptIds&from&to[&agency]
+//   agency: filtra por `agency_name` (del import de WuBook, ver lib/reservationTerms.js);
+//   'none' = reservas sin agencia. `agencies` lista las del rango antes de filtrar.
+// Los pagos en ARS / EUR / BRL / CLP / UYU traen el TC con que se pasaron a USD (fxRateUsed, fx_date, fx_source,
+// fx_policy: casa/compra-venta/spread de lib/fxPolicy.js) para que la liquidación use el mismo.
 import { firestore } from '../../lib/firebaseAdmin.js';
+import { PAYMENT_CURRENCIES } from '../../lib/paymentFx.js';
 import { DateTime } from 'luxon';
 
 const TZ = 'America/Argentina/Buenos_Aires';
@@ -43,6 +49,7 @@ export default async function handler(req, res) {
 
     const property = norm(req.query.property || req.query.propiedad_id || 'all');
     const deptIdsCsv = norm(req.query.deptIds || '');
+    const agency = norm(req.query.agency || '');
     const fromISO = toISO(req.query.from);
     const toISOd = toISO(req.query.to);
 
@@ -82,6 +89,15 @@ export default async function handler(req, res) {
       });
     }
 
+    // agencias disponibles (antes de filtrar) + filtro por agencia
+    const agencies = [...new Set(docs.map((d) => d.data()?.agency_name).filter(Boolean))].sort();
+    if (agency) {
+      docs = docs.filter((d) => {
+        const name = d.data()?.agency_name || null;
+        return agency === 'none' ? !name : name === agency;
+      });
+    }
+
     // payload
     const items = docs.map((d) => {
       const r = d.data() || {};
@@ -100,14 +116,27 @@ export default async function handler(req, res) {
         departure_iso: r.departure_iso || null,
 
         channel_name: r.channel_name || r.source || null,
+        agency_name: r.agency_name || null,
+        agency_code: r.agency_code || null,
+        board: r.board || null,
+        cpolicy: r.cpolicy || null,
         nombre_huesped: r.nombre_huesped || r.customer_name || null,
 
         // moneda de la reserva (por simplicidad)
         currency: (r.currency || 'ARS').toUpperCase(),
+        usd_fx_on_checkin: r.usd_fx_on_checkin || null,
 
         // contable (si ya hubiera algo previo)
         accounting: r.accounting || null,
 
+        // extras itemizados del import (limpieza, late checkout, cochera…)
+        extras: (Array.isArray(r.extras) ? r.extras : []).map((x) => ({
+          name: x.name || 'Extra',
+          qty: Number(x.qty) || 1,
+          amount: Number(x.amount) || 0,
+          currency: String(x.currency || '').toUpperCase() || null,
+        })),
+
         // por si hace falta en UI
         payments: pays.map((p) => ({
           amount: Number(p.amount) || 0,
@@ -115,6 +144,11 @@ export default async function handler(req, res) {
           method: p.method || null,
           concept: p.concept || null,
           ts: p.ts || null,
+          usd_equiv: p.usd_equiv ?? null,
+          fxRateUsed: p.fxRateUsed ?? null,
+          fx_date: p.fx_date || null,
+          fx_source: p.fx_source || null,
+          fx_policy: p.fx_policy || null,
         })),
       };
     });
@@ -122,7 +156,8 @@ export default async function handler(req, res) {
     // agrupación util opcional (por moneda y por depto) — el front puede ignorarla
     const groups = { ARS: {}, USD: {} };
     for (const it of items) {
-      const mon = it.currency === 'USD' ? 'USD' : 'ARS';
+      const mon = PAYMENT_CURRENCIES.includes(it.currency) ? it.currency : 'ARS';
+      if (!groups[mon]) groups[mon] = {};
       const key = it.depto_codigo || it.depto_nombre || 'unknown';
       if (!groups[mon][key]) groups[mon][key] = { depto: it.depto_nombre, list: [] };
       groups[mon][key].list.push(it);
@@ -130,8 +165,9 @@ export default async function handler(req, res) {
 
     return ok(res, {
       ok: true,
-      filters: { property, deptIds: deptIdsCsv || null, from: fromISO, to: toISOd },
+      filters: { property, deptIds: deptIdsCsv || null, agency: agency || null, from: fromISO, to: toISOd },
       count: items.length,
+      agencies,
       items,
       groups,
     });
@@ -8,13 +8,25 @@
 //   - "checkin"      → marca check-in (ahora o payload.when)
 //   - "checkout"     → marca check-out (ídem)
 //   - "contact"      → marca contactado (ídem)
-//   - "addNote"      → agrega nota (payload: { text })
+//   - "addNote"      → agrega nota (payload: { text }); queda sent_to_wubook:false, con push_ref
+//                      y notes_pending_push:true hasta que /api/wubookPushNotes la envía
 //   - "addPayment"   → agrega pago (payload: { amount, currency, method, concept?, when?, fxRate? })
+//                      si la propiedad tiene `wubook_push_payments: true`, queda con push_ref y
+//                      payments_pending_push:true hasta que /api/wubookPushPayments lo envía.
+//                      ARS → usd_equiv con el TC del día del pago (lib/paymentFx.js) y la casa
+//                      configurada para la propiedad / forma de cobro (lib/fxPolicy.js);
+//                      EUR/BRL/CLP/UYU → usd_equiv con el cruzado vía ARS del mismo día.
+//                      Monedas: ARS, USD, EUR, BRL, CLP, UYU (otra → 400)
 //   - "setToPay"     → setea total USD y desglose
 //                      (payload: { baseUSD, ivaPercent?, ivaUSD?, extrasUSD?, fxRate?, cleaningUSD? })
+//                      y recalcula nights / adr_usd / nightly_rates (lib/nightlyRates.js)
 // ──────────────────────────────────────────────────────────────────────────────
 import { firestore, FieldValue, Timestamp, authAdmin } from '../lib/firebaseAdmin.js';
 import crypto from 'crypto';
+import { buildNightlyRates } from '../lib/nightlyRates.js';
+import { paymentFxUSD } from '../lib/importProcessShared.js';
+import { PAYMENT_CURRENCIES, applyPaymentFx } from '../lib/paymentFx.js';
+import { newPushRef } from '../lib/wubookPush.js';
 
 const log = (...args) => console.log('[ReservationMutations]', ...args);
 const IGNORE_KEYS = new Set([
@@ -127,7 +139,19 @@ async function resolveFxRateForReservation(res, payloadFxRate) {
   return null;
 }
 
-// normaliza pagos a USD (usa usd_equiv si viene de ARS)
+// ── opt-in de envío de pagos a WuBook ───────────────────────────────────────
+async function isPaymentPushEnabled(propId) {
+  if (!propId) return false;
+  try {
+    const snap = await firestore.collection('propiedades').doc(String(propId)).get();
+    return snap.exists && snap.data()?.wubook_push_payments === true;
+  } catch (e) {
+    log('WARN isPaymentPushEnabled', e?.message);
+    return false;
+  }
+}
+
+// normaliza pagos a USD (usa usd_equiv si viene de ARS / EUR / BRL / CLP / UYU)
 function computePaidUSD(payments = []) {
   let paidUSD = 0;
   for (const p of payments || []) {
@@ -135,7 +159,7 @@ function computePaidUSD(payments = []) {
     const amt = num(p.amount);
     if (!amt) continue;
     if (curr === 'USD') paidUSD += amt;
-    else if (curr === 'ARS') {
+    else if (PAYMENT_CURRENCIES.includes(curr)) {
       const ue = Number(p.usd_equiv);
       if (Number.isFinite(ue)) paidUSD += ue;
     }
@@ -206,9 +230,11 @@ export default async function handler(req, res) {
         source: 'host',
         wubook_id: null,
         sent_to_wubook: false,
+        push_ref: newPushRef(),            // vuelve en remarks → dedupe en enrich
       };
       const prevNotes = Array.isArray(before.notes) ? before.notes.slice(0, 1000) : [];
       update.notes = [...prevNotes, unifiedNote];
+      update.notes_pending_push = true; // lo consume /api/wubookPushNotes
       historyPayload.note = unifiedNote;
 
     } else if (action === 'addPayment') {
@@ -217,6 +243,7 @@ export default async function handler(req, res) {
       const method  = String(payload?.method || 'Efectivo');
       const concept = String(payload?.concept || '').trim() || null;
       if (!Number.isFinite(amount)) return bad(res, 400, 'Monto inválido');
+      if (!PAYMENT_CURRENCIES.includes(currency)) return bad(res, 400, `Moneda no soportada (${PAYMENT_CURRENCIES.join(', ')})`);
 
       const payment = {
         ts: payload?.when ? toTs(payload.when) :Timestamp.now(),
@@ -228,15 +255,23 @@ export default async function handler(req, res) {
         amount, currency, method, concept,
       };
 
-      if (currency === 'ARS') {
-        const fxRate = await resolveFxRateForReservation(before, payload?.fxRate);
-        if (Number.isFinite(fxRate) && fxRate > 0) {
-          payment.usd_equiv = +(amount / fxRate).toFixed(2);
-          payment.fxRateUsed = +fxRate;
-        } else {
-          payment.usd_equiv = null;
-          payment.fxRateUsed = null;
-        }
+      if (currency !== 'USD') {
+        // TC del día del pago según PAYMENT_FX_POLICY (lib/paymentFx.js); ts de servidor = hoy
+        const fx = await paymentFxUSD({
+          ts: payment.ts instanceof Timestamp ? payment.ts : new Date(),
+          currency,
+          reservation: before,
+          method,
+          payloadRate: payload?.fxRate,
+        });
+        Object.assign(payment, applyPaymentFx(payment, fx));
+      }
+
+      // opt-in por propiedad: espejar el pago en WuBook (KAPI)
+      if (await isPaymentPushEnabled(before.propiedad_id)) {
+        payment.sent_to_wubook = false;
+        payment.push_ref = newPushRef(); // vuelve en remarks → dedupe en enrich
+        update.payments_pending_push = true;
       }
 
       const prevPays = Array.isArray(before.payments) ? before.payments.slice(0, 1000) : [];
@@ -329,6 +364,22 @@ export default async function handler(req, res) {
         extrasUSD: (extrasR.store === null) ? null : +Number(extrasR.store).toFixed(2),
         fxRate: null
       };
+      // precio original no-USD del import: se conserva como referencia
+      for (const k of ['originalCurrency', 'originalAmount', 'originalVat', 'fxToUSD', 'fxQuoteDate']) {
+        if (prev[k] !== undefined) update.toPay_breakdown[k] = prev[k];
+      }
+      // ADR / tarifa por noche con el nuevo baseUSD (si venían de precios diarios, se mantiene la proporción)
+      const rates = buildNightlyRates({
+        arrivalISO: before.arrival_iso,
+        departureISO: before.departure_iso,
+        baseUSD: update.toPay_breakdown.baseUSD,
+        daily: before.nightly_rates_source === 'wubook' && Array.isArray(before.nightly_rates)
+          ? new Map(before.nightly_rates.map((n) => [n.date, Number(n.amount_usd)]))
+          : null,
+      });
+      // base borrada: no quedan tarifas viejas
+      if (!('adr_usd' in rates) && 'adr_usd' in before) Object.assign(update, { adr_usd: null, nightly_rates: null, nightly_rates_source: null });
+      Object.assign(update, rates);
 
       const fxRate =
         payload?.fxRate && Number.isFinite(Number(payload.fxRate)) && Number(payload.fxRate) > 0
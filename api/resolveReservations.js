@@ -37,6 +37,8 @@ const normalizeForFront = (raw = {}) => {
   // arrays esperados por el front
   if (!Array.isArray(d.notes))    d.notes = [];
   if (!Array.isArray(d.payments)) d.payments = [];
+  if (!Array.isArray(d.extras))   d.extras = [];
+  if (!Array.isArray(d.dq_issues)) d.dq_issues = [];
 
   // leer extras top-level sin forzar 0
   const topExtras = Number.isFinite(Number(d.extrasUSD)) ? Number(d.extrasUSD) : null;
@@ -59,6 +61,13 @@ const normalizeForFront = (raw = {}) => {
       // prioridad: breakdown.extrasUSD, luego top-level, luego null
       extrasUSD:  Number.isFinite(Number(b.extrasUSD))  ? Number(b.extrasUSD)  : topExtras,
       fxRate:     Number.isFinite(Number(b.fxRate))     ? Number(b.fxRate)     : null,
+      // precio original si no era USD (import con cotizaciones)
+      ...(b.originalCurrency ? {
+        originalCurrency: b.originalCurrency,
+        originalAmount:   Number.isFinite(Number(b.originalAmount)) ? Number(b.originalAmount) : null,
+        fxToUSD:          Number.isFinite(Number(b.fxToUSD))        ? Number(b.fxToUSD)        : null,
+        fxQuoteDate:      b.fxQuoteDate || null,
+      } : {}),
     };
   }
 
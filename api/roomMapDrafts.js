@@ -0,0 +1,165 @@
+/**
+ * /api/roomMapDrafts.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * OBJETIVO
+ *   Revisión de departamentos BORRADOR que crea el import cuando WuBook trae un
+ *   `id_zak_room` sin mapa (ver importProcessShared.registerUnmappedRooms).
+ *   Mientras sea borrador, el room no entra al roomMap y sus reservas se saltean.
+ *
+ * GET
+ *   ?property=<id>        (opcional; si no viene, todas las propiedades)
+ *   ?includeIgnored=true  (opcional; por defecto solo pendientes)
+ *   → { ok, count, items: [{ propiedad_id, propiedad_nombre, id_zak, nombre, codigo_depto,
+ *        wubook_name, wubook_shortname, sample_id_humans, last_seen_reservations,
+ *        discoveredAt, discoveredBy, last_seen_at, ignored }] }
+ *
+ * POST (requiere Authorization: Bearer <idToken>)
+ *   { action: 'approve', propiedad_id, id_zak, codigo_depto, nombre? }
+ *       → deja de ser borrador; el próximo import por arrival trae sus reservas
+ *   { action: 'ignore', propiedad_id, id_zak }
+ *       → queda como borrador ignorado (no vuelve a figurar como pendiente)
+ *
+ * ERRORES
+ *   - 400: parámetros inválidos / acción no soportada
+ *   - 401: no autenticado
+ *   - 404: borrador no encontrado
+ *   - 405: método no permitido
+ *   - 500: error interno
+ */
+
+import { firestore, FieldValue, authAdmin } from '../lib/firebaseAdmin.js';
+import { fetchPropertyDocs } from '../lib/fetchPropertiesAndRoomMaps.js';
+
+const log = (...a) => console.log('[RoomMapDrafts]', ...a);
+
+const ok = (res, data) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  return res.status(200).json(data);
+};
+const bad = (res, code, error) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  return res.status(code).json({ error });
+};
+
+function parseBody(req) {
+  if (!req.body) return {};
+  if (typeof req.body === 'string') {
+    try { return JSON.parse(req.body); } catch { return {}; }
+  }
+  return req.body;
+}
+
+async function getAuthUser(req) {
+  try {
+    const h = req.headers?.authorization || req.headers?.Authorization || '';
+    const m = h.match(/^Bearer\s+([A-Za-z0-9\-\._~\+\/]+=*)$/i);
+    if (!m) return null;
+    const decoded = await authAdmin.verifyIdToken(m[1]);
+    const name = decoded.name || decoded.displayName || null;
+    return { uid: decoded.uid, email: decoded.email || null, name };
+  } catch (e) {
+    log('WARN verifyIdToken', e?.message);
+    return null;
+  }
+}
+
+const cleanText = (v) => String(v || '').trim().replace(/\s+/g, ' ');
+
+async function listDrafts({ property, includeIgnored }) {
+  const propDocs = await fetchPropertyDocs({
+    propertyIds: property ? [property] : undefined,
+    onlyActiveIfNoIds: false,
+    log,
+  });
+  const items = [];
+  for (const p of propDocs) {
+    const snap = await p.ref.collection('departamentos').where('draft', '==', true).get();
+    for (const d of snap.docs) {
+      const x = d.data() || {};
+      if (x.ignored === true && !includeIgnored) continue;
+      items.push({
+        propiedad_id: p.id,
+        propiedad_nombre: p.data()?.nombre || p.id,
+        id_zak: d.id,
+        nombre: x.nombre || null,
+        codigo_depto: x.codigo_depto || null,
+        wubook_name: x.wubook_name || null,
+        wubook_shortname: x.wubook_shortname || null,
+        sample_id_humans: Array.isArray(x.sample_id_humans) ? x.sample_id_humans : [],
+        last_seen_reservations: Number(x.last_seen_reservations) || 0,
+        discoveredAt: x.discoveredAt || null,
+        discoveredBy: x.discoveredBy || null,
+        last_seen_at: x.last_seen_at || null,
+        ignored: x.ignored === true,
+      });
+    }
+  }
+  return items;
+}
+
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') return ok(res, { ok: true });
+
+  try {
+    if (req.method === 'GET') {
+      const property = cleanText(req.query?.property || req.query?.propiedad_id);
+      const includeIgnored = String(req.query?.includeIgnored || '').toLowerCase() === 'true';
+      const items = await listDrafts({ property, includeIgnored });
+      return ok(res, { ok: true, count: items.length, items });
+    }
+
+    if (req.method !== 'POST') return bad(res, 405, 'Método no permitido');
+
+    const authUser = await getAuthUser(req);
+    if (!authUser) return bad(res, 401, 'No autenticado');
+
+    const body = parseBody(req);
+    const action = cleanText(body.action);
+    const propiedadId = cleanText(body.propiedad_id);
+    const idZak = cleanText(body.id_zak);
+    if (!propiedadId || !idZak) return bad(res, 400, 'Faltan parámetros: propiedad_id e id_zak son obligatorios');
+
+    const ref = firestore.collection('propiedades').doc(propiedadId).collection('departamentos').doc(idZak);
+    const snap = await ref.get();
+    if (!snap.exists || snap.data()?.draft !== true) return bad(res, 404, 'Borrador no encontrado');
+
+    const reviewedBy = { uid: authUser.uid, email: authUser.email, name: authUser.name };
+
+    if (action === 'approve') {
+      const codigo = cleanText(body.codigo_depto);
+      if (!codigo) return bad(res, 400, 'codigo_depto es obligatorio');
+      const nombre = cleanText(body.nombre) || snap.data()?.nombre || codigo;
+      await ref.set({
+        codigo_depto: codigo,
+        nombre,
+        draft: false,
+        needs_review: false,
+        ignored: false,
+        reviewedAt: FieldValue.serverTimestamp(),
+        reviewedBy,
+      }, { merge: true });
+      log('APPROVED', { propiedad_id: propiedadId, id_zak: idZak, codigo });
+      return ok(res, { ok: true, action, propiedad_id: propiedadId, id_zak: idZak, codigo_depto: codigo, nombre });
+    }
+
+    if (action === 'ignore') {
+      await ref.set({
+        ignored: true,
+        needs_review: false,
+        reviewedAt: FieldValue.serverTimestamp(),
+        reviewedBy,
+      }, { merge: true });
+      log('IGNORED', { propiedad_id: propiedadId, id_zak: idZak });
+      return ok(res, { ok: true, action, propiedad_id: propiedadId, id_zak: idZak });
+    }
+
+    return bad(res, 400, `Acción no soportada: ${action}`);
+  } catch (err) {
+    log('ERROR', err?.message); console.error(err);
+    return bad(res, 500, err?.message || 'Error interno');
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * /api/syncStatus.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * OBJETIVO
+ *   Salud de los imports de WuBook por propiedad: último import OK, último error,
+ *   contadores de la última corrida y fallas del enrich. Lo escriben los importadores
+ *   (ImportByArrival / SyncToday / SyncModified) y el enrich batch en
+ *   `syncStatus/{propiedad_id}` (ver lib/syncStatus.js). El dashboard lo usa para
+ *   listar propiedades con syncs viejos o fallando.
+ *
+ * GET
+ *   ?onlyProblems=true     (opcional) solo propiedades con health ≠ 'ok'
+ *   ?staleHours=<n>        (opcional) horas sin import OK para considerarla 'stale' (default 2)
+ *   ?all=true              (opcional) incluye propiedades no activas
+ *   → { ok, staleHours, count, items: [{
+ *        propiedad_id, nombre, health: 'failing'|'never'|'stale'|'warning'|'ok', reasons: [...],
+ *        lastSuccessAt, lastSuccessSource, lastErrorAt, lastError, lastErrorKind, lastErrorSource,
+ *        sources: { [sourceTag]: {...} }, enrich: {...} | null
+ *      }] }                 // ordenado de peor a mejor
+ *
+ * ERRORES
+ *   - 400: staleHours inválido
+ *   - 405: método no permitido
+ *   - 500: error interno
+ */
+
+import { DateTime } from 'luxon';
+import { firestore } from '../lib/firebaseAdmin.js';
+import { fetchPropertyDocs } from '../lib/fetchPropertiesAndRoomMaps.js';
+import { TZ } from '../lib/importProcessShared.js';
+import {
+  SYNC_STATUS_COLLECTION, DEFAULT_STALE_HOURS, computeSyncHealth, isSyncProblem, compareSyncHealth,
+} from '../lib/syncStatus.js';
+
+const log = (...a) => console.log('[SyncStatus]', ...a);
+
+const ok = (res, data) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  return res.status(200).json(data);
+};
+const bad = (res, code, error) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  return res.status(code).json({ error });
+};
+
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') return ok(res, { ok: true });
+  if (req.method !== 'GET') return bad(res, 405, 'Método no permitido');
+
+  try {
+    const q = req.query || {};
+    const onlyProblems = String(q.onlyProblems || '').toLowerCase() === 'true';
+    const includeAll = String(q.all || '').toLowerCase() === 'true';
+    const staleHours = q.staleHours === undefined || q.staleHours === '' ? DEFAULT_STALE_HOURS : Number(q.staleHours);
+    if (!Number.isFinite(staleHours) || staleHours <= 0) return bad(res, 400, 'staleHours debe ser un número > 0');
+
+    const props = await fetchPropertyDocs({ onlyActiveIfNoIds: !includeAll, log });
+    const col = firestore.collection(SYNC_STATUS_COLLECTION);
+    const snaps = props.length ? await firestore.getAll(...props.map((p) => col.doc(p.id))) : [];
+    const now = DateTime.now().setZone(TZ);
+
+    const items = props.map((p, i) => {
+      const data = p.data() || {};
+      const status = snaps[i]?.exists ? (snaps[i].data() || {}) : null;
+      const { health, reasons } = computeSyncHealth(status, { now, staleHours });
+      return {
+        propiedad_id: p.id,
+        nombre: data.nombre || data.name || status?.propiedad_nombre || String(p.id),
+        health,
+        reasons,
+        lastSuccessAt: status?.lastSuccessAt || null,
+        lastSuccessSource: status?.lastSuccessSource || null,
+        lastErrorAt: status?.lastErrorAt || null,
+        lastError: status?.lastError || null,
+        lastErrorKind: status?.lastErrorKind || null,
+        lastErrorSource: status?.lastErrorSource || null,
+        sources: status?.sources || {},
+        enrich: status?.enrich || null,
+      };
+    })
+      .filter((x) => !onlyProblems || isSyncProblem(x.health))
+      .sort((a, b) => compareSyncHealth(a.health, b.health) || String(a.nombre).localeCompare(String(b.nombre)));
+
+    return ok(res, { ok: true, staleHours, count: items.length, items });
+  } catch (err) {
+    log('ERROR', err?.message); console.error(err);
+    return bad(res, 500, err?.message || 'Error interno');
+  }
+}
@@ -0,0 +1,247 @@
+/**
+ * /api/wubook/webhook.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * OBJETIVO
+ *   Receptor PUSH de WuBook para eventos de reserva (alta, modificación, cancelación).
+ *   En vez de esperar al cron de 30 min, procesa SOLO las reservas notificadas con
+ *   el mismo pipeline que los importadores:
+ *     1) encola cada rcode en `WubookWebhookQueue` (doc `${propId}_${rcode}`)
+ *     2) KP /reservations/fetch_one_reservation por rcode
+ *     3) importProcessShared.upsertReservations()  (sourceTag 'wubookWebhook')
+ *     4) enrich (`enrichReservation` de /api/enrichWubookData, en proceso) de cada doc por room afectado
+ *     5) marca el item de la cola como 'done' | 'error' (attempts, lastError)
+ *   Los items en 'error' de la misma propiedad se reintentan en el próximo push, y los de
+ *   todas las propiedades en el drain del cron (`{ drain: true }`, ver /api/cron/cronOrchestrator).
+ *   Al llegar a MAX_ATTEMPTS quedan en 'failed' y ya no se reintentan.
+ *
+ * SEGURIDAD
+ *   - Secreto compartido en ENV `WUBOOK_WEBHOOK_SECRET`.
+ *   - Se acepta en header `x-webhook-secret` o query `?secret=` (WuBook solo
+ *     permite configurar una URL). Comparación en tiempo constante.
+ *
+ * PROPIEDAD
+ *   - `?property=<propiedad_id>` en la URL configurada en WuBook (recomendado), o
+ *   - `lcode` en el payload → busca `propiedades` con `wubook_lcode == lcode`.
+ *
+ * REQUEST
+ *   Método: POST (JSON o x-www-form-urlencoded)
+ *   Payload aceptado:
+ *     - rcode | rcodes (array o CSV) | reservation.id
+ *     - lcode? (si no viene ?property)
+ *   Drain (cron): { drain: true, limit? }  → reintenta los 'error' de todas las propiedades
+ *
+ * RESPUESTA (200)
+ *   { ok: true, propiedad_id, received: n, processed: [{ rcode, status, upserts?, docs?, error? }], retried: n }
+ *   drain → { ok: true, drained: n, retried: n, failed: n }
+ *
+ * ERRORES
+ *   - 401: secreto inválido
+ *   - 400: sin rcodes / propiedad no resuelta
+ *   - 405: método no permitido
+ *   - 500: webhook no configurado / error interno
+ *
+ * ENV
+ *   - WUBOOK_WEBHOOK_SECRET (obligatoria; el cron la manda en x-webhook-secret para el drain)
+ */
+
+import crypto from 'crypto';
+import qs from 'qs';
+import { firestore, FieldValue } from '../../lib/firebaseAdmin.js';
+import { getPropertiesAndRoomMaps } from '../../lib/fetchPropertiesAndRoomMaps.js';
+import { fetchOneReservation, upsertReservations } from '../../lib/importProcessShared.js';
+import { enrichReservation } from '../enrichWubookData.js';
+
+const log = (...a) => console.log('[WubookWebhook]', ...a);
+
+const QUEUE = 'WubookWebhookQueue';
+const MAX_ATTEMPTS = 5;
+const MAX_RETRIES_PER_CALL = 20;
+const MAX_DRAIN = 100;
+
+const ok = (res, data) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Webhook-Secret');
+  return res.status(200).json(data);
+};
+const bad = (res, code, error) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Webhook-Secret');
+  return res.status(code).json({ error });
+};
+
+function parseBody(req) {
+  if (!req.body) return {};
+  if (typeof req.body === 'string') {
+    try { return JSON.parse(req.body); } catch { return qs.parse(req.body); }
+  }
+  return req.body;
+}
+
+function secretMatches(provided, expected) {
+  const a = Buffer.from(String(provided || ''));
+  const b = Buffer.from(String(expected || ''));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function extractRcodes(body) {
+  const raw = body?.rcodes ?? body?.rcode ?? body?.reservation?.id ?? body?.reservation_id ?? null;
+  const list = Array.isArray(raw) ? raw : String(raw ?? '').split(',');
+  return [...new Set(list.map((x) => String(x ?? '').trim()).filter(Boolean))];
+}
+
+async function resolvePropertyId({ property, lcode }) {
+  if (property) return String(property);
+  if (!lcode) return null;
+  const snap = await firestore.collection('propiedades').where('wubook_lcode', '==', String(lcode)).limit(1).get();
+  return snap.empty ? null : snap.docs[0].id;
+}
+
+async function enrichDocs(docIds) {
+  let enriched = 0;
+  for (const reservationId of docIds) {
+    try {
+      const r = await enrichReservation(reservationId);
+      if (r.status === 200) enriched++;
+      else log('WARN enrich', { reservationId, status: r.status, errors: r.body?.errors });
+    } catch (e) {
+      log('WARN enrich', { reservationId, error: e?.message });
+    }
+  }
+  return enriched;
+}
+
+async function processRcode({ prop, rcode }) {
+  const qRef = firestore.collection(QUEUE).doc(`${prop.id}_${rcode}`);
+  try {
+    const reserva = await fetchOneReservation({ apiKey: prop.apiKey, id: rcode });
+    if (!reserva) throw new Error('Reserva no encontrada en WuBook');
+
+    const result = await upsertReservations({ reservas: [reserva], prop, sourceTag: 'wubookWebhook', log });
+
+    const docsSnap = await firestore.collection('Reservas')
+      .where('propiedad_id', '==', prop.id)
+      .where('id_human', '==', reserva.id_human)
+      .get();
+    const docIds = docsSnap.docs.filter((d) => d.data()?.is_cancelled !== true).map((d) => d.id);
+    const enriched = await enrichDocs(docIds);
+
+    await qRef.set({
+      status: 'done',
+      id_human: reserva.id_human || null,
+      docs: docIds,
+      result,
+      enriched,
+      lastError: null,
+      processedAt: FieldValue.serverTimestamp(),
+    }, { merge: true });
+    return { rcode, status: 'done', ...result, docs: docIds.length, enriched };
+  } catch (e) {
+    const message = e?.message || 'error';
+    log('ERROR rcode', { propiedad_id: prop.id, rcode, kind: e?.kind, error: message });
+    await qRef.set({
+      status: 'error',
+      lastError: message,
+      processedAt: FieldValue.serverTimestamp(),
+    }, { merge: true });
+    return { rcode, status: 'error', error: message };
+  }
+}
+
+/**
+ * Reintenta los items en 'error' de `docs` con la propiedad de `propsById` (apiKey + roomMap).
+ * Los que agotaron MAX_ATTEMPTS pasan a 'failed'. → { retried, failed }
+ */
+async function retryErrored({ docs, propsById, skipRcodes = [] }) {
+  let retried = 0, failed = 0;
+  for (const d of docs) {
+    const item = d.data() || {};
+    if (skipRcodes.includes(item.rcode)) continue;
+    if (Number(item.attempts || 0) >= MAX_ATTEMPTS) {
+      await d.ref.set({ status: 'failed', failedAt: FieldValue.serverTimestamp() }, { merge: true });
+      failed++;
+      continue;
+    }
+    const prop = propsById.get(String(item.propiedad_id));
+    if (!prop) continue;
+    await d.ref.set({ attempts: FieldValue.increment(1) }, { merge: true });
+    await processRcode({ prop, rcode: item.rcode });
+    retried++;
+  }
+  return { retried, failed };
+}
+
+// cron: los 'error' de todas las propiedades, sin esperar a que llegue otro push
+async function drainQueue({ limit = MAX_DRAIN } = {}) {
+  const snap = await firestore.collection(QUEUE).where('status', '==', 'error').limit(limit).get();
+  if (snap.empty) return { drained: 0, retried: 0, failed: 0 };
+  const propertyIds = [...new Set(snap.docs.map((d) => String(d.data()?.propiedad_id || '')).filter(Boolean))];
+  const props = await getPropertiesAndRoomMaps({ propertyIds, onlyActiveIfNoIds: false, log });
+  const r = await retryErrored({ docs: snap.docs, propsById: new Map(props.map((p) => [p.id, p])) });
+  log('DRAIN', { found: snap.size, ...r });
+  return { drained: snap.size, ...r };
+}
+
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') return ok(res, { ok: true });
+  if (req.method !== 'POST') return bad(res, 405, 'Método no permitido');
+
+  const expected = process.env.WUBOOK_WEBHOOK_SECRET;
+  if (!expected) return bad(res, 500, 'Webhook no configurado (WUBOOK_WEBHOOK_SECRET)');
+
+  try {
+    const provided = req.headers?.['x-webhook-secret'] || req.query?.secret || '';
+    if (!secretMatches(provided, expected)) return bad(res, 401, 'Secreto inválido');
+
+    const body = parseBody(req);
+    if (body?.drain === true || String(body?.drain) === 'true') {
+      const limit = Math.min(MAX_DRAIN, Math.max(1, Number(body.limit) || MAX_DRAIN));
+      return ok(res, { ok: true, ...(await drainQueue({ limit })) });
+    }
+
+    const rcodes = extractRcodes(body);
+    if (!rcodes.length) return bad(res, 400, 'Sin rcode en el payload');
+
+    const propId = await resolvePropertyId({
+      property: req.query?.property || req.query?.propiedad_id || body?.property || null,
+      lcode: body?.lcode || req.query?.lcode || null,
+    });
+    if (!propId) return bad(res, 400, 'No se pudo resolver la propiedad (property o lcode)');
+
+    const [prop] = await getPropertiesAndRoomMaps({ propertyIds: [propId], onlyActiveIfNoIds: false, log });
+    if (!prop) return bad(res, 400, `Propiedad ${propId} sin api_key de WuBook`);
+
+    log('RECEIVED', { propiedad_id: prop.id, rcodes });
+
+    // 1) encolar
+    const batch = firestore.batch();
+    for (const rcode of rcodes) {
+      batch.set(firestore.collection(QUEUE).doc(`${prop.id}_${rcode}`), {
+        propiedad_id: prop.id,
+        rcode,
+        status: 'pending',
+        attempts: FieldValue.increment(1),
+        receivedAt: FieldValue.serverTimestamp(),
+      }, { merge: true });
+    }
+    await batch.commit();
+
+    // 2) procesar los recibidos
+    const processed = [];
+    for (const rcode of rcodes) processed.push(await processRcode({ prop, rcode }));
+
+    // 3) reintentar pendientes previos con error de esta propiedad
+    const retrySnap = await firestore.collection(QUEUE)
+      .where('propiedad_id', '==', prop.id)
+      .where('status', '==', 'error')
+      .limit(MAX_RETRIES_PER_CALL)
+      .get();
+    const { retried } = await retryErrored({ docs: retrySnap.docs, propsById: new Map([[prop.id, prop]]), skipRcodes: rcodes });
+
+    return ok(res, { ok: true, propiedad_id: prop.id, received: rcodes.length, processed, retried });
+  } catch (err) {
+    log('ERROR', err?.message); console.error(err);
+    return bad(res, 500, err?.message || 'Error interno');
+  }
+}
@@ -2,14 +2,21 @@
  * /api/wubookImportByArrival.js
  * ─────────────────────────────────────────────────────────────────────────────
  * OBJETIVO
- *   Importar reservas de WuBook por rango de llegada (arrival date), crear/actualizar
+ *   Importar reservas de WuBook por rango de llegada (arrival date) —y opcionalmente
+ *   por salida (departure) y por estadía en curso (in-house)—, crear/actualizar
  *   documentos en Firestore (colección `Reservas`) por HABITACIÓN (room), y dejar
  *   historial de cambios. El prorrateo de EXTRAS se hace AQUÍ (en el import),
  *   de modo que el “enrich” no recalcula.
  *
  * FLUJO RESUMIDO
- *   1) Trae reservas con KP: /reservations/fetch_reservations (paginado) usando filtros { arrival: { from, to } }.
- *   2) Filtra canceladas.
+ *   1) Trae reservas con KP: /reservations/fetch_reservations (paginado) por cada rango pedido:
+ *        • arrival   → { arrival: { from, to } }                         (default)
+ *        • departure → { departure: { from, to } }                       (planificación de checkouts)
+ *        • inhouse   → estadía superpuesta: arrival ≤ to y departure ≥ from
+ *                      (arrival acotado a from - maxStayDays; ver fetchInHouseRange)
+ *      y une los resultados sin repetir reservas antes del upsert.
+ *   2) Separa canceladas: no crean docs; si el doc ya existía se marca is_cancelled/cancelled_at
+ *      y se reconstruye el DailyIndex de esas fechas.
  *   3) Por cada reserva:
  *       • Calcula una sola vez: roomsCountRaw, extrasUSDTotalRaw, extrasUSDPerRoomRaw.
  *       • Itera rooms; mapea contra `prop.roomMap` (id_zak_room → código_depto).
@@ -22,6 +29,10 @@
  *           - Meta cruda: wubook_rooms_count, wubook_extrasUSD_total, wubook_extrasUSD_perRoom
  *       • Escribe historial en subcolección `historial`.
  *   4) Batch con límite seguro (≈450 ops).
+ *   5) Registra la corrida (OK con contadores, o error) en `syncStatus/{propiedad_id}`
+ *      (salvo dryRun; ver lib/syncStatus.js y /api/syncStatus).
+ *   6) Guarda el crudo de cada reserva (comprimido) en `WubookRaw/{rsrvid}` para poder
+ *      reprocesarlo sin red con /api/wubookReprocessRaw (salvo dryRun).
  *
  * REQUEST
  *   Método: POST (también GET para tests), CORS abierto
@@ -29,6 +40,9 @@
  *     - propertyIds?: string[]        // si se omite, usa "propiedades activas"
  *     - fromDate?: string             // 'dd/MM/yyyy' (si falta, usa modo auto: mañana/pasado)
  *     - toDate?: string               // 'dd/MM/yyyy' (si falta, 31/12/2099)
+ *     - ranges?: string[] | string    // 'arrival' | 'departure' | 'inhouse' (default ['arrival']; acepta "arrival,inhouse")
+ *     - maxStayDays?: number          // solo inhouse: estadía máxima hacia atrás (default 60)
+ *     - report?: 'json' | 'csv'       // solo con dryRun: descarga el dry_run_report como archivo
  *     - dryRun?: boolean              // true = no escribe, solo simula
  *
  * RESPUESTA (200)
@@ -38,13 +52,23 @@
  *       propiedad: { id, nombre },
  *       mode: 'manual' | 'auto_future_sync',
  *       range: { from, to },
- *       total_found: number,          // reservas crudas devueltas por WuBook
+ *       ranges: string[],             // rangos consultados
+ *       found_by_range: { arrival?, departure?, inhouse? }, // crudas por rango (antes de unir)
+ *       total_found: number,          // reservas únicas devueltas por WuBook (unión de rangos)
  *       upserts: number,              // docs creados/actualizados
  *       skipped: number,              // rooms que se saltaron (sin map/fechas/etc.)
- *       skipped_cancelled: number,    // reservas canceladas filtradas
+ *       skipped_cancelled: number,    // canceladas sin doc previo (o ya marcadas)
+ *       cancelled: number,            // docs existentes marcados como cancelados
+ *       moved: number,                // docs migrados por cambio de depto (room move)
+ *       room_orphans: number,         // docs cuyo room ya no viene y sin room nuevo para migrar
  *       unchanged: number,            // docs sin cambios (hash igual)
+ *       daily_index_refreshed: number,// fechas de DailyIndex reconstruidas por cancelaciones
+ *       unmapped_rooms: [{ id_zak, name, reservations, draft_created, ignored }], // rooms sin departamento
+ *       raw_stored: number,           // docs de WubookRaw escritos (crudo nuevo o cambiado)
+ *       dry_run_report?: [{ propiedad_id, id, id_human, change, changedKeys, diff: { key: { from, to } } }], // solo dryRun
  *       dryRun: boolean
- *     }, ...]
+ *     } | { propiedad, error, error_kind }, ...],  // WuBook falló para esa propiedad (sigue con el resto)
+ *     wubook_api: { calls, ok, failed, retries, rate_limited, ms, byEndpoint } // ver lib/wubookClient.js
  *   }
  *
  * ESCRITURAS EN FIRESTORE (colección `Reservas`)
@@ -52,11 +76,12 @@
  *   - Campos clave:
  *       id_human                     Ej: 'AP-0053'
  *       rsrvid                       Id numérico de WuBook (si viene)
+ *       wubook_booker_id             Cliente (booker) de WuBook; el enrich lo usa para el perfil en `Huespedes`
  *       propiedad_id / propiedad_nombre
  *       id_zak, codigo_depto, depto_nombre
  *       arrival, arrival_iso, departure, departure_iso
  *       adults, children
- *       status (normalizado), is_cancelled (false aquí)
+ *       status (normalizado), is_cancelled (false; true + cancelled_at si WuBook la canceló)
  *       wubook_price: { amount, vat, total, currency }   // por room
  *       currency: 'USD' | undefined
  *       toPay (si no estaba)
@@ -81,7 +106,7 @@
  *   - Env required: `WUBOOK_BASE_URL` (opcional, default KP).
  *
  * ERRORES (4xx/5xx)
- *   - 400: no hay propiedades válidas / api_key
+ *   - 400: no hay propiedades válidas / api_key · `ranges` inválido · `report` sin dryRun
  *   - 405: método no permitido
  *   - 500: error interno (log detallado en server)
  *
@@ -97,7 +122,9 @@
  
 import { DateTime } from 'luxon';
 import { getPropertiesAndRoomMaps } from '../lib/fetchPropertiesAndRoomMaps.js';
-import { TZ, fetchByArrivalRange, upsertReservations } from '../lib/importProcessShared.js';
+import { TZ, IMPORT_RANGES, fetchByRanges, upsertReservations, recordSyncRun } from '../lib/importProcessShared.js';
+import { getWubookMetrics, wubookMetricsSince } from '../lib/wubookClient.js';
+import { DRY_RUN_FORMATS, sendReportFile } from '../lib/dryRunReport.js';
 
 const log = (...a) => console.log('[ImportByArrival]', ...a);
 
@@ -119,7 +146,18 @@ export default async function handler(req, res) {
   if (req.method !== 'POST' && req.method !== 'GET') return bad(res, 405, 'Método no permitido');
 
   try {
-    const { propertyIds, dryRun = false } = (req.body && req.method === 'POST') ? req.body : {};
+    const { propertyIds, dryRun = false, maxStayDays, report = null } = (req.body && req.method === 'POST') ? req.body : {};
+    if (report && (!dryRun || !DRY_RUN_FORMATS.includes(report))) {
+      return bad(res, 400, `report (${DRY_RUN_FORMATS.join(' | ')}) solo se admite con dryRun: true`);
+    }
+    const rawRanges = (req.body && req.method === 'POST') ? req.body.ranges : null;
+    const ranges = rawRanges
+      ? [...new Set((Array.isArray(rawRanges) ? rawRanges : String(rawRanges).split(',')).map((x) => String(x).trim().toLowerCase()).filter(Boolean))]
+      : ['arrival'];
+    const invalidRanges = ranges.filter((x) => !IMPORT_RANGES.includes(x));
+    if (!ranges.length || invalidRanges.length) {
+      return bad(res, 400, `ranges inválido: ${invalidRanges.join(', ') || '(vacío)'}. Valores: ${IMPORT_RANGES.join(', ')}`);
+    }
     let { fromDate, toDate } = (req.body && req.method === 'POST') ? req.body : {};
     let mode = 'manual';
 
@@ -136,11 +174,21 @@ export default async function handler(req, res) {
     const propiedades = await getPropertiesAndRoomMaps({ propertyIds, onlyActiveIfNoIds: true, log });
     if (!propiedades.length) return bad(res, 400, 'No se encontraron propiedades con api_key válidas.');
 
+    const metricsStart = getWubookMetrics();
     const summary = [];
     for (const prop of propiedades) {
-      log('PROP START', { id: prop.id, nombre: prop.nombre });
-
-      const reservas = await fetchByArrivalRange({ apiKey: prop.apiKey, fromDate, toDate, log });
+      log('PROP START', { id: prop.id, nombre: prop.nombre, ranges });
+
+      let reservas, found_by_range;
+      try {
+        ({ reservas, found_by_range } = await fetchByRanges({ apiKey: prop.apiKey, fromDate, toDate, ranges, maxStayDays, log }));
+      } catch (e) {
+        // WuBook caído/limitado para esta propiedad: se informa y se sigue con el resto
+        log('PROP ERROR', { id: prop.id, kind: e?.kind, error: e?.message });
+        summary.push({ propiedad: { id: prop.id, nombre: prop.nombre }, error: e?.message || 'error', error_kind: e?.kind || null });
+        if (!dryRun) await recordSyncRun({ prop, source: 'wubookImportByArrival', error: e, log });
+        continue;
+      }
       const result = await upsertReservations({
         reservas,
         prop,
@@ -148,11 +196,14 @@ export default async function handler(req, res) {
         sourceTag: 'wubookImportByArrival',
         log
       });
+      if (!dryRun) await recordSyncRun({ prop, source: 'wubookImportByArrival', result, found: reservas.length, log });
 
       summary.push({
         propiedad: { id: prop.id, nombre: prop.nombre },
         mode,
         range: { from: fromDate, to: toDate },
+        ranges,
+        found_by_range,
         total_found: reservas.length,
         ...result,
         dryRun
@@ -161,7 +212,13 @@ export default async function handler(req, res) {
       log('PROP DONE', summary[summary.length - 1]);
     }
 
-    return ok(res, { ok: true, summary });
+    const payload = { ok: true, summary, wubook_api: wubookMetricsSince(metricsStart) };
+    if (report) {
+      const entries = summary.flatMap((s) => s.dry_run_report || []);
+      const stamp = DateTime.now().setZone(TZ).toFormat('yyyyLLdd_HHmm');
+      return sendReportFile(res, { format: report, filename: `dryrun_importByArrival_${stamp}`, entries, payload });
+    }
+    return ok(res, payload);
   } catch (err) {
     log('ERROR', err?.message); console.error(err);
     return bad(res, 500, err?.message || 'Error interno');
@@ -0,0 +1,98 @@
+/**
+ * /api/wubookPushNotes.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * OBJETIVO
+ *   Sincronización SALIENTE de notas: envía a WuBook (KAPI /notes/add_note) las
+ *   notas cargadas por hosts (`source: 'host'`, `sent_to_wubook: false`) y, al
+ *   confirmar, guarda el `wubook_id` devuelto y marca `sent_to_wubook: true`.
+ *   Envío + transacción: `pushPendingForDoc` (lib/wubookPush.js), el mismo
+ *   flujo que /api/wubookPushPayments.
+ *
+ * SELECCIÓN
+ *   - Reservas con `notes_pending_push == true` (lo setea reservationMutations/addNote).
+ *   - Por doc: notas host sin enviar y con `wubook_push_attempts < MAX_PUSH_ATTEMPTS`.
+ *   - WuBook guarda notas por reserva (rcode = id_human), no por room.
+ *
+ * ROUND-TRIP (dedupe en enrich, ver lib/wubookPush.js)
+ *   - remarks = `<texto> [dh:<push_ref>]` (push_ref de addNote, o derivado de ts + texto
+ *     en notas cargadas antes de que existiera).
+ *   - enrichWubookData.mapWubookNotesToUnified saca la marca del texto y dedupeNotes une
+ *     la copia de WuBook con la nota host, aunque el wubook_id no se haya llegado a grabar.
+ *
+ * REINTENTOS
+ *   - Los 429 los reintenta lib/wubookClient.js dentro de la misma corrida.
+ *   - Si KAPI falla, la nota queda `sent_to_wubook: false` con
+ *     `wubook_push_attempts` +1 y `wubook_push_error`; la próxima corrida reintenta.
+ *   - Al agotar MAX_PUSH_ATTEMPTS deja de intentarse; el doc deja de estar pendiente
+ *     cuando no queda ninguna nota reintentable.
+ *
+ * ESCRITURA
+ *   - Se aplica en transacción releyendo el doc (no pisa notas agregadas en el medio).
+ *   - Historial `source: 'wubook_push_notes'` con las notas enviadas/fallidas.
+ *
+ * REQUEST
+ *   POST { limit?: number (default 50), dryRun?: boolean, reservationId?: string }
+ *
+ * RESPUESTA (200)
+ *   { ok, dryRun, docs, sent, failed, results: [{ id, sent, failed }] }
+ */
+
+import { kapiPost } from '../lib/wubookClient.js';
+import { getWubookConfig } from '../lib/fetchPropertiesAndRoomMaps.js';
+import { MAX_PUSH_ATTEMPTS, notePushRef, pendingPushDocs, pushPendingForDoc, withPushRef } from '../lib/wubookPush.js';
+
+const log = (...args) => console.log('[PushNotes]', ...args);
+
+// ===================== HELPERS =====================
+const isPushable = (n) => n?.source === 'host'
+  && n?.sent_to_wubook !== true
+  && !n?.wubook_id
+  && Number(n?.wubook_push_attempts || 0) < MAX_PUSH_ATTEMPTS;
+
+async function postNote(apiKey, rcode, text) {
+  // no idempotente: el cliente solo reintenta si WuBook no llegó a procesarla (429 / sin conexión)
+  const data = await kapiPost(apiKey, '/notes/add_note', { rcode, remarks: text }, { idempotent: false });
+  const id = (data && typeof data === 'object') ? data.id : data;
+  if (id === undefined || id === null || id === '') throw new Error('KAPI add_note sin id en la respuesta');
+  return id;
+}
+
+async function pushNotesForDoc(docSnap, { dryRun }) {
+  const { propiedad_id, id_human } = docSnap.data() || {};
+  const apiKey = propiedad_id ? (await getWubookConfig(propiedad_id))?.apiKey : null;
+  return pushPendingForDoc(docSnap, {
+    field: 'notes',
+    flag: 'notes_pending_push',
+    source: 'wubook_push_notes',
+    historialSuffix: 'pushNotes',
+    apiKey,
+    isPushable,
+    refOf: notePushRef,
+    post: (n, ref) => postNote(apiKey, id_human, withPushRef(n.text, ref)),
+    dryRun,
+    log,
+  });
+}
+
+// ===================== HANDLER =====================
+export default async function handler(req, res) {
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method Not Allowed' });
+
+  try {
+    const { limit = 50, dryRun = false, reservationId = null } = req.body || {};
+    log('INIT', { limit, dryRun, reservationId });
+
+    const docs = await pendingPushDocs({ flag: 'notes_pending_push', reservationId, limit });
+
+    const results = [];
+    for (const d of docs) results.push(await pushNotesForDoc(d, { dryRun }));
+
+    const sent = results.reduce((s, r) => s + r.sent, 0);
+    const failed = results.reduce((s, r) => s + r.failed, 0);
+    log('DONE', { docs: docs.length, sent, failed });
+    return res.status(200).json({ ok: true, dryRun, docs: docs.length, sent, failed, results });
+  } catch (error) {
+    log('FATAL ERROR', error?.stack || error?.message);
+    return res.status(500).json({ ok: false, error: error?.message || 'Unexpected error' });
+  }
+}
@@ -0,0 +1,109 @@
+/**
+ * /api/wubookPushPayments.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * OBJETIVO
+ *   Sincronización SALIENTE de pagos: espeja en WuBook (KAPI /payments/add_payment)
+ *   los pagos cargados por hosts vía reservationMutations/addPayment, para que el
+ *   saldo de la reserva en WuBook coincida con lo cobrado en la planilla.
+ *   Al confirmar guarda el `wubook_id` devuelto y marca `sent_to_wubook: true`.
+ *   Envío + transacción: `pushPendingForDoc` (lib/wubookPush.js), el mismo
+ *   flujo que /api/wubookPushNotes.
+ *
+ * OPT-IN POR PROPIEDAD
+ *   - propiedades/{id}.wubook_push_payments === true
+ *   - addPayment solo marca el pago (push_ref + payments_pending_push) si está activo.
+ *   - Si la propiedad se desactiva, los pendientes se descartan (no se envían).
+ *
+ * ROUND-TRIP (dedupe en enrich)
+ *   - remarks = `<concepto o método> [dh:<push_ref>]`
+ *   - enrichWubookData.mapWubookPaymentsToUnified extrae el push_ref y
+ *     dedupePayments une la copia de WuBook con el pago host (aunque el enrich
+ *     corra antes de que este endpoint guarde el wubook_id).
+ *
+ * REINTENTOS
+ *   - Los 429 los reintenta lib/wubookClient.js (un 5xx no: podría duplicar el pago).
+ *   - Si KAPI falla: `wubook_push_attempts` +1 y `wubook_push_error`; se reintenta
+ *     en la próxima corrida hasta MAX_PUSH_ATTEMPTS (lib/wubookPush.js).
+ *
+ * REQUEST
+ *   POST { limit?: number (default 50), dryRun?: boolean, reservationId?: string }
+ *
+ * RESPUESTA (200)
+ *   { ok, dryRun, docs, sent, failed, results: [{ id, sent, failed, skipped? }] }
+ */
+
+import { kapiPost } from '../lib/wubookClient.js';
+import { getWubookConfig } from '../lib/fetchPropertiesAndRoomMaps.js';
+import { MAX_PUSH_ATTEMPTS, pendingPushDocs, pushPendingForDoc, withPushRef } from '../lib/wubookPush.js';
+
+const log = (...args) => console.log('[PushPayments]', ...args);
+
+// ===================== HELPERS =====================
+const isPushable = (p) => p?.source === 'host'
+  && !!p?.push_ref
+  && p?.sent_to_wubook === false
+  && !p?.wubook_id
+  && Number(p?.wubook_push_attempts || 0) < MAX_PUSH_ATTEMPTS;
+
+async function postPayment(apiKey, rcode, p) {
+  const label = String(p.concept || p.method || 'Pago').trim();
+  const data = await kapiPost(apiKey, '/payments/add_payment', {
+    rcode,
+    amount: Number(p.amount),
+    currency: p.currency || undefined,
+    type: p.method || undefined,
+    remarks: withPushRef(label, p.push_ref),
+  }, { idempotent: false });
+  const id = (data && typeof data === 'object') ? data.id : data;
+  if (id === undefined || id === null || id === '') throw new Error('KAPI add_payment sin id en la respuesta');
+  return id;
+}
+
+async function pushPaymentsForDoc(docSnap, { dryRun }) {
+  const data = docSnap.data() || {};
+  const { propiedad_id, id_human } = data;
+  const pending = (Array.isArray(data.payments) ? data.payments : []).filter(isPushable);
+
+  const { apiKey, pushPayments } = (propiedad_id && await getWubookConfig(propiedad_id)) || {};
+  if (propiedad_id && pending.length && !pushPayments) {
+    log(`Propiedad ${propiedad_id} sin wubook_push_payments; se descartan pendientes de ${docSnap.id}`);
+    if (!dryRun) await docSnap.ref.update({ payments_pending_push: false });
+    return { id: docSnap.id, sent: 0, failed: 0, skipped: pending.length };
+  }
+
+  return pushPendingForDoc(docSnap, {
+    field: 'payments',
+    flag: 'payments_pending_push',
+    source: 'wubook_push_payments',
+    historialSuffix: 'pushPayments',
+    apiKey,
+    isPushable,
+    refOf: (p) => p.push_ref,
+    post: (p) => postPayment(apiKey, id_human, p),
+    dryRun,
+    log,
+  });
+}
+
+// ===================== HANDLER =====================
+export default async function handler(req, res) {
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method Not Allowed' });
+
+  try {
+    const { limit = 50, dryRun = false, reservationId = null } = req.body || {};
+    log('INIT', { limit, dryRun, reservationId });
+
+    const docs = await pendingPushDocs({ flag: 'payments_pending_push', reservationId, limit });
+
+    const results = [];
+    for (const d of docs) results.push(await pushPaymentsForDoc(d, { dryRun }));
+
+    const sent = results.reduce((s, r) => s + r.sent, 0);
+    const failed = results.reduce((s, r) => s + r.failed, 0);
+    log('DONE', { docs: docs.length, sent, failed });
+    return res.status(200).json({ ok: true, dryRun, docs: docs.length, sent, failed, results });
+  } catch (error) {
+    log('FATAL ERROR', error?.stack || error?.message);
+    return res.status(500).json({ ok: false, error: error?.message || 'Unexpected error' });
+  }
+}
@@ -0,0 +1,161 @@
+/**
+ * /api/wubookReprocessRaw.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * OBJETIVO
+ *   Re-correr el mapeo de reservas (`importProcessShared.upsertReservations()`) a partir
+ *   del crudo guardado en `WubookRaw/{rsrvid}` (ver lib/wubookRaw.js), SIN llamar a WuBook.
+ *   Sirve para aplicar un cambio de mapeo (roomMap, prorrateo, campos nuevos) a reservas
+ *   ya importadas, o para simularlo antes con dryRun.
+ *
+ * CÓMO
+ *   - Lee `WubookRaw` por rango de arrival_iso (o departure_iso) y filtra por propiedad en memoria
+ *     (consulta de un solo campo: no requiere índice compuesto).
+ *   - Descomprime { reservation, extras } y llama a upsertReservations con la propiedad SIN apiKey
+ *     y los extras guardados (`rawExtras`): no se piden extras ni catálogo de rooms.
+ *   - No re-guarda el crudo (`storeRaw: false`) ni toca `syncStatus`.
+ *   - Solo ve reservas que algún import/sync ya guardó en crudo.
+ *
+ * REQUEST
+ *   Método: POST, CORS abierto
+ *   Body (JSON):
+ *     - dateFrom: 'YYYY-MM-DD'          // requerido
+ *     - dateTo:   'YYYY-MM-DD'          // requerido (inclusive)
+ *     - dateField?: 'arrival' | 'departure'   // default 'arrival'
+ *     - propertyIds?: string[]          // si se omite, usa "propiedades activas"
+ *     - dryRun?: boolean                // true = no escribe, solo simula
+ *     - report?: 'json' | 'csv'         // solo con dryRun: descarga el dry_run_report como archivo
+ *
+ * RESPUESTA (200)
+ *   {
+ *     ok: true,
+ *     dateFrom, dateTo, dateField,
+ *     summary: [{
+ *       propiedad: { id, nombre },
+ *       found_raw: number,             // docs de WubookRaw en el rango
+ *       decode_errors: number,         // payloads ilegibles (se saltean)
+ *       upserts, skipped, skipped_cancelled, cancelled, moved, room_orphans, unchanged,
+ *       daily_index_refreshed, unmapped_rooms,
+ *       dry_run_report?: [...],        // solo dryRun
+ *       dryRun: boolean
+ *     }, ...]
+ *   }
+ *
+ * ERRORES (4xx/5xx)
+ *   - 400: fechas inválidas · dateField inválido · no hay propiedades · `report` sin dryRun
+ *   - 405: método no permitido
+ *   - 500: error interno
+ *
+ * EJEMPLO
+ *   curl -X POST https://<app>/api/wubookReprocessRaw \
+ *     -H "Content-Type: application/json" \
+ *     -d '{ "propertyIds": ["106"], "dateFrom": "2025-01-01", "dateTo": "2025-01-31", "dryRun": true }'
+ */
+
+import { DateTime } from 'luxon';
+import { firestore } from '../lib/firebaseAdmin.js';
+import { getPropertiesAndRoomMaps } from '../lib/fetchPropertiesAndRoomMaps.js';
+import { TZ, upsertReservations } from '../lib/importProcessShared.js';
+import { WUBOOK_RAW_COLLECTION, decodeRawReservation } from '../lib/wubookRaw.js';
+import { DRY_RUN_FORMATS, sendReportFile } from '../lib/dryRunReport.js';
+
+const log = (...a) => console.log('[ReprocessRaw]', ...a);
+
+const ok = (res, data) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  return res.status(200).json(data);
+};
+const bad = (res, code, error) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  return res.status(code).json({ error });
+};
+
+const DATE_FIELDS = { arrival: 'arrival_iso', departure: 'departure_iso' };
+const isISODate = (s) => typeof s === 'string' && DateTime.fromISO(s, { zone: TZ }).isValid && /^\d{4}-\d{2}-\d{2}$/.test(s);
+
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') return ok(res, { ok: true });
+  if (req.method !== 'POST') return bad(res, 405, 'Método no permitido');
+
+  try {
+    const { propertyIds, dateFrom, dateTo, dateField = 'arrival', dryRun = false, report = null } = req.body || {};
+    if (!isISODate(dateFrom) || !isISODate(dateTo) || dateFrom > dateTo) {
+      return bad(res, 400, 'dateFrom/dateTo requeridos (YYYY-MM-DD, dateFrom <= dateTo)');
+    }
+    const field = DATE_FIELDS[dateField];
+    if (!field) return bad(res, 400, `dateField inválido (${Object.keys(DATE_FIELDS).join(' | ')})`);
+    if (report && (!dryRun || !DRY_RUN_FORMATS.includes(report))) {
+      return bad(res, 400, `report (${DRY_RUN_FORMATS.join(' | ')}) solo se admite con dryRun: true`);
+    }
+
+    const propiedades = await getPropertiesAndRoomMaps({ propertyIds, onlyActiveIfNoIds: true, log });
+    if (!propiedades.length) return bad(res, 400, 'No se encontraron propiedades.');
+
+    const snap = await firestore.collection(WUBOOK_RAW_COLLECTION)
+      .where(field, '>=', dateFrom)
+      .where(field, '<=', dateTo)
+      .get();
+    const rawByProp = new Map();
+    for (const d of snap.docs) {
+      const x = d.data() || {};
+      const pid = String(x.propiedad_id ?? '');
+      if (!rawByProp.has(pid)) rawByProp.set(pid, []);
+      rawByProp.get(pid).push(x);
+    }
+
+    const summary = [];
+    for (const prop of propiedades) {
+      const docs = rawByProp.get(String(prop.id)) || [];
+      log('PROP START', { id: prop.id, nombre: prop.nombre, raw: docs.length });
+
+      const reservas = [];
+      const rawExtras = new Map();
+      let decode_errors = 0;
+      for (const x of docs) {
+        try {
+          const { reservation, extras } = decodeRawReservation(x) || {};
+          if (!reservation) { decode_errors++; continue; }
+          reservas.push(reservation);
+          rawExtras.set(String(x.rsrvid), extras ?? null);
+        } catch (e) {
+          decode_errors++;
+          log('WARN decode', { rsrvid: x.rsrvid, error: e?.message });
+        }
+      }
+
+      const result = await upsertReservations({
+        reservas,
+        prop: { ...prop, apiKey: null },
+        dryRun,
+        sourceTag: 'wubookReprocessRaw',
+        log,
+        storeRaw: false,
+        rawExtras,
+      });
+      const { raw_stored, ...rest } = result;
+
+      summary.push({
+        propiedad: { id: prop.id, nombre: prop.nombre },
+        found_raw: docs.length,
+        decode_errors,
+        ...rest,
+        dryRun
+      });
+      log('PROP DONE', summary[summary.length - 1]);
+    }
+
+    const payload = { ok: true, dateFrom, dateTo, dateField, summary };
+    if (report) {
+      const entries = summary.flatMap((s) => s.dry_run_report || []);
+      const stamp = DateTime.now().setZone(TZ).toFormat('yyyyLLdd_HHmm');
+      return sendReportFile(res, { format: report, filename: `dryrun_reprocessRaw_${stamp}`, entries, payload });
+    }
+    return ok(res, payload);
+  } catch (err) {
+    log('ERROR', err?.message); console.error(err);
+    return bad(res, 500, err?.message || 'Error interno');
+  }
+}
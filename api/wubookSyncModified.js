@@ -0,0 +1,158 @@
+/**
+ * /api/wubookSyncModified.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * OBJETIVO
+ *   Sincronización INCREMENTAL (delta): pide a WuBook las reservas MODIFICADAS
+ *   desde la última corrida de cada propiedad y las pasa por el mismo
+ *   `importProcessShared.upsertReservations()` que el import por arrival y el
+ *   sync de hoy. Así se captan cambios en reservas lejanas (fechas movidas,
+ *   cambio de room, precio editado, cancelaciones) sin reimportar rangos enteros.
+ *
+ * WATERMARK (por propiedad, en el doc de la propiedad)
+ *   propiedades/{id}.wubook_delta_sync = {
+ *     watermark,      // ISO datetime (TZ AR) del inicio de la última corrida OK
+ *     lastRunAt,      // serverTimestamp
+ *     lastFound,      // reservas devueltas por WuBook en la última corrida
+ *     lastSource      // 'wubookSyncModified'
+ *   }
+ *   - KP filtra por día ('dd/MM/yyyy'), así que se pide desde el DÍA del watermark
+ *     (inclusive). El solapamiento es inocuo: `contentHash` evita reescrituras.
+ *   - Sin watermark previo se usa `lookbackDays` (default 2).
+ *   - El watermark solo avanza si la propiedad terminó sin error y dryRun=false.
+ *   - Cada corrida (OK o error) queda además en `syncStatus/{id}` (ver /api/syncStatus).
+ *   - El crudo de cada reserva queda en `WubookRaw/{rsrvid}` (ver /api/wubookReprocessRaw).
+ *
+ * REQUEST
+ *   Método: POST (también GET), CORS abierto
+ *   Body (JSON):
+ *     - propertyIds?: string[]        // si se omite, usa "propiedades activas"
+ *     - since?: string                // 'dd/MM/yyyy' fuerza el inicio (ignora watermark)
+ *     - lookbackDays?: number         // 1..30, solo si no hay watermark (default 2)
+ *     - dryRun?: boolean              // true = no escribe ni mueve watermark
+ *
+ * RESPUESTA (200)
+ *   {
+ *     ok: true,
+ *     summary: [{
+ *       propiedad: { id, nombre },
+ *       since: 'dd/MM/yyyy',
+ *       watermarkBefore: string|null,
+ *       watermarkAfter: string|null,
+ *       found_modified: number,
+ *       upserts, skipped, skipped_cancelled, cancelled, moved, room_orphans, unchanged, daily_index_refreshed, raw_stored,
+ *       unmapped_rooms: [{ id_zak, name, reservations, draft_created, ignored }],
+ *       dryRun: boolean
+ *     } | { propiedad, error, error_kind }, ...],
+ *     wubook_api: { calls, ok, failed, retries, rate_limited, ms, byEndpoint } // ver lib/wubookClient.js
+ *   }
+ *
+ * ERRORES (4xx/5xx)
+ *   - 400: no hay propiedades válidas / api_key
+ *   - 405: método no permitido
+ *   - 500: error interno
+ *
+ * EJEMPLO
+ *   curl -X POST https://<app>/api/wubookSyncModified \
+ *     -H "Content-Type: application/json" \
+ *     -d '{ "propertyIds": ["106"], "dryRun": true }'
+ */
+
+import { DateTime } from 'luxon';
+import { firestore, FieldValue } from '../lib/firebaseAdmin.js';
+import { getPropertiesAndRoomMaps } from '../lib/fetchPropertiesAndRoomMaps.js';
+import { TZ, fetchModifiedSince, upsertReservations, recordSyncRun } from '../lib/importProcessShared.js';
+import { getWubookMetrics, wubookMetricsSince } from '../lib/wubookClient.js';
+
+const log = (...a) => console.log('[SyncModified]', ...a);
+
+const ok = (res, data) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  return res.status(200).json(data);
+};
+const bad = (res, code, error) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  return res.status(code).json({ error });
+};
+
+async function readWatermark(propId) {
+  const snap = await firestore.collection('propiedades').doc(propId).get();
+  return snap.exists ? (snap.data()?.wubook_delta_sync?.watermark || null) : null;
+}
+
+async function writeWatermark(propId, { watermark, found }) {
+  await firestore.collection('propiedades').doc(propId).set({
+    wubook_delta_sync: {
+      watermark,
+      lastRunAt: FieldValue.serverTimestamp(),
+      lastFound: found,
+      lastSource: 'wubookSyncModified',
+    },
+  }, { merge: true });
+}
+
+export default async function handler(req, res) {
+  if (req.method === 'OPTIONS') return ok(res, { ok: true });
+  if (req.method !== 'POST' && req.method !== 'GET') return bad(res, 405, 'Método no permitido');
+
+  try {
+    const { propertyIds, since = null, lookbackDays = 2, dryRun = false } = (req.body && req.method === 'POST') ? req.body : {};
+    const lookback = Math.max(1, Math.min(30, Number(lookbackDays) || 2));
+
+    const propiedades = await getPropertiesAndRoomMaps({ propertyIds, onlyActiveIfNoIds: true, log });
+    if (!propiedades.length) return bad(res, 400, 'No se encontraron propiedades con api_key de WuBook.');
+
+    const metricsStart = getWubookMetrics();
+    const summary = [];
+    for (const prop of propiedades) {
+      const runStart = DateTime.now().setZone(TZ);
+      try {
+        const watermarkBefore = await readWatermark(prop.id);
+        const wm = watermarkBefore ? DateTime.fromISO(watermarkBefore, { zone: TZ }) : null;
+        const sinceDate = since
+          || (wm?.isValid ? wm.toFormat('dd/LL/yyyy') : runStart.minus({ days: lookback }).toFormat('dd/LL/yyyy'));
+
+        log('PROP START', { id: prop.id, nombre: prop.nombre, sinceDate, watermarkBefore });
+
+        const reservas = await fetchModifiedSince({ apiKey: prop.apiKey, sinceDate, log });
+        const result = await upsertReservations({
+          reservas,
+          prop,
+          dryRun,
+          sourceTag: 'wubookSyncModified',
+          log
+        });
+
+        const watermarkAfter = dryRun ? watermarkBefore : runStart.toISO();
+        if (!dryRun) {
+          await writeWatermark(prop.id, { watermark: watermarkAfter, found: reservas.length });
+          await recordSyncRun({ prop, source: 'wubookSyncModified', result, found: reservas.length, log });
+        }
+
+        summary.push({
+          propiedad: { id: prop.id, nombre: prop.nombre },
+          since: sinceDate,
+          watermarkBefore,
+          watermarkAfter,
+          found_modified: reservas.length,
+          ...result,
+          dryRun
+        });
+        log('PROP DONE', summary[summary.length - 1]);
+      } catch (e) {
+        // una propiedad con api_key rota no frena al resto; el watermark no avanza
+        log('PROP ERROR', { id: prop.id, kind: e?.kind, error: e?.message });
+        summary.push({ propiedad: { id: prop.id, nombre: prop.nombre }, error: e?.message || 'error', error_kind: e?.kind || null });
+        if (!dryRun) await recordSyncRun({ prop, source: 'wubookSyncModified', error: e, log });
+      }
+    }
+
+    return ok(res, { ok: true, summary, wubook_api: wubookMetricsSince(metricsStart) });
+  } catch (err) {
+    log('ERROR', err?.message); console.error(err);
+    return bad(res, 500, err?.message || 'Error interno');
+  }
+}
@@ -16,6 +16,7 @@
  *   Body (JSON):
  *     - propertyIds?: string[]        // si se omite, usa "propiedades activas"
  *     - dryRun?: boolean              // true = no escribe, solo simula
+ *     - report?: 'json' | 'csv'       // solo con dryRun: descarga el dry_run_report como archivo
  *
  * RESPUESTA (200)
  *   {
@@ -26,9 +27,17 @@
  *       upserts: number,
  *       skipped: number,
  *       skipped_cancelled: number,
+ *       cancelled: number,            // docs existentes marcados is_cancelled
+ *       moved: number,                // docs migrados por cambio de depto
+ *       room_orphans: number,
  *       unchanged: number,
+ *       daily_index_refreshed: number,
+ *       unmapped_rooms: [{ id_zak, name, reservations, draft_created, ignored }],
+ *       raw_stored: number,           // docs de WubookRaw escritos
+ *       dry_run_report?: [{ propiedad_id, id, id_human, change, changedKeys, diff }], // solo dryRun
  *       dryRun: boolean
- *     }, ...]
+ *     } | { propiedad, error, error_kind }, ...],  // WuBook falló para esa propiedad
+ *     wubook_api: { calls, ok, failed, retries, rate_limited, ms, byEndpoint }
  *   }
  *
  * ESCRITURAS EN FIRESTORE (colección `Reservas`)
@@ -36,6 +45,10 @@
  *       wubook_price (por room), toPay_breakdown, toPay (si no estaba),
  *       extrasUSD (si no estaba) usando extrasUSDPerRoomRaw (decidido en sync),
  *       y meta cruda: wubook_rooms_count / wubook_extrasUSD_total / perRoom.
+ *   - Canceladas: si el doc ya existe se marca is_cancelled: true + cancelled_at
+ *     (historial changeType 'cancelled') y se reconstruye el DailyIndex afectado.
+ *   - Estado de la corrida por propiedad en `syncStatus/{propiedad_id}` (salvo dryRun).
+ *   - Crudo de cada reserva en `WubookRaw/{rsrvid}` (salvo dryRun; ver /api/wubookReprocessRaw).
  *
  * TIMEZONE
  *   - La noción de “hoy” la define WuBook; localmente mantenemos TZ AR para parsing/ISO.
@@ -45,10 +58,10 @@
  *
  * SEGURIDAD / CONFIG
  *   - Requiere `getPropertiesAndRoomMaps()` con apiKey y roomMap.
- *   - ENV: `WUBOOK_BASE_URL` (opcional).
+ *   - ENV: `WUBOOK_BASE_URL` (opcional) y los límites de lib/wubookClient.js.
  *
  * ERRORES (4xx/5xx)
- *   - 400: no hay propiedades válidas / api_key
+ *   - 400: no hay propiedades válidas / api_key · `report` sin dryRun
  *   - 405: método no permitido
  *   - 500: error interno
  *
@@ -59,8 +72,11 @@
  */
 
 
+import { DateTime } from 'luxon';
 import { getPropertiesAndRoomMaps } from '../lib/fetchPropertiesAndRoomMaps.js';
-import { fetchToday, upsertReservations } from '../lib/importProcessShared.js';
+import { TZ, fetchToday, upsertReservations, recordSyncRun } from '../lib/importProcessShared.js';
+import { getWubookMetrics, wubookMetricsSince } from '../lib/wubookClient.js';
+import { DRY_RUN_FORMATS, sendReportFile } from '../lib/dryRunReport.js';
 
 const log = (...a) => console.log('[SyncToday]', ...a);
 
@@ -82,16 +98,28 @@ export default async function handler(req, res) {
   if (req.method !== 'POST' && req.method !== 'GET') return bad(res, 405, 'Método no permitido');
 
   try {
-    const { propertyIds, dryRun = false } = (req.body && req.method === 'POST') ? req.body : {};
+    const { propertyIds, dryRun = false, report = null } = (req.body && req.method === 'POST') ? req.body : {};
+    if (report && (!dryRun || !DRY_RUN_FORMATS.includes(report))) {
+      return bad(res, 400, `report (${DRY_RUN_FORMATS.join(' | ')}) solo se admite con dryRun: true`);
+    }
 
     const propiedades = await getPropertiesAndRoomMaps({ propertyIds, onlyActiveIfNoIds: true, log });
     if (!propiedades.length) return bad(res, 400, 'No se encontraron propiedades con api_key de WuBook.');
 
+    const metricsStart = getWubookMetrics();
     const summary = [];
     for (const prop of propiedades) {
       log('PROP START', { id: prop.id, nombre: prop.nombre, roomsMapped: prop.roomMap.size });
 
-      const reservas = await fetchToday({ apiKey: prop.apiKey });
+      let reservas;
+      try {
+        reservas = await fetchToday({ apiKey: prop.apiKey });
+      } catch (e) {
+        log('PROP ERROR', { id: prop.id, kind: e?.kind, error: e?.message });
+        summary.push({ propiedad: { id: prop.id, nombre: prop.nombre }, error: e?.message || 'error', error_kind: e?.kind || null });
+        if (!dryRun) await recordSyncRun({ prop, source: 'wubookSyncToday', error: e, log });
+        continue;
+      }
       const result = await upsertReservations({
         reservas,
         prop,
@@ -99,6 +127,7 @@ export default async function handler(req, res) {
         sourceTag: 'wubookSyncToday',
         log
       });
+      if (!dryRun) await recordSyncRun({ prop, source: 'wubookSyncToday', result, found: reservas.length, log });
 
       summary.push({
         propiedad: { id: prop.id, nombre: prop.nombre },
@@ -110,7 +139,13 @@ export default async function handler(req, res) {
       log('PROP DONE', summary[summary.length - 1]);
     }
 
-    return ok(res, { ok: true, summary });
+    const payload = { ok: true, summary, wubook_api: wubookMetricsSince(metricsStart) };
+    if (report) {
+      const entries = summary.flatMap((s) => s.dry_run_report || []);
+      const stamp = DateTime.now().setZone(TZ).toFormat('yyyyLLdd_HHmm');
+      return sendReportFile(res, { format: report, filename: `dryrun_syncToday_${stamp}`, entries, payload });
+    }
+    return ok(res, payload);
   } catch (err) {
     log('ERROR', err?.message); console.error(err);
     return bad(res, 500, err?.message || 'Error interno');
@@ -0,0 +1,63 @@
+/**
+ * lib/dqIssues.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Problemas de calidad de datos (data quality) detectados en el import y
+ * guardados en la reserva como `dq_issues[]` (+ `dq_open` para poder consultarlos).
+ *
+ * FORMA DE UN ISSUE
+ *   {
+ *     code: 'arrival_mismatch',
+ *     field: 'arrival',
+ *     status: 'open' | 'resolved',
+ *     room_value: 'dd/MM/yyyy',          // room.dfrom (lo que usa el import: ROOM-FIRST)
+ *     reservation_value: 'dd/MM/yyyy',   // reserva.dfrom
+ *     detectedAt: ISO, detectedBy: <sourceTag>,
+ *     // al confirmar un host:
+ *     resolution: 'room' | 'reservation', resolvedAt: ISO, resolvedBy: { uid, email, name }
+ *   }
+ *
+ * RECONCILIACIÓN (en cada import)
+ *   - Mismo code + mismos valores → se conserva tal cual (abierto o resuelto; hash estable).
+ *   - Valores distintos → el anterior se reemplaza por uno nuevo abierto.
+ *   - Ya no se detecta → se descarta (abierto o resuelto; el historial del doc lo conserva).
+ *     Así un issue resuelto siempre corresponde a los datos actuales de WuBook.
+ *   - Códigos que este módulo no maneja se conservan sin tocar.
+ */
+
+export const DQ_ARRIVAL_MISMATCH = 'arrival_mismatch';
+export const DQ_RESOLUTIONS = ['room', 'reservation'];
+const MANAGED_CODES = new Set([DQ_ARRIVAL_MISMATCH]);
+
+const sameValues = (a, b) => a.code === b.code
+  && a.room_value === b.room_value
+  && a.reservation_value === b.reservation_value;
+
+/** Arrival del room distinto del de la reserva (null si coinciden o falta alguno). */
+export function detectArrivalMismatch(r, room) {
+  const reservationValue = r?.dfrom || r?.arrival || null;
+  const roomValue = room?.dfrom || room?.arrival || null;
+  if (!reservationValue || !roomValue || reservationValue === roomValue) return null;
+  return { code: DQ_ARRIVAL_MISMATCH, field: 'arrival', room_value: roomValue, reservation_value: reservationValue };
+}
+
+/** Une los issues guardados con los detectados en esta corrida (ver RECONCILIACIÓN). */
+export function reconcileDqIssues(oldIssues, detected, { at, by } = {}) {
+  const previous = Array.isArray(oldIssues) ? oldIssues : [];
+  const out = previous.filter((x) => !MANAGED_CODES.has(x?.code));
+
+  for (const d of detected || []) {
+    const kept = previous.find((x) => sameValues(x, d));
+    out.push(kept || { ...d, status: 'open', detectedAt: at || null, detectedBy: by || null });
+  }
+  return out;
+}
+
+export const hasOpenDq = (issues) => (Array.isArray(issues) ? issues : []).some((x) => x?.status === 'open');
+
+/** Arrival confirmado por un host para un mismatch resuelto (null si no hay). */
+export function confirmedArrival(issues) {
+  const x = (Array.isArray(issues) ? issues : [])
+    .find((i) => i?.code === DQ_ARRIVAL_MISMATCH && i.status === 'resolved');
+  if (!x) return null;
+  return x.resolution === 'reservation' ? x.reservation_value : x.room_value;
+}
@@ -0,0 +1,86 @@
+/**
+ * lib/dryRunReport.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Reporte de lo que HARÍA un import/enrich en `dryRun`: un entry por documento
+ * con el diff campo a campo, para revisar qué se pisaría antes de correrlo en serio.
+ *
+ * ENTRY
+ *   { propiedad_id, id, id_human, change, changedKeys: [...], diff: { [key]: { from, to } }, ...extra }
+ *   change: 'created' | 'updated' | 'unchanged' | 'cancelled' | 'moved'
+ *   Los valores se serializan a JSON plano (Timestamps → ISO, FieldValue → '<serverTimestamp>').
+ *
+ * FORMATOS (param `report` de los endpoints)
+ *   - (sin param) → entries inline en la respuesta JSON
+ *   - 'json'      → misma respuesta como archivo adjunto
+ *   - 'csv'       → una fila por campo cambiado (docs sin cambios: una fila sin key)
+ *                   columnas: propiedad_id,id,id_human,change,key,from,to
+ */
+
+export const DRY_RUN_FORMATS = ['json', 'csv'];
+
+/** Valor apto para JSON/CSV: Timestamps de Firestore a ISO y sentinels a texto. */
+export function serializeReportValue(v) {
+  if (v === undefined || v === null) return null;
+  if (typeof v?.toDate === 'function') {
+    try { return v.toDate().toISOString(); } catch { return null; }
+  }
+  if (typeof v === 'object' && !Array.isArray(v)) {
+    const secs = v.seconds ?? v._seconds;
+    if (Number.isFinite(Number(secs)) && Object.keys(v).length <= 2) {
+      return new Date(Number(secs) * 1000).toISOString();
+    }
+    // FieldValue.serverTimestamp() y compañía
+    if (v.constructor && v.constructor.name !== 'Object') return `<${v.constructor.name}>`;
+    return Object.keys(v).reduce((acc, k) => { acc[k] = serializeReportValue(v[k]); return acc; }, {});
+  }
+  if (Array.isArray(v)) return v.map(serializeReportValue);
+  return v;
+}
+
+export function buildReportEntry({ propiedad_id = null, id, id_human = null, change, diff = {}, ...extra }) {
+  const out = {};
+  for (const [k, d] of Object.entries(diff || {})) {
+    out[k] = { from: serializeReportValue(d?.from), to: serializeReportValue(d?.to) };
+  }
+  return { propiedad_id, id, id_human, change, changedKeys: Object.keys(out), diff: out, ...extra };
+}
+
+const CSV_COLUMNS = ['propiedad_id', 'id', 'id_human', 'change', 'key', 'from', 'to'];
+
+const csvCell = (v) => {
+  if (v === undefined || v === null) return '';
+  const s = typeof v === 'object' ? JSON.stringify(v) : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export function reportToRows(entries = []) {
+  const rows = [];
+  for (const e of entries) {
+    const base = { propiedad_id: e.propiedad_id, id: e.id, id_human: e.id_human, change: e.change };
+    const keys = e.changedKeys?.length ? e.changedKeys : [null];
+    for (const key of keys) {
+      rows.push({ ...base, key, from: key ? e.diff[key]?.from : null, to: key ? e.diff[key]?.to : null });
+    }
+  }
+  return rows;
+}
+
+export function reportToCsv(entries = []) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const row of reportToRows(entries)) lines.push(CSV_COLUMNS.map((c) => csvCell(row[c])).join(','));
+  // BOM para que Excel abra bien los acentos
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+/** Devuelve el reporte como archivo adjunto (json | csv). `payload` es la respuesta JSON completa. */
+export function sendReportFile(res, { format, filename, entries, payload }) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    return res.status(200).send(reportToCsv(entries));
+  }
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+  return res.status(200).send(JSON.stringify(payload, null, 2));
+}
@@ -25,7 +25,7 @@ export function buildStyles() {
 
 /* ---------- builder de filas (con/sin "Departamento") ---------- */
 export function buildRowsFromByCur(byCur, { includeDepartment = false } = {}) {
-  const all = [...(byCur?.ARS || []), ...(byCur?.USD || [])];
+  const all = Object.values(byCur || {}).flat();
 
   return all.map((r) => {
     const acc = r._res?.accounting || {};
@@ -118,7 +118,7 @@ export function getLayoutConfig({ includeDepartment }) {
   };
 }
 
-/* ---------- escribir sección ($/USD) ---------- */
+/* ---------- escribir sección ($/USD/EUR/...) ---------- */
 export function writeSection(ws, label, rows, styles, { HEADERS, moneyCols, netIdx, rowHeights }) {
   // título de sección (negro sin fill)
   const secRow = ws.addRow([label]);
@@ -166,7 +166,7 @@ export function writeSection(ws, label, rows, styles, { HEADERS, moneyCols, netI
     cell.border = { top: undefined, left: undefined, bottom: undefined, right: undefined };
     cell.alignment = col === netIdx ? styles.alignRight : styles.alignLeft;
   }
-  ws.getCell(totalRow.number, 1).value = `TOTAL EN ${label.endsWith("USD") ? "USD" : "$"}`;
+  ws.getCell(totalRow.number, 1).value = `TOTAL EN ${label.split(" ").pop()}`;
   ws.getCell(totalRow.number, netIdx).value = total;
   ws.getCell(totalRow.number, netIdx).numFmt = '#,##0.00';
 }
@@ -5,6 +5,30 @@ import { firestore } from './firebaseAdmin.js';
 
 const defaultLog = (...xs) => console.log('[props]', ...xs);
 
+/** apiKey de WuBook de una propiedad (campo nuevo o los de integraciones). */
+export const wubookApiKeyOf = (data) =>
+  data?.api_key ||
+  data?.integraciones?.wubook_apiKey ||
+  data?.integraciones?.wubook?.apiKey ||
+  null;
+
+/**
+ * Config de WuBook de una propiedad por id, cacheada por instancia (solo si tiene apiKey):
+ * { apiKey, pushPayments } · null si la propiedad no existe.
+ * La usan enrich y los push de notas/pagos.
+ */
+const wubookConfigCache = new Map();
+export async function getWubookConfig(propId) {
+  const id = String(propId);
+  if (wubookConfigCache.has(id)) return wubookConfigCache.get(id);
+  const snap = await firestore.collection('propiedades').doc(id).get();
+  if (!snap.exists) return null;
+  const data = snap.data() || {};
+  const cfg = { apiKey: wubookApiKeyOf(data), pushPayments: data.wubook_push_payments === true };
+  if (cfg.apiKey) wubookConfigCache.set(id, cfg);
+  return cfg;
+}
+
 /**
  * Devuelve un array de DocumentSnapshots de propiedades.
  * - Si vienen propertyIds => trae solo esas (y no filtra por booleano).
@@ -35,12 +59,16 @@ export async function fetchPropertyDocs({
   return snap.docs;
 }
 
-/** Arma un Map(idZak => {codigo_depto, nombre_depto}) para una propiedad */
+/**
+ * Arma un Map(idZak => {codigo_depto, nombre_depto}) para una propiedad.
+ * Excluye borradores descubiertos por el import (`draft: true`) hasta que se aprueban.
+ */
 export async function buildRoomMapForProperty(propDoc, { log = defaultLog } = {}) {
   const depsSnap = await propDoc.ref.collection('departamentos').get();
   const roomMap = new Map();
   for (const dep of depsSnap.docs) {
     const v = dep.data();
+    if (v?.draft === true) continue;
     const idZak = dep.id;
     const codigo_depto = v?.codigo_depto || v?.wubook_shortname || dep.id;
     const nombre_depto = v?.nombre || v?.name || '';
@@ -73,10 +101,7 @@ export async function getPropertiesAndRoomMaps({
       continue;
     }
 
-    const apiKey =
-      data?.api_key ||
-      data?.integraciones?.wubook_apiKey ||
-      data?.integraciones?.wubook?.apiKey;
+    const apiKey = wubookApiKeyOf(data);
 
     if (!apiKey) continue;
 
@@ -45,6 +45,10 @@ function getCredentialsFromEnv() {
 }
 
 // Inicializa Admin SDK una sola vez (reutilizable entre endpoints)
+// Con FIRESTORE_EMULATOR_HOST y sin service account (tests locales) alcanza con un projectId.
+if (!admin.apps.length && process.env.FIRESTORE_EMULATOR_HOST && !process.env.FIREBASE_SERVICE_ACCOUNT_JSON) {
+  admin.initializeApp({ projectId: process.env.GCLOUD_PROJECT || "demo-dashboard-hosts" });
+}
 if (!admin.apps.length) {
   const creds = getCredentialsFromEnv();
   admin.initializeApp({
@@ -0,0 +1,69 @@
+/**
+ * lib/fxOverride.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Corrección manual de una cotización (`cotizaciones/<MONEDA>/yyyy/mm/dd/cot[_<casa>]`)
+ * desde /api/fxOverride. Helpers puros: validación del pedido y armado del doc.
+ *
+ * DOC CORREGIDO
+ *   { fecha, moneda, casa, compra, venta, fuente: 'manual', manual: true,
+ *     manualBy: { uid, email, name }, manualAt, manualReason,
+ *     previous: { compra, venta, fuente } | null }   // valor que se pisó
+ *   /api/dolarByDate no pisa docs con `manual: true` salvo `force=true`.
+ *
+ * AUDITORÍA
+ *   Subcolección `historial` del doc: { ts, source: 'manual_override', by, reason, from, to, relink }
+ */
+
+import { FX_CASAS } from './fxPolicy.js';
+
+export const FX_OVERRIDE_CURRENCIES = ['USD', 'EUR', 'BRL', 'CLP', 'UYU'];
+
+const isISODate = (s) => /^\d{4}-\d{2}-\d{2}$/.test(String(s || '')) && !Number.isNaN(Date.parse(`${s}T00:00:00Z`));
+const positive = (v) => (v !== null && v !== undefined && v !== '' && Number.isFinite(Number(v)) && Number(v) > 0 ? Number(v) : null);
+const toBool = (v) => v === true || String(v).toLowerCase() === 'true';
+
+/** Body del POST → { value } o { error } (mensaje para el 400). */
+export function validateFxOverride(body = {}, { todayISO } = {}) {
+  const moneda = String(body.moneda || 'USD').trim().toUpperCase();
+  const casa = String(body.casa || 'oficial').trim().toLowerCase();
+  const fecha = String(body.fecha || '').trim();
+  const compra = positive(body.compra);
+  const venta = positive(body.venta);
+  const reason = String(body.reason || '').trim().slice(0, 500) || null;
+  const relink = toBool(body.relink);
+  const propertyIds = (Array.isArray(body.propertyIds) ? body.propertyIds : String(body.propertyIds || '').split(','))
+    .map((x) => String(x).trim()).filter(Boolean);
+
+  if (!FX_OVERRIDE_CURRENCIES.includes(moneda)) return { error: `moneda debe ser ${FX_OVERRIDE_CURRENCIES.join(' | ')}` };
+  if (!FX_CASAS.includes(casa)) return { error: `casa debe ser ${FX_CASAS.join(' | ')}` };
+  if (!isISODate(fecha)) return { error: 'fecha debe ser YYYY-MM-DD' };
+  if (todayISO && fecha > todayISO) return { error: 'No se puede cargar una cotización futura' };
+  if (compra === null && venta === null) return { error: 'compra y/o venta deben ser números > 0' };
+  if (compra !== null && venta !== null && compra > venta) return { error: 'compra no puede ser mayor que venta' };
+  // usd_fx_on_checkin sale solo de la oficial en USD
+  if (relink && (moneda !== 'USD' || casa !== 'oficial')) return { error: 'relink solo aplica a USD oficial' };
+
+  return { value: { moneda, casa, fecha, compra, venta, reason, relink, propertyIds } };
+}
+
+/** Valor anterior que queda en `previous` / historial (null si el doc no existía). */
+export const quoteSnapshot = (data) => (data
+  ? { compra: data.compra ?? null, venta: data.venta ?? null, fuente: data.fuente ?? null }
+  : null);
+
+/** Campos a mergear en el doc de la cotización (sin timestamps, los pone el handler). */
+export function buildOverrideDoc({ moneda, casa, fecha, compra, venta, reason }, { before = null, by } = {}) {
+  return {
+    fecha,
+    moneda,
+    casa,
+    // un lado sin informar conserva el valor que ya tenía el doc
+    compra: compra ?? before?.compra ?? null,
+    venta: venta ?? before?.venta ?? null,
+    fuente: 'manual',
+    manual: true,
+    manualBy: by || null,
+    manualReason: reason || null,
+    previous: quoteSnapshot(before),
+  };
+}
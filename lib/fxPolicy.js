@@ -0,0 +1,90 @@
+/**
+ * lib/fxPolicy.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Qué dólar usar para pasar a USD un pago en ARS, por propiedad y por forma de
+ * cobro (p.ej. efectivo al blue, transferencias al MEP/bolsa). Helpers puros; la
+ * config se lee de Firestore en `paymentFxUSD` (lib/importProcessShared.js).
+ *
+ * CONFIG (`configuracion/fx_policies`)
+ *   {
+ *     default:    { casa: 'oficial', side: 'mid', spread_pct: 0 },
+ *     byMethod:   { 'Efectivo': { casa: 'blue', side: 'compra' }, 'Transferencia': { casa: 'bolsa' } },
+ *     byProperty: { '106': { default: {...}, byMethod: {...} } }
+ *   }
+ *   Se combinan de lo general a lo particular (cada nivel pisa solo lo que define):
+ *     FX_POLICY_DEFAULT → default → byMethod[método] → byProperty[id].default → byProperty[id].byMethod[método]
+ *   El método se compara sin mayúsculas ni espacios extremos.
+ *
+ * POLÍTICA
+ *   casa:       'oficial' | 'blue' | 'bolsa' (MEP) | 'contadoconliqui' | 'mayorista' | 'tarjeta' | 'cripto'
+ *   side:       'mid' (promedio compra/venta) | 'compra' | 'venta'
+ *   spread_pct: ajuste porcentual sobre el TC elegido (p.ej. -1 = 1% menos)
+ *
+ * COTIZACIONES
+ *   oficial en `cotizaciones/USD/yyyy/mm/dd/cot` (como siempre); el resto de las casas en
+ *   `.../dd/cot_<casa>` (las guarda /api/dolarByDate con `casa=`).
+ */
+
+export const FX_POLICIES_DOC = { collection: 'configuracion', doc: 'fx_policies' };
+export const FX_CASAS = ['oficial', 'blue', 'bolsa', 'contadoconliqui', 'mayorista', 'tarjeta', 'cripto'];
+export const FX_SIDES = ['mid', 'compra', 'venta'];
+export const FX_POLICY_DEFAULT = Object.freeze({ casa: 'oficial', side: 'mid', spread_pct: 0 });
+
+const normKey = (s) => String(s ?? '').trim().toLowerCase();
+
+/** Solo los campos válidos de un nivel de la config. */
+export function sanitizeFxPolicy(p = {}) {
+  const out = {};
+  if (FX_CASAS.includes(normKey(p?.casa))) out.casa = normKey(p.casa);
+  if (FX_SIDES.includes(normKey(p?.side))) out.side = normKey(p.side);
+  if (p?.spread_pct !== undefined && p?.spread_pct !== null && Number.isFinite(Number(p.spread_pct))) {
+    out.spread_pct = Number(p.spread_pct);
+  }
+  return out;
+}
+
+const byMethodLookup = (map, method) => {
+  if (!map || typeof map !== 'object') return {};
+  const want = normKey(method);
+  if (!want) return {};
+  const key = Object.keys(map).find((k) => normKey(k) === want);
+  return key ? map[key] : {};
+};
+
+/** Política efectiva para (propiedad, método) según `configuracion/fx_policies`. */
+export function resolveFxPolicy(config = {}, { propiedad_id = null, method = null } = {}) {
+  const prop = propiedad_id !== null && propiedad_id !== undefined ? config?.byProperty?.[String(propiedad_id)] : null;
+  return {
+    ...FX_POLICY_DEFAULT,
+    ...sanitizeFxPolicy(config?.default),
+    ...sanitizeFxPolicy(byMethodLookup(config?.byMethod, method)),
+    ...sanitizeFxPolicy(prop?.default),
+    ...sanitizeFxPolicy(byMethodLookup(prop?.byMethod, method)),
+  };
+}
+
+/** Id del doc de cotización de una casa dentro de cotizaciones/<MONEDA>/yyyy/mm/dd. */
+export const quoteDocIdForCasa = (casa) => {
+  const c = normKey(casa) || 'oficial';
+  return c === 'oficial' ? 'cot' : `cot_${c}`;
+};
+
+/** 'cotizaciones/USD/2025/10/01/cot_blue' para (moneda, 'YYYY-MM-DD', casa). */
+export const quoteDocPath = (moneda, isoDate, casa = 'oficial') => {
+  const [yyyy, mm, dd] = String(isoDate).split('-');
+  return `cotizaciones/${String(moneda || 'USD').toUpperCase()}/${yyyy}/${mm}/${dd}/${quoteDocIdForCasa(casa)}`;
+};
+
+/** TC (ARS por USD) de una cotización { compra, venta } según side/spread; null si no alcanza. */
+export function rateFromQuote(quote = {}, policy = FX_POLICY_DEFAULT) {
+  const buy = Number(quote?.compra), sell = Number(quote?.venta);
+  const hasBuy = Number.isFinite(buy) && buy > 0;
+  const hasSell = Number.isFinite(sell) && sell > 0;
+  let base = null;
+  if (policy.side === 'compra') base = hasBuy ? buy : (hasSell ? sell : null);
+  else if (policy.side === 'venta') base = hasSell ? sell : (hasBuy ? buy : null);
+  else base = hasBuy && hasSell ? (buy + sell) / 2 : (hasSell ? sell : (hasBuy ? buy : null));
+  if (base === null) return null;
+  const spread = Number(policy.spread_pct) || 0;
+  return +(base * (1 + spread / 100)).toFixed(4);
+}
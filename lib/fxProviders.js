@@ -0,0 +1,247 @@
+/**
+ * lib/fxProviders.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * OBJETIVO
+ *   Fuentes de cotizaciones detrás de una misma interfaz, para que /api/dolarByDate
+ *   no dependa de una sola API: se prueban en orden de prioridad y si una falla
+ *   (error de red/HTTP o sin dato) se pasa a la siguiente.
+ *
+ * INTERFAZ DE UN PROVEEDOR
+ *   {
+ *     id, fuente,                                  // fuente = lo que se guarda en `cot.fuente`
+ *     daily?:      () → [{ moneda, casa, fecha, compra, venta, nombre }]     // varias monedas, hoy
+ *     historical?: ({ moneda, casa, isoDate, allowPrev }) → { fecha, casa, compra, venta, fallback? } | null
+ *   }
+ *   Un método ausente = el proveedor no soporta ese modo (se saltea).
+ *
+ * PROVEEDORES
+ *   dolarapi        diario multi-moneda (BASE_URL_DOLARAPI, default https://dolarapi.com/v1)
+ *   argentinadatos  histórico USD por casa (BASE_URL_ARDATOS, default https://api.argentinadatos.com/v1/cotizaciones/dolares)
+ *   file            JSON local (FX_FILE_PATH, default ./fx-quotes.json) para tests offline y carga manual:
+ *                     { "quotes": [{ "fecha": "2025-10-01", "moneda": "USD", "casa": "oficial", "compra": 1180, "venta": 1220 }] }
+ *                   diario = las filas con fecha de hoy (AR); histórico = la fila exacta o la previa más cercana;
+ *                   si el archivo no existe responde sin datos
+ *   Las bases y la ruta se leen en cada llamada (tests).
+ *
+ * PRIORIDAD (env, ids separados por coma; el endpoint acepta `providers=` para pisarla)
+ *   FX_PROVIDERS_DAILY       default 'dolarapi,file'
+ *   FX_PROVIDERS_HISTORICAL  default 'argentinadatos,file'
+ *
+ * FALLBACK
+ *   - Diario: el primero que devuelve datos gana.
+ *   - Histórico: primero la fecha exacta en todos los proveedores, recién después (allowPrev)
+ *     el día previo; así un dato cargado a mano para un feriado le gana al "previous" de la API.
+ *   - `attempts: [{ provider, status: 'ok' | 'empty' | 'not_found' | 'error' | 'unsupported', error? }]`
+ *   - Si ninguno tiene dato y alguno falló → FxProviderError (con `attempts`); si todos
+ *     respondieron sin dato, histórico devuelve quote null (not_found).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { DateTime } from 'luxon';
+
+const TZ = 'America/Argentina/Buenos_Aires';
+
+export const FX_PROVIDER_IDS = ['dolarapi', 'argentinadatos', 'file'];
+export const DEFAULT_DAILY_PROVIDERS = ['dolarapi', 'file'];
+export const DEFAULT_HISTORICAL_PROVIDERS = ['argentinadatos', 'file'];
+
+export class FxProviderError extends Error {
+  constructor(message, attempts = []) {
+    super(message);
+    this.name = 'FxProviderError';
+    this.attempts = attempts;
+  }
+}
+
+const num = (v) => (Number.isFinite(Number(v)) && v !== null && v !== '' ? Number(v) : null);
+const todayAR = () => DateTime.now().setZone(TZ).toISODate();
+
+// ---------- dolarapi.com (diario) ----------
+const dolarApiBase = () => process.env.BASE_URL_DOLARAPI || 'https://dolarapi.com/v1';
+
+// GET /v1/cotizaciones -> [{ moneda: 'USD', casa: 'oficial', nombre: 'Dólar', compra, venta, fechaActualizacion }, ...]
+async function dolarApiDaily() {
+  const base = dolarApiBase();
+  // sanity: que no apunte a ArgentinaDatos
+  if (base.includes('argentinadatos.com')) {
+    throw new Error(`Misconfig: DOLARAPI_BASE apunta a ArgentinaDatos (${base}). Corregí BASE_URL_DOLARAPI.`);
+  }
+  const r = await fetch(`${base}/cotizaciones`, { headers: { accept: 'application/json' } });
+  if (!r.ok) {
+    const body = await r.text();
+    throw new Error(`DolarApi ${r.status}: ${body.slice(0, 240)}`);
+  }
+  const data = await r.json();
+  return (Array.isArray(data) ? data : []).map((it) => {
+    // fechaActualizacion viene ISO con hora Z; nos quedamos con YYYY-MM-DD (AR)
+    const d = it.fechaActualizacion ? DateTime.fromISO(String(it.fechaActualizacion), { zone: TZ }) : null;
+    return {
+      moneda: String(it.moneda || '').toUpperCase(),
+      casa: it.casa || 'oficial',
+      fecha: d?.isValid ? d.toISODate() : todayAR(),
+      compra: num(it.compra),
+      venta: num(it.venta),
+      nombre: it.nombre || null,
+    };
+  });
+}
+
+// ---------- api.argentinadatos.com (histórico USD) ----------
+const arDatosBase = () => process.env.BASE_URL_ARDATOS || 'https://api.argentinadatos.com/v1/cotizaciones/dolares';
+
+function arDatosCheck(base) {
+  // sanity: si por error apunta a dolarapi, frená
+  if (base.includes('dolarapi.com')) {
+    throw new Error(`Misconfig: ARDATOS_BASE apunta a dolarapi (${base}). Corregí BASE_URL_ARDATOS.`);
+  }
+}
+
+async function arDatosHistorical({ moneda = 'USD', casa = 'oficial', isoDate, allowPrev = false }) {
+  if (String(moneda).toUpperCase() !== 'USD') return null;
+  const base = arDatosBase();
+  arDatosCheck(base);
+  const fechaPath = DateTime.fromISO(isoDate, { zone: TZ }).toFormat('yyyy/MM/dd');
+  const r = await fetch(`${base}/${encodeURIComponent(casa)}/${fechaPath}`, { headers: { accept: 'application/json' } });
+  if (r.ok) {
+    const q = await r.json();
+    return q ? { fecha: isoDate, casa: q.casa || casa, compra: num(q.compra), venta: num(q.venta) } : null;
+  }
+  if (r.status !== 404) {
+    const body = await r.text();
+    throw new Error(`ArgentinaDatos ${r.status}: ${body.slice(0, 240)}`);
+  }
+  if (!allowPrev) return null;
+
+  // 404: serie completa de la casa y último hábil anterior
+  const h = await fetch(`${base}/${encodeURIComponent(casa)}`, { headers: { accept: 'application/json' } });
+  if (!h.ok) throw new Error(`ArgentinaDatos hist ${h.status}`);
+  const arr = await h.json();
+  if (!Array.isArray(arr)) return null;
+  const exact = arr.find((x) => x?.fecha === isoDate);
+  if (exact) return { fecha: isoDate, casa: exact.casa || casa, compra: num(exact.compra), venta: num(exact.venta) };
+  const found = arr
+    .filter((x) => x?.fecha && x.fecha < isoDate)
+    .sort((a, b) => (a.fecha < b.fecha ? 1 : -1))[0];
+  return found ? { fecha: isoDate, casa: found.casa || casa, compra: num(found.compra), venta: num(found.venta), fallback: 'previous' } : null;
+}
+
+// ---------- archivo local (tests offline / carga manual) ----------
+const fxFilePath = () => process.env.FX_FILE_PATH || path.join(process.cwd(), 'fx-quotes.json');
+
+async function readFxFile() {
+  let text;
+  try {
+    text = await fs.readFile(fxFilePath(), 'utf8');
+  } catch (e) {
+    // sin archivo (lo normal en producción) = sin datos, no un proveedor caído
+    if (e?.code === 'ENOENT') return [];
+    throw e;
+  }
+  const raw = JSON.parse(text);
+  const list = Array.isArray(raw) ? raw : (Array.isArray(raw?.quotes) ? raw.quotes : []);
+  return list
+    .map((q) => ({
+      fecha: String(q?.fecha || '').slice(0, 10),
+      moneda: String(q?.moneda || 'USD').toUpperCase(),
+      casa: String(q?.casa || 'oficial').toLowerCase(),
+      compra: num(q?.compra),
+      venta: num(q?.venta),
+      nombre: q?.nombre || null,
+    }))
+    .filter((q) => /^\d{4}-\d{2}-\d{2}$/.test(q.fecha) && (q.compra !== null || q.venta !== null));
+}
+
+async function fileDaily() {
+  const today = todayAR();
+  return (await readFxFile()).filter((q) => q.fecha === today);
+}
+
+async function fileHistorical({ moneda = 'USD', casa = 'oficial', isoDate, allowPrev = false }) {
+  const rows = (await readFxFile())
+    .filter((q) => q.moneda === String(moneda).toUpperCase() && q.casa === String(casa).toLowerCase());
+  const exact = rows.find((q) => q.fecha === isoDate);
+  if (exact) return { fecha: isoDate, casa: exact.casa, compra: exact.compra, venta: exact.venta };
+  if (!allowPrev) return null;
+  const prev = rows.filter((q) => q.fecha < isoDate).sort((a, b) => (a.fecha < b.fecha ? 1 : -1))[0];
+  return prev ? { fecha: isoDate, casa: prev.casa, compra: prev.compra, venta: prev.venta, fallback: 'previous' } : null;
+}
+
+const PROVIDERS = {
+  dolarapi: { id: 'dolarapi', fuente: 'dolarapi.com', daily: dolarApiDaily },
+  argentinadatos: { id: 'argentinadatos', fuente: 'api.argentinadatos.com', historical: arDatosHistorical },
+  file: { id: 'file', fuente: 'file', daily: fileDaily, historical: fileHistorical },
+};
+
+export const getFxProvider = (id) => PROVIDERS[String(id || '').trim().toLowerCase()] || null;
+
+/** 'file, dolarapi,foo' → ['file', 'dolarapi']; vacío o sin ids válidos → `defaults`. */
+export function parseFxProviders(value, defaults) {
+  const ids = [...new Set((Array.isArray(value) ? value : String(value || '').split(','))
+    .map((s) => String(s).trim().toLowerCase()))]
+    .filter((s) => FX_PROVIDER_IDS.includes(s));
+  return ids.length ? ids : [...defaults];
+}
+
+/** Proveedores para `mode` ('daily' | 'historical'): `value` (p.ej. query) > env > default. */
+export function resolveFxProviders(mode, value = null) {
+  const daily = mode === 'daily';
+  const envValue = daily ? process.env.FX_PROVIDERS_DAILY : process.env.FX_PROVIDERS_HISTORICAL;
+  const defaults = daily ? DEFAULT_DAILY_PROVIDERS : DEFAULT_HISTORICAL_PROVIDERS;
+  return parseFxProviders(value || envValue, defaults).map(getFxProvider);
+}
+
+const errMsg = (e) => e?.message || String(e);
+
+/** Cotizaciones del día del primer proveedor que responda con datos → { provider, fuente, items, attempts }. */
+export async function fetchDailyQuotes(providers, { log = () => {} } = {}) {
+  const attempts = [];
+  for (const p of providers) {
+    if (typeof p?.daily !== 'function') { attempts.push({ provider: p?.id ?? null, status: 'unsupported' }); continue; }
+    try {
+      const items = await p.daily();
+      if (items?.length) {
+        attempts.push({ provider: p.id, status: 'ok' });
+        return { provider: p.id, fuente: p.fuente, items, attempts };
+      }
+      attempts.push({ provider: p.id, status: 'empty' });
+    } catch (e) {
+      log('WARN daily provider', p.id, errMsg(e));
+      attempts.push({ provider: p.id, status: 'error', error: errMsg(e) });
+    }
+  }
+  throw new FxProviderError('Ningún proveedor devolvió cotizaciones del día', attempts);
+}
+
+/**
+ * Cotización de `moneda`/`casa` en `isoDate` → { provider, fuente, quote, attempts }.
+ * Primero fecha exacta en todos; con `allowPrev`, después el hábil previo. quote null = not_found.
+ */
+export async function fetchHistoricalQuote(providers, { moneda = 'USD', casa = 'oficial', isoDate, allowPrev = false, log = () => {} } = {}) {
+  const attempts = [];
+  const passes = allowPrev ? [false, true] : [false];
+  const failed = new Set();
+  for (const prev of passes) {
+    for (const p of providers) {
+      if (typeof p?.historical !== 'function') {
+        if (!prev) attempts.push({ provider: p?.id ?? null, status: 'unsupported' });
+        continue;
+      }
+      if (failed.has(p.id)) continue; // ya falló en la pasada exacta: no insistir
+      try {
+        const quote = await p.historical({ moneda, casa, isoDate, allowPrev: prev });
+        if (quote && (quote.compra !== null || quote.venta !== null)) {
+          attempts.push({ provider: p.id, status: 'ok', ...(prev ? { fallback: 'previous' } : {}) });
+          return { provider: p.id, fuente: p.fuente, quote, attempts };
+        }
+        attempts.push({ provider: p.id, status: 'not_found', ...(prev ? { fallback: 'previous' } : {}) });
+      } catch (e) {
+        log('WARN historical provider', p.id, isoDate, errMsg(e));
+        failed.add(p.id);
+        attempts.push({ provider: p.id, status: 'error', error: errMsg(e) });
+      }
+    }
+  }
+  if (failed.size) throw new FxProviderError(`Sin cotización para ${isoDate}: ${[...failed].join(', ')} con error`, attempts);
+  return { provider: null, fuente: null, quote: null, attempts };
+}
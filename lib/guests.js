@@ -0,0 +1,171 @@
+/**
+ * lib/guests.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Perfiles de huésped (`Huespedes/{id}`) que unen las reservas de un mismo cliente.
+ * Helpers puros: normalización/matching y armado del doc. La lectura/escritura en
+ * Firestore la hace el enrich (resolveGuest) y /api/huespedes.
+ *
+ * IDENTIDAD
+ *   1) Booker de WuBook: doc-id `wb_<bookerId>` (o un perfil que ya lo tenga en
+ *      `wubook_booker_ids[]`, p.ej. el mismo cliente con otro booker por otro canal).
+ *   2) Sin booker (o booker nuevo): match "fuzzy" por `match_keys[]`:
+ *        'email:<email normalizado>'  → minúsculas; en gmail sin puntos ni +tag
+ *        'phone:<últimos 8 dígitos>'  → ignora +54 / 0 / 15 y formatos
+ *   3) Si nada matchea se crea el perfil (doc-id `wb_<bookerId>` o autogenerado).
+ *
+ * FORMA DEL DOC
+ *   { nombre, emails[], phones[], match_keys[], wubook_booker_ids[],
+ *     address, city, country, propiedad_ids[], createdAt, updatedAt }
+ *   Las reservas apuntan al perfil con `huesped_id`; el historial se arma consultándolas.
+ */
+
+export const HUESPEDES_COLLECTION = 'Huespedes';
+const PHONE_MATCH_DIGITS = 8;
+const GMAIL_DOMAINS = new Set(['gmail.com', 'googlemail.com']);
+
+const uniq = (arr) => [...new Set((arr || []).filter(Boolean))];
+
+export function normalizeEmail(s) {
+  const v = String(s || '').trim().toLowerCase();
+  const m = v.match(/^([^@\s]+)@([^@\s]+\.[^@\s]+)$/);
+  if (!m) return null;
+  let [, local, domain] = m;
+  if (GMAIL_DOMAINS.has(domain)) {
+    local = local.split('+')[0].replace(/\./g, '');
+    domain = 'gmail.com';
+  }
+  return `${local}@${domain}`;
+}
+
+/** Últimos 8 dígitos: suficiente para distinguir y tolera prefijos de país/área. */
+export function normalizePhone(s) {
+  const digits = String(s || '').replace(/\D/g, '');
+  return digits.length >= PHONE_MATCH_DIGITS ? digits.slice(-PHONE_MATCH_DIGITS) : null;
+}
+
+export function guestMatchKeys({ email, phone } = {}) {
+  const e = normalizeEmail(email);
+  const p = normalizePhone(phone);
+  return uniq([e && `email:${e}`, p && `phone:${p}`]);
+}
+
+export const isBookerId = (v) => /^\d+$/.test(String(v ?? '').trim());
+
+export const guestIdForBooker = (bookerId) => (isBookerId(bookerId) ? `wb_${String(bookerId).trim()}` : null);
+
+/** Datos de cliente del enrich (nombre_huesped, customer_*) → campos del perfil. */
+export function guestFromCustomer(customer = {}) {
+  return {
+    nombre: customer.nombre_huesped && !isBookerId(customer.nombre_huesped) ? customer.nombre_huesped : null,
+    email: customer.customer_email || null,
+    phone: customer.customer_phone || null,
+    address: customer.customer_address || null,
+    city: customer.customer_city || null,
+    country: customer.customer_country || null,
+  };
+}
+
+/**
+ * Merge del perfil existente con lo que trae una reserva. Nunca borra datos:
+ * agrega emails/teléfonos/bookers y pisa nombre/dirección solo con valores no vacíos.
+ */
+export function mergeGuestProfile(existing = {}, { bookerId = null, guest = {}, propiedad_id = null } = {}) {
+  const emails = uniq([...(existing.emails || []), guest.email && String(guest.email).trim()]);
+  const phones = uniq([...(existing.phones || []), guest.phone && String(guest.phone).trim()]);
+  return {
+    nombre: guest.nombre || existing.nombre || null,
+    emails,
+    phones,
+    match_keys: uniq([
+      ...(existing.match_keys || []),
+      ...emails.flatMap((email) => guestMatchKeys({ email })),
+      ...phones.flatMap((phone) => guestMatchKeys({ phone })),
+    ]),
+    wubook_booker_ids: uniq([...(existing.wubook_booker_ids || []), isBookerId(bookerId) ? String(bookerId).trim() : null]),
+    address: guest.address || existing.address || null,
+    city: guest.city || existing.city || null,
+    country: guest.country || existing.country || null,
+    propiedad_ids: uniq([...(existing.propiedad_ids || []), propiedad_id && String(propiedad_id)]),
+  };
+}
+
+const toNum = (v) => (Number.isFinite(Number(v)) ? Number(v) : 0);
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/** Pagado en USD de una reserva (USD directo; otras monedas por usd_equiv si existe). */
+export function paidUSD(payments = []) {
+  let total = 0;
+  for (const p of payments || []) {
+    const amount = toNum(p?.amount);
+    if (!amount) continue;
+    if (String(p.currency || '').toUpperCase() === 'USD') total += amount;
+    else if (Number.isFinite(Number(p.usd_equiv))) total += Number(p.usd_equiv);
+  }
+  return total;
+}
+
+const nightsBetween = (fromISO, toISO) => {
+  const a = Date.parse(`${fromISO}T00:00:00Z`);
+  const b = Date.parse(`${toISO}T00:00:00Z`);
+  return Number.isFinite(a) && Number.isFinite(b) && b > a ? Math.round((b - a) / 86400000) : 0;
+};
+
+/**
+ * Historial de un huésped a partir de sus docs de `Reservas` (uno por room).
+ * Agrupa por reserva (propiedad + id_human); las canceladas se listan pero no suman.
+ */
+export function summarizeGuestStays(reservations = []) {
+  const byKey = new Map();
+  for (const r of reservations) {
+    const key = `${r.propiedad_id}|${r.id_human}`;
+    const stay = byKey.get(key) || {
+      propiedad_id: r.propiedad_id || null,
+      propiedad_nombre: r.propiedad_nombre || null,
+      id_human: r.id_human || null,
+      arrival_iso: r.arrival_iso || null,
+      departure_iso: r.departure_iso || null,
+      source: r.source || null,
+      is_cancelled: true,
+      deptos: [],
+      toPay_usd: 0,
+      paid_usd: 0,
+    };
+    stay.deptos.push(r.codigo_depto || r.id_zak || null);
+    // una reserva multi-room solo está cancelada si lo están todos sus rooms
+    if (r.is_cancelled !== true) {
+      stay.is_cancelled = false;
+      stay.toPay_usd = round2(stay.toPay_usd + toNum(r.toPay));
+      stay.paid_usd = round2(stay.paid_usd + paidUSD(r.payments));
+    }
+    byKey.set(key, stay);
+  }
+
+  const stays = [...byKey.values()]
+    .map((s) => ({ ...s, nights: nightsBetween(s.arrival_iso, s.departure_iso) }))
+    .sort((a, b) => String(b.arrival_iso).localeCompare(String(a.arrival_iso)));
+
+  const active = stays.filter((s) => !s.is_cancelled);
+  const totals = {
+    stays: active.length,
+    cancelled: stays.length - active.length,
+    nights: active.reduce((acc, s) => acc + s.nights, 0),
+    spend_usd: round2(active.reduce((acc, s) => acc + s.toPay_usd, 0)),
+    paid_usd: round2(active.reduce((acc, s) => acc + s.paid_usd, 0)),
+    first_arrival: active.length ? active[active.length - 1].arrival_iso : null,
+    last_arrival: active.length ? active[0].arrival_iso : null,
+  };
+
+  // notas de todas las reservas (sin repetir entre rooms de la misma reserva)
+  const seen = new Set();
+  const notes = [];
+  for (const r of reservations) {
+    for (const n of Array.isArray(r.notes) ? r.notes : []) {
+      const text = String(n?.text || '').trim();
+      const key = `${r.propiedad_id}|${r.id_human}|${n?.wubook_id ?? ''}|${text}`;
+      if (!text || seen.has(key)) continue;
+      seen.add(key);
+      notes.push({ id_human: r.id_human || null, propiedad_id: r.propiedad_id || null, source: n.source || null, by: n.by || null, ts: n.ts ?? null, text });
+    }
+  }
+  return { stays, totals, notes };
+}
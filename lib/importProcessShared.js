@@ -9,16 +9,36 @@
  *   - Cálculo de totales/toPay (`recomputeToPayFrom`)
  *   - Extracción de `roomsCount` y `extrasUSD` (total y por room) desde el JSON crudo
  *   - Upsert genérico de reservas (`upsertReservations`) con historial/batching
- *   - Fetchers específicos: `fetchByArrivalRange`, `fetchToday`
+ *   - Propagación de cancelaciones a docs existentes + rebuild de DailyIndex
+ *   - Fetchers específicos: `fetchByArrivalRange`, `fetchModifiedSince`, `fetchOneReservation`, `fetchToday`
+ *     (todos vía lib/wubookClient.js: rate limit por apiKey, reintentos y WubookError)
  *
  * API EXPORTADA
- *   - TZ, BASE_URL, round2, cur, euToISO, isNonNull
+ *   - TZ, round2, cur, euToISO, isNonNull
  *   - normalizeStatus, isCancelledReservation
- *   - stableStringify, stripKeys, hashDoc, diffDocs
+ *   - stableStringify, stripKeys, hashDoc(doc, ignore?), diffDocs, MUTATION_IGNORE_KEYS
  *   - recomputeToPayFrom(breakdown, extrasUSDFinal)
  *   - roomsCountFromRaw(r), extrasUSDTotalFromRaw(r)
- *   - upsertReservations({ reservas, prop, dryRun?, sourceTag?, log? })
+ *   - mapWubookExtras(rawList, r), extrasForRoom(items, idZak, roomsCount), extrasUSDFromItems(items, rates?)
+ *   - getQuoteARS(moneda, dateISO), fxToUSD(currency, dateISO)
+ *   - paymentFxUSD({ ts, currency?, reservation, method?, payloadRate?, policy? })  (TC por fecha de pago
+ *     y casa; ARS o cruzado para EUR/BRL/CLP/UYU, ver lib/paymentFx.js y lib/fxPolicy.js) · loadFxPolicies()
+ *   - upsertReservations({ reservas, prop, dryRun?, sourceTag?, log?, storeRaw?, rawExtras? })
+ *   - storeRawReservations({ prop, items, sourceTag?, log? })  (crudo en `WubookRaw`, ver lib/wubookRaw.js)
+ *   - stayDatesISO(arrivalISO, departureISO), refreshDailyIndexes({ dates, log? })
+ *   - mergeMovedRoomData(fromDoc, toDoc)
+ *   - fetchRoomsCatalog({ apiKey, log? }), registerUnmappedRooms({ prop, unmapped, sourceTag?, dryRun?, log? })
+ *   - recordSyncRun({ prop, source, result?, found?, error?, log? }), recordEnrichRun({ prop, attempted, errors, log? })
+ *     (estado por propiedad en `syncStatus/{id}`, ver lib/syncStatus.js)
+ *   - fetchReservationsByFilters({ apiKey, filters, log? })
  *   - fetchByArrivalRange({ apiKey, fromDate, toDate, log? })
+ *   - fetchByDepartureRange({ apiKey, fromDate, toDate, log? })
+ *   - fetchInHouseRange({ apiKey, fromDate, toDate, maxStayDays?, log? })
+ *   - IMPORT_RANGES, mergeReservationLists(...lists)
+ *   - fetchByRanges({ apiKey, fromDate, toDate, ranges?, maxStayDays?, log? }) → { reservas, found_by_range }
+ *   - fetchModifiedSince({ apiKey, sinceDate, toDate?, log? })
+ *   - fetchReservationExtras({ apiKey, id, log? })
+ *   - fetchOneReservation({ apiKey, id })
  *   - fetchToday({ apiKey })
  *
  * DECISIONES CLAVE
@@ -32,6 +52,31 @@
  *       • wubook_extrasUSD_total / _perRoom / wubook_rooms_count (meta cruda)
  *     ⇒ El “enrich” NO debe recalcular distribución si estos campos existen.
  *
+ *   - **Extras itemizados** (si `price.extras` > 0):
+ *       KP /reservations/get_extras por reserva → `extras[]` por room
+ *       { wubook_id, name, qty, unit_price, amount (neto), vat, currency, id_zak, share }.
+ *       Los extras asignados a un room van enteros a ese doc; los de la reserva se
+ *       reparten por partes iguales (`share`). `extrasUSD` se deriva de la suma USD de
+ *       `extras[]` (respetando lo editado por host); si get_extras falla se usa el prorrateo.
+ *
+ *   - **Precios no-USD** (ARS, EUR, BRL…):
+ *       Se convierten a USD con las cotizaciones guardadas (`cotizaciones/<MONEDA>/…`,
+ *       mismas que usa linkUsdFxToReservations): promedio compra/venta en ARS, día de
+ *       arrival (o hoy si es futura) con hasta 7 días hacia atrás. El breakdown guarda
+ *       originalCurrency/originalAmount/originalVat/fxToUSD/fxQuoteDate; mientras el
+ *       precio original no cambie se reutiliza esa conversión. Sin cotización no se
+ *       setea toPay (se reintenta en la próxima corrida).
+ *
+ *   - **Noches y tarifa por noche** (lib/nightlyRates.js):
+ *       `nights`, `adr_usd` (baseUSD / nights) y `nightly_rates[]` ({ date, amount_usd }, suma = baseUSD).
+ *       Si el room trae precios diarios se reparte en proporción a ellos
+ *       (`nightly_rates_source: 'wubook'`); si no, parejo ('split'). Sin baseUSD solo `nights`.
+ *
+ *   - **Arrival room ≠ reserva** (lib/dqIssues.js):
+ *       Se guarda como `dq_issues[]` (code 'arrival_mismatch') + `dq_open` en el doc.
+ *       Mientras nadie confirme se usa el del room (ROOM-FIRST); si un host lo resolvió
+ *       vía /api/dqIssues se usa la fecha confirmada. `arrival_raw` siempre es el de WuBook.
+ *
  *   - **Preservación de campos editados por host**:
  *       Si baseUSD/iva/extrasUSD/fxRate ya existen en toPay_breakdown, se respetan.
  *       Si extrasUSD top-level ya existe, NO se pisa.
@@ -39,26 +84,64 @@
  *   - **Doc por HABITACIÓN**:
  *       ID: `${prop.id}_${id_human}_${id_zak}` para mantener unicidad y facilitar auditoría.
  *
+ *   - **Canceladas**:
+ *       Una reserva cancelada en WuBook NO crea docs nuevos. Si el doc por room ya
+ *       existe (importado antes como confirmada) se marca `is_cancelled: true`,
+ *       `status` (normalizado) y `cancelled_at`, con historial `changeType: 'cancelled'`.
+ *       Luego se reconstruye el DailyIndex de las fechas de la estadía vía
+ *       `/api/dailyIndex?rebuild=1` (requiere PUBLIC_BASE_URL o VERCEL_URL).
+ *
+ *   - **Cambio de depto (room move)**:
+ *       Si una reserva trae un room NUEVO y queda un doc previo del mismo id_human cuyo
+ *       room ya no viene, se empareja (en orden) doc viejo → doc nuevo:
+ *         • destino: payments/notes unidos con dedupe; accounting, checkin_at, checkout_at,
+ *           contacted_at, no_show_at, hosting_status si el destino no los tiene; `moved_from`
+ *         • origen (tombstone): is_cancelled: true, status 'moved', moved_to, moved_at
+ *         • historial en ambos: 'room_moved_in' / 'room_moved_out'
+ *       Docs viejos sin room nuevo con quien emparejar se dejan como están (`room_orphans`).
+ *
+ *   - **Rooms sin departamento**:
+ *       Un `id_zak_room` que no está en `prop.roomMap` se saltea (skipped) pero se
+ *       junta por reserva; al final se crea un borrador en
+ *       `propiedades/{id}/departamentos/{idZak}` (`draft`, `needs_review`, nombre de
+ *       KP /property/fetch_rooms) y se devuelve en `unmapped_rooms`. El borrador no
+ *       entra al roomMap hasta que se aprueba en /api/roomMapDrafts.
+ *
+ *   - **Datos personales anonimizados** (`pii_erased`, ver lib/piiErasure.js):
+ *       El upsert no vuelve a escribir nombre/booker desde WuBook en esos docs,
+ *       ni guarda su crudo en `WubookRaw`.
+ *
+ *   - **Crudo de WuBook** (lib/wubookRaw.js):
+ *       Cada reserva (con sus extras de get_extras) se guarda comprimida en `WubookRaw/{rsrvid}`
+ *       si cambió. /api/wubookReprocessRaw re-corre este mismo upsert desde ahí, sin red:
+ *       prop sin apiKey (no se piden extras ni catálogo de rooms) y `rawExtras` guardados.
+ *
  *   - **Idempotencia**:
  *       `contentHash` se calcula sobre el doc sin campos volátiles (createdAt/updatedAt/etc.)
  *       Si el hash coincide, no se escribe ni se agrega historial.
  *
  * CAMPOS QUE ESCRIBE upsertReservations()
- *   - id_human, rsrvid, propiedad_id/nombre
+ *   - id_human, rsrvid, propiedad_id/nombre, nombre_huesped, wubook_booker_id
  *   - id_zak, codigo_depto, depto_nombre
  *   - arrival/arrival_iso, departure/departure_iso
  *   - adults/children, status (normalizado), is_cancelled: false
+ *   - board, cpolicy, agency/agency_name/agency_code, wubook_created_iso, expiration_iso,
+ *     meals_price (si hay comidas; lib/reservationTerms.js)
  *   - wubook_price { amount, vat, total, currency } (por room)
  *   - currency: 'USD' si corresponde
- *   - toPay (si no estaba), toPay_breakdown {...}
- *   - extrasUSD (si no estaba) = extrasUSDPerRoomRaw
+ *   - nights, adr_usd, nightly_rates[] { date, amount_usd }, nightly_rates_source (lib/nightlyRates.js)
+ *   - toPay (si no estaba), toPay_breakdown {...} (USD; + original* / fxToUSD si el precio no es USD)
+ *   - extras[] (ítems del room) y extrasUSD (si no estaba) = suma USD de extras[] o extrasUSDPerRoomRaw
  *   - wubook_rooms_count, wubook_extrasUSD_total, wubook_extrasUSD_perRoom
  *   - createdAt, updatedAt, contentHash
  *   - Historial: subcolección `historial` con diff, keys cambiadas y snapshotAfter
+ *   - Canceladas (solo docs existentes): status, is_cancelled: true, cancelled_at
  *
  * ERRORES Y LOGGING
  *   - Los fetchers propagan errores de red con mensaje de KP.
- *   - upsertReservations devuelve métricas (upserts/skipped/unchanged/…).
+ *   - upsertReservations devuelve métricas (upserts/skipped/cancelled/unchanged/…).
+ *     En dryRun además `dry_run_report[]`: un entry por doc (created/updated/unchanged/
+ *     cancelled/moved) con changedKeys y diff from/to (lib/dryRunReport.js).
  *   - Se recomienda pasar `log` del endpoint para contextualizar mensajes.
  *
  * NOTAS DE IMPLEMENTACIÓN
@@ -69,13 +152,22 @@
  */
 // lib/importProcessShared.js
 import crypto from 'crypto';
-import { firestore, FieldValue } from '../lib/firebaseAdmin.js';
+import { firestore, FieldValue, Timestamp } from '../lib/firebaseAdmin.js';
 import { DateTime } from 'luxon';
-import qs from 'qs';
-import axios from 'axios';
+import { kpPost } from './wubookClient.js';
+import { detectArrivalMismatch, reconcileDqIssues, hasOpenDq, confirmedArrival } from './dqIssues.js';
+import { buildReportEntry } from './dryRunReport.js';
+import { anonymizeReservationFields } from './piiErasure.js';
+import { WUBOOK_RAW_COLLECTION, encodeRawReservation, rawIdOf } from './wubookRaw.js';
+import { buildNightlyRates, dailyPricesFromRoom } from './nightlyRates.js';
+import { mapReservationTerms } from './reservationTerms.js';
+import {
+  CROSS_FX_CURRENCIES, DEFAULT_PAYMENT_FX_LOOKBACK_DAYS, crossFxRate, parsePaymentFxPolicy, paymentDateISO,
+} from './paymentFx.js';
+import { FX_POLICIES_DOC, resolveFxPolicy, quoteDocIdForCasa, rateFromQuote } from './fxPolicy.js';
+import { SYNC_STATUS_COLLECTION, syncCountsFromResult, buildSyncSuccessPatch, buildSyncErrorPatch, buildEnrichPatch } from './syncStatus.js';
 
 export const TZ = 'America/Argentina/Buenos_Aires';
-export const BASE_URL = process.env.WUBOOK_BASE_URL || 'https://kapi.wubook.net/kp';
 
 export const round2 = (n) => Number.isFinite(Number(n)) ? +Number(n).toFixed(2) : 0;
 export const cur = (c) => String(c || '').trim().toUpperCase();
@@ -95,6 +187,8 @@ export const isCancelledReservation = (r) => {
 
 // ---- Hash / diff
 const IGNORE_KEYS = new Set(['updatedAt','createdAt','contentHash','enrichmentStatus','enrichedAt']);
+// enrich / mutations / push además ignoran quién tocó el doc por última vez
+export const MUTATION_IGNORE_KEYS = new Set([...IGNORE_KEYS, 'lastUpdatedAt', 'lastUpdatedBy']);
 const sortObject = (obj) => {
   if (Array.isArray(obj)) return obj.map(sortObject);
   if (obj && typeof obj === 'object') {
@@ -108,7 +202,7 @@ export const stripKeys = (obj, ignore = IGNORE_KEYS) => {
   for (const k of Object.keys(obj || {})) if (!ignore.has(k)) out[k] = obj[k];
   return out;
 };
-export const hashDoc = (doc) => crypto.createHash('sha1').update(stableStringify(stripKeys(doc))).digest('hex');
+export const hashDoc = (doc, ignore = IGNORE_KEYS) => crypto.createHash('sha1').update(stableStringify(stripKeys(doc, ignore))).digest('hex');
 export const diffDocs = (oldDoc = {}, newDoc = {}) => {
   const diff = {};
   const keys = new Set([...Object.keys(oldDoc || {}), ...Object.keys(newDoc || {})]);
@@ -143,14 +237,289 @@ export const extrasUSDTotalFromRaw = (r) => {
   return Number.isFinite(amt) && amt > 0 ? round2(amt) : null;
 };
 
+// ---- Extras itemizados (KP /reservations/get_extras)
+// Ítem normalizado: { wubook_id, name, qty, unit_price, amount, vat, currency, id_zak }
+// (amount = neto sin IVA, igual criterio que price.extras.amount; id_zak null = extra de la reserva)
+export function mapWubookExtras(rawList, r) {
+  const list = Array.isArray(rawList) ? rawList : (Array.isArray(rawList?.extras) ? rawList.extras : []);
+  const roomByReservationRoom = new Map(
+    (r?.rooms || []).map(rm => [String(rm?.id_zak_reservation_room ?? ''), String(rm?.id_zak_room || rm?.id_zak_room_type || '')])
+  );
+  const numOrNull = (v) => (v === null || v === undefined || v === '' || !Number.isFinite(Number(v)) ? null : Number(v));
+  return list.map((x) => {
+    const qty = numOrNull(x?.quantity ?? x?.qty ?? x?.number) ?? 1;
+    const unit = numOrNull(x?.unit_price ?? x?.price);
+    const amount = numOrNull(x?.amount ?? x?.total_amount) ?? (unit !== null ? unit * qty : null);
+    const resRoom = x?.id_zak_reservation_room != null ? roomByReservationRoom.get(String(x.id_zak_reservation_room)) : null;
+    const idZak = x?.id_zak_room != null ? String(x.id_zak_room) : (resRoom || null);
+    return {
+      wubook_id: x?.id ?? null,
+      name: String(x?.name ?? x?.description ?? x?.label ?? 'Extra').trim(),
+      qty,
+      unit_price: unit !== null ? round2(unit) : (amount !== null ? round2(amount / qty) : null),
+      amount: amount !== null ? round2(amount) : 0,
+      vat: round2(x?.vat ?? 0),
+      currency: cur(x?.currency || r?.price?.extras?.currency || r?.price?.currency) || null,
+      id_zak: idZak,
+    };
+  }).filter(x => x.amount !== 0);
+}
+
+/** Extras que corresponden a un room: los asignados a ese room + su parte (share) de los de la reserva. */
+export function extrasForRoom(items = [], idZak, roomsCount = 1) {
+  const n = Math.max(1, Number(roomsCount) || 1);
+  const out = [];
+  for (const x of items || []) {
+    if (x.id_zak && String(x.id_zak) !== String(idZak)) continue;
+    const share = x.id_zak ? 1 : +(1 / n).toFixed(4);
+    out.push({
+      ...x,
+      share,
+      amount: share === 1 ? x.amount : round2(x.amount / n),
+      vat: share === 1 ? x.vat : round2(x.vat / n),
+    });
+  }
+  return out;
+}
+
+/**
+ * Suma USD (neto) de los extras. `rates` = { MONEDA: USD por unidad }; los ítems
+ * en monedas sin tasa se ignoran. null si no hay ninguno convertible.
+ */
+export const extrasUSDFromItems = (items = [], rates = { USD: 1 }) => {
+  const conv = (items || []).filter(x => Number.isFinite(Number(rates?.[cur(x.currency)])));
+  return conv.length
+    ? round2(conv.reduce((s, x) => s + (Number(x.amount) || 0) * Number(rates[cur(x.currency)]), 0))
+    : null;
+};
+
+// ---- Cotizaciones (cotizaciones/<MONEDA>/yyyy/mm/dd/cot, en ARS por unidad)
+const quoteMid = (q) => {
+  const buy = Number(q?.compra), sell = Number(q?.venta);
+  if (Number.isFinite(buy) && Number.isFinite(sell) && buy > 0 && sell > 0) return (buy + sell) / 2;
+  if (Number.isFinite(sell) && sell > 0) return sell;
+  if (Number.isFinite(buy) && buy > 0) return buy;
+  return null;
+};
+
+/**
+ * Cotización (promedio compra/venta en ARS) de `moneda` en `dateISO` o el día previo más cercano.
+ * `casa` ≠ 'oficial' lee `.../dd/cot_<casa>` (ver lib/fxPolicy.js). Devuelve { mid, date, quote }.
+ */
+export async function getQuoteARS(moneda, dateISO, maxLookbackDays = 7, { casa = 'oficial' } = {}) {
+  const start = DateTime.fromISO(String(dateISO || ''), { zone: TZ });
+  if (!start.isValid) return null;
+  for (let i = 0; i <= maxLookbackDays; i++) {
+    const d = start.minus({ days: i });
+    const snap = await firestore.collection('cotizaciones').doc(String(moneda).toUpperCase())
+      .collection(d.toFormat('yyyy')).doc(d.toFormat('MM'))
+      .collection(d.toFormat('dd')).doc(quoteDocIdForCasa(casa))
+      .get();
+    const mid = snap.exists ? quoteMid(snap.data()) : null;
+    if (mid) return { mid, date: d.toISODate(), quote: snap.data() };
+  }
+  return null;
+}
+
+// `configuracion/fx_policies` (lib/fxPolicy.js), cacheada un minuto por instancia
+const FX_POLICIES_TTL_MS = 60 * 1000;
+let fxPoliciesCache = { at: 0, data: null };
+export async function loadFxPolicies({ fresh = false } = {}) {
+  if (!fresh && fxPoliciesCache.data && Date.now() - fxPoliciesCache.at < FX_POLICIES_TTL_MS) return fxPoliciesCache.data;
+  try {
+    const snap = await firestore.collection(FX_POLICIES_DOC.collection).doc(FX_POLICIES_DOC.doc).get();
+    fxPoliciesCache = { at: Date.now(), data: snap.exists ? (snap.data() || {}) : {} };
+  } catch (e) {
+    console.log('WARN loadFxPolicies', e?.message);
+    return fxPoliciesCache.data || {};
+  }
+  return fxPoliciesCache.data;
+}
+
+// Cotizaciones ya leídas, por instancia: mismo TTL que las políticas para que una
+// corrección manual (/api/fxOverride) se vea en el próximo import de una instancia caliente.
+// Solo aciertos (una cotización faltante puede aparecer más tarde) y con tope de entradas.
+const FX_QUOTES_TTL_MS = 60 * 1000;
+const FX_QUOTES_MAX = 500;
+function cachedQuote(cache, key) {
+  const hit = cache.get(key);
+  if (!hit) return null;
+  if (Date.now() - hit.at < FX_QUOTES_TTL_MS) return hit.value;
+  cache.delete(key);
+  return null;
+}
+function cacheQuote(cache, key, value) {
+  if (!value) return value;
+  if (cache.size >= FX_QUOTES_MAX) cache.delete(cache.keys().next().value); // la más vieja
+  cache.set(key, { at: Date.now(), value });
+  return value;
+}
+
+/**
+ * Tasa USD por unidad de `currency` (p.ej. ARS → 1/USD, EUR → EUR/USD) al día `dateISO`.
+ * Reservas futuras usan la cotización de hoy. Devuelve { rate, quoteDate } o null.
+ */
+const fxCache = new Map();
+export async function fxToUSD(currency, dateISO) {
+  const ccy = cur(currency);
+  if (!ccy) return null;
+  if (ccy === 'USD') return { rate: 1, quoteDate: null };
+  const today = DateTime.now().setZone(TZ).toISODate();
+  const day = dateISO && dateISO < today ? dateISO : today;
+  const key = `${ccy}|${day}`;
+  const cached = cachedQuote(fxCache, key);
+  if (cached) return cached;
+
+  const usd = await getQuoteARS('USD', day);
+  if (!usd) return null;
+  let out = null;
+  if (ccy === 'ARS') {
+    out = { rate: +(1 / usd.mid).toFixed(8), quoteDate: usd.date };
+  } else {
+    const other = await getQuoteARS(ccy, day);
+    if (other) out = { rate: +(other.mid / usd.mid).toFixed(8), quoteDate: usd.date };
+  }
+  return cacheQuote(fxCache, key, out);
+}
+
+/**
+ * TC (unidades de `currency` por USD) para un pago: la fecha sale de la política de
+ * lib/paymentFx.js. ARS usa la casa / compra-venta / spread de `configuracion/fx_policies`
+ * para (propiedad, método) (lib/fxPolicy.js); EUR/BRL/CLP/UYU, el cruzado de las dos
+ * cotizaciones oficiales en ARS del mismo día.
+ * Devuelve { rate, date, source, casa, side, spread_pct, cross? } o null.
+ */
+const paymentQuoteCache = new Map();
+export async function paymentFxUSD({
+  ts,
+  currency = 'ARS',
+  reservation = {},
+  method = null,
+  payloadRate = null,
+  policy = parsePaymentFxPolicy(process.env.PAYMENT_FX_POLICY),
+  lookbackDays = Number(process.env.PAYMENT_FX_LOOKBACK_DAYS) || DEFAULT_PAYMENT_FX_LOOKBACK_DAYS,
+  fxPolicies = null,
+} = {}) {
+  const day = paymentDateISO(ts, { todayISO: DateTime.now().setZone(TZ).toISODate() });
+  const ccy = cur(currency);
+  if (CROSS_FX_CURRENCIES.includes(ccy)) return crossPaymentFx({ ccy, day, payloadRate, policy, lookbackDays });
+  const casaPolicy = resolveFxPolicy(fxPolicies || await loadFxPolicies(), { propiedad_id: reservation?.propiedad_id, method });
+  const meta = { casa: casaPolicy.casa, side: casaPolicy.side, spread_pct: casaPolicy.spread_pct };
+  const quote = async (fromISO, maxLookback) => {
+    const key = `${casaPolicy.casa}|${fromISO}|${maxLookback}`;
+    const cached = cachedQuote(paymentQuoteCache, key);
+    if (cached) return cached;
+    const q = await getQuoteARS('USD', fromISO, maxLookback, { casa: casaPolicy.casa });
+    return cacheQuote(paymentQuoteCache, key, q);
+  };
+
+  for (const step of policy) {
+    if (step === 'payment_date' && day) {
+      const q = await quote(day, 0);
+      const rate = q ? rateFromQuote(q.quote, casaPolicy) : null;
+      if (rate) return { rate, date: q.date, source: step, ...meta };
+    } else if (step === 'lookback' && day && lookbackDays > 0) {
+      const prev = DateTime.fromISO(day, { zone: TZ }).minus({ days: 1 }).toISODate();
+      const q = await quote(prev, lookbackDays - 1);
+      const rate = q ? rateFromQuote(q.quote, casaPolicy) : null;
+      if (rate) return { rate, date: q.date, source: step, ...meta };
+    } else if (step === 'checkin') {
+      // usd_fx_on_checkin es siempre la oficial: se respeta compra/venta y spread, no la casa
+      const fx = reservation?.usd_fx_on_checkin || {};
+      const rate = rateFromQuote(fx, casaPolicy);
+      if (rate) return { rate, date: fx.origen_fecha || fx.fecha || null, source: step, ...meta, casa: fx.casa || 'oficial' };
+    } else if (step === 'payload') {
+      const rate = Number(payloadRate);
+      if (Number.isFinite(rate) && rate > 0) return { rate, date: null, source: step };
+    }
+  }
+  return null;
+}
+
+// EUR/BRL/CLP/UYU: USD y la moneda contra ARS, ambas oficiales; el paso 'checkin' no aplica
+async function crossPaymentFx({ ccy, day, payloadRate, policy, lookbackDays }) {
+  const quote = async (moneda, fromISO, maxLookback) => {
+    const key = `${moneda}|oficial|${fromISO}|${maxLookback}`;
+    const cached = cachedQuote(paymentQuoteCache, key);
+    if (cached) return cached;
+    const q = await getQuoteARS(moneda, fromISO, maxLookback);
+    return cacheQuote(paymentQuoteCache, key, q);
+  };
+  const cross = async (fromISO, maxLookback, step) => {
+    const [usd, other] = [await quote('USD', fromISO, maxLookback), await quote(ccy, fromISO, maxLookback)];
+    const rate = usd && other ? crossFxRate(usd.mid, other.mid) : null;
+    if (!rate) return null;
+    return {
+      rate,
+      date: other.date < usd.date ? other.date : usd.date,
+      source: step,
+      casa: 'oficial',
+      side: 'mid',
+      spread_pct: 0,
+      cross: { usd_ars: +usd.mid.toFixed(4), ccy_ars: +other.mid.toFixed(4) },
+    };
+  };
+
+  for (const step of policy) {
+    if (step === 'payment_date' && day) {
+      const fx = await cross(day, 0, step);
+      if (fx) return fx;
+    } else if (step === 'lookback' && day && lookbackDays > 0) {
+      const fx = await cross(DateTime.fromISO(day, { zone: TZ }).minus({ days: 1 }).toISODate(), lookbackDays - 1, step);
+      if (fx) return fx;
+    } else if (step === 'payload') {
+      const rate = Number(payloadRate);
+      if (Number.isFinite(rate) && rate > 0) return { rate, date: null, source: step };
+    }
+  }
+  return null;
+}
+
+// ---- Cambio de depto: datos operativos que viajan del doc viejo al nuevo
+const tsSeconds = (ts) => ts?.seconds ?? ts?._seconds ?? ts ?? '';
+const paymentKey = (p) => p?.wubook_id
+  ? `w:${p.wubook_id}`
+  : `s:${tsSeconds(p?.ts)}|a:${p?.amount}|c:${p?.currency}|m:${p?.method}`;
+const noteKey = (n) => n?.wubook_id
+  ? `w:${n.wubook_id}`
+  : `s:${n?.source}|t:${tsSeconds(n?.ts)}|x:${String(n?.text || '').slice(0, 120)}`;
+const mergeByKey = (a = [], b = [], keyFn) => {
+  const seen = new Set(); const out = [];
+  for (const x of [...(Array.isArray(a) ? a : []), ...(Array.isArray(b) ? b : [])]) {
+    const k = keyFn(x);
+    if (seen.has(k)) continue;
+    seen.add(k); out.push(x);
+  }
+  return out.sort((x, y) => (Number(tsSeconds(x?.ts)) || 0) - (Number(tsSeconds(y?.ts)) || 0));
+};
+const MOVED_HOST_FIELDS = ['checkin_at', 'checkout_at', 'contacted_at', 'no_show_at', 'hosting_status'];
+
+/** Patch para el doc destino: une payments/notes (dedupe) y copia accounting/check-in/out si el destino no los tiene. */
+export function mergeMovedRoomData(fromDoc = {}, toDoc = {}) {
+  const patch = {};
+  if (Array.isArray(fromDoc.payments) && fromDoc.payments.length) patch.payments = mergeByKey(toDoc.payments, fromDoc.payments, paymentKey);
+  if (Array.isArray(fromDoc.notes) && fromDoc.notes.length) patch.notes = mergeByKey(toDoc.notes, fromDoc.notes, noteKey);
+  if (fromDoc.accounting && !toDoc.accounting) patch.accounting = fromDoc.accounting;
+  for (const k of MOVED_HOST_FIELDS) {
+    if (isNonNull(fromDoc[k]) && !isNonNull(toDoc[k])) patch[k] = fromDoc[k];
+  }
+  return patch;
+}
+
 // ---- Upsert genérico de reservas a Firestore (lista de reservas ya traídas de WuBook)
-export async function upsertReservations({ reservas, prop, dryRun = false, sourceTag = 'wubookImport', log = console.log }) {
-  if (!reservas || reservas.length === 0) return { upserts: 0, skipped: 0, skipped_cancelled: 0, unchanged: 0 };
+// `rawExtras` (Map rsrvid → extras guardados) y `storeRaw: false` los usa el reproceso desde WubookRaw.
+export async function upsertReservations({
+  reservas, prop, dryRun = false, sourceTag = 'wubookImport', log = console.log, storeRaw = true, rawExtras = null,
+}) {
+  if (!reservas || reservas.length === 0) {
+    return { upserts: 0, skipped: 0, skipped_cancelled: 0, cancelled: 0, moved: 0, room_orphans: 0, unchanged: 0, daily_index_refreshed: 0, unmapped_rooms: [], raw_stored: 0, ...(dryRun ? { dry_run_report: [] } : {}) };
+  }
+  const rawItems = []; // { r, extras } para WubookRaw
+  const piiErasedRsrvids = new Set(); // el crudo de esas reservas no se guarda (trae datos personales)
 
-  // filtrar canceladas
-  const totalRaw = reservas.length;
+  // separar canceladas: no se crean docs nuevos, pero se propagan a los existentes
+  const cancelledRaw = reservas.filter(r => isCancelledReservation(r));
   reservas = reservas.filter(r => !isCancelledReservation(r));
-  const skipped_cancelled = totalRaw - reservas.length;
 
   let batch = firestore.batch();
   const MAX_OPS = 450;
@@ -160,6 +529,64 @@ export async function upsertReservations({ reservas, prop, dryRun = false, sourc
 
   const now = FieldValue.serverTimestamp();
   let upserts = 0, skipped = 0, unchanged = 0;
+  let skipped_cancelled = 0, cancelled = 0, moved = 0, room_orphans = 0;
+  const affectedDates = new Set();
+  const unmapped = new Map(); // idZak → { id_zak_room_type, id_humans:Set }
+  // dryRun: qué se escribiría, doc por doc (ver lib/dryRunReport.js)
+  const report = dryRun ? [] : null;
+  const addReport = (entry) => { if (report) report.push(buildReportEntry({ propiedad_id: prop.id, ...entry })); };
+
+  for (const r of cancelledRaw) {
+    rawItems.push({ r, extras: null });
+    let touched = false;
+    for (const room of r?.rooms || []) {
+      const idZak = String(room?.id_zak_room || room?.id_zak_room_type || '');
+      if (!idZak) continue;
+
+      const ref = firestore.collection('Reservas').doc(`${prop.id}_${r.id_human}_${idZak}`);
+      const snap = await ref.get();
+      if (!snap.exists) continue;
+      const oldDoc = snap.data() || {};
+      // anonimizada (/api/guestPiiErasure): el crudo de la cancelación tampoco se guarda
+      if (oldDoc.pii_erased === true) piiErasedRsrvids.add(rawIdOf(r));
+      if (oldDoc.is_cancelled === true) continue;
+
+      touched = true;
+      const patch = {
+        status: normalizeStatus(r?.status || 'cancelled'),
+        is_cancelled: true,
+        cancelled_at: Timestamp.now(),
+        ingest_source: sourceTag,
+      };
+      const newDoc = { ...oldDoc, ...patch };
+      const diff = diffDocs(oldDoc, newDoc);
+      const newHash = hashDoc(newDoc);
+      cancelled++;
+      for (const d of stayDatesISO(oldDoc.arrival_iso, oldDoc.departure_iso)) affectedDates.add(d);
+
+      if (dryRun) { addReport({ id: ref.id, id_human: r.id_human, change: 'cancelled', diff }); continue; }
+
+      batch.set(ref, { ...patch, updatedAt: now, contentHash: newHash }, { merge: true });
+      ops++;
+
+      const histRef = ref.collection('historial').doc(`${Date.now()}_${Math.random().toString(36).slice(2, 8)}`);
+      batch.set(histRef, {
+        ts: now,
+        source: sourceTag,
+        context: { propiedad_id: prop.id },
+        changeType: 'cancelled',
+        changedKeys: Object.keys(diff),
+        diff,
+        hashFrom: oldDoc.contentHash || hashDoc(oldDoc),
+        hashTo: newHash,
+        snapshotAfter: newDoc,
+        payload: { wubook_status: r?.status ?? null }
+      });
+      ops++;
+      await flushIfNeeded();
+    }
+    if (!touched) skipped_cancelled++;
+  }
 
   for (const r of reservas) {
     const fullName = `${r?.customer?.name || ''} ${r?.customer?.surname || ''}`.trim() || String(r?.booker) || 'N/D';
@@ -170,27 +597,49 @@ export async function upsertReservations({ reservas, prop, dryRun = false, sourc
     const roomsCountRaw = roomsCountFromRaw(r) || 1;
     const extrasUSDTotalRaw = extrasUSDTotalFromRaw(r); // null o número
     const extrasUSDPerRoomRaw = extrasUSDTotalRaw != null ? round2(extrasUSDTotalRaw / Math.max(1, roomsCountRaw)) : null;
+    // régimen, política, agencia, fechas de WuBook y comidas prorrateadas (lib/reservationTerms.js)
+    const terms = mapReservationTerms(r, { roomsCount: roomsCountRaw });
+
+    // extras itemizados: solo si WuBook informa extras (evita un request por reserva);
+    // null = no se pudieron traer → se mantiene el prorrateo de price.extras
+    const hasRawExtras = Number(r?.price?.extras?.amount) > 0 || Number(r?.price?.extras?.total) > 0;
+    const storedExtras = rsrvid && rawExtras?.has(String(rsrvid)) ? rawExtras.get(String(rsrvid)) : undefined;
+    const extrasItems = !hasRawExtras
+      ? []
+      : (storedExtras !== undefined
+        ? storedExtras
+        : (prop.apiKey && rsrvid ? await fetchReservationExtras({ apiKey: prop.apiKey, id: rsrvid, log }) : null));
+    rawItems.push({ r, extras: extrasItems });
+    const extrasItemsReserva = extrasItems ? mapWubookExtras(extrasItems, r) : null;
+
+    // docs por room de ESTA reserva en esta corrida (para detectar cambios de depto)
+    const roomDocs = [];
 
     for (const room of r?.rooms || []) {
       const idZak = String(room?.id_zak_room || room?.id_zak_room_type || '');
       const mapData = prop.roomMap.get(idZak);
-      if (!idZak || !mapData) { skipped++; continue; }
+      if (!idZak || !mapData) {
+        skipped++;
+        if (idZak) {
+          const u = unmapped.get(idZak) || { id_zak_room_type: room?.id_zak_room_type ?? null, id_humans: new Set() };
+          u.id_humans.add(r.id_human);
+          unmapped.set(idZak, u);
+        }
+        continue;
+      }
 
       const { codigo_depto, nombre_depto } = mapData;
 
       // ROOM-FIRST: priorizar SIEMPRE room.dfrom/dto; luego reserva
-      const arrivalEU   = room?.dfrom || room?.arrival || r?.dfrom || r?.arrival || null;
-      const departureEU = room?.dto   || room?.departure || r?.dto   || r?.departure || null;
-
-      if ((r?.dfrom || r?.arrival) && (room?.dfrom || room?.arrival)) {
-        const rArr = r?.dfrom || r?.arrival;
-        const rmArr = room?.dfrom || room?.arrival;
-        if (rArr !== rmArr) {
-          log('WARN arrival mismatch', { id_human: r.id_human, rArr, rmArr, source: sourceTag });
-        }
+      const arrivalRawEU = room?.dfrom || room?.arrival || r?.dfrom || r?.arrival || null;
+      const departureEU  = room?.dto   || room?.departure || r?.dto   || r?.departure || null;
+
+      const arrivalMismatch = detectArrivalMismatch(r, room);
+      if (arrivalMismatch) {
+        log('WARN arrival mismatch', { id_human: r.id_human, rArr: arrivalMismatch.reservation_value, rmArr: arrivalMismatch.room_value, source: sourceTag });
       }
 
-      if (!arrivalEU || !departureEU) { skipped++; continue; }
+      if (!arrivalRawEU || !departureEU) { skipped++; continue; }
 
       const docId = `${prop.id}_${r.id_human}_${idZak}`;
       const ref = firestore.collection('Reservas').doc(docId);
@@ -199,6 +648,13 @@ export async function upsertReservations({ reservas, prop, dryRun = false, sourc
       const oldDoc = existed ? snap.data() : {};
       const oldBD = oldDoc?.toPay_breakdown || {};
 
+      // Mismatch room/reserva → dq_issues[]; si un host ya confirmó qué fecha vale, se respeta
+      const dqIssues = reconcileDqIssues(oldDoc?.dq_issues, arrivalMismatch ? [arrivalMismatch] : [], {
+        at: DateTime.now().setZone(TZ).toISO(),
+        by: sourceTag,
+      });
+      const arrivalEU = confirmedArrival(dqIssues) || arrivalRawEU;
+
       // Precio por room (o “rooms” del bloque si faltara)
       const roomPrice = room?.price || r?.price?.rooms || null;
       const wubook_price = roomPrice ? {
@@ -208,11 +664,39 @@ export async function upsertReservations({ reservas, prop, dryRun = false, sourc
         currency: cur(roomPrice.currency || r?.price?.rooms?.currency || r?.price?.currency)
       } : null;
 
-      const extrasUSDFromImport = extrasUSDPerRoomRaw;
+      // Precio no-USD (ARS/EUR/BRL…): se convierte con `cotizaciones`. Si el precio
+      // original no cambió se reutiliza la conversión guardada (evita reescrituras diarias).
+      const priceCcy = wubook_price?.currency || null;
+      const isUSDPrice = priceCcy === 'USD';
+      let fxOrig = null;
+      if (wubook_price && priceCcy && !isUSDPrice) {
+        const sameOriginal = oldBD.originalCurrency === priceCcy
+          && Number(oldBD.originalAmount) === wubook_price.amount
+          && isNonNull(oldBD.fxToUSD);
+        fxOrig = sameOriginal
+          ? { rate: Number(oldBD.fxToUSD), quoteDate: oldBD.fxQuoteDate ?? null }
+          : await fxToUSD(priceCcy, euToISO(arrivalEU));
+        if (!fxOrig) log('WARN sin cotización para convertir precio', { id_human: r.id_human, currency: priceCcy, arrival: arrivalEU });
+      }
+      const usdRates = fxOrig ? { USD: 1, [priceCcy]: fxOrig.rate } : { USD: 1 };
+
+      const roomExtras = extrasItemsReserva && extrasItemsReserva.length
+        ? extrasForRoom(extrasItemsReserva, idZak, roomsCountRaw)
+        : extrasItemsReserva; // [] o null
+      const extrasNonUSDPerRoom = fxOrig && cur(r?.price?.extras?.currency || r?.price?.currency) === priceCcy && Number(r?.price?.extras?.amount) > 0
+        ? round2(Number(r.price.extras.amount) * fxOrig.rate / Math.max(1, roomsCountRaw))
+        : null;
+      const extrasUSDFromImport = roomExtras && roomExtras.length
+        ? extrasUSDFromItems(roomExtras, usdRates)
+        : (extrasUSDPerRoomRaw ?? extrasNonUSDPerRoom);
+
+      const importBaseUSD = isUSDPrice
+        ? round2(wubook_price.amount)
+        : (fxOrig ? round2(wubook_price.amount * fxOrig.rate) : null);
 
       // Preservas de host
       const preservedBD = {
-        baseUSD:    isNonNull(oldBD.baseUSD)    ? oldBD.baseUSD    : (wubook_price?.currency === 'USD' ? round2(wubook_price.amount) : null),
+        baseUSD:    isNonNull(oldBD.baseUSD)    ? oldBD.baseUSD    : importBaseUSD,
         ivaPercent: isNonNull(oldBD.ivaPercent) ? oldBD.ivaPercent : null,
         ivaUSD:     isNonNull(oldBD.ivaUSD)     ? oldBD.ivaUSD     : null,
         extrasUSD:  isNonNull(oldBD.extrasUSD)  ? oldBD.extrasUSD  : extrasUSDFromImport,
@@ -226,6 +710,8 @@ export async function upsertReservations({ reservas, prop, dryRun = false, sourc
         propiedad_id: prop.id,
         propiedad_nombre: prop.nombre,
         nombre_huesped: fullName,
+        // el enrich busca el cliente (y el perfil en Huespedes) por este id
+        ...(isNonNull(r?.booker) ? { wubook_booker_id: String(r.booker) } : {}),
         source: sourceChannel,
 
         id_zak: idZak,
@@ -239,14 +725,20 @@ export async function upsertReservations({ reservas, prop, dryRun = false, sourc
 
         // trazabilidad de ingestión y crudo
         ingest_source: sourceTag,
-        arrival_raw: arrivalEU,
+        arrival_raw: arrivalRawEU,
         departure_raw: departureEU,
 
         adults: room?.occupancy?.adults ?? r?.adults ?? null,
         children: room?.occupancy?.children ?? r?.children ?? 0,
         status: normalizeStatus(r?.status || 'unknown'),
         is_cancelled: false,
+        ...terms,
+        ...(!terms.meals_price && oldDoc?.meals_price ? { meals_price: null } : {}),
         ...(wubook_price ? { wubook_price } : {}),
+        // extras[] se escribe si hay ítems o si el doc ya los tenía (para vaciarlo)
+        ...(roomExtras && (roomExtras.length || Array.isArray(oldDoc?.extras)) ? { extras: roomExtras } : {}),
+        // dq_issues[] idem: solo si hay issues o el doc ya los tenía
+        ...(dqIssues.length || Array.isArray(oldDoc?.dq_issues) ? { dq_issues: dqIssues, dq_open: hasOpenDq(dqIssues) } : {}),
 
         // Meta cruda para auditoría / enrich
         wubook_rooms_count: roomsCountRaw,
@@ -254,22 +746,56 @@ export async function upsertReservations({ reservas, prop, dryRun = false, sourc
         wubook_extrasUSD_perRoom: extrasUSDPerRoomRaw
       };
 
-      if (wubook_price && wubook_price.currency === 'USD') {
+      // moneda original del precio (solo no-USD); toPay/breakdown quedan siempre en USD
+      const originalBD = (wubook_price && priceCcy && !isUSDPrice) ? {
+        originalCurrency: priceCcy,
+        originalAmount: wubook_price.amount,
+        originalVat: wubook_price.vat,
+        fxToUSD: fxOrig ? fxOrig.rate : null,
+        fxQuoteDate: fxOrig ? fxOrig.quoteDate : null,
+      } : null;
+
+      if (wubook_price && (isUSDPrice || fxOrig)) {
         const { total } = recomputeToPayFrom(preservedBD, preservedBD.extrasUSD);
-        baseDoc.currency = 'USD';
+        if (isUSDPrice) baseDoc.currency = 'USD';
         if (!isNonNull(oldDoc?.toPay)) baseDoc.toPay = total;
         if (!isNonNull(oldDoc?.extrasUSD)) baseDoc.extrasUSD = preservedExtrasTop;
-        baseDoc.toPay_breakdown = { ...(oldBD || {}), ...preservedBD };
+        baseDoc.toPay_breakdown = { ...(oldBD || {}), ...preservedBD, ...(originalBD || {}) };
+      } else if (originalBD) {
+        // sin cotización todavía: se deja constancia del original y se reintenta en la próxima corrida
+        baseDoc.toPay_breakdown = { ...(oldBD || {}), ...originalBD };
+      }
+
+      // noches, ADR y tarifa por noche sobre el baseUSD vigente (respeta el editado por host)
+      Object.assign(baseDoc, buildNightlyRates({
+        arrivalISO: baseDoc.arrival_iso,
+        departureISO: baseDoc.departure_iso,
+        baseUSD: baseDoc.toPay_breakdown?.baseUSD ?? oldBD.baseUSD ?? null,
+        daily: dailyPricesFromRoom(room),
+      }));
+
+      // datos personales ya anonimizados (/api/guestPiiErasure): WuBook no los vuelve a escribir
+      if (oldDoc?.pii_erased === true) {
+        Object.assign(baseDoc, anonymizeReservationFields(baseDoc));
+        if (rsrvid) piiErasedRsrvids.add(String(rsrvid));
       }
 
       const createdAt = existed && oldDoc?.createdAt ? oldDoc.createdAt : now;
       const newDoc = { ...baseDoc, updatedAt: now, createdAt };
+      // se escribe con merge: lo que newDoc no trae (toPay/extrasUSD ya cargados) queda como estaba
+      const merged = existed ? { ...oldDoc, ...newDoc } : newDoc;
       const oldHash = existed ? (oldDoc.contentHash || hashDoc(oldDoc)) : null;
-      const newHash = hashDoc(newDoc);
-      const diff = existed ? diffDocs(oldDoc, newDoc) : diffDocs({}, newDoc);
+      const newHash = hashDoc(merged);
+      const diff = diffDocs(existed ? oldDoc : {}, merged);
       const changedKeys = Object.keys(diff);
 
-      if (existed && changedKeys.length === 0) { unchanged++; continue; }
+      roomDocs.push({ ref, existed, data: merged });
+
+      if (existed && changedKeys.length === 0) {
+        unchanged++;
+        addReport({ id: docId, id_human: r.id_human, change: 'unchanged' });
+        continue;
+      }
 
       newDoc.contentHash = newHash;
 
@@ -299,31 +825,349 @@ export async function upsertReservations({ reservas, prop, dryRun = false, sourc
         await flushIfNeeded();
       } else {
         upserts++;
+        addReport({ id: docId, id_human: r.id_human, change: existed ? 'updated' : 'created', diff });
       }
     }
+
+    // ---- Cambio de depto: un room nuevo para el id_human + un doc previo cuyo room ya no viene
+    if (!roomDocs.some(d => !d.existed)) continue;
+    const currentIds = new Set(roomDocs.map(d => d.ref.id));
+    const siblingsSnap = await firestore.collection('Reservas')
+      .where('propiedad_id', '==', prop.id)
+      .where('id_human', '==', r.id_human)
+      .get();
+    const orphans = siblingsSnap.docs.filter(d => {
+      const v = d.data() || {};
+      return !currentIds.has(d.id) && v.is_cancelled !== true && !v.moved_to;
+    });
+    if (!orphans.length) continue;
+
+    const targets = roomDocs.filter(d => !d.existed);
+    orphans.forEach((orphanSnap, i) => {
+      const target = targets[i];
+      const from = orphanSnap.data() || {};
+      if (!target) {
+        room_orphans++;
+        log('WARN room orphan sin destino', { id: orphanSnap.id, id_human: r.id_human, source: sourceTag });
+        return;
+      }
+      moved++;
+      for (const d of stayDatesISO(from.arrival_iso, from.departure_iso)) affectedDates.add(d);
+      if (dryRun) {
+        addReport({ id: orphanSnap.id, id_human: r.id_human, change: 'moved', moved_to: target.ref.id });
+        return;
+      }
+
+      const migrated = mergeMovedRoomData(from, target.data);
+      const migratedKeys = Object.keys(migrated);
+      target.data = { ...target.data, ...migrated };
+      const targetHash = hashDoc(target.data);
+      batch.set(target.ref, { ...migrated, moved_from: orphanSnap.id, contentHash: targetHash, updatedAt: now }, { merge: true });
+      ops++;
+      batch.set(target.ref.collection('historial').doc(`${Date.now()}_room_moved_in`), {
+        ts: now,
+        source: sourceTag,
+        context: { propiedad_id: prop.id },
+        changeType: 'room_moved_in',
+        changedKeys: [...migratedKeys, 'moved_from'],
+        hashTo: targetHash,
+        payload: { moved_from: orphanSnap.id, from_id_zak: from.id_zak ?? null, migratedKeys }
+      });
+      ops++;
+
+      // tombstone: is_cancelled lo saca de DailyIndex/planilla/liquidaciones; los datos quedan para auditoría
+      const tomb = { is_cancelled: true, status: 'moved', moved_to: target.ref.id, moved_at: Timestamp.now(), ingest_source: sourceTag };
+      const tombHash = hashDoc({ ...from, ...tomb });
+      batch.set(orphanSnap.ref, { ...tomb, contentHash: tombHash, updatedAt: now }, { merge: true });
+      ops++;
+      batch.set(orphanSnap.ref.collection('historial').doc(`${Date.now()}_room_moved_out`), {
+        ts: now,
+        source: sourceTag,
+        context: { propiedad_id: prop.id },
+        changeType: 'room_moved_out',
+        changedKeys: Object.keys(diffDocs(from, { ...from, ...tomb })),
+        hashFrom: from.contentHash || null,
+        hashTo: tombHash,
+        payload: { moved_to: target.ref.id, to_id_zak: target.data.id_zak ?? null, migratedKeys }
+      });
+      ops++;
+    });
+    await flushIfNeeded();
   }
 
   if (!dryRun && ops > 0) await flush();
-  return { upserts, skipped, skipped_cancelled, unchanged };
+
+  const daily_index_refreshed = (!dryRun && affectedDates.size)
+    ? await refreshDailyIndexes({ dates: [...affectedDates], log })
+    : 0;
+
+  const unmapped_rooms = unmapped.size
+    ? await registerUnmappedRooms({ prop, unmapped, sourceTag, dryRun, log })
+    : [];
+
+  const raw_stored = (!dryRun && storeRaw)
+    ? await storeRawReservations({ prop, items: rawItems.filter((x) => !piiErasedRsrvids.has(rawIdOf(x.r))), sourceTag, log })
+    : 0;
+
+  return {
+    upserts, skipped, skipped_cancelled, cancelled, moved, room_orphans, unchanged, daily_index_refreshed, unmapped_rooms, raw_stored,
+    ...(report ? { dry_run_report: report } : {}),
+  };
+}
+
+// ---- Crudo de WuBook por reserva (`WubookRaw/{rsrvid}`, ver lib/wubookRaw.js)
+/**
+ * Guarda el JSON crudo (+ extras) de cada reserva; solo escribe si cambió (sha1).
+ * Nunca hace fallar al import. Devuelve cuántos docs escribió.
+ */
+export async function storeRawReservations({ prop, items = [], sourceTag = 'wubookImport', log = console.log }) {
+  const byId = new Map();
+  for (const { r, extras } of items) {
+    const doc = encodeRawReservation(r, { propiedad_id: prop.id, extras, source: sourceTag });
+    if (doc) byId.set(doc.rsrvid, doc);
+  }
+  if (!byId.size) return 0;
+
+  const col = firestore.collection(WUBOOK_RAW_COLLECTION);
+  const docs = [...byId.values()];
+  let stored = 0;
+  try {
+    for (let i = 0; i < docs.length; i += 100) {
+      const chunk = docs.slice(i, i + 100);
+      const snaps = await firestore.getAll(...chunk.map((d) => col.doc(d.rsrvid)));
+      const batch = firestore.batch();
+      let n = 0;
+      chunk.forEach((d, k) => {
+        if (snaps[k].exists && snaps[k].data()?.sha1 === d.sha1) return;
+        batch.set(col.doc(d.rsrvid), { ...d, fetchedAt: FieldValue.serverTimestamp() });
+        n++;
+      });
+      if (n) await batch.commit();
+      stored += n;
+    }
+  } catch (e) {
+    log('WARN storeRawReservations', { propiedad_id: prop.id, error: e?.message });
+  }
+  return stored;
+}
+
+// ---- Rooms de WuBook sin departamento mapeado → borrador para revisar
+/** Catálogo de rooms de la propiedad (KP). Devuelve Map(idZak → { name, shortname }) o null si falla. */
+export async function fetchRoomsCatalog({ apiKey, log = console.log }) {
+  if (!apiKey) return null; // reproceso offline
+  try {
+    const data = await kpPost(apiKey, '/property/fetch_rooms');
+    const list = Array.isArray(data) ? data : (Array.isArray(data?.rooms) ? data.rooms : []);
+    return new Map(list.map(x => [String(x?.id ?? x?.id_zak_room ?? ''), {
+      name: x?.name ?? x?.description ?? null,
+      shortname: x?.shortname ?? x?.short_name ?? null,
+    }]));
+  } catch (e) {
+    log('WARN fetch_rooms', { kind: e?.kind, error: e?.message });
+    return null;
+  }
+}
+
+/**
+ * Crea `propiedades/{id}/departamentos/{idZak}` como borrador (`draft`, `needs_review`)
+ * para cada room sin mapa. Los borradores NO entran al roomMap hasta que se aprueban
+ * (/api/roomMapDrafts), así que las reservas se siguen salteando pero quedan reportadas.
+ */
+export async function registerUnmappedRooms({ prop, unmapped, sourceTag = 'wubookImport', dryRun = false, log = console.log }) {
+  const col = firestore.collection('propiedades').doc(prop.id).collection('departamentos');
+  const out = [];
+  let catalog; // se pide una sola vez y solo si hay algo nuevo
+
+  for (const [idZak, u] of unmapped) {
+    const ref = col.doc(idZak);
+    const snap = await ref.get();
+    const sample = [...u.id_humans].slice(0, 10);
+
+    if (snap.exists) {
+      const d = snap.data() || {};
+      if (!dryRun) {
+        await ref.set({
+          last_seen_reservations: u.id_humans.size,
+          last_seen_at: FieldValue.serverTimestamp(),
+          sample_id_humans: sample,
+        }, { merge: true });
+      }
+      out.push({ id_zak: idZak, name: d.wubook_name || d.nombre || null, reservations: u.id_humans.size, draft_created: false, ignored: d.ignored === true });
+      continue;
+    }
+
+    if (catalog === undefined) catalog = await fetchRoomsCatalog({ apiKey: prop.apiKey, log });
+    const info = catalog?.get(idZak) || {};
+    if (!dryRun) {
+      await ref.set({
+        nombre: info.name || `Room ${idZak}`,
+        codigo_depto: info.shortname || idZak,
+        wubook_name: info.name || null,
+        wubook_shortname: info.shortname || null,
+        id_zak_room_type: u.id_zak_room_type,
+        draft: true,
+        needs_review: true,
+        discoveredAt: FieldValue.serverTimestamp(),
+        discoveredBy: sourceTag,
+        last_seen_at: FieldValue.serverTimestamp(),
+        last_seen_reservations: u.id_humans.size,
+        sample_id_humans: sample,
+      });
+    }
+    log('WARN room sin departamento', { propiedad_id: prop.id, id_zak: idZak, name: info.name || null, reservas: sample });
+    out.push({ id_zak: idZak, name: info.name || null, reservations: u.id_humans.size, draft_created: !dryRun, ignored: false });
+  }
+  return out;
+}
+
+// ---- Estado de salud por propiedad (`syncStatus/{id}`, ver lib/syncStatus.js)
+// Nunca hace fallar al import: si no se puede escribir, solo se loguea.
+async function writeSyncStatus(propId, patch, log) {
+  try {
+    await firestore.collection(SYNC_STATUS_COLLECTION).doc(String(propId)).set({
+      ...patch,
+      updatedAt: FieldValue.serverTimestamp(),
+    }, { merge: true });
+  } catch (e) {
+    log('WARN syncStatus', { propiedad_id: propId, error: e?.message });
+  }
+}
+
+/** Registra una corrida de import/sync para la propiedad: OK (con `result` de upsertReservations) o `error`. */
+export async function recordSyncRun({ prop, source, result = null, found = null, error = null, log = console.log }) {
+  const at = DateTime.now().setZone(TZ).toISO();
+  const patch = error
+    ? buildSyncErrorPatch({ prop, source, at, error, increment: FieldValue.increment(1) })
+    : buildSyncSuccessPatch({ prop, source, at, counts: syncCountsFromResult(result, { found }) });
+  await writeSyncStatus(prop.id, patch, log);
+}
+
+/** Registra el resultado del enrich batch para la propiedad (`errors` = describeError de cada reserva fallida). */
+export async function recordEnrichRun({ prop, attempted = 0, errors = [], log = console.log }) {
+  const at = DateTime.now().setZone(TZ).toISO();
+  await writeSyncStatus(prop.id, buildEnrichPatch({ prop, at, attempted, errors, increment: FieldValue.increment(1) }), log);
+}
+
+// ---- Fechas ISO que ocupa una estadía (arrival..departure inclusive, para checkins/stays/checkouts)
+export function stayDatesISO(arrivalISO, departureISO, maxDays = 62) {
+  const from = arrivalISO ? DateTime.fromISO(arrivalISO, { zone: TZ }) : null;
+  const to = departureISO ? DateTime.fromISO(departureISO, { zone: TZ }) : from;
+  if (!from?.isValid || !to?.isValid || to < from) return [];
+  const out = [];
+  for (let d = from; d <= to && out.length < maxDays; d = d.plus({ days: 1 })) out.push(d.toISODate());
+  return out;
+}
+
+// ---- Rebuild del DailyIndex para fechas puntuales (mismo endpoint que usa rebuildDailyIndexes)
+export async function refreshDailyIndexes({ dates = [], log = console.log }) {
+  const base = process.env.PUBLIC_BASE_URL || (process.env.VERCEL_URL ? `https://${process.env.VERCEL_URL}` : null);
+  if (!base) { log('WARN refreshDailyIndexes sin PUBLIC_BASE_URL/VERCEL_URL', { dates: dates.length }); return 0; }
+
+  let refreshed = 0;
+  for (const date of [...new Set(dates)].sort()) {
+    try {
+      const r = await fetch(`${base}/api/dailyIndex?rebuild=1&date=${date}`, { headers: { accept: 'application/json' } });
+      if (r.ok) refreshed++;
+      else log('WARN refreshDailyIndexes', { date, status: r.status });
+    } catch (e) {
+      log('WARN refreshDailyIndexes', { date, error: e?.message });
+    }
+  }
+  return refreshed;
 }
 
 // ---- Fetches específicos (para que cada endpoint sólo llame lo que necesita)
-export async function fetchByArrivalRange({ apiKey, fromDate, toDate, log = console.log }) {
-  const headers = { 'x-api-key': apiKey, 'Content-Type': 'application/x-www-form-urlencoded' };
+// KP /reservations/fetch_reservations paginado con filtros arbitrarios (arrival, modified, …)
+export async function fetchReservationsByFilters({ apiKey, filters = {}, log = console.log }) {
   const limit = 64; let offset = 0; let hasMore = true; const all = []; let guard = 0;
   while (hasMore) {
-    guard++; if (guard > 100) break;
-    const payload = qs.stringify({ filters: JSON.stringify({ arrival: { from: fromDate, to: toDate }, pager: { limit, offset } }) });
-    const resp = await axios.post(`${BASE_URL}/reservations/fetch_reservations`, payload, { headers });
-    const items = resp?.data?.data?.reservations || [];
+    guard++; if (guard > 100) { log('WARN fetchReservationsByFilters: guard de paginado alcanzado', { filters }); break; }
+    const data = await kpPost(apiKey, '/reservations/fetch_reservations', {
+      filters: JSON.stringify({ ...filters, pager: { limit, offset } }),
+    });
+    const items = data?.reservations || [];
     all.push(...items);
     hasMore = items.length === limit; offset += limit;
   }
   return all;
 }
 
+export async function fetchByArrivalRange({ apiKey, fromDate, toDate, log = console.log }) {
+  return fetchReservationsByFilters({ apiKey, filters: { arrival: { from: fromDate, to: toDate } }, log });
+}
+
+export async function fetchByDepartureRange({ apiKey, fromDate, toDate, log = console.log }) {
+  return fetchReservationsByFilters({ apiKey, filters: { departure: { from: fromDate, to: toDate } }, log });
+}
+
+// In-house = la estadía se superpone con el rango: arrival ≤ toDate y departure ≥ fromDate.
+// KP no filtra por superposición, así que se acota arrival hacia atrás con `maxStayDays`
+// (una estadía más larga que eso y que empezó antes no se trae). Incluye los checkout de fromDate.
+const DEFAULT_MAX_STAY_DAYS = 60;
+export async function fetchInHouseRange({ apiKey, fromDate, toDate, maxStayDays = DEFAULT_MAX_STAY_DAYS, log = console.log }) {
+  const days = Math.max(1, Number(maxStayDays) || DEFAULT_MAX_STAY_DAYS);
+  const filters = {
+    arrival: { from: parseEU(fromDate).minus({ days }).toFormat('dd/LL/yyyy'), to: toDate },
+    departure: { from: fromDate, to: parseEU(toDate).plus({ days }).toFormat('dd/LL/yyyy') },
+  };
+  return fetchReservationsByFilters({ apiKey, filters, log });
+}
+
+export const IMPORT_RANGES = ['arrival', 'departure', 'inhouse'];
+
+/** Une listas crudas de KP sin repetir reservas (clave: id, o id_human). Gana la primera aparición. */
+export function mergeReservationLists(...lists) {
+  const byKey = new Map();
+  for (const list of lists) {
+    for (const r of list || []) {
+      const key = String(r?.id ?? r?.id_human ?? '');
+      if (!key || byKey.has(key)) continue;
+      byKey.set(key, r);
+    }
+  }
+  return [...byKey.values()];
+}
+
+/** Trae cada rango pedido (arrival/departure/inhouse) y los une antes del upsert. */
+export async function fetchByRanges({ apiKey, fromDate, toDate, ranges = ['arrival'], maxStayDays, log = console.log }) {
+  const fetchers = {
+    arrival: () => fetchByArrivalRange({ apiKey, fromDate, toDate, log }),
+    departure: () => fetchByDepartureRange({ apiKey, fromDate, toDate, log }),
+    inhouse: () => fetchInHouseRange({ apiKey, fromDate, toDate, maxStayDays, log }),
+  };
+  const lists = [];
+  const found_by_range = {};
+  for (const range of ranges) {
+    const list = await fetchers[range]();
+    found_by_range[range] = list.length;
+    lists.push(list);
+  }
+  return { reservas: mergeReservationLists(...lists), found_by_range };
+}
+
+// Reservas modificadas (alta, cambio de fechas/room/precio, cancelación) desde `sinceDate` ('dd/MM/yyyy')
+export async function fetchModifiedSince({ apiKey, sinceDate, toDate, log = console.log }) {
+  const to = toDate || DateTime.now().setZone(TZ).toFormat('dd/LL/yyyy');
+  return fetchReservationsByFilters({ apiKey, filters: { modified: { from: sinceDate, to } }, log });
+}
+
+/** Extras de una reserva (KP). Devuelve la lista cruda o null si falla (el import sigue con el prorrateo). */
+export async function fetchReservationExtras({ apiKey, id, log = console.log }) {
+  try {
+    const data = await kpPost(apiKey, '/reservations/get_extras', { id });
+    return Array.isArray(data) ? data : (Array.isArray(data?.extras) ? data.extras : []);
+  } catch (e) {
+    log('WARN get_extras', { id, kind: e?.kind, error: e?.message });
+    return null;
+  }
+}
+
+// KP /reservations/fetch_one_reservation → reserva completa (mismo shape que fetch_reservations)
+export async function fetchOneReservation({ apiKey, id }) {
+  return (await kpPost(apiKey, '/reservations/fetch_one_reservation', { id })) || null;
+}
+
 export async function fetchToday({ apiKey }) {
-  const headers = { 'x-api-key': apiKey, 'Content-Type': 'application/x-www-form-urlencoded' };
-  const resp = await axios.post(`${BASE_URL}/reservations/fetch_today_reservations`, qs.stringify({}), { headers });
-  return resp?.data?.data?.reservations || [];
+  const data = await kpPost(apiKey, '/reservations/fetch_today_reservations');
+  return data?.reservations || [];
 }
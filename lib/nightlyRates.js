@@ -0,0 +1,94 @@
+/**
+ * lib/nightlyRates.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Noches, ADR y tarifa por noche de un doc de `Reservas` (uno por room).
+ * Helpers puros; los usa `upsertReservations` (lib/importProcessShared.js) y los
+ * reportes que necesitan atribuir el ingreso a la noche en que se generó.
+ *
+ * CAMPOS
+ *   nights:        noches entre arrival_iso y departure_iso
+ *   adr_usd:       toPay_breakdown.baseUSD / nights (alojamiento neto, sin IVA ni extras)
+ *   nightly_rates: [{ date: 'YYYY-MM-DD', amount_usd }]  // una entrada por noche, suma = baseUSD
+ *   nightly_rates_source: 'wubook' (precios diarios del room) | 'split' (baseUSD / nights)
+ *
+ * PRECIOS DIARIOS DE WUBOOK
+ *   Si el room trae precios por día (`daily_prices` / `prices` / `price.daily`, como objeto
+ *   { 'dd/MM/yyyy': monto } o array [{ day|date, price|amount }]) se usan como pesos: cada noche
+ *   recibe la parte de baseUSD proporcional a su precio. Así la suma siempre cuadra con el total
+ *   (que ya contempla descuentos y la conversión a USD). Si faltan días se reparte parejo.
+ */
+
+const DAY_MS = 86400000;
+
+const round2 = (n) => Math.round(Number(n) * 100) / 100;
+
+const isoToMs = (iso) => Date.parse(`${iso}T00:00:00Z`);
+
+// 'dd/MM/yyyy' | 'YYYY-MM-DD' → 'YYYY-MM-DD'
+const toISODate = (s) => {
+  const v = String(s || '').trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(v)) return v;
+  const m = v.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+  return m ? `${m[3]}-${m[2]}-${m[1]}` : null;
+};
+
+export function nightsBetweenISO(arrivalISO, departureISO) {
+  const a = isoToMs(arrivalISO);
+  const b = isoToMs(departureISO);
+  return Number.isFinite(a) && Number.isFinite(b) && b > a ? Math.round((b - a) / DAY_MS) : 0;
+}
+
+/** Fechas ISO de cada noche (arrival inclusive, departure exclusive). */
+export function stayNightsISO(arrivalISO, departureISO) {
+  const n = nightsBetweenISO(arrivalISO, departureISO);
+  const a = isoToMs(arrivalISO);
+  return Array.from({ length: n }, (_, i) => new Date(a + i * DAY_MS).toISOString().slice(0, 10));
+}
+
+/** Precios diarios del room de WuBook → Map('YYYY-MM-DD' → monto) o null si no vienen. */
+export function dailyPricesFromRoom(room = {}) {
+  const raw = room?.daily_prices ?? room?.prices ?? room?.price?.daily ?? null;
+  if (!raw || typeof raw !== 'object') return null;
+  const entries = Array.isArray(raw)
+    ? raw.map((x) => [x?.day ?? x?.date, x?.price ?? x?.amount])
+    : Object.entries(raw);
+  const out = new Map();
+  for (const [day, price] of entries) {
+    const iso = toISODate(day);
+    const n = Number(price);
+    if (iso && Number.isFinite(n) && n >= 0) out.set(iso, n);
+  }
+  return out.size ? out : null;
+}
+
+/**
+ * { nights, adr_usd, nightly_rates, nightly_rates_source } para un room.
+ * Sin baseUSD (p.ej. falta cotización) solo devuelve `nights`.
+ */
+export function buildNightlyRates({ arrivalISO, departureISO, baseUSD = null, daily = null } = {}) {
+  const dates = stayNightsISO(arrivalISO, departureISO);
+  const nights = dates.length;
+  const base = Number(baseUSD);
+  if (!nights || baseUSD === null || baseUSD === undefined || !Number.isFinite(base)) return { nights };
+
+  const weights = dates.map((d) => (daily?.has(d) ? daily.get(d) : null));
+  const useDaily = weights.every((w) => w !== null) && weights.some((w) => w > 0);
+  const totalWeight = useDaily ? weights.reduce((acc, w) => acc + w, 0) : nights;
+
+  // el redondeo se ajusta en la última noche para que la suma sea exactamente baseUSD
+  let assigned = 0;
+  const nightly_rates = dates.map((date, i) => {
+    const amount_usd = i === nights - 1
+      ? round2(base - assigned)
+      : round2(base * (useDaily ? weights[i] : 1) / totalWeight);
+    assigned = round2(assigned + amount_usd);
+    return { date, amount_usd };
+  });
+
+  return {
+    nights,
+    adr_usd: round2(base / nights),
+    nightly_rates,
+    nightly_rates_source: useDaily ? 'wubook' : 'split',
+  };
+}
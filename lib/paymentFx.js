@@ -0,0 +1,112 @@
+/**
+ * lib/paymentFx.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Equivalente USD de los pagos en ARS (y EUR/BRL/CLP/UYU) con la cotización del DÍA
+ * DEL PAGO (`ts`), no la del check-in: una seña cobrada un mes antes o un saldo cobrado
+ * al checkout tienen su propio tipo de cambio. Helpers puros; la búsqueda de
+ * cotizaciones la hace `paymentFxUSD` (lib/importProcessShared.js).
+ *
+ * MONEDAS
+ *   USD        sin conversión
+ *   ARS        cotizaciones/USD (casa según configuracion/fx_policies, lib/fxPolicy.js)
+ *   EUR, BRL, CLP, UYU  tipo cruzado vía ARS: cotizaciones/USD y cotizaciones/<MONEDA>
+ *              del mismo día, ambas oficiales al promedio (las guarda /api/dolarByDate)
+ *
+ * POLÍTICA (env PAYMENT_FX_POLICY, pasos separados por coma, en orden)
+ *   payment_date  cotizaciones/USD del día del pago
+ *   lookback      día hábil previo más cercano (hasta PAYMENT_FX_LOOKBACK_DAYS, default 7)
+ *   checkin       `usd_fx_on_checkin` de la reserva (criterio anterior; solo ARS)
+ *   payload       TC informado a mano al cargar el pago (payload.fxRate)
+ *   Default: 'payment_date,lookback,checkin,payload'. Pagos con fecha futura usan la de hoy.
+ *
+ * CAMPOS DEL PAGO
+ *   usd_equiv, fxRateUsed (unidades de la moneda por USD: ARS por USD, EUR por USD, ...),
+ *   fx_date (fecha de la cotización usada), fx_source (paso de la política que resolvió;
+ *   null si ninguno), fx_policy ({ casa, side, spread_pct } aplicada, ver lib/fxPolicy.js;
+ *   null con TC manual), fx_cross ({ usd_ars, ccy_ars } de las dos cotizaciones; solo cruzados)
+ */
+
+import { DateTime } from 'luxon';
+
+const TZ = 'America/Argentina/Buenos_Aires';
+
+export const PAYMENT_FX_STEPS = ['payment_date', 'lookback', 'checkin', 'payload'];
+export const DEFAULT_PAYMENT_FX_POLICY = [...PAYMENT_FX_STEPS];
+export const DEFAULT_PAYMENT_FX_LOOKBACK_DAYS = 7;
+
+export const PAYMENT_CURRENCIES = ['ARS', 'USD', 'EUR', 'BRL', 'CLP', 'UYU'];
+export const CROSS_FX_CURRENCIES = ['EUR', 'BRL', 'CLP', 'UYU'];
+
+/** 'payment_date, checkin' → ['payment_date', 'checkin']; vacío o inválido → default. */
+export function parsePaymentFxPolicy(value) {
+  const steps = [...new Set(String(value || '').split(',').map((s) => s.trim().toLowerCase()))]
+    .filter((s) => PAYMENT_FX_STEPS.includes(s));
+  return steps.length ? steps : [...DEFAULT_PAYMENT_FX_POLICY];
+}
+
+/** Fecha (YYYY-MM-DD, TZ AR) de un `ts` de pago: Timestamp, {seconds}, Date, ISO o ms. */
+export function paymentDateISO(ts, { todayISO = null } = {}) {
+  let dt = null;
+  if (ts && typeof ts.toDate === 'function') dt = DateTime.fromJSDate(ts.toDate());
+  else if (ts instanceof Date) dt = DateTime.fromJSDate(ts);
+  else if (Number.isFinite(Number(ts?.seconds ?? ts?._seconds))) dt = DateTime.fromSeconds(Number(ts.seconds ?? ts._seconds));
+  else if (typeof ts === 'string' && ts) dt = DateTime.fromISO(ts, { zone: TZ });
+  else if (typeof ts === 'number' && Number.isFinite(ts)) dt = DateTime.fromMillis(ts);
+  if (!dt?.isValid) return null;
+  const day = dt.setZone(TZ).toISODate();
+  return todayISO && day > todayISO ? todayISO : day;
+}
+
+/** Promedio compra/venta de `usd_fx_on_checkin` (ARS por USD) o null. */
+export function checkinFxRate(reservation = {}) {
+  const fx = reservation?.usd_fx_on_checkin || {};
+  const buy = Number(fx.compra), sell = Number(fx.venta);
+  if (Number.isFinite(buy) && Number.isFinite(sell) && buy > 0 && sell > 0) return +((buy + sell) / 2).toFixed(4);
+  if (Number.isFinite(sell) && sell > 0) return +sell.toFixed(4);
+  if (Number.isFinite(buy) && buy > 0) return +buy.toFixed(4);
+  return null;
+}
+
+export const isARSPayment = (p) => String(p?.currency || '').toUpperCase() === 'ARS' && Number(p?.amount) !== 0 && Number.isFinite(Number(p?.amount));
+
+/** Pago en una moneda soportada distinta de USD (necesita usd_equiv). */
+export const isFxPayment = (p) => {
+  const ccy = String(p?.currency || '').toUpperCase();
+  return ccy !== 'USD' && PAYMENT_CURRENCIES.includes(ccy) && Number(p?.amount) !== 0 && Number.isFinite(Number(p?.amount));
+};
+
+/** Unidades de la moneda por USD a partir de las cotizaciones en ARS de ambas (p.ej. 1200 / 1300 → 0.923077 EUR por USD). */
+export function crossFxRate(usdARS, ccyARS) {
+  const usd = Number(usdARS), ccy = Number(ccyARS);
+  if (!Number.isFinite(usd) || !Number.isFinite(ccy) || usd <= 0 || ccy <= 0) return null;
+  return +(usd / ccy).toFixed(6);
+}
+
+/**
+ * ¿Hay que (re)calcular el USD de este pago? Los legacy (sin fx_source) y los que no
+ * tienen usd_equiv siempre; con `force` también los ya resueltos. Un TC cargado a mano
+ * (fx_source 'payload') no se pisa.
+ */
+export function needsPaymentFx(p, { force = false } = {}) {
+  if (!isFxPayment(p)) return false;
+  if (p.fx_source === 'payload') return false;
+  if (force) return true;
+  return !p.fx_source || !Number.isFinite(Number(p.usd_equiv)) || p.usd_equiv === null;
+}
+
+/** Pago con usd_equiv / fxRateUsed / fx_date / fx_source / fx_policy según `fx` ({ rate, date, source, casa?, side?, spread_pct?, cross? } o null). */
+export function applyPaymentFx(payment, fx) {
+  const rate = Number(fx?.rate);
+  if (!fx || !Number.isFinite(rate) || rate <= 0) {
+    return { ...payment, usd_equiv: null, fxRateUsed: null, fx_date: null, fx_source: null, fx_policy: null };
+  }
+  return {
+    ...payment,
+    usd_equiv: +(Number(payment.amount) / rate).toFixed(2),
+    fxRateUsed: +rate,
+    fx_date: fx.date || null,
+    fx_source: fx.source || null,
+    fx_policy: fx.casa ? { casa: fx.casa, side: fx.side || 'mid', spread_pct: Number(fx.spread_pct) || 0 } : null,
+    ...(fx.cross ? { fx_cross: fx.cross } : {}),
+  };
+}
@@ -0,0 +1,108 @@
+/**
+ * lib/piiErasure.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Anonimización de datos personales del huésped (PII) en reservas, su `historial`
+ * y el perfil de `Huespedes`. Helpers puros; la escritura la hace /api/guestPiiErasure.
+ *
+ * QUÉ SE BORRA
+ *   - Reserva: nombre_huesped (→ 'Huésped anonimizado'), customer_email/phone/address/city,
+ *     wubook_booker_id, texto de notes[] / wubook_notes[] / host_notes.
+ *   - Historial: los mismos campos dentro de `snapshotAfter`, en `diff[key].from/to`
+ *     y la nota de `payload.note`.
+ *   - Perfil: nombre, emails, teléfonos, claves de match, bookers y dirección.
+ *
+ * QUÉ SE CONSERVA (liquidaciones / reportes)
+ *   - Montos, pagos, toPay/breakdown, fechas, depto, canal, país (customer_country),
+ *     estado e ids de la reserva. La marca `pii_erased` evita que import/enrich
+ *     vuelvan a escribir los datos personales desde WuBook.
+ */
+
+export const PII_ANONYMIZED_NAME = 'Huésped anonimizado';
+export const PII_REDACTED_NOTE = '[nota anonimizada]';
+export const DEFAULT_PII_RETENTION_DAYS = 730;
+
+// campo → valor anonimizado (solo se tocan si el doc los tiene)
+const RESERVA_PII_VALUES = {
+  nombre_huesped: PII_ANONYMIZED_NAME,
+  customer_email: null,
+  customer_phone: null,
+  customer_address: null,
+  customer_city: null,
+  wubook_booker_id: null,
+};
+const NOTE_FIELDS = new Set(['notes', 'wubook_notes', 'host_notes']);
+export const RESERVA_PII_FIELDS = [...Object.keys(RESERVA_PII_VALUES), ...NOTE_FIELDS];
+
+const redactNote = (n) => {
+  if (typeof n === 'string') return n.trim() ? PII_REDACTED_NOTE : n;
+  if (!n || typeof n !== 'object') return n;
+  const out = { ...n };
+  for (const k of ['text', 'remarks', 'note']) if (typeof out[k] === 'string' && out[k].trim()) out[k] = PII_REDACTED_NOTE;
+  return out;
+};
+
+const redactValue = (key, value) => {
+  if (NOTE_FIELDS.has(key)) return Array.isArray(value) ? value.map(redactNote) : redactNote(value);
+  if (value === null || value === undefined) return value;
+  return RESERVA_PII_VALUES[key];
+};
+
+/** Patch con los campos PII del doc ya anonimizados (solo los que existen en `doc`). */
+export function anonymizeReservationFields(doc = {}) {
+  const patch = {};
+  for (const key of RESERVA_PII_FIELDS) {
+    if (key in (doc || {})) patch[key] = redactValue(key, doc[key]);
+  }
+  return patch;
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/** Patch para una entrada de `historial` (null si no tiene nada personal). */
+export function anonymizeHistorialEntry(entry = {}) {
+  const patch = {};
+
+  if (entry.snapshotAfter && typeof entry.snapshotAfter === 'object') {
+    const snap = { ...entry.snapshotAfter, ...anonymizeReservationFields(entry.snapshotAfter) };
+    if (!same(snap, entry.snapshotAfter)) patch.snapshotAfter = snap;
+  }
+
+  if (entry.diff && typeof entry.diff === 'object') {
+    const diff = { ...entry.diff };
+    for (const key of RESERVA_PII_FIELDS) {
+      const d = diff[key];
+      if (!d || typeof d !== 'object') continue;
+      diff[key] = { ...d, from: redactValue(key, d.from ?? null), to: redactValue(key, d.to ?? null) };
+    }
+    if (!same(diff, entry.diff)) patch.diff = diff;
+  }
+
+  if (entry.payload?.note) {
+    const note = redactNote(entry.payload.note);
+    if (!same(note, entry.payload.note)) patch.payload = { ...entry.payload, note };
+  }
+
+  return Object.keys(patch).length ? patch : null;
+}
+
+/** Perfil de `Huespedes` sin datos personales (se conservan las propiedades donde se alojó). */
+export function anonymizeGuestProfile(profile = {}) {
+  return {
+    nombre: PII_ANONYMIZED_NAME,
+    emails: [],
+    phones: [],
+    match_keys: [],
+    wubook_booker_ids: [],
+    address: null,
+    city: null,
+    country: profile.country || null,
+    propiedad_ids: profile.propiedad_ids || [],
+  };
+}
+
+/** Fecha ISO (YYYY-MM-DD) antes de la cual la salida ya venció la retención. */
+export function retentionCutoffISO(todayISO, retentionDays = DEFAULT_PII_RETENTION_DAYS) {
+  const t = Date.parse(`${todayISO}T00:00:00Z`);
+  if (!Number.isFinite(t)) return null;
+  return new Date(t - Number(retentionDays) * 86400000).toISOString().slice(0, 10);
+}
@@ -0,0 +1,73 @@
+/**
+ * lib/reservationTerms.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Condiciones comerciales de la reserva cruda de WuBook que `upsertReservations`
+ * copia a cada doc de `Reservas` (comisiones y cancelaciones dependen de ellas).
+ * Helpers puros.
+ *
+ * CAMPOS
+ *   board:               régimen de comidas ('nb' | 'bb' | 'hb' | 'fb' | 'ai' | otro código de WuBook)
+ *   cpolicy:             política de cancelación (texto de WuBook, p.ej. 'Custom Policy')
+ *   agency:              agencia tal cual viene ('Booking.com [3742576]')
+ *   agency_name / agency_code: separados ('Booking.com' / '3742576'), para filtrar en liquidaciones
+ *   wubook_created_iso:  fecha de creación de la reserva en WuBook (YYYY-MM-DD)
+ *   expiration_iso:      vencimiento (reservas con pago pendiente); null si no tiene
+ *   meals_price:         { amount, vat, total, currency } de price.meals prorrateado por room
+ *                        (solo si hay comidas cobradas)
+ */
+
+export const BOARD_LABELS = {
+  nb: 'Sin comidas',
+  bb: 'Desayuno',
+  hb: 'Media pensión',
+  fb: 'Pensión completa',
+  ai: 'Todo incluido',
+};
+
+const round2 = (n) => Math.round(Number(n) * 100) / 100;
+const str = (v) => {
+  const s = String(v ?? '').trim();
+  return s || null;
+};
+
+// 'dd/MM/yyyy' (con o sin hora) | 'YYYY-MM-DD' → 'YYYY-MM-DD'
+const toISODate = (s) => {
+  const v = String(s || '').trim();
+  const iso = v.match(/^(\d{4}-\d{2}-\d{2})/);
+  if (iso) return iso[1];
+  const m = v.match(/^(\d{2})\/(\d{2})\/(\d{4})/);
+  return m ? `${m[3]}-${m[2]}-${m[1]}` : null;
+};
+
+/** 'Booking.com [3742576]' → { name: 'Booking.com', code: '3742576' } */
+export function parseAgency(agency) {
+  const raw = str(agency);
+  if (!raw) return { name: null, code: null };
+  const m = raw.match(/^(.*?)\s*\[([^\]]+)\]\s*$/);
+  return m ? { name: str(m[1]), code: str(m[2]) } : { name: raw, code: null };
+}
+
+/** Campos de condiciones para el doc de un room (`roomsCount` para prorratear comidas). */
+export function mapReservationTerms(r = {}, { roomsCount = 1 } = {}) {
+  const { name, code } = parseAgency(r?.agency);
+  const meals = r?.price?.meals;
+  const n = Math.max(1, Number(roomsCount) || 1);
+  const hasMeals = Number(meals?.amount) > 0 || Number(meals?.total) > 0;
+  return {
+    board: str(r?.board)?.toLowerCase() ?? null,
+    cpolicy: str(r?.cpolicy),
+    agency: str(r?.agency),
+    agency_name: name,
+    agency_code: code,
+    wubook_created_iso: toISODate(r?.created),
+    expiration_iso: toISODate(r?.expiration_date),
+    ...(hasMeals ? {
+      meals_price: {
+        amount: round2((Number(meals.amount) || 0) / n),
+        vat: round2((Number(meals.vat) || 0) / n),
+        total: round2((Number(meals.total) || 0) / n),
+        currency: str(meals.currency || r?.price?.rooms?.currency || r?.price?.currency)?.toUpperCase() ?? null,
+      },
+    } : {}),
+  };
+}
@@ -0,0 +1,123 @@
+/**
+ * lib/syncStatus.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Estado de salud de los imports por propiedad, guardado en `syncStatus/{propiedad_id}`.
+ * Acá solo viven los helpers puros (armado de patches y cálculo de salud); la
+ * escritura la hacen `recordSyncRun` / `recordEnrichRun` de lib/importProcessShared.js.
+ *
+ * FORMA DEL DOC
+ *   {
+ *     propiedad_id, propiedad_nombre,
+ *     lastSuccessAt, lastSuccessSource,            // último import OK (cualquier fuente)
+ *     lastErrorAt, lastError, lastErrorKind, lastErrorSource,
+ *     sources: {
+ *       [sourceTag]: {                             // wubookImportByArrival | wubookSyncToday | wubookSyncModified
+ *         lastRunAt, lastOutcome: 'ok' | 'error',
+ *         lastSuccessAt, lastCounts: { found, upserts, skipped, ..., unmapped_rooms },
+ *         lastErrorAt, lastError, lastErrorKind,
+ *         consecutiveFailures,                     // vuelve a 0 con la próxima corrida OK
+ *       }
+ *     },
+ *     enrich: { lastRunAt, attempted, failed, lastErrors: [{ id, kind, status, path, error }], consecutiveFailedRuns },
+ *     updatedAt
+ *   }
+ *   Las fechas son ISO con TZ AR (comparables y legibles desde el front).
+ *
+ * SALUD (computeSyncHealth)
+ *   'failing' → alguna fuente con consecutiveFailures > 0
+ *   'never'   → nunca hubo un import OK
+ *   'stale'   → el último import OK es más viejo que `staleHours`
+ *   'warning' → imports OK pero el último enrich tuvo reservas que WuBook no devolvió
+ *   'ok'
+ */
+
+import { DateTime } from 'luxon';
+
+export const SYNC_STATUS_COLLECTION = 'syncStatus';
+export const DEFAULT_STALE_HOURS = 2; // cronOrchestrator corre los imports cada 30 min: margen de unas corridas
+export const SYNC_HEALTH = ['failing', 'never', 'stale', 'warning', 'ok']; // de peor a mejor
+
+const COUNT_KEYS = ['upserts', 'skipped', 'skipped_cancelled', 'cancelled', 'moved', 'room_orphans', 'unchanged', 'daily_index_refreshed'];
+const MAX_ENRICH_ERRORS = 5;
+
+/** Contadores de `upsertReservations` que vale la pena guardar (sin el detalle por doc). */
+export function syncCountsFromResult(result = {}, { found = null } = {}) {
+  const out = { found: Number.isFinite(Number(found)) ? Number(found) : null };
+  for (const k of COUNT_KEYS) out[k] = Number(result?.[k]) || 0;
+  out.unmapped_rooms = Array.isArray(result?.unmapped_rooms) ? result.unmapped_rooms.length : 0;
+  return out;
+}
+
+export function buildSyncSuccessPatch({ prop, source, at, counts }) {
+  return {
+    propiedad_id: prop.id,
+    propiedad_nombre: prop.nombre || null,
+    lastSuccessAt: at,
+    lastSuccessSource: source,
+    sources: {
+      [source]: { lastRunAt: at, lastOutcome: 'ok', lastSuccessAt: at, lastCounts: counts, consecutiveFailures: 0 },
+    },
+  };
+}
+
+/** `increment` es el sentinel `FieldValue.increment(1)` (se inyecta para no depender de firebase acá). */
+export function buildSyncErrorPatch({ prop, source, at, error, increment }) {
+  const message = String(error?.message || error || 'error').slice(0, 500);
+  const kind = error?.kind || null;
+  return {
+    propiedad_id: prop.id,
+    propiedad_nombre: prop.nombre || null,
+    lastErrorAt: at,
+    lastError: message,
+    lastErrorKind: kind,
+    lastErrorSource: source,
+    sources: {
+      [source]: { lastRunAt: at, lastOutcome: 'error', lastErrorAt: at, lastError: message, lastErrorKind: kind, consecutiveFailures: increment },
+    },
+  };
+}
+
+export function buildEnrichPatch({ prop, at, attempted = 0, errors = [], increment }) {
+  const failed = errors.length;
+  return {
+    propiedad_id: prop.id,
+    propiedad_nombre: prop.nombre || null,
+    enrich: {
+      lastRunAt: at,
+      attempted,
+      failed,
+      lastErrors: errors.slice(0, MAX_ENRICH_ERRORS),
+      consecutiveFailedRuns: failed ? increment : 0,
+    },
+  };
+}
+
+/** { health, reasons[] } para un doc de syncStatus (o null si la propiedad nunca corrió). */
+export function computeSyncHealth(status, { now = DateTime.now(), staleHours = DEFAULT_STALE_HOURS } = {}) {
+  const reasons = [];
+  const sources = status?.sources || {};
+
+  for (const [source, s] of Object.entries(sources)) {
+    const n = Number(s?.consecutiveFailures) || 0;
+    if (n > 0) reasons.push(`${source}: ${n} ${n === 1 ? 'falla' : 'fallas seguidas'} (${s.lastErrorKind || 'error'}: ${s.lastError || '-'})`);
+  }
+  if (reasons.length) return { health: 'failing', reasons };
+
+  const last = status?.lastSuccessAt ? DateTime.fromISO(status.lastSuccessAt) : null;
+  if (!last?.isValid) return { health: 'never', reasons: ['Sin imports exitosos registrados'] };
+
+  const ageHours = now.diff(last, 'hours').hours;
+  if (ageHours > staleHours) {
+    return { health: 'stale', reasons: [`Último import OK hace ${Math.floor(ageHours)} h (${status.lastSuccessSource || '-'})`] };
+  }
+
+  const failed = Number(status?.enrich?.failed) || 0;
+  if (failed > 0) {
+    return { health: 'warning', reasons: [`Enrich: ${failed} de ${Number(status.enrich.attempted) || failed} reservas fallaron en la última corrida`] };
+  }
+  return { health: 'ok', reasons: [] };
+}
+
+export const isSyncProblem = (health) => health !== 'ok';
+
+export const compareSyncHealth = (a, b) => SYNC_HEALTH.indexOf(a) - SYNC_HEALTH.indexOf(b);
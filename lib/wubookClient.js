@@ -0,0 +1,264 @@
+/**
+ * lib/wubookClient.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * OBJETIVO
+ *   Cliente ÚNICO para KP y KAPI de WuBook. Todos los importadores, el enrich y
+ *   los push salientes llaman por acá (nada de axios directo contra WuBook).
+ *
+ * AUTENTICACIÓN
+ *   - KP:   header `x-api-key: <apiKey>`            base WUBOOK_BASE_URL      (default https://kapi.wubook.net/kp)
+ *   - KAPI: basic auth `<apiKey>:` (password vacío) base WUBOOK_BASE_URL_KAPI (default https://kapi.wubook.net/kapi)
+ *   - Body siempre form-urlencoded. Las bases se leen en cada llamada (tests/mock).
+ *
+ * RATE LIMIT (por apiKey, en memoria de la instancia)
+ *   - Como máximo `maxConcurrency` requests en vuelo por apiKey.
+ *   - Entre arranques de requests de la misma apiKey pasan al menos `minIntervalMs`.
+ *   - Un 429 pone a TODA la apiKey en pausa (Retry-After o backoff) antes de seguir.
+ *
+ * REINTENTOS
+ *   - 429, 5xx y errores de red/timeout → backoff exponencial con jitter
+ *     (`baseDelayMs * 2^(intento-1)`, tope `maxDelayMs`; respeta Retry-After).
+ *   - Escrituras (`idempotent: false`, p.ej. add_note/add_payment) SOLO se
+ *     reintentan ante 429 o si la conexión ni siquiera se estableció: un 5xx
+ *     pudo haber creado el registro y reintentar lo duplicaría.
+ *   - 4xx (salvo 429) no se reintenta.
+ *
+ * ERRORES
+ *   - Siempre `WubookError` con `kind`:
+ *       'rate_limited' | 'server' | 'not_found' | 'client' | 'network' | 'invalid_response'
+ *     más `status`, `api`, `path`, `attempts`, `retryable` y `details` (body de WuBook).
+ *   - El cliente NO traga errores: cada caller decide (p.ej. enrich deja el doc
+ *     pendiente en vez de escribir un placeholder).
+ *
+ * MÉTRICAS (por instancia, acumulativas)
+ *   - getWubookMetrics() → { calls, ok, failed, retries, rate_limited, ms, byEndpoint: { 'kp/...': {...} } }
+ *   - wubookMetricsSince(snapshot) → diferencia contra un snapshot previo (para el
+ *     resumen de una corrida). Si corren invocaciones en paralelo en la misma
+ *     instancia, la diferencia las incluye a todas.
+ *
+ * CONFIG (env, todas opcionales)
+ *   WUBOOK_MIN_INTERVAL_MS (200) · WUBOOK_MAX_CONCURRENCY (3) · WUBOOK_MAX_RETRIES (3)
+ *   WUBOOK_RETRY_BASE_MS (500) · WUBOOK_RETRY_MAX_MS (10000) · WUBOOK_TIMEOUT_MS (20000)
+ *   configureWubookClient({...}) pisa estos valores en runtime (tests).
+ *
+ * EXPORTS
+ *   - kpPost(apiKey, path, params?, opts?)   → `data` de la respuesta de KP
+ *   - kapiPost(apiKey, path, params?, opts?) → `data` de la respuesta de KAPI
+ *       opts: { idempotent?: boolean (default true), timeoutMs?: number }
+ *   - WubookError
+ *   - mapWithConcurrency(items, limit, fn)
+ *   - getWubookMetrics(), wubookMetricsSince(snapshot), resetWubookMetrics()
+ *   - configureWubookClient(overrides)
+ */
+
+import axios from 'axios';
+import qs from 'qs';
+
+const envNum = (name, def) => {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n >= 0 ? n : def;
+};
+
+const config = {
+  minIntervalMs: envNum('WUBOOK_MIN_INTERVAL_MS', 200),
+  maxConcurrency: Math.max(1, envNum('WUBOOK_MAX_CONCURRENCY', 3)),
+  maxRetries: envNum('WUBOOK_MAX_RETRIES', 3),
+  baseDelayMs: envNum('WUBOOK_RETRY_BASE_MS', 500),
+  maxDelayMs: envNum('WUBOOK_RETRY_MAX_MS', 10000),
+  timeoutMs: envNum('WUBOOK_TIMEOUT_MS', 20000),
+};
+
+export function configureWubookClient(overrides = {}) {
+  Object.assign(config, overrides);
+  config.maxConcurrency = Math.max(1, Number(config.maxConcurrency) || 1);
+  return { ...config };
+}
+
+const baseUrl = (api) => (api === 'kapi'
+  ? (process.env.WUBOOK_BASE_URL_KAPI || 'https://kapi.wubook.net/kapi')
+  : (process.env.WUBOOK_BASE_URL || 'https://kapi.wubook.net/kp'));
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// ===================== ERRORES =====================
+export class WubookError extends Error {
+  constructor(message, { kind, status = null, api, path, attempts = 1, retryable = false, details = null } = {}) {
+    super(message);
+    this.name = 'WubookError';
+    this.kind = kind;
+    this.status = status;
+    this.api = api;
+    this.path = path;
+    this.attempts = attempts;
+    this.retryable = retryable;
+    this.details = details;
+  }
+}
+
+// Conexión que nunca llegó a WuBook: seguro reintentar incluso escrituras
+const NOT_SENT_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN']);
+
+function classify(err) {
+  const status = err?.response?.status ?? null;
+  if (status === 429) return { kind: 'rate_limited', status, retryable: true, sent: false };
+  if (status >= 500) return { kind: 'server', status, retryable: true, sent: true };
+  if (status === 404) return { kind: 'not_found', status, retryable: false, sent: true };
+  if (status) return { kind: 'client', status, retryable: false, sent: true };
+  return { kind: 'network', status: null, retryable: true, sent: !NOT_SENT_CODES.has(err?.code) };
+}
+
+function retryAfterMs(err) {
+  const raw = err?.response?.headers?.['retry-after'];
+  if (raw === undefined || raw === null || raw === '') return null;
+  const secs = Number(raw);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(raw);
+  return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+const backoffMs = (attempt) => Math.min(
+  config.maxDelayMs,
+  config.baseDelayMs * 2 ** (attempt - 1) + Math.floor(Math.random() * (config.baseDelayMs / 2)),
+);
+
+// ===================== LIMITADOR POR API KEY =====================
+const limiters = new Map();
+
+function limiterFor(apiKey) {
+  let l = limiters.get(apiKey);
+  if (!l) {
+    l = { active: 0, queue: [], nextAt: 0 };
+    limiters.set(apiKey, l);
+  }
+  return l;
+}
+
+async function acquire(l) {
+  // el slot se entrega directo desde release(): no hace falta incrementar al despertar
+  if (l.active >= config.maxConcurrency) await new Promise((resolve) => l.queue.push(resolve));
+  else l.active++;
+  const now = Date.now();
+  const wait = l.nextAt - now;
+  l.nextAt = Math.max(now, l.nextAt) + config.minIntervalMs;
+  if (wait > 0) await sleep(wait);
+}
+
+function release(l) {
+  const next = l.queue.shift();
+  if (next) next();
+  else l.active--;
+}
+
+// ===================== MÉTRICAS =====================
+const emptyCounters = () => ({ calls: 0, ok: 0, failed: 0, retries: 0, rate_limited: 0, ms: 0 });
+let metrics = { ...emptyCounters(), byEndpoint: {} };
+
+function track(endpoint, patch) {
+  const ep = metrics.byEndpoint[endpoint] || (metrics.byEndpoint[endpoint] = emptyCounters());
+  for (const [k, v] of Object.entries(patch)) {
+    metrics[k] += v;
+    ep[k] += v;
+  }
+}
+
+export function getWubookMetrics() {
+  return JSON.parse(JSON.stringify(metrics));
+}
+
+export function wubookMetricsSince(snapshot) {
+  const now = getWubookMetrics();
+  if (!snapshot) return now;
+  const diff = (a, b = {}) => Object.keys(emptyCounters()).reduce((acc, k) => {
+    acc[k] = (a[k] || 0) - (b[k] || 0);
+    return acc;
+  }, {});
+  const out = { ...diff(now, snapshot), byEndpoint: {} };
+  for (const [ep, c] of Object.entries(now.byEndpoint)) {
+    const d = diff(c, snapshot.byEndpoint?.[ep]);
+    if (d.calls || d.retries) out.byEndpoint[ep] = d;
+  }
+  return out;
+}
+
+export function resetWubookMetrics() {
+  metrics = { ...emptyCounters(), byEndpoint: {} };
+}
+
+// ===================== REQUEST =====================
+async function request(api, apiKey, path, params = {}, { idempotent = true, timeoutMs } = {}) {
+  if (!apiKey) throw new WubookError(`WuBook ${api}${path}: falta apiKey`, { kind: 'client', api, path, attempts: 0 });
+
+  const endpoint = `${api}${path}`;
+  const limiter = limiterFor(apiKey);
+  const payload = qs.stringify(params);
+  const reqConfig = {
+    timeout: timeoutMs ?? config.timeoutMs,
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+  };
+  if (api === 'kapi') reqConfig.auth = { username: apiKey, password: '' };
+  else reqConfig.headers['x-api-key'] = apiKey;
+
+  for (let attempt = 1; ; attempt++) {
+    await acquire(limiter);
+    const started = Date.now();
+    let err = null;
+    let resp = null;
+    try {
+      resp = await axios.post(`${baseUrl(api)}${path}`, payload, reqConfig);
+    } catch (e) {
+      err = e;
+    } finally {
+      release(limiter);
+    }
+    track(endpoint, { calls: 1, ms: Date.now() - started });
+
+    if (!err) {
+      const body = resp?.data;
+      if (!body || typeof body !== 'object') {
+        track(endpoint, { failed: 1 });
+        throw new WubookError(`WuBook ${endpoint}: respuesta inválida`, {
+          kind: 'invalid_response', status: resp?.status ?? null, api, path, attempts: attempt, details: body ?? null,
+        });
+      }
+      track(endpoint, { ok: 1 });
+      return body.data;
+    }
+
+    const c = classify(err);
+    if (c.kind === 'rate_limited') track(endpoint, { rate_limited: 1 });
+    const canRetry = c.retryable && (idempotent || !c.sent) && attempt <= config.maxRetries;
+    if (!canRetry) {
+      track(endpoint, { failed: 1 });
+      const details = err?.response?.data ?? null;
+      const reason = details?.message || err?.message || c.kind;
+      throw new WubookError(`WuBook ${endpoint} ${c.status ?? c.kind}: ${reason}`, {
+        kind: c.kind, status: c.status, api, path, attempts: attempt, retryable: c.retryable, details,
+      });
+    }
+
+    const delay = retryAfterMs(err) ?? backoffMs(attempt);
+    // un 429 frena a toda la apiKey, no solo a este request
+    if (c.kind === 'rate_limited') limiter.nextAt = Math.max(limiter.nextAt, Date.now() + delay);
+    track(endpoint, { retries: 1 });
+    await sleep(delay);
+  }
+}
+
+export const kpPost = (apiKey, path, params, opts) => request('kp', apiKey, path, params, opts);
+export const kapiPost = (apiKey, path, params, opts) => request('kapi', apiKey, path, params, opts);
+
+// ===================== CONCURRENCIA ACOTADA =====================
+/** Como Promise.all(items.map(fn)) pero con a lo sumo `limit` en vuelo. Respeta el orden. */
+export async function mapWithConcurrency(items, limit, fn) {
+  const list = Array.from(items || []);
+  const out = new Array(list.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < list.length) {
+      const i = next++;
+      out[i] = await fn(list[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), list.length) }, worker));
+  return out;
+}
@@ -0,0 +1,140 @@
+/**
+ * lib/wubookPush.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Envío a WuBook de lo que los hosts cargan en la planilla (pagos: /api/wubookPushPayments,
+ * notas: /api/wubookPushNotes) y su marca de idempotencia.
+ *
+ * ENVÍO
+ *   pendingPushDocs({ flag, reservationId?, limit }) → reservas con el flag pendiente
+ *   pushPendingForDoc(docSnap, { field, flag, source, historialSuffix?, apiKey, isPushable, refOf, post, dryRun?, log? })
+ *     manda cada item fuera de la transacción y después aplica el resultado releyendo el doc.
+ *
+ * MARCA
+ *   remarks = `<texto> [dh:<push_ref>]`
+ *   Cuando el enrich vuelve a traer el item de WuBook, la marca identifica al item host
+ *   aunque WuBook lo haya guardado y la transacción que graba el `wubook_id` haya
+ *   fallado (o el enrich haya corrido en el medio): el item host adopta ese wubook_id
+ *   y la copia de WuBook no se duplica.
+ *
+ * push_ref
+ *   addPayment / addNote lo generan al cargar (`newPushRef`). Las notas cargadas antes
+ *   de que existiera no lo tienen: `notePushRef` lo deriva de ts + texto, así el
+ *   reintento y el enrich llegan al mismo valor.
+ */
+
+import crypto from 'crypto';
+import { firestore, FieldValue } from './firebaseAdmin.js';
+import { MUTATION_IGNORE_KEYS, hashDoc } from './importProcessShared.js';
+
+export const MAX_PUSH_ATTEMPTS = 5;
+export const PUSH_REF_RE = /\s*\[dh:([a-f0-9]+)\]\s*$/i;
+
+export const newPushRef = () => crypto.randomBytes(6).toString('hex');
+
+/** Texto con la marca al final. */
+export const withPushRef = (text, ref) => `${String(text ?? '').trim()} [dh:${ref}]`;
+
+/** 'Saldo [dh:abc123]' → { text: 'Saldo', ref: 'abc123' }; sin marca → { text, ref: null }. */
+export function parsePushRef(text) {
+  const raw = String(text ?? '').trim();
+  const m = raw.match(PUSH_REF_RE);
+  return m ? { text: raw.replace(PUSH_REF_RE, '').trim(), ref: m[1].toLowerCase() } : { text: raw, ref: null };
+}
+
+/** push_ref de una nota host: el guardado o, en notas viejas, uno derivado de ts + texto. */
+export function notePushRef(n) {
+  if (n?.push_ref) return String(n.push_ref);
+  const key = `t:${n?.ts?.seconds ?? n?.ts?._seconds ?? ''}|x:${String(n?.text || '').trim()}`;
+  return crypto.createHash('sha1').update(key).digest('hex').slice(0, 12);
+}
+
+// ---- Envío saliente de items host (`notes` / `payments`)
+/** Reservas con `flag` pendiente (o la pedida por id). */
+export async function pendingPushDocs({ flag, reservationId = null, limit = 50 }) {
+  if (reservationId) {
+    const snap = await firestore.collection('Reservas').doc(String(reservationId)).get();
+    return snap.exists ? [snap] : [];
+  }
+  const snap = await firestore.collection('Reservas').where(flag, '==', true).limit(limit).get();
+  return snap.docs;
+}
+
+/**
+ * Envía a WuBook los items de `docSnap.data()[field]` que cumplen `isPushable` (`post(item, ref)`
+ * → wubook_id, con la marca `ref` en remarks) y aplica el resultado en una transacción
+ * releyendo el doc (no pisa items agregados en el medio): wubook_id + sent_to_wubook, o
+ * wubook_push_attempts +1 y wubook_push_error. Historial `source`. → { id, sent, failed }
+ */
+export async function pushPendingForDoc(docSnap, {
+  field, flag, source, historialSuffix = source, apiKey, isPushable, refOf, post, dryRun = false, log = console.log,
+}) {
+  const data = docSnap.data() || {};
+  const { propiedad_id, id_human } = data;
+  const pending = (Array.isArray(data[field]) ? data[field] : []).filter(isPushable);
+  if (!propiedad_id || !id_human || !pending.length) {
+    if (!dryRun) await docSnap.ref.update({ [flag]: false });
+    return { id: docSnap.id, sent: 0, failed: 0 };
+  }
+  if (!apiKey) {
+    log(`Sin apiKey para propiedad ${propiedad_id}; se deja pendiente ${docSnap.id}`);
+    return { id: docSnap.id, sent: 0, failed: pending.length };
+  }
+  if (dryRun) return { id: docSnap.id, sent: pending.length, failed: 0 };
+
+  // 1) enviar (fuera de la transacción: son llamadas HTTP)
+  const outcome = new Map();
+  for (const item of pending) {
+    const ref = refOf(item);
+    try {
+      outcome.set(ref, { ok: true, wubookId: await post(item, ref) });
+    } catch (e) {
+      const message = e?.message || 'error';
+      log(`Error enviando ${field} de ${docSnap.id}:`, message);
+      outcome.set(ref, { ok: false, message });
+    }
+  }
+
+  // 2) aplicar sobre la versión actual del doc
+  let sent = 0, failed = 0;
+  await firestore.runTransaction(async (tx) => {
+    sent = 0; failed = 0;
+    const fresh = await tx.get(docSnap.ref);
+    const before = fresh.data() || {};
+    const items = (Array.isArray(before[field]) ? before[field] : []).map((item) => {
+      const ref = isPushable(item) ? refOf(item) : null;
+      const r = ref ? outcome.get(ref) : null;
+      if (!r) return item;
+      if (r.ok) {
+        sent++;
+        return { ...item, push_ref: ref, wubook_id: r.wubookId, sent_to_wubook: true, wubook_push_error: null };
+      }
+      failed++;
+      return { ...item, wubook_push_attempts: Number(item.wubook_push_attempts || 0) + 1, wubook_push_error: r.message };
+    });
+
+    const update = {
+      [field]: items,
+      [flag]: items.some(isPushable),
+      lastUpdatedAt: FieldValue.serverTimestamp(),
+      lastUpdatedBy: source,
+    };
+    update.contentHash = hashDoc({ ...before, ...update }, MUTATION_IGNORE_KEYS);
+
+    tx.update(docSnap.ref, update);
+    tx.set(docSnap.ref.collection('historial').doc(`${Date.now()}_${historialSuffix}`), {
+      ts: FieldValue.serverTimestamp(),
+      source,
+      context: { propiedad_id, rcode: id_human },
+      changeType: 'updated',
+      changedKeys: [field],
+      payload: {
+        sent: [...outcome.values()].filter((o) => o.ok).map((o) => o.wubookId),
+        failed: [...outcome.values()].filter((o) => !o.ok).map((o) => o.message),
+      },
+      hashFrom: before.contentHash || null,
+      hashTo: update.contentHash,
+    });
+  });
+
+  return { id: docSnap.id, sent, failed };
+}
@@ -0,0 +1,70 @@
+/**
+ * lib/wubookRaw.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Crudo de WuBook por reserva en `WubookRaw/{rsrvid}`, para poder re-correr el
+ * mapeo de `upsertReservations` (/api/wubookReprocessRaw) sin volver a llamar a WuBook.
+ * Acá solo el (de)serializado; la escritura la hace `storeRawReservations`
+ * (lib/importProcessShared.js).
+ *
+ * FORMA DEL DOC
+ *   {
+ *     propiedad_id, rsrvid, id_human, arrival_iso, departure_iso, status,
+ *     encoding: 'gzip+json',
+ *     payload: <Bytes>,            // gzip de JSON { reservation, extras }
+ *                                  //   extras: respuesta de get_extras ([] si no tiene, null si falló)
+ *     sha1, size_bytes,            // sha1 del JSON sin comprimir (evita reescribir si no cambió)
+ *     source, fetchedAt
+ *   }
+ */
+
+import crypto from 'crypto';
+import zlib from 'zlib';
+
+export const WUBOOK_RAW_COLLECTION = 'WubookRaw';
+export const RAW_ENCODING = 'gzip+json';
+
+export const rawIdOf = (r) => {
+  const id = r?.id ?? r?.rsrvid ?? r?.reservation_id ?? r?.rexid ?? r?.rid ?? null;
+  return id === null || id === undefined || id === '' ? null : String(id);
+};
+
+// 'dd/MM/yyyy' → 'YYYY-MM-DD' (sin Luxon: solo reordena)
+const euToISODate = (s) => {
+  const m = String(s || '').match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+  return m ? `${m[3]}-${m[2]}-${m[1]}` : null;
+};
+
+/** Doc listo para guardar (sin timestamps); null si la reserva no tiene id. */
+export function encodeRawReservation(r, { propiedad_id, extras = null, source = null } = {}) {
+  const rsrvid = rawIdOf(r);
+  if (!rsrvid) return null;
+  const json = JSON.stringify({ reservation: r, extras });
+  // multi-room: la llegada más temprana y la salida más tardía
+  const rooms = Array.isArray(r?.rooms) ? r.rooms : [];
+  const froms = rooms.map((x) => euToISODate(x?.dfrom)).filter(Boolean).sort();
+  const tos = rooms.map((x) => euToISODate(x?.dto)).filter(Boolean).sort();
+  return {
+    propiedad_id: propiedad_id ?? null,
+    rsrvid,
+    id_human: r?.id_human ?? null,
+    arrival_iso: euToISODate(r?.dfrom) || froms[0] || null,
+    departure_iso: euToISODate(r?.dto) || tos.at(-1) || null,
+    status: r?.status ?? null,
+    encoding: RAW_ENCODING,
+    payload: zlib.gzipSync(Buffer.from(json, 'utf8')),
+    sha1: crypto.createHash('sha1').update(json).digest('hex'),
+    size_bytes: Buffer.byteLength(json, 'utf8'),
+    source,
+  };
+}
+
+/** { reservation, extras } desde un doc de WubookRaw. Acepta Buffer, Uint8Array o Bytes de Firestore. */
+export function decodeRawReservation(doc) {
+  if (!doc?.payload) return null;
+  if (doc.encoding && doc.encoding !== RAW_ENCODING) throw new Error(`encoding no soportado: ${doc.encoding}`);
+  const p = doc.payload;
+  const buf = Buffer.isBuffer(p)
+    ? p
+    : (typeof p.toUint8Array === 'function' ? Buffer.from(p.toUint8Array()) : Buffer.from(p));
+  return JSON.parse(zlib.gunzipSync(buf).toString('utf8'));
+}
@@ -8,6 +8,8 @@ import PlanillaHostsPage from './pages/PlanillaHostsPage';
 import LiquidacionesPage from './pages/LiquidacionesPage';
 import ReportesPage from './pages/ReportesPage';
 import GastosPage from './pages/GastosPage';
+import RoomMapReviewPage from './pages/RoomMapReviewPage';
+import FxOverridePage from './pages/FxOverridePage';
 
 // 2. Importa tu componente de ruta protegida
 import ProtectedRoute from './components/ProtectedRoute';
@@ -74,6 +76,24 @@ function App() {
         }
       />
 
+      <Route
+        path="/departamentos-pendientes"
+        element={
+          <ProtectedRoute>
+            <RoomMapReviewPage />
+          </ProtectedRoute>
+        }
+      />
+
+      <Route
+        path="/cotizaciones"
+        element={
+          <ProtectedRoute>
+            <FxOverridePage />
+          </ProtectedRoute>
+        }
+      />
+
       <Route path="/" element={<Navigate to="/dashboard" replace />} />
       
       {/* Opcional: Una ruta "catch-all" para manejar URLs no encontradas (404) */}
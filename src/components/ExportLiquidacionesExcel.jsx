@@ -10,7 +10,7 @@ import {
 } from "../../lib/exportUtilsLiquidaciones";
 
 export default function ExportLiquidacionesExcel({
-  byCur,              // { ARS:[], USD:[] }
+  byCur,              // { ARS:[], USD:[], EUR?:[], ... }
   fromISO,
   toISO,
   mode = "department", // 'department' (por depto) | 'property' (por propiedad completa)
@@ -73,6 +73,15 @@ export default function ExportLiquidacionesExcel({
         HEADERS, moneyCols, netIdx, rowHeights,
       });
 
+      // otras monedas (EUR, BRL, ...) solo si hay pagos
+      for (const cur of Object.keys(byCur || {}).filter((c) => c !== "ARS" && c !== "USD")) {
+        const rows = buildRowsFromByCur({ [cur]: byCur[cur] }, { includeDepartment });
+        if (!rows.length) continue;
+        writeSection(ws, `LIQUIDACION EN ${cur}`, rows, styles, {
+          HEADERS, moneyCols, netIdx, rowHeights,
+        });
+      }
+
       const buf = await wb.xlsx.writeBuffer();
       const blob = new Blob([buf], { type: "application/octet-stream" });
       saveAs(blob, filename);
@@ -1,4 +1,5 @@
 import { DateTime } from 'luxon';
+import { PAYMENT_CURRENCIES } from '../../lib/paymentFx.js';
 
 const TZ = 'America/Argentina/Buenos_Aires';
 
@@ -52,6 +53,8 @@ export function neutralizeReversedPayments(payments = [], fallbackCurrency = 'AR
 }
 
 function getReservationNights(res) {
+  // el import ya guarda `nights`; el cálculo por fechas queda para docs viejos
+  if (res?.nights != null && Number.isFinite(Number(res.nights))) return Number(res.nights);
   const arrival = res?.arrival_iso ? DateTime.fromISO(res.arrival_iso, { zone: TZ }) : null;
   const departure = res?.departure_iso ? DateTime.fromISO(res.departure_iso, { zone: TZ }) : null;
   if (!arrival?.isValid || !departure?.isValid) return 0;
@@ -71,7 +74,7 @@ export function buildRecaudacionRows(items = []) {
     for (const pay of usablePayments) {
       const amount = Number(pay.amount);
       const currency = String(pay.currency || res.currency || 'ARS').toUpperCase();
-      if (currency !== 'ARS' && currency !== 'USD') continue;
+      if (!PAYMENT_CURRENCIES.includes(currency)) continue;
       if (!Number.isFinite(amount)) continue;
 
       const propertyId = normLabel(res.propiedad_id, 'sin_propiedad');
@@ -1,6 +1,7 @@
 // src/pages/DashboardPage.jsx
 import React, { useEffect, useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
+import axios from 'axios';
 import { useAuth } from '../context/AuthContext';
 import { doc, getDoc } from 'firebase/firestore';
 import { firestore } from '../../lib/firebase'; // Asegúrate que la ruta a tu config de firebase sea correcta
@@ -51,14 +52,106 @@ const ALL_APPS = {
     icon: '🧾',
   },
 
+  'room_map_review': {
+    name: 'Departamentos sin mapear',
+    description: 'Revisa y aprueba rooms de WuBook que el import detectó sin departamento.',
+    href: '/departamentos-pendientes',
+    icon: '🏷️',
+  },
+
+  'fx_override': {
+    name: 'Cotizaciones',
+    description: 'Corrige a mano la cotización de un día, con historial de quién la cambió.',
+    href: '/cotizaciones',
+    icon: '💱',
+  },
+
   // Podés agregar más aplicaciones aquí en el futuro
 };
 
+// Sección (no tarjeta) con la salud de los imports de WuBook. Se habilita agregando
+// 'sync_status' al array `apps` del usuario.
+const SYNC_STATUS_APP_ID = 'sync_status';
+
+const SYNC_HEALTH_LABELS = {
+  failing: 'Fallando',
+  never: 'Sin imports',
+  stale: 'Desactualizada',
+  warning: 'Enrich con fallas',
+};
+
+const fmtDateTime = (iso) => (iso ? new Date(iso).toLocaleString('es-AR', { dateStyle: 'short', timeStyle: 'short' }) : '—');
+
+function SyncStatusSection() {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const load = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const { data } = await axios.get('/api/syncStatus', { params: { onlyProblems: true } });
+      setItems(data?.items || []);
+    } catch (e) {
+      setError(e?.response?.data?.error || e.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => { load(); }, []);
+
+  return (
+    <section className="sync-status">
+      <div className="sync-status__header">
+        <h2>Estado de sincronización</h2>
+        <button type="button" className="btn btn--muted" onClick={load} disabled={loading}>
+          {loading ? 'Actualizando…' : 'Actualizar'}
+        </button>
+      </div>
+      {error && <p className="sync-status__error">No se pudo cargar el estado: {error}</p>}
+      {!loading && !error && items.length === 0 && (
+        <p className="sync-status__empty">Todas las propiedades sincronizaron bien en las últimas horas.</p>
+      )}
+      {items.length > 0 && (
+        <table className="sync-status__table">
+          <thead>
+            <tr>
+              <th>Propiedad</th>
+              <th>Estado</th>
+              <th>Último import OK</th>
+              <th>Último error</th>
+              <th>Detalle</th>
+            </tr>
+          </thead>
+          <tbody>
+            {items.map((it) => (
+              <tr key={it.propiedad_id}>
+                <td>{it.nombre}</td>
+                <td>
+                  <span className={`sync-status__badge sync-status__badge--${it.health}`}>
+                    {SYNC_HEALTH_LABELS[it.health] || it.health}
+                  </span>
+                </td>
+                <td>{fmtDateTime(it.lastSuccessAt)}</td>
+                <td>{fmtDateTime(it.lastErrorAt)}</td>
+                <td className="sync-status__reasons">{it.reasons.join(' · ')}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </section>
+  );
+}
+
 export default function DashboardPage() {
   const { user, loading: authLoading, logout } = useAuth();
   const navigate = useNavigate();
   const [userApps, setUserApps] = useState([]);
   const [isLoadingApps, setIsLoadingApps] = useState(true);
+  const [showSyncStatus, setShowSyncStatus] = useState(false);
 
   // Este efecto se ejecuta cuando el componente se monta o cuando cambia el usuario
   useEffect(() => {
@@ -88,9 +181,11 @@ export default function DashboardPage() {
             .filter((app, index, apps) => apps.findIndex(a => a.href === app.href) === index);
 
           setUserApps(appsToShow);
+          setShowSyncStatus(accessibleAppIds.includes(SYNC_STATUS_APP_ID));
         } else {
           console.warn("Usuario autenticado pero sin perfil en Firestore. No tendrá acceso a ninguna app.");
           setUserApps([]);
+          setShowSyncStatus(false);
         }
         setIsLoadingApps(false);
       };
@@ -135,6 +230,8 @@ export default function DashboardPage() {
           <p>No tienes acceso a ninguna aplicación. Por favor, contacta a un administrador.</p>
         )}
       </main>
+
+      {showSyncStatus && <SyncStatusSection />}
     </div>
   );
 }
@@ -0,0 +1,198 @@
+// src/pages/FxOverridePage.jsx
+// Corrección manual de cotizaciones (cotizaciones/<MONEDA>/yyyy/mm/dd/cot[_<casa>]) con auditoría.
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { DateTime } from 'luxon';
+import HeaderUserInline from '../components/HeaderUserInline';
+import { FX_OVERRIDE_CURRENCIES } from '../../lib/fxOverride.js';
+import { FX_CASAS } from '../../lib/fxPolicy.js';
+import './LiquidacionesPage.css';
+import './GastosPage.css';
+
+const TZ = 'America/Argentina/Buenos_Aires';
+
+const fmtNum = (v) => (v === null || v === undefined ? '-' : Number(v).toLocaleString('es-AR', { maximumFractionDigits: 4 }));
+const fmtDateTime = (iso) => (iso ? DateTime.fromISO(iso, { zone: TZ }).toFormat('dd/MM/yyyy HH:mm') : '-');
+const byLabel = (by) => by?.name || by?.email || by?.uid || '-';
+
+function historyTitle(item) {
+  const lines = [];
+  if (item.previous) lines.push(`Anterior: ${fmtNum(item.previous.compra)} / ${fmtNum(item.previous.venta)} (${item.previous.fuente || '-'})`);
+  for (const h of item.history || []) {
+    const from = h.from ? `${fmtNum(h.from.compra)} / ${fmtNum(h.from.venta)}` : 'sin cotización';
+    const to = h.to ? `${fmtNum(h.to.compra)} / ${fmtNum(h.to.venta)}` : '-';
+    lines.push(`${fmtDateTime(h.ts)} · ${byLabel(h.by)}: ${from} → ${to}${h.reason ? ` · ${h.reason}` : ''}`);
+  }
+  return lines.join('\n');
+}
+
+function QuoteRow({ item, moneda, casa, onDone }) {
+  const [compra, setCompra] = useState(item.compra ?? '');
+  const [venta, setVenta] = useState(item.venta ?? '');
+  const [reason, setReason] = useState('');
+  const [relink, setRelink] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [result, setResult] = useState('');
+  const canRelink = moneda === 'USD' && casa === 'oficial';
+
+  useEffect(() => {
+    setCompra(item.compra ?? '');
+    setVenta(item.venta ?? '');
+  }, [item.compra, item.venta]);
+
+  const save = async () => {
+    if (compra === '' && venta === '') {
+      setError('Cargá compra y/o venta.');
+      return;
+    }
+    setBusy(true);
+    setError('');
+    setResult('');
+    try {
+      const { data } = await axios.post('/api/fxOverride', {
+        moneda,
+        casa,
+        fecha: item.fecha,
+        compra: compra === '' ? null : Number(compra),
+        venta: venta === '' ? null : Number(venta),
+        reason,
+        relink: canRelink && relink,
+      });
+      setReason('');
+      setRelink(false);
+      setResult(data?.relink ? `Guardado · ${data.relink.updated} reserva(s) re-linkeadas` : 'Guardado');
+      onDone();
+    } catch (err) {
+      console.error('[FxOverridePage] Error saving quote:', err);
+      setError(err?.response?.data?.error || 'No se pudo guardar.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <tr className="tr">
+      <td className="td gastos-td-stack" title={historyTitle(item)}>
+        <div className="gastos-line gastos-line--primary">{DateTime.fromISO(item.fecha).toFormat('dd/MM/yyyy')}</div>
+        <div className="gastos-line gastos-line--secondary">
+          {!item.exists ? 'Sin cotización' : item.manual ? `Manual · ${byLabel(item.manualBy)} · ${fmtDateTime(item.manualAt)}` : (item.fuente || '-')}
+        </div>
+      </td>
+      <td className="td">
+        <input className="gastos-field__control" type="number" step="0.0001" min="0" value={compra} onChange={(e) => setCompra(e.target.value)} placeholder="Compra" />
+      </td>
+      <td className="td">
+        <input className="gastos-field__control" type="number" step="0.0001" min="0" value={venta} onChange={(e) => setVenta(e.target.value)} placeholder="Venta" />
+      </td>
+      <td className="td">
+        <input className="gastos-field__control" value={reason} onChange={(e) => setReason(e.target.value)} placeholder="Motivo" />
+        {error && <div className="gastos-modal__error">{error}</div>}
+        {result && <div className="gastos-line gastos-line--secondary">{result}</div>}
+      </td>
+      <td className="td" style={{ whiteSpace: 'nowrap' }}>
+        {canRelink && (
+          <label title="Re-linkea usd_fx_on_checkin (force) de las reservas con check-in ese día" style={{ marginRight: 8 }}>
+            <input type="checkbox" checked={relink} onChange={(e) => setRelink(e.target.checked)} /> Re-linkear reservas
+          </label>
+        )}
+        <button type="button" className="btn gastos-primary-btn" onClick={save} disabled={busy}>
+          {busy ? 'Guardando...' : 'Guardar'}
+        </button>
+      </td>
+    </tr>
+  );
+}
+
+export default function FxOverridePage() {
+  const today = DateTime.now().setZone(TZ);
+  const [moneda, setMoneda] = useState('USD');
+  const [casa, setCasa] = useState('oficial');
+  const [from, setFrom] = useState(today.minus({ days: 13 }).toISODate());
+  const [to, setTo] = useState(today.toISODate());
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const load = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const { data } = await axios.get('/api/fxOverride', { params: { moneda, casa, from, to } });
+      setItems(Array.isArray(data?.items) ? data.items : []);
+    } catch (err) {
+      console.error('[FxOverridePage] Error loading quotes:', err);
+      setError(err?.response?.data?.error || 'No se pudieron cargar las cotizaciones.');
+      setItems([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, [moneda, casa]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  return (
+    <div className="gastos-app">
+      <header className="header">
+        <div className="header__bar">
+          <div className="header__left">
+            <h1 className="header__title">Cotizaciones</h1>
+            <span className="header__date">Corrección manual con historial de cambios</span>
+          </div>
+          <div className="header__right">
+            <HeaderUserInline />
+          </div>
+        </div>
+        <div className="liq-filters">
+          <select className="gastos-field__control" value={moneda} onChange={(e) => setMoneda(e.target.value)}>
+            {FX_OVERRIDE_CURRENCIES.map((m) => <option key={m} value={m}>{m}</option>)}
+          </select>
+          <select className="gastos-field__control" value={casa} onChange={(e) => setCasa(e.target.value)}>
+            {FX_CASAS.map((c) => <option key={c} value={c}>{c}</option>)}
+          </select>
+          <input className="gastos-field__control" type="date" value={from} onChange={(e) => setFrom(e.target.value)} />
+          <input className="gastos-field__control" type="date" value={to} max={today.toISODate()} onChange={(e) => setTo(e.target.value)} />
+          <div className="gastos-actions">
+            <button type="button" className="btn" onClick={load} disabled={loading}>
+              {loading ? 'Cargando...' : 'Buscar'}
+            </button>
+          </div>
+        </div>
+      </header>
+
+      <main className="gastos-main">
+        {error && <div className="gastos-modal__error">{error}</div>}
+        <section className="liq-card gastos-table-wrap">
+          <table className="table btable liq-table">
+            <thead>
+              <tr>
+                <th className="th">Fecha / fuente</th>
+                <th className="th">Compra</th>
+                <th className="th">Venta</th>
+                <th className="th">Motivo</th>
+                <th className="th" aria-label="Acciones"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {items.length ? items.map((item) => (
+                <QuoteRow key={`${moneda}_${casa}_${item.fecha}`} item={item} moneda={moneda} casa={casa} onDone={load} />
+              )) : (
+                <tr>
+                  <td className="td" colSpan="5" style={{ textAlign: 'center', opacity: 0.65 }}>
+                    {loading ? 'Cargando...' : 'No hay días en el rango'}
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </section>
+        <div className="liq-empty" style={{ marginTop: 8 }}>
+          Las cotizaciones corregidas a mano no las pisa la actualización diaria. Para recalcular el USD de los pagos
+          de ese día, correr /api/backfillPaymentFx con force=true.
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -13,6 +13,7 @@ import { useAuth } from '../context/AuthContext';
 import HeaderUserInline from '../components/HeaderUserInline';
 import './LiquidacionesPage.css'; // <-- CSS EXTERNO IMPORTADO
 import ExportLiquidacionesExcel from '../components/ExportLiquidacionesExcel';
+import { PAYMENT_CURRENCIES } from '../../lib/paymentFx.js';
 
 // ---------- Constantes de formato ----------
 const TZ = 'America/Argentina/Buenos_Aires';
@@ -82,7 +83,7 @@ function getFxRateForRow(res, fallback) {
 
 // ---------- Transforma reservas en filas por moneda ----------
 function buildByCurrency(items = []) {
-    const out = { ARS: [], USD: [] };
+    const out = Object.fromEntries(PAYMENT_CURRENCIES.map((c) => [c, []]));
 
     for (const res of items) {
         const pays = Array.isArray(res.payments) ? res.payments : [];
@@ -133,14 +134,18 @@ function buildByCurrency(items = []) {
 
         } else {
             // Lógica original para reservas CON pagos
-            const fx = getFxRateForRow(res, null);
+            const fxRes = getFxRateForRow(res, null);
 
             for (let i = 0; i < pays.length; i++) {
                 const p = pays[i];
                 const amt = Number(p.amount);
                 const cur = String(p.currency || '').toUpperCase();
                 if (!Number.isFinite(amt) || amt === 0) continue;
-                if (cur !== 'ARS' && cur !== 'USD') continue;
+                if (!PAYMENT_CURRENCIES.includes(cur)) continue;
+
+                // el TC con que se pasó el pago a USD (día del pago + casa de configuracion/fx_policies);
+                // el del check-in solo sirve de respaldo para ARS
+                const fx = Number(p.fxRateUsed) > 0 ? Number(p.fxRateUsed) : (cur === 'ARS' ? fxRes : null);
 
                 const checkin = res.arrival_iso ? DateTime.fromISO(res.arrival_iso).toFormat('dd/MM/yyyy') : '—';
                 const checkout = res.departure_iso ? DateTime.fromISO(res.departure_iso).toFormat('dd/MM/yyyy') : '—';
@@ -149,7 +154,7 @@ function buildByCurrency(items = []) {
                 let initialBruto;
                 if (cur === 'USD') {
                     initialBruto = amt < 0 ? amt : (accBrutoUSD ?? amt);
-                } else { // ARS
+                } else { // ARS, EUR, ...
                     initialBruto = amt < 0 ? amt : ((accBrutoUSD != null && fx) ? (accBrutoUSD * fx) : amt);
                 }
 
@@ -166,6 +171,8 @@ function buildByCurrency(items = []) {
                     res_id: res.id,
                     _res: res,
                     fx_used: fx,
+                    fx_date: p.fx_date || null,
+                    fx_policy: p.fx_policy || null,
                     departamento_nombre: res.depto_nombre || res.departamento_nombre || res.department_name || '—',
                 };
                 out[cur].push(row);
@@ -177,8 +184,7 @@ function buildByCurrency(items = []) {
     }
 
     const sortFn = (a, b) => String(a.checkin).localeCompare(String(b.checkin)) || String(a.id_human).localeCompare(String(b.id_human));
-    out.ARS.sort(sortFn);
-    out.USD.sort(sortFn);
+    for (const cur of Object.keys(out)) out[cur].sort(sortFn);
 
     return out;
 }
@@ -212,10 +218,18 @@ export default function LiquidacionesPage() {
     const [fromISO, setFromISO] = useState(monthStart);
     const [toISO, setToISO] = useState(monthEnd);
 
+    // agencia de WuBook ('' = todas, 'none' = sin agencia); las opciones vienen de la última consulta
+    const [agency, setAgency] = useState('');
+    const [agencyOptions, setAgencyOptions] = useState([]);
+
     // ----- B) Datos -----
     const [loading, setLoading] = useState(false);
     const [items, setItems] = useState([]);
     const [byCur, setByCur] = useState({ ARS: [], USD: [] });
+    const sectionCurrencies = useMemo(
+        () => PAYMENT_CURRENCIES.filter((c) => c === 'ARS' || c === 'USD' || byCur[c]?.length),
+        [byCur]
+    );
     const [hasRun, setHasRun] = useState(false);
 
     // Determina si mostramos la columna extra de "Departamento"
@@ -233,9 +247,11 @@ export default function LiquidacionesPage() {
 
             // Corrige nombre del parámetro para la API
             if (deptId) params.deptIds = deptId;
+            if (agency) params.agency = agency;
 
             const { data } = await axios.get('/api/liquidaciones/reservasByCheckin', { params });
             let itemsRaw = Array.isArray(data?.items) ? data.items : [];
+            if (Array.isArray(data?.agencies)) setAgencyOptions(data.agencies);
 
             setItems(itemsRaw);
             setByCur(buildByCurrency(itemsRaw));
@@ -364,7 +380,7 @@ export default function LiquidacionesPage() {
     // Render de una fila (Row)
     // =====================================================
     const Row = ({ onCellEdit, onObsEdit, pendingData, showDepartmentColumn, ...r }) => {
-        const fx = r.fx_used || getFxRateForRow(r._res, null) || 0;
+        const fx = r.fx_used || (r.pay_currency === 'ARS' ? getFxRateForRow(r._res, null) : 0) || 0;
         const p = pendingData || {};
         const a = r._res?.accounting || {};
 
@@ -398,7 +414,7 @@ export default function LiquidacionesPage() {
             const I_ars = fx ? tasa * fx : 0;
             const J_ars = fx ? costo * fx : 0;
             netAmount = +(bruto + H_ars + I_ars + J_ars).toFixed(2);
-            netCur = 'ARS';
+            netCur = r.pay_currency;
         }
 
         const onBlurBruto = () => {
@@ -422,6 +438,18 @@ export default function LiquidacionesPage() {
             onObsEdit(r.res_id, obs);
         };
 
+        // extras itemizados de la reserva (solo lectura)
+        const extrasTitle = (r._res?.extras || [])
+            .map((x) => `${x.name}${x.qty > 1 ? ` ×${x.qty}` : ''}: ${moneyIntl(x.amount, x.currency || 'USD')}`)
+            .join('\n');
+
+        // TC aplicado al pago (tooltip del método): ARS por USD, EUR por USD, ...
+        const fxTitle = r.pay_currency !== 'USD' && fx
+            ? [`TC ${formatNumberEs(fx)}`,
+                r.fx_policy ? `${r.fx_policy.casa} · ${r.fx_policy.side}${r.fx_policy.spread_pct ? ` ${r.fx_policy.spread_pct > 0 ? '+' : ''}${r.fx_policy.spread_pct}%` : ''}` : null,
+                r.fx_date].filter(Boolean).join(' · ')
+            : undefined;
+
 
         return (
             <tr className="tr">
@@ -429,12 +457,15 @@ export default function LiquidacionesPage() {
                     <td className="td td--ro">{r.departamento_nombre}</td>
                 )}
 
-                <td className="td td--ro">{r.id_human}</td>
+                <td className="td td--ro" title={extrasTitle || undefined}>
+                    {r.id_human}
+                    {extrasTitle && <span style={{ marginLeft: 6, opacity: .6, fontSize: 11 }}>+extras</span>}
+                </td>
                 <td className="td td--ro">{r.huesped}</td>
                 <td className="td td--ro">{r.checkin}</td>
                 <td className="td td--ro">{r.checkout}</td>
                 <td className="td td--ro">{r.canal}</td>
-                <td className="td td--mono td--ro" style={{ opacity: r._is_ghost ? 0.6 : 1 }}>
+                <td className="td td--mono td--ro" style={{ opacity: r._is_ghost ? 0.6 : 1 }} title={fxTitle}>
                     {[r.pay_method || '—', r.pay_concept || ''].filter(Boolean).join(' · ')}
                 </td>
                 <td className="td">
@@ -537,6 +568,19 @@ export default function LiquidacionesPage() {
                             {deptOptions.map(o => <option key={o.id} value={o.id}>{o.label}</option>)}
                         </select>
                     </div>
+                    <div className="liq-filter">
+                        <label className="liq-filter__label">Agencia</label>
+                        <select
+                            className="liq-filter__control"
+                            value={agency}
+                            onChange={(e) => { setAgency(e.target.value); setHasRun(false); }}
+                        >
+                            <option value="">Todas</option>
+                            <option value="none">Sin agencia</option>
+                            {agency && agency !== 'none' && !agencyOptions.includes(agency) && <option value={agency}>{agency}</option>}
+                            {agencyOptions.map(a => <option key={a} value={a}>{a}</option>)}
+                        </select>
+                    </div>
                     <div className="liq-filter">
                         <label className="liq-filter__label">Desde</label>
                         <input
@@ -587,77 +631,43 @@ export default function LiquidacionesPage() {
 
                 {!loading && hasRun && (
                     <>
-                        {/* Pagos en ARS */}
-                        <section className="liq-card">
-                            <h2 className="prop-group__title">Pagos en $</h2>
-                            <table className="table btable liq-table">
-                                <thead>
-                                    <tr>
-                                        {showDepartmentColumn && <th className="th">Departamento</th>}
-                                        <th className="th">reserva</th>
-                                        <th className="th">Huesped</th>
-                                        <th className="th">check in</th>
-                                        <th className="th">check out</th>
-                                        <th className="th">Canal</th>
-                                        <th className="th">Forma de cobro</th>
-                                        <th className="th">Cobrado Bruto</th>
-                                        <th className="th">Comisión Canal</th>
-                                        <th className="th">Tasa limpieza</th>
-                                        <th className="th">Costo financiero</th>
-                                        <th className="th">Neto</th>
-                                        <th className="th">OBSERVACIONES</th>
-                                    </tr>
-                                </thead>
-                                <tbody>
-                                    {byCur.ARS.length
-                                        ? byCur.ARS.map((r, i) => {
-                                            const pendingData = pending[r.res_id];
-                                            return <Row key={`ARS_${r.res_id}_${i}`} {...r} pendingData={pendingData} onCellEdit={onCellEdit} onObsEdit={onObsEdit} showDepartmentColumn={showDepartmentColumn} />
-                                        })
-                                        : (
-                                            <tr>
-                                                <td className="td" colSpan={showDepartmentColumn ? 13 : 12} style={{ opacity: .6, textAlign: 'center' }}>Sin pagos en ARS</td>
-                                            </tr>
-                                        )}
-                                </tbody>
-                            </table>
-                        </section>
-
-                        {/* Pagos en USD */}
-                        <section className="liq-card">
-                            <h2 className="prop-group__title">Pagos en USD</h2>
-                            <table className="table btable liq-table">
-                                <thead>
-                                    <tr>
-                                        {showDepartmentColumn && <th className="th">Departamento</th>}
-                                        <th className="th">reserva</th>
-                                        <th className="th">Huesped</th>
-                                        <th className="th">check in</th>
-                                        <th className="th">check out</th>
-                                        <th className="th">Canal</th>
-                                        <th className="th">Forma de cobro</th>
-                                        <th className="th">Cobrado Bruto</th>
-                                        <th className="th">Comisión Canal</th>
-                                        <th className="th">Tasa limpieza</th>
-                                        <th className="th">Costo financiero</th>
-                                        <th className="th">Neto</th>
-                                        <th className="th">OBSERVACIONES</th>
-                                    </tr>
-                                </thead>
-                                <tbody>
-                                    {byCur.USD.length
-                                        ? byCur.USD.map((r, i) => {
-                                            const pendingData = pending[r.res_id];
-                                            return <Row key={`USD_${r.res_id}_${i}`} {...r} pendingData={pendingData} onCellEdit={onCellEdit} onObsEdit={onObsEdit} showDepartmentColumn={showDepartmentColumn} />
-                                        })
-                                        : (
-                                            <tr>
-                                                <td className="td" colSpan={showDepartmentColumn ? 13 : 12} style={{ opacity: .6, textAlign: 'center' }}>Sin pagos en USD</td>
-                                            </tr>
-                                        )}
-                                </tbody>
-                            </table>
-                        </section>
+                        {/* Una sección por moneda: $ y USD siempre; EUR/BRL/CLP/UYU si hay pagos */}
+                        {sectionCurrencies.map((cur) => (
+                            <section className="liq-card" key={cur}>
+                                <h2 className="prop-group__title">Pagos en {cur === 'ARS' ? '$' : cur}</h2>
+                                <table className="table btable liq-table">
+                                    <thead>
+                                        <tr>
+                                            {showDepartmentColumn && <th className="th">Departamento</th>}
+                                            <th className="th">reserva</th>
+                                            <th className="th">Huesped</th>
+                                            <th className="th">check in</th>
+                                            <th className="th">check out</th>
+                                            <th className="th">Canal</th>
+                                            <th className="th">Forma de cobro</th>
+                                            <th className="th">Cobrado Bruto</th>
+                                            <th className="th">Comisión Canal</th>
+                                            <th className="th">Tasa limpieza</th>
+                                            <th className="th">Costo financiero</th>
+                                            <th className="th">Neto</th>
+                                            <th className="th">OBSERVACIONES</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {(byCur[cur] || []).length
+                                            ? byCur[cur].map((r, i) => {
+                                                const pendingData = pending[r.res_id];
+                                                return <Row key={`${cur}_${r.res_id}_${i}`} {...r} pendingData={pendingData} onCellEdit={onCellEdit} onObsEdit={onObsEdit} showDepartmentColumn={showDepartmentColumn} />
+                                            })
+                                            : (
+                                                <tr>
+                                                    <td className="td" colSpan={showDepartmentColumn ? 13 : 12} style={{ opacity: .6, textAlign: 'center' }}>Sin pagos en {cur}</td>
+                                                </tr>
+                                            )}
+                                    </tbody>
+                                </table>
+                            </section>
+                        ))}
                     </>
                 )}
             </main>
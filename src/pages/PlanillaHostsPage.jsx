@@ -5,6 +5,8 @@ import PopoverPortal from "../components/PopoverPortal";
 import ExportBottomExcel from "../components/ExportBottomExcel";
 import { Link } from 'react-router-dom';
 import { money, numFmt, safeNum } from "../../lib/money";
+import { PAYMENT_CURRENCIES } from "../../lib/paymentFx.js";
+import { BOARD_LABELS } from "../../lib/reservationTerms.js";
 //import HeaderUserBadge from './components/HeaderUserBadge'; 
 import HeaderUserInline from '../components/HeaderUserInline';
 
@@ -443,7 +445,7 @@ function PaymentAddButton({ r, isOpen, onToggle, onDone }) {
          <div className="mini-popover__row">
            <label className="mini-popover__lab">Moneda</label>
            <select className="mini-popover__field" value={currency} onChange={(e) => setCurrency(e.target.value)}>
-             <option>ARS</option><option>USD</option><option>EUR</option><option>BRL</option><option>CLP</option>
+             {PAYMENT_CURRENCIES.map((c) => <option key={c}>{c}</option>)}
            </select>
          </div>
 
@@ -583,9 +585,10 @@ function ToPayLine({ r, onRefresh, isOpen, onToggle, onDone, fx, currency, onTog
 
   // ── valores “ORIGINALES WUBOOK” para mostrar como hints ─────────
   // Base USD original
+  const originalIsUSD = !r?.wubook_price?.currency || r.wubook_price.currency === "USD";
   const originalBaseUSD =
     nOrNull(r?.wubook_priceUSD) ??
-    nOrNull(r?.wubook_price?.amount) ??
+    (originalIsUSD ? nOrNull(r?.wubook_price?.amount) : null) ??
     nOrNull(r?.priceUSD) ??
     nOrNull(r?.venta) ??                 // usar solo si ya guardás USD acá
     nOrNull(r?.toPay_breakdown?.baseUSD); // último fallback
@@ -600,6 +603,11 @@ function ToPayLine({ r, onRefresh, isOpen, onToggle, onDone, fx, currency, onTog
     nOrNull(r?.extras_meta?.extrasUSDPerRoom) ??
     nOrNull(r?.toPay_breakdown?.extrasUSD);
 
+  // Extras itemizados del import (limpieza, late checkout, cochera…)
+  const extrasItems = Array.isArray(r?.extras) ? r.extras : [];
+  const extraLabel = (x) =>
+    `${x.name}${Number(x.qty) > 1 ? ` ×${x.qty}` : ""}: ${money(x.amount, x.currency)} ${x.currency || ""}`.trim();
+
   // --- estados del editor
   const [baseUSDIn, setBaseUSDIn] = useState(baseUSD !== null ? String(baseUSD.toFixed(2)) : "");
   const [extrasUSDIn, setExtrasUSDIn] = useState(extrasUSD !== null ? String(extrasUSD.toFixed(2)) : "");
@@ -718,7 +726,11 @@ function ToPayLine({ r, onRefresh, isOpen, onToggle, onDone, fx, currency, onTog
 
         {/* Desglose */}
         {breakdownText && (
-          <span className="toPay-breakdown" style={{ marginLeft: 4, opacity: 0.8, fontSize: 12 }}>
+          <span
+            className="toPay-breakdown"
+            style={{ marginLeft: 4, opacity: 0.8, fontSize: 12 }}
+            title={extrasItems.length ? extrasItems.map(extraLabel).join("\n") : undefined}
+          >
             ({breakdownText})
           </span>
         )}
@@ -759,6 +771,13 @@ function ToPayLine({ r, onRefresh, isOpen, onToggle, onDone, fx, currency, onTog
     {nOrNull(originalBaseUSD) !== null && (
       <div className="mini-popover__hint">Original WuBook: {money(originalBaseUSD)}</div>
     )}
+    {bd.originalCurrency && (
+      <div className="mini-popover__hint">
+        Precio en {bd.originalCurrency}: {money(bd.originalAmount, bd.originalCurrency)}
+        {nOrNull(bd.fxToUSD) !== null && <> · 1 {bd.originalCurrency} = {Number(bd.fxToUSD).toFixed(4)} USD</>}
+        {bd.fxQuoteDate && <> ({bd.fxQuoteDate})</>}
+      </div>
+    )}
     <input
       className="mini-popover__field"
       type="number"
@@ -833,6 +852,9 @@ function ToPayLine({ r, onRefresh, isOpen, onToggle, onDone, fx, currency, onTog
     {nOrNull(originalExtrasUSD) !== null && (
       <div className="mini-popover__hint">Original WuBook: {money(originalExtrasUSD)}</div>
     )}
+    {extrasItems.map((x, i) => (
+      <div key={i} className="mini-popover__hint">{extraLabel(x)}</div>
+    ))}
     <input
       className="mini-popover__field"
       type="number"
@@ -876,6 +898,59 @@ function ToPayLine({ r, onRefresh, isOpen, onToggle, onDone, fx, currency, onTog
 }
 
 
+/* ---------- Badge de calidad de datos (arrival room ≠ reserva en WuBook) ---------- */
+
+const fmtEU = (eu) => {
+  const d = DateTime.fromFormat(String(eu || ""), "dd/LL/yyyy", { zone: TZ });
+  return d.isValid ? d.toFormat("dd/LL") : (eu || "—");
+};
+
+function DqBadge({ r, isOpen, onToggle, onDone }) {
+  const btnRef = useRef(null);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState("");
+  const issue = (Array.isArray(r.dq_issues) ? r.dq_issues : [])
+    .find((i) => i?.code === "arrival_mismatch" && i.status === "open");
+  if (!issue) return null;
+
+  const resolve = async (resolution) => {
+    try {
+      setSending(true);
+      setError("");
+      await axios.post("/api/dqIssues", { id: r.id, code: issue.code, resolution });
+      onDone?.();
+    } catch (err) {
+      setError(err?.response?.data?.error || "No se pudo guardar.");
+    } finally { setSending(false); }
+  };
+
+  return (
+    <span onClick={(e) => e.stopPropagation()}>
+      <button ref={btnRef} type="button" className="tag tag--dq" title="Fechas inconsistentes en WuBook" onClick={onToggle}>
+        ⚠ Fechas
+      </button>
+
+      <PopoverPortal anchorRef={btnRef} open={isOpen} onClose={onToggle} placement="top-right" maxWidth={320}>
+        <div className="mini-popover__title">¿Cuál es el check-in correcto?</div>
+        <div className="mini-popover__row">
+          <span className="text-sm">
+            En WuBook el depto dice <b>{fmtEU(issue.room_value)}</b> y la reserva <b>{fmtEU(issue.reservation_value)}</b>.
+          </span>
+        </div>
+        {error && <div className="mini-popover__row text-sm" style={{ color: "#b91c1c" }}>{error}</div>}
+        <div className="mini-popover__actions">
+          <button type="button" className="mini-popover__btn mini-popover__btn--muted" onClick={() => resolve("reservation")} disabled={sending}>
+            Reserva {fmtEU(issue.reservation_value)}
+          </button>
+          <button type="button" className="mini-popover__btn mini-popover__btn--ok" onClick={() => resolve("room")} disabled={sending}>
+            Depto {fmtEU(issue.room_value)}
+          </button>
+        </div>
+      </PopoverPortal>
+    </span>
+  );
+}
+
 /* ---------- UI: ReservationCard (4 celdas) ---------- */
 
 function ReservationCard({ r, onRefresh, activePopover, onPopoverToggle }) {
@@ -886,6 +961,8 @@ function ReservationCard({ r, onRefresh, activePopover, onPopoverToggle }) {
   const inDt = fmtDate(r.arrival_iso);
   const outDt = fmtDate(r.departure_iso);
   const channel = r.source || r.channel_name || "—";
+  const board = r.board ? (BOARD_LABELS[r.board] || r.board) : "";
+  const mealsTitle = r.meals_price ? `Comidas: ${r.meals_price.total} ${r.meals_price.currency || ""}`.trim() : "Régimen";
   // prioridad: hosting_status/no_show_at > checkout_at > checkin_at
   const hosting = String(r.hosting_status || (r.no_show_at ? "no_show" : (r.checkout_at ? "checked_out" : (r.checkin_at ? "checked_in" : ""))));
   const deptoTagClass = cls(
@@ -927,6 +1004,7 @@ function ReservationCard({ r, onRefresh, activePopover, onPopoverToggle }) {
   const pidCheckIn = `${r.id}::checkin`;
   const pidCheckOut = `${r.id}::checkout`;
   const pidToPay = `${r.id}::toPay`;
+  const pidDq = `${r.id}::dq`;
 
   const defContactDate = DateTime.now().setZone(TZ).toISODate();
   const defContactTime = DateTime.now().setZone(TZ).toFormat("HH:mm");
@@ -974,11 +1052,31 @@ function ReservationCard({ r, onRefresh, activePopover, onPopoverToggle }) {
         </div>
 
         <div className="left__line3">
-          {r.id_human && <span className="tag tag--rcode">{r.id_human}</span>}
+          {r.id_human && (
+            <span className="tag tag--rcode" title={r.wubook_created_iso ? `Creada en WuBook: ${r.wubook_created_iso}` : undefined}>{r.id_human}</span>
+          )}
           <span>In: {inDt} · Out: {outDt}</span>
           <span className="tag--channel">{channel}</span>
+          <DqBadge
+            r={r}
+            isOpen={activePopover === pidDq}
+            onToggle={() => onPopoverToggle(pidDq)}
+            onDone={() => { onPopoverToggle(null); onRefresh?.(); }}
+          />
         </div>
 
+        {/* Condiciones de WuBook: régimen, política, agencia y vencimiento */}
+        {(board || r.cpolicy || r.agency_name || r.expiration_iso) && (
+          <div className="left__terms">
+            {board && <span className="tag tag--terms" title={mealsTitle}>{board}</span>}
+            {r.cpolicy && <span className="tag tag--terms" title="Política de cancelación">{r.cpolicy}</span>}
+            {r.agency_name && r.agency_name !== channel && (
+              <span className="tag tag--terms" title={r.agency || undefined}>{r.agency_name}</span>
+            )}
+            {r.expiration_iso && <span className="tag tag--expira">Vence {fmtDate(r.expiration_iso)}</span>}
+          </div>
+        )}
+
         {/* Línea 4: total + toggle + chip de TC (promedio) */}
         <ToPayLine
           r={r}
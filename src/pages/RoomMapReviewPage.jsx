@@ -0,0 +1,156 @@
+// src/pages/RoomMapReviewPage.jsx
+// Revisión de departamentos borrador que crea el import cuando WuBook trae rooms sin mapa.
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { DateTime } from 'luxon';
+import HeaderUserInline from '../components/HeaderUserInline';
+import './LiquidacionesPage.css';
+import './GastosPage.css';
+
+const TZ = 'America/Argentina/Buenos_Aires';
+
+function formatDateTime(value) {
+  const seconds = value?.seconds ?? value?._seconds;
+  if (!Number.isFinite(Number(seconds))) return '-';
+  return DateTime.fromMillis(Number(seconds) * 1000, { zone: TZ }).toFormat('dd/MM/yyyy HH:mm');
+}
+
+function DraftRow({ item, onDone }) {
+  const [codigo, setCodigo] = useState(item.codigo_depto || '');
+  const [nombre, setNombre] = useState(item.nombre || '');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const send = async (action) => {
+    if (action === 'approve' && !codigo.trim()) {
+      setError('Cargá el código del departamento.');
+      return;
+    }
+    setBusy(true);
+    setError('');
+    try {
+      await axios.post('/api/roomMapDrafts', {
+        action,
+        propiedad_id: item.propiedad_id,
+        id_zak: item.id_zak,
+        codigo_depto: codigo,
+        nombre,
+      });
+      onDone();
+    } catch (err) {
+      console.error('[RoomMapReviewPage] Error saving draft:', err);
+      setError(err?.response?.data?.error || 'No se pudo guardar.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <tr className="tr">
+      <td className="td gastos-td-stack">
+        <div className="gastos-line gastos-line--primary">{item.propiedad_nombre}</div>
+        <div className="gastos-line gastos-line--secondary">Room WuBook {item.id_zak}</div>
+      </td>
+      <td className="td gastos-td-stack">
+        <div className="gastos-line gastos-line--primary">{item.wubook_name || 'Sin nombre en WuBook'}</div>
+        <div className="gastos-line gastos-line--secondary">{item.wubook_shortname || '-'}</div>
+      </td>
+      <td className="td gastos-td-stack" title={item.sample_id_humans.join(', ')}>
+        <div className="gastos-line gastos-line--primary">{item.last_seen_reservations} reserva(s)</div>
+        <div className="gastos-line gastos-line--secondary">
+          {item.sample_id_humans.slice(0, 3).join(', ')} · {formatDateTime(item.last_seen_at)}
+        </div>
+      </td>
+      <td className="td">
+        <input className="gastos-field__control" value={codigo} onChange={(e) => setCodigo(e.target.value)} placeholder="Código" />
+      </td>
+      <td className="td">
+        <input className="gastos-field__control" value={nombre} onChange={(e) => setNombre(e.target.value)} placeholder="Nombre" />
+        {error && <div className="gastos-modal__error">{error}</div>}
+      </td>
+      <td className="td" style={{ whiteSpace: 'nowrap' }}>
+        <button type="button" className="btn gastos-primary-btn" onClick={() => send('approve')} disabled={busy}>
+          Aprobar
+        </button>
+        <button type="button" className="btn" onClick={() => send('ignore')} disabled={busy} style={{ marginLeft: 6 }}>
+          Ignorar
+        </button>
+      </td>
+    </tr>
+  );
+}
+
+export default function RoomMapReviewPage() {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const load = async () => {
+    setLoading(true);
+    try {
+      const { data } = await axios.get('/api/roomMapDrafts');
+      setItems(Array.isArray(data?.items) ? data.items : []);
+    } catch (err) {
+      console.error('[RoomMapReviewPage] Error loading drafts:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  return (
+    <div className="gastos-app">
+      <header className="header">
+        <div className="header__bar">
+          <div className="header__left">
+            <h1 className="header__title">Departamentos sin mapear</h1>
+            <span className="header__date">Rooms de WuBook detectados por el import</span>
+          </div>
+          <div className="header__right">
+            <HeaderUserInline />
+          </div>
+        </div>
+        <div className="liq-filters">
+          <div className="gastos-actions">
+            <button type="button" className="btn" onClick={load} disabled={loading}>
+              {loading ? 'Cargando...' : 'Actualizar'}
+            </button>
+          </div>
+        </div>
+      </header>
+
+      <main className="gastos-main">
+        <section className="liq-card gastos-table-wrap">
+          <table className="table btable liq-table">
+            <thead>
+              <tr>
+                <th className="th">Propiedad / room</th>
+                <th className="th">WuBook</th>
+                <th className="th">Reservas salteadas</th>
+                <th className="th">Código depto</th>
+                <th className="th">Nombre</th>
+                <th className="th" aria-label="Acciones"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {items.length ? items.map((item) => (
+                <DraftRow key={`${item.propiedad_id}_${item.id_zak}`} item={item} onDone={load} />
+              )) : (
+                <tr>
+                  <td className="td" colSpan="6" style={{ textAlign: 'center', opacity: 0.65 }}>
+                    {loading ? 'Cargando...' : 'No hay departamentos pendientes de revisión'}
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </section>
+        <div className="liq-empty" style={{ marginTop: 8 }}>
+          Al aprobar, las reservas de ese room se importan en la próxima corrida del import por arrival.
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,77 @@
+import test, { after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { PROP_ID, startHarness } from './mocks/handlerHarness.js';
+
+let h;
+let backfill;
+let admin;
+const id = `${PROP_ID}_AP-0101_12512`;
+const range = { since: '2025-10-01', until: '2025-10-31', propertyIds: [PROP_ID] };
+before(async () => {
+  h = await startHarness();
+  await h.firestore.doc('cotizaciones/USD/2025/10/01/cot').set({ fecha: '2025-10-01', compra: 1180, venta: 1220 });
+  await h.importFixtures();
+  const enrich = (await import('../api/enrichWubookData.js')).default;
+  await h.call(enrich, { body: { reservationId: id } });
+  backfill = (await import('../api/backfillPaymentFx.js')).default;
+  admin = await h.addUser('ops', { apps: ['fx_override'] });
+});
+after(() => h.close());
+
+test('el backfill convierte los pagos en ARS con la cotización del día del pago', async () => {
+  const ref = h.firestore.collection('Reservas').doc(id);
+  // pago legacy: convertido con el TC del check-in y sin fx_source
+  const legacy = (await ref.get()).data().payments.map((p) => {
+    if (p.wubook_id !== 9101) return p;
+    const { fx_date, fx_source, fx_policy, ...rest } = p;
+    return { ...rest, usd_equiv: 100, fxRateUsed: 1500 };
+  });
+  await ref.update({ payments: legacy });
+
+  const dry = await h.call(backfill, { body: range });
+  assert.equal(dry.body.dryRun, true);
+  assert.deepEqual(dry.body.items.find((x) => x.id === id).payments[0].to,
+    { usd_equiv: 125, fxRateUsed: 1200, fx_date: '2025-10-01', fx_source: 'payment_date',
+      fx_policy: { casa: 'oficial', side: 'mid', spread_pct: 0 } });
+  assert.equal((await ref.get()).data().payments.find((p) => p.wubook_id === 9101).usd_equiv, 100);
+
+  const anon = await h.call(backfill, { body: { ...range, dryRun: false } });
+  assert.equal(anon.statusCode, 401);
+  const viewer = await h.call(backfill, { body: { ...range, dryRun: false }, headers: await h.addUser('viewer', { apps: ['planilla'] }) });
+  assert.equal(viewer.statusCode, 403);
+  assert.equal((await ref.get()).data().payments.find((p) => p.wubook_id === 9101).usd_equiv, 100);
+
+  await h.call(backfill, { body: { ...range, dryRun: false }, headers: admin });
+  const pay = (await ref.get()).data().payments.find((p) => p.wubook_id === 9101);
+  assert.equal(pay.usd_equiv, 125);
+  assert.equal(pay.fx_source, 'payment_date');
+  process.env.CRON_SECRET = 'test-secret';
+  const again = await h.call(backfill, { body: { ...range, dryRun: false }, headers: { 'x-cron-secret': 'test-secret' } });
+  assert.equal(again.statusCode, 200);
+  assert.equal(again.body.totals.payments_updated, 0);
+});
+
+test('el backfill sin cotización conserva el usd_equiv y avisa si cortó en limit', async () => {
+  const ref = h.firestore.collection('Reservas').doc(id);
+  const pays = (await ref.get()).data().payments;
+  const legacy = { ts: h.Timestamp.fromDate(new Date('2025-08-01T15:00:00Z')), amount: 60000, currency: 'ARS', usd_equiv: 50, fxRateUsed: 1200, method: 'Transferencia', source: 'host' };
+  await ref.update({ payments: [...pays, legacy] });
+  process.env.PAYMENT_FX_POLICY = 'payment_date';
+  try {
+    const out = await h.call(backfill, { body: { ...range, dryRun: false }, headers: admin });
+    assert.equal(out.body.totals.unresolved, 1);
+    const saved = (await ref.get()).data().payments.at(-1);
+    assert.equal(saved.usd_equiv, 50);
+    assert.equal(saved.fxRateUsed, 1200);
+
+    const cut = await h.call(backfill, { body: { ...range, since: '2025-09-01', limit: 1 } });
+    assert.equal(cut.body.totals.scanned, 1);
+    assert.equal(cut.body.truncated, true);
+    assert.equal(cut.body.resumeSince, '2025-09-16');
+    const all = await h.call(backfill, { body: { ...range, since: '2025-09-01' } });
+    assert.equal(all.body.truncated, false);
+  } finally {
+    delete process.env.PAYMENT_FX_POLICY;
+    await ref.update({ payments: pays });
+  }
+});
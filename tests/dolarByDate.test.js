@@ -0,0 +1,36 @@
+import test, { after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness } from './mocks/handlerHarness.js';
+
+let h;
+let dolarByDate;
+before(async () => {
+  h = await startHarness();
+  process.env.FX_FILE_PATH = 'tests/fixtures/fx/quotes.json';
+  dolarByDate = (await import('../api/dolarByDate.js')).default;
+});
+after(() => h.close());
+
+const fetchFile = (extra = {}) => h.call(dolarByDate, {
+  method: 'GET', query: { fecha: '2025-09-30', casa: 'oficial', providers: 'file', compact: 'false', ...extra },
+});
+
+test('dolarByDate guarda la cotización del proveedor archivo en el doc de su casa', async () => {
+  const out = await fetchFile();
+  assert.equal(out.body.ok, 1);
+  assert.deepEqual(out.body.providers, ['file']);
+  const saved = (await h.firestore.doc('cotizaciones/USD/2025/09/30/cot').get()).data();
+  assert.equal(saved.fuente, 'file');
+  assert.equal(saved.venta, 1210);
+});
+
+test('una cotización corregida a mano no la pisa dolarByDate salvo force', async () => {
+  const ref = h.firestore.doc('cotizaciones/USD/2025/09/30/cot');
+  await ref.set({ fecha: '2025-09-30', compra: 1175, venta: 1215, fuente: 'manual', manual: true });
+  const out = await fetchFile();
+  assert.equal(out.statusCode, 200);
+  assert.equal((await ref.get()).data().venta, 1215);
+
+  await fetchFile({ force: 'true' });
+  assert.equal((await ref.get()).data().venta, 1210);
+});
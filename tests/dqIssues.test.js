@@ -0,0 +1,43 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { detectArrivalMismatch, reconcileDqIssues, hasOpenDq, confirmedArrival } from '../lib/dqIssues.js';
+
+const reserva = { id_human: 'AP-0103', dfrom: '09/10/2025' };
+const room = { id_zak_room: 29156, dfrom: '10/10/2025' };
+
+test('detecta arrival distinto entre room y reserva', () => {
+  assert.deepEqual(detectArrivalMismatch(reserva, room), {
+    code: 'arrival_mismatch', field: 'arrival', room_value: '10/10/2025', reservation_value: '09/10/2025',
+  });
+  assert.equal(detectArrivalMismatch({ dfrom: '10/10/2025' }, room), null);
+  assert.equal(detectArrivalMismatch({}, room), null);
+});
+
+test('reconcilia sin duplicar y conserva la resolución mientras WuBook no cambie', () => {
+  const detected = [detectArrivalMismatch(reserva, room)];
+  const first = reconcileDqIssues([], detected, { at: '2025-10-01T00:00:00', by: 'wubookSyncToday' });
+  assert.equal(first.length, 1);
+  assert.equal(first[0].status, 'open');
+  assert.equal(hasOpenDq(first), true);
+
+  const again = reconcileDqIssues(first, detected, { at: 'otro', by: 'otro' });
+  assert.deepEqual(again, first); // mismo issue → mismo contenido (hash estable)
+
+  const resolved = [{ ...first[0], status: 'resolved', resolution: 'reservation' }];
+  const kept = reconcileDqIssues(resolved, detected, { at: 'x' });
+  assert.equal(kept[0].status, 'resolved');
+  assert.equal(hasOpenDq(kept), false);
+  assert.equal(confirmedArrival(kept), '09/10/2025');
+});
+
+test('si WuBook cambia o corrige las fechas el issue se reemplaza o se descarta', () => {
+  const resolved = [{
+    code: 'arrival_mismatch', status: 'resolved', resolution: 'room', room_value: '10/10/2025', reservation_value: '09/10/2025',
+  }];
+  const changed = reconcileDqIssues(resolved, [detectArrivalMismatch({ dfrom: '08/10/2025' }, room)], { at: 'now' });
+  assert.deepEqual(changed.map((i) => [i.status, i.reservation_value]), [['open', '08/10/2025']]);
+  assert.equal(confirmedArrival(changed), null);
+
+  const other = { code: 'otro', status: 'open' };
+  assert.deepEqual(reconcileDqIssues([...resolved, other], []), [other]);
+});
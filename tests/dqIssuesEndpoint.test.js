@@ -0,0 +1,81 @@
+import test, { after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { PROP_ID, startHarness } from './mocks/handlerHarness.js';
+
+let h;
+let importByArrival;
+let dqIssues;
+before(async () => {
+  h = await startHarness();
+  await h.importFixtures();
+  importByArrival = (await import('../api/wubookImportByArrival.js')).default;
+  dqIssues = (await import('../api/dqIssues.js')).default;
+});
+after(() => h.close());
+
+const ref = () => h.firestore.collection('Reservas').doc(`${PROP_ID}_AP-0103_29156`);
+const importOct10 = (fromDate = '09/10/2025') => h.call(importByArrival, {
+  body: { propertyIds: [PROP_ID], fromDate, toDate: '10/10/2025' },
+});
+
+test('arrival distinto entre room y reserva queda como dq_issue y se lista', async () => {
+  const raw = h.mock.fixtures.reservations.find((r) => r.id_human === 'AP-0103');
+  raw.dfrom = '09/10/2025'; // el room sigue en 10/10
+  await importOct10();
+
+  const doc = (await ref().get()).data();
+  assert.equal(doc.arrival_iso, '2025-10-10'); // ROOM-FIRST hasta que un host confirme
+  assert.equal(doc.dq_open, true);
+  assert.deepEqual(
+    doc.dq_issues.map((i) => [i.code, i.status, i.room_value, i.reservation_value]),
+    [['arrival_mismatch', 'open', '10/10/2025', '09/10/2025']],
+  );
+
+  const listed = await h.call(dqIssues, { method: 'GET', query: { property: PROP_ID, from: '2025-10-01', to: '2025-10-31' } });
+  assert.deepEqual(listed.body.items.map((x) => x.id), [ref().id]);
+});
+
+test('los filtros se aplican antes del limit', async () => {
+  // otro issue abierto (primero por id) no le quita lugar
+  const other = h.firestore.collection('Reservas').doc('000_OTHER_dq');
+  await other.set({ propiedad_id: '111', arrival_iso: '2025-10-05', dq_open: true, dq_issues: [{ code: 'arrival_mismatch', status: 'open' }] });
+  try {
+    const byProp = await h.call(dqIssues, { method: 'GET', query: { property: PROP_ID, limit: 1 } });
+    assert.deepEqual(byProp.body.items.map((x) => x.id), [ref().id]);
+    const byDate = await h.call(dqIssues, { method: 'GET', query: { from: '2025-10-10', to: '2025-10-10', limit: 1 } });
+    assert.deepEqual(byDate.body.items.map((x) => x.id), [ref().id]);
+    const cut = await h.call(dqIssues, { method: 'GET', query: { limit: 1 } });
+    assert.equal(cut.body.truncated, true);
+  } finally {
+    await other.delete();
+  }
+});
+
+test('resolver el issue requiere usuario y actualiza la fecha confirmada', async () => {
+  const body = { id: ref().id, code: 'arrival_mismatch', resolution: 'reservation' };
+  const anon = await h.call(dqIssues, { body });
+  assert.equal(anon.statusCode, 401);
+
+  const res = await h.call(dqIssues, { body, headers: await h.addUser('ops') });
+  assert.equal(res.statusCode, 200);
+  const doc = (await ref().get()).data();
+  assert.equal(doc.arrival_iso, '2025-10-09');
+  assert.equal(doc.dq_open, false);
+
+  // el import siguiente respeta lo confirmado
+  await importOct10();
+  assert.equal((await ref().get()).data().arrival_iso, '2025-10-09');
+});
+
+test('si WuBook corrige la fecha el issue abierto se descarta', async () => {
+  const raw = h.mock.fixtures.reservations.find((r) => r.id_human === 'AP-0103');
+  raw.dfrom = '08/10/2025';
+  await importOct10('08/10/2025');
+  assert.equal((await ref().get()).data().dq_open, true);
+
+  delete raw.dfrom;
+  await importOct10('10/10/2025');
+  const doc = (await ref().get()).data();
+  assert.equal(doc.dq_open, false);
+  assert.deepEqual(doc.dq_issues.filter((i) => i.status === 'open'), []);
+});
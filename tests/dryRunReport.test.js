@@ -0,0 +1,33 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildReportEntry, reportToCsv, reportToRows, serializeReportValue } from '../lib/dryRunReport.js';
+
+test('serializa timestamps y objetos anidados para el reporte', () => {
+  const ts = { toDate: () => new Date('2025-10-01T12:00:00Z') };
+  assert.equal(serializeReportValue(ts), '2025-10-01T12:00:00.000Z');
+  assert.equal(serializeReportValue({ _seconds: 0, _nanoseconds: 0 }), '1970-01-01T00:00:00.000Z');
+  assert.deepEqual(serializeReportValue({ a: [1, { ts }], b: undefined }), { a: [1, { ts: '2025-10-01T12:00:00.000Z' }], b: null });
+  class ServerTimestampTransform {}
+  assert.equal(serializeReportValue(new ServerTimestampTransform()), '<ServerTimestampTransform>');
+});
+
+test('una fila CSV por campo cambiado y una sin key para docs sin cambios', () => {
+  const entries = [
+    buildReportEntry({
+      propiedad_id: '900', id: '900_AP-0101_12512', id_human: 'AP-0101', change: 'updated',
+      diff: { toPay: { from: 300, to: 340 }, nombre_huesped: { from: 'Pérez, Ana', to: 'Ana "Pérez"' } },
+    }),
+    buildReportEntry({ propiedad_id: '900', id: '900_AP-0103_29156', id_human: 'AP-0103', change: 'unchanged' }),
+  ];
+  assert.deepEqual(entries[0].changedKeys, ['toPay', 'nombre_huesped']);
+  assert.equal(reportToRows(entries).length, 3);
+
+  const csv = reportToCsv(entries);
+  const lines = csv.replace(/^\uFEFF/, '').trim().split('\r\n');
+  assert.deepEqual(lines, [
+    'propiedad_id,id,id_human,change,key,from,to',
+    '900,900_AP-0101_12512,AP-0101,updated,toPay,300,340',
+    '900,900_AP-0101_12512,AP-0101,updated,nombre_huesped,"Pérez, Ana","Ana ""Pérez"""',
+    '900,900_AP-0103_29156,AP-0103,unchanged,,,',
+  ]);
+});
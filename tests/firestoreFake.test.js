@@ -0,0 +1,37 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Timestamp, FieldValue } from 'firebase-admin/firestore';
+import { createFirestoreFake } from './mocks/firestoreFake.js';
+
+test('where + orderBy + startAfter paginan como Firestore', async () => {
+  const db = createFirestoreFake({ Timestamp });
+  const col = db.collection('Reservas');
+  for (const [id, departure_iso] of [['a', '2020-01-01'], ['b', '2020-03-01'], ['c', '2020-02-01'], ['d', null]]) {
+    await col.doc(id).set({ departure_iso, propiedad_id: id === 'a' ? '1' : '2' });
+  }
+  const q = col.where('departure_iso', '<', '2021-01-01').orderBy('departure_iso', 'desc');
+  const first = await q.limit(2).get();
+  assert.deepEqual(first.docs.map((d) => d.id), ['b', 'c']);
+  const next = await q.startAfter(first.docs.at(-1)).limit(2).get();
+  assert.deepEqual(next.docs.map((d) => d.id), ['a']);
+  const byProp = await col.where('propiedad_id', 'in', ['2']).get();
+  assert.deepEqual(byProp.docs.map((d) => d.id), ['b', 'c', 'd']);
+});
+
+test('update con rutas y FieldValue; transacción que falla no escribe', async () => {
+  const db = createFirestoreFake({ Timestamp });
+  const ref = db.doc('syncStatus/900');
+  await ref.set({ sources: { a: { n: 1 } }, tags: ['x'] });
+  await ref.update({ 'sources.a.n': FieldValue.increment(2), tags: FieldValue.arrayUnion('y', 'x'), at: FieldValue.serverTimestamp() });
+  const data = (await ref.get()).data();
+  assert.equal(data.sources.a.n, 3);
+  assert.deepEqual(data.tags, ['x', 'y']);
+  assert.ok(data.at instanceof Timestamp);
+
+  await assert.rejects(db.runTransaction(async (tx) => {
+    tx.update(ref, { tags: [] });
+    tx.update(db.doc('syncStatus/nope'), { x: 1 });
+  }), (e) => e.code === 5);
+  assert.deepEqual((await ref.get()).data().tags, ['x', 'y']);
+  await assert.rejects(ref.set({ bad: undefined }), /undefined/);
+});
@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildOverrideDoc, quoteSnapshot, validateFxOverride } from '../lib/fxOverride.js';
+import { quoteDocPath } from '../lib/fxPolicy.js';
+
+const todayISO = '2025-10-15';
+
+test('valida y normaliza el pedido', () => {
+  const { value, error } = validateFxOverride({ moneda: 'usd', casa: 'Blue', fecha: '2025-10-01', compra: '1480', venta: 1520, reason: ' API trajo 0 ', propertyIds: '900, 901' }, { todayISO });
+  assert.equal(error, undefined);
+  assert.deepEqual(value, {
+    moneda: 'USD', casa: 'blue', fecha: '2025-10-01', compra: 1480, venta: 1520,
+    reason: 'API trajo 0', relink: false, propertyIds: ['900', '901'],
+  });
+});
+
+test('rechaza pedidos inválidos', () => {
+  const err = (body) => validateFxOverride({ fecha: '2025-10-01', compra: 1180, venta: 1220, ...body }, { todayISO }).error;
+  assert.match(err({ moneda: 'ARS' }), /moneda/);
+  assert.match(err({ casa: 'paralelo' }), /casa/);
+  assert.match(err({ fecha: '01/10/2025' }), /YYYY-MM-DD/);
+  assert.match(err({ fecha: '2025-10-16' }), /futura/);
+  assert.match(err({ compra: 0, venta: '' }), /compra y\/o venta/);
+  assert.match(err({ compra: 1300 }), /mayor que venta/);
+  assert.match(err({ moneda: 'EUR', relink: true }), /relink/);
+  assert.equal(err({ relink: 'true' }), undefined);
+});
+
+test('el lado no informado conserva el valor anterior y queda el previous', () => {
+  const { value } = validateFxOverride({ fecha: '2025-10-01', venta: 1225, reason: 'ajuste BNA' }, { todayISO });
+  const before = { compra: 1180, venta: 1220, fuente: 'dolarapi', updatedAt: 'x' };
+  const by = { uid: 'u1', email: 'ops@example.com', name: null };
+  assert.deepEqual(buildOverrideDoc(value, { before, by }), {
+    fecha: '2025-10-01', moneda: 'USD', casa: 'oficial', compra: 1180, venta: 1225,
+    fuente: 'manual', manual: true, manualBy: by, manualReason: 'ajuste BNA',
+    previous: { compra: 1180, venta: 1220, fuente: 'dolarapi' },
+  });
+  assert.equal(quoteSnapshot(null), null);
+  assert.equal(buildOverrideDoc(value, { by }).compra, null);
+});
+
+test('path del doc por moneda y casa', () => {
+  assert.equal(quoteDocPath('usd', '2025-10-01'), 'cotizaciones/USD/2025/10/01/cot');
+  assert.equal(quoteDocPath('USD', '2025-10-01', 'blue'), 'cotizaciones/USD/2025/10/01/cot_blue');
+});
@@ -0,0 +1,89 @@
+import test, { after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { startHarness } from './mocks/handlerHarness.js';
+
+let h;
+let fxOverride;
+let ops;
+let viewer;
+before(async () => {
+  h = await startHarness();
+  fxOverride = (await import('../api/fxOverride.js')).default;
+  ops = await h.addUser('ops', { apps: ['fx_override'] });
+  viewer = await h.addUser('viewer', { apps: ['planilla'] });
+  await h.firestore.doc('cotizaciones/USD/2025/09/30/cot').set({ fecha: '2025-09-30', compra: 1170, venta: 1210, fuente: 'file' });
+});
+after(() => h.close());
+
+test('corregir una cotización requiere el permiso fx_override', async () => {
+  const body = { fecha: '2025-09-30', compra: 1175, venta: 1215, reason: 'API trajo mal el cierre' };
+  assert.equal((await h.call(fxOverride, { body })).statusCode, 401);
+  assert.equal((await h.call(fxOverride, { body, headers: viewer })).statusCode, 403);
+
+  const res = await h.call(fxOverride, { body, headers: ops });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.from, { compra: 1170, venta: 1210, fuente: 'file' });
+  const saved = (await h.firestore.doc('cotizaciones/USD/2025/09/30/cot').get()).data();
+  assert.equal(saved.manual, true);
+  assert.equal(saved.venta, 1215);
+});
+
+test('el listado trae la corrección con su autor e historial', async () => {
+  const query = { from: '2025-09-30', to: '2025-10-01' };
+  assert.equal((await h.call(fxOverride, { method: 'GET', query })).statusCode, 401);
+  assert.equal((await h.call(fxOverride, { method: 'GET', query, headers: viewer })).statusCode, 403);
+
+  const list = await h.call(fxOverride, { method: 'GET', query: { from: '2025-09-30', to: '2025-10-01' }, headers: ops });
+  assert.deepEqual(list.body.items.map((x) => x.fecha), ['2025-10-01', '2025-09-30']);
+  const day = list.body.items[1];
+  assert.equal(day.manual, true);
+  assert.equal(day.manualBy.email, 'ops@example.com');
+  assert.deepEqual(day.previous, { compra: 1170, venta: 1210, fuente: 'file' });
+  assert.deepEqual(day.history.map((x) => [x.reason, x.to]), [['API trajo mal el cierre', { compra: 1175, venta: 1215 }]]);
+});
+
+test('una instancia caliente toma la corrección cuando vence el cache de cotizaciones', async () => {
+  const { fxToUSD } = await import('../lib/importProcessShared.js');
+  await h.firestore.doc('cotizaciones/USD/2025/09/29/cot').set({ fecha: '2025-09-29', compra: 1100, venta: 1300, fuente: 'file' });
+  assert.equal((await fxToUSD('ARS', '2025-09-29')).rate, +(1 / 1200).toFixed(8));
+
+  const res = await h.call(fxOverride, { body: { fecha: '2025-09-29', compra: 1240, venta: 1260, reason: 'cierre' }, headers: ops });
+  assert.equal(res.statusCode, 200);
+  assert.equal((await fxToUSD('ARS', '2025-09-29')).rate, +(1 / 1200).toFixed(8)); // dentro del TTL
+
+  const realNow = Date.now;
+  Date.now = () => realNow() + 2 * 60 * 1000;
+  try {
+    assert.equal((await fxToUSD('ARS', '2025-09-29')).rate, +(1 / 1250).toFixed(8));
+  } finally {
+    Date.now = realNow;
+  }
+});
+
+test('relink corrige también las reservas que usaron la cotización como fallback', async () => {
+  const reservas = h.firestore.collection('Reservas');
+  await reservas.doc('fx_arrival').set({ propiedad_id: '900', arrival_iso: '2025-09-28' });
+  await reservas.doc('fx_fallback').set({
+    propiedad_id: '900',
+    arrival_iso: '2025-09-29',
+    usd_fx_on_checkin: { casa: 'oficial', fecha: '2025-09-29', compra: 1, venta: 2, fuente: 'cotizaciones:firestore:fallback', origen_fecha: '2025-09-28' },
+  });
+  await reservas.doc('fx_other').set({
+    propiedad_id: '900',
+    arrival_iso: '2025-09-29',
+    usd_fx_on_checkin: { casa: 'oficial', fecha: '2025-09-29', compra: 1, venta: 2, fuente: 'cotizaciones:firestore', origen_fecha: '2025-09-29' },
+  });
+
+  const res = await h.call(fxOverride, { body: { fecha: '2025-09-28', compra: 1160, venta: 1200, relink: true }, headers: ops });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.relink, { requested: true, matched: 1, updated: 1, fallback: { updated: 1 } });
+
+  const arrival = (await reservas.doc('fx_arrival').get()).data().usd_fx_on_checkin;
+  assert.deepEqual([arrival.fecha, arrival.venta, arrival.origen_fecha], ['2025-09-28', 1200, '2025-09-28']);
+  const fallback = (await reservas.doc('fx_fallback').get()).data().usd_fx_on_checkin;
+  assert.deepEqual(
+    [fallback.fecha, fallback.compra, fallback.venta, fallback.fuente, fallback.origen_fecha],
+    ['2025-09-29', 1160, 1200, 'cotizaciones:firestore:fallback', '2025-09-28'],
+  );
+  assert.equal((await reservas.doc('fx_other').get()).data().usd_fx_on_checkin.venta, 2);
+});
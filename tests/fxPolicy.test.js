@@ -0,0 +1,41 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { FX_POLICY_DEFAULT, quoteDocIdForCasa, rateFromQuote, resolveFxPolicy } from '../lib/fxPolicy.js';
+
+const config = {
+  default: { side: 'venta' },
+  byMethod: { Efectivo: { casa: 'blue', side: 'compra' }, Transferencia: { casa: 'bolsa' } },
+  byProperty: {
+    106: { default: { spread_pct: -1 }, byMethod: { efectivo: { casa: 'oficial' } } },
+  },
+};
+
+test('sin config se usa la oficial al promedio', () => {
+  assert.deepEqual(resolveFxPolicy({}, { propiedad_id: '106', method: 'Efectivo' }), FX_POLICY_DEFAULT);
+});
+
+test('combina default → método → propiedad → método de la propiedad', () => {
+  assert.deepEqual(resolveFxPolicy(config, { propiedad_id: '200', method: 'Tarjeta' }), { casa: 'oficial', side: 'venta', spread_pct: 0 });
+  assert.deepEqual(resolveFxPolicy(config, { propiedad_id: '200', method: ' EFECTIVO ' }), { casa: 'blue', side: 'compra', spread_pct: 0 });
+  assert.deepEqual(resolveFxPolicy(config, { propiedad_id: 106, method: 'Transferencia' }), { casa: 'bolsa', side: 'venta', spread_pct: -1 });
+  assert.deepEqual(resolveFxPolicy(config, { propiedad_id: '106', method: 'Efectivo' }), { casa: 'oficial', side: 'compra', spread_pct: -1 });
+});
+
+test('ignora casas y sides desconocidos', () => {
+  assert.deepEqual(resolveFxPolicy({ default: { casa: 'paralelo', side: 'x', spread_pct: 'abc' } }), FX_POLICY_DEFAULT);
+});
+
+test('TC según compra/venta/promedio y spread', () => {
+  const q = { compra: 1180, venta: 1220 };
+  assert.equal(rateFromQuote(q), 1200);
+  assert.equal(rateFromQuote(q, { side: 'compra' }), 1180);
+  assert.equal(rateFromQuote(q, { side: 'venta', spread_pct: 2 }), 1244.4);
+  assert.equal(rateFromQuote({ venta: 1220 }, { side: 'compra' }), 1220);
+  assert.equal(rateFromQuote({}, FX_POLICY_DEFAULT), null);
+});
+
+test('doc de cotización por casa', () => {
+  assert.equal(quoteDocIdForCasa('oficial'), 'cot');
+  assert.equal(quoteDocIdForCasa(null), 'cot');
+  assert.equal(quoteDocIdForCasa('Blue'), 'cot_blue');
+});
@@ -0,0 +1,124 @@
+import test, { after, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { DateTime } from 'luxon';
+import {
+  FxProviderError, fetchDailyQuotes, fetchHistoricalQuote, getFxProvider, parseFxProviders, resolveFxProviders,
+} from '../lib/fxProviders.js';
+
+const FIXTURE = path.resolve('tests/fixtures/fx/quotes.json');
+
+// stub de dolarapi / argentinadatos: `routes[path] = [status, body]`
+let server;
+let routes = {};
+before(async () => {
+  server = http.createServer((req, res) => {
+    const [status, body] = routes[req.url] || [404, { error: 'not found' }];
+    res.writeHead(status, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(body));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  process.env.BASE_URL_DOLARAPI = `${base}/da`;
+  process.env.BASE_URL_ARDATOS = `${base}/ad`;
+  process.env.FX_FILE_PATH = FIXTURE;
+});
+after(async () => { await new Promise((resolve) => server.close(resolve)); });
+beforeEach(() => {
+  routes = {};
+  process.env.FX_FILE_PATH = FIXTURE;
+  delete process.env.FX_PROVIDERS_DAILY;
+  delete process.env.FX_PROVIDERS_HISTORICAL;
+});
+
+const historical = (ids) => ids.map(getFxProvider);
+
+test('prioridad de proveedores: parámetro > env > default', () => {
+  assert.deepEqual(parseFxProviders('file, DOLARAPI,foo,file', ['dolarapi']), ['file', 'dolarapi']);
+  assert.deepEqual(parseFxProviders('', ['dolarapi']), ['dolarapi']);
+  assert.deepEqual(resolveFxProviders('historical').map((p) => p.id), ['argentinadatos', 'file']);
+  process.env.FX_PROVIDERS_DAILY = 'file';
+  assert.deepEqual(resolveFxProviders('daily').map((p) => p.id), ['file']);
+  assert.deepEqual(resolveFxProviders('daily', 'dolarapi').map((p) => p.id), ['dolarapi']);
+});
+
+test('ArgentinaDatos responde la fecha pedida', async () => {
+  routes['/ad/oficial/2025/10/01'] = [200, { casa: 'oficial', compra: 1181, venta: 1221, fecha: '2025-10-01' }];
+  const out = await fetchHistoricalQuote(historical(['argentinadatos', 'file']), { isoDate: '2025-10-01' });
+  assert.equal(out.provider, 'argentinadatos');
+  assert.equal(out.fuente, 'api.argentinadatos.com');
+  assert.deepEqual(out.quote, { fecha: '2025-10-01', casa: 'oficial', compra: 1181, venta: 1221 });
+});
+
+test('si ArgentinaDatos falla se usa el archivo', async () => {
+  routes['/ad/blue/2025/10/01'] = [503, { error: 'down' }];
+  const out = await fetchHistoricalQuote(historical(['argentinadatos', 'file']), { casa: 'blue', isoDate: '2025-10-01' });
+  assert.equal(out.provider, 'file');
+  assert.deepEqual(out.quote, { fecha: '2025-10-01', casa: 'blue', compra: 1480, venta: 1520 });
+  assert.deepEqual(out.attempts.map((a) => [a.provider, a.status]), [['argentinadatos', 'error'], ['file', 'ok']]);
+});
+
+test('la fecha exacta de cualquier proveedor le gana al día previo', async () => {
+  // ArgentinaDatos no tiene el 01 pero sí el 30 en la serie; el archivo tiene el 01
+  routes['/ad/oficial'] = [200, [{ fecha: '2025-09-30', casa: 'oficial', compra: 1, venta: 2 }]];
+  const out = await fetchHistoricalQuote(historical(['argentinadatos', 'file']), { isoDate: '2025-10-01', allowPrev: true });
+  assert.equal(out.provider, 'file');
+  assert.equal(out.quote.compra, 1180);
+
+  const prev = await fetchHistoricalQuote(historical(['argentinadatos', 'file']), { isoDate: '2025-10-04', allowPrev: true });
+  assert.equal(prev.provider, 'argentinadatos');
+  assert.equal(prev.quote.fallback, 'previous');
+});
+
+test('sin dato en ningún proveedor es not_found; con alguno caído es error', async () => {
+  const none = await fetchHistoricalQuote(historical(['argentinadatos', 'file']), { isoDate: '2025-11-01' });
+  assert.equal(none.quote, null);
+  routes['/ad/oficial/2025/11/01'] = [500, {}];
+  await assert.rejects(
+    fetchHistoricalQuote(historical(['argentinadatos', 'file']), { isoDate: '2025-11-01' }),
+    (e) => e instanceof FxProviderError && e.attempts.length === 2,
+  );
+});
+
+test('diario: si DolarApi falla se usan las filas de hoy del archivo', async () => {
+  const today = DateTime.now().setZone('America/Argentina/Buenos_Aires').toISODate();
+  const tmp = path.join(os.tmpdir(), `fx-quotes-${process.pid}.json`);
+  await fs.writeFile(tmp, JSON.stringify([
+    { fecha: today, moneda: 'usd', compra: 1300, venta: 1340 },
+    { fecha: '2025-10-01', moneda: 'EUR', compra: 1, venta: 2 },
+  ]));
+  process.env.FX_FILE_PATH = tmp;
+  try {
+    routes['/da/cotizaciones'] = [502, { error: 'bad gateway' }];
+    const out = await fetchDailyQuotes(resolveFxProviders('daily'));
+    assert.equal(out.provider, 'file');
+    assert.deepEqual(out.items, [{ fecha: today, moneda: 'USD', casa: 'oficial', compra: 1300, venta: 1340, nombre: null }]);
+
+    routes['/da/cotizaciones'] = [200, [{ moneda: 'EUR', casa: 'oficial', compra: 1380, venta: 1420, fechaActualizacion: '2025-10-01T15:00:00.000Z' }]];
+    const api = await fetchDailyQuotes(resolveFxProviders('daily'));
+    assert.equal(api.provider, 'dolarapi');
+    assert.equal(api.items[0].fecha, '2025-10-01');
+  } finally {
+    await fs.rm(tmp, { force: true });
+  }
+});
+
+test('diario: si ninguno responde se informa cada intento', async () => {
+  process.env.FX_FILE_PATH = path.join(os.tmpdir(), 'no-existe-fx.json');
+  routes['/da/cotizaciones'] = [500, {}];
+  await assert.rejects(fetchDailyQuotes(resolveFxProviders('daily')), (e) => (
+    e instanceof FxProviderError
+      && e.attempts.map((a) => [a.provider, a.status]).join() === 'dolarapi,error,file,empty'
+  ));
+});
+
+test('sin archivo de cotizaciones el proveedor file responde sin datos (not_found, no error)', async () => {
+  process.env.FX_FILE_PATH = path.join(os.tmpdir(), 'no-existe-fx.json');
+  routes['/ad/oficial/2025/10/04'] = [404, {}];
+  const out = await fetchHistoricalQuote(resolveFxProviders('historical'), { isoDate: '2025-10-04' });
+  assert.equal(out.quote, null);
+  assert.deepEqual(out.attempts.map((a) => [a.provider, a.status]), [['argentinadatos', 'not_found'], ['file', 'not_found']]);
+});
@@ -0,0 +1,91 @@
+import test, { after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { PROP_ID, startHarness } from './mocks/handlerHarness.js';
+
+let h;
+let erase;
+let enrich;
+const cron = { 'x-cron-secret': 'test-secret' };
+before(async () => {
+  h = await startHarness();
+  process.env.CRON_SECRET = 'test-secret';
+  await h.importFixtures();
+  enrich = (await import('../api/enrichWubookData.js')).default;
+  await h.call(enrich, { body: { syncMode: 'pending', limit: 50 } });
+  erase = (await import('../api/guestPiiErasure.js')).default;
+});
+after(() => h.close());
+
+test('la retención avanza desde el watermark sin releer lo ya anonimizado', async () => {
+  const col = h.firestore.collection('Reservas');
+  const old = [['ret_a', '2020-03-10'], ['ret_b', '2020-02-10'], ['ret_c', '2020-01-10']];
+  for (const [id, departure_iso] of old) {
+    await col.doc(id).set({ propiedad_id: '999', id_human: id, departure_iso, nombre_huesped: `Huésped ${id}`, customer_email: `${id}@example.com` });
+  }
+  const run = () => h.call(erase, { body: { mode: 'retention', limit: 1 }, headers: cron });
+
+  const first = await run();
+  assert.deepEqual(first.body.ids, ['ret_c']);
+  assert.deepEqual(first.body.watermark, { from: null, to: '2020-01-10' });
+  const second = await run();
+  assert.deepEqual(second.body.ids, ['ret_b']);
+  assert.equal(second.body.already_erased, 1); // solo la del día del watermark
+  const third = await run();
+  assert.deepEqual(third.body.ids, ['ret_a']);
+  assert.equal(third.body.watermark.to, third.body.cutoff); // recorrió todo lo vencido
+  assert.equal((await col.doc('ret_a').get()).data().pii_erased, true);
+
+  const idle = await run();
+  assert.equal(idle.body.scanned, 0);
+  assert.equal(idle.body.watermark.from, idle.body.cutoff);
+
+  // una reserva vieja importada después del watermark solo entra con full=true
+  await col.doc('ret_late').set({ propiedad_id: '999', id_human: 'ret_late', departure_iso: '2019-12-01', nombre_huesped: 'Tarde' });
+  assert.deepEqual((await run()).body.ids, []);
+  const full = await h.call(erase, { body: { mode: 'retention', limit: 1, full: true }, headers: cron });
+  assert.deepEqual(full.body.ids, ['ret_late']);
+  old.push(['ret_late']);
+  for (const [id] of old) await h.firestore.recursiveDelete(col.doc(id));
+});
+
+test('anonimizar un huésped borra PII de reservas e historial y conserva los montos', async () => {
+  const ref = h.firestore.collection('Reservas').doc(`${PROP_ID}_YW-0009_12512`);
+  const before = (await ref.get()).data();
+
+  const denied = await h.call(erase, { body: { huespedId: 'wb_33488509' } });
+  assert.equal(denied.statusCode, 401);
+
+  const res = await h.call(erase, { body: { huespedId: 'wb_33488509' }, headers: cron });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.erased, 2); // los dos rooms de YW-0009
+  assert.equal(res.body.huespedes_anonymized, 1);
+
+  const doc = (await ref.get()).data();
+  assert.equal(doc.pii_erased, true);
+  assert.equal(doc.nombre_huesped, 'Huésped anonimizado');
+  assert.equal(doc.customer_email, null);
+  assert.equal(doc.toPay, before.toPay);
+  assert.deepEqual(doc.payments.map((p) => p.amount), before.payments.map((p) => p.amount));
+  assert.ok(doc.notes.every((n) => n.text === '[nota anonimizada]'));
+
+  const dump = JSON.stringify((await ref.collection('historial').get()).docs.map((x) => x.data()));
+  assert.equal(dump.includes('lucia.fernandez@example.com'), false);
+  assert.equal(dump.includes('Lucia Fernandez'), false);
+  assert.deepEqual((await h.firestore.collection('Huespedes').doc('wb_33488509').get()).data().emails, []);
+});
+
+test('ni el enrich ni el import ni una cancelación vuelven a traer los datos de WuBook', async () => {
+  const ref = h.firestore.collection('Reservas').doc(`${PROP_ID}_YW-0009_12512`);
+  await h.call(enrich, { body: { reservationId: ref.id } });
+  await h.importFixtures();
+  const after = (await ref.get()).data();
+  assert.equal(after.nombre_huesped, 'Huésped anonimizado');
+  assert.equal(after.customer_email, null);
+
+  const syncToday = (await import('../api/wubookSyncToday.js')).default;
+  const yw = h.mock.fixtures.reservations.find((r) => r.id_human === 'YW-0009');
+  yw.status = 'Cancelled';
+  await h.call(syncToday, { body: { propertyIds: [PROP_ID] } });
+  assert.equal((await ref.get()).data().is_cancelled, true);
+  assert.equal((await h.firestore.collection('WubookRaw').doc(String(yw.id)).get()).exists, false);
+});
@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeEmail, normalizePhone, guestMatchKeys, guestIdForBooker, guestFromCustomer, mergeGuestProfile, summarizeGuestStays,
+} from '../lib/guests.js';
+
+test('normaliza email y teléfono para el match fuzzy', () => {
+  assert.equal(normalizeEmail(' Lucia.Fernandez@Example.com '), 'lucia.fernandez@example.com');
+  assert.equal(normalizeEmail('lu.cia+booking@googlemail.com'), 'lucia@gmail.com');
+  assert.equal(normalizeEmail('sin-arroba'), null);
+  // mismo celular con y sin prefijo de país / 15
+  assert.equal(normalizePhone('+54 9 11 5555-1234'), normalizePhone('011 15 5555-1234'));
+  assert.equal(normalizePhone('1234'), null);
+  assert.deepEqual(guestMatchKeys({ email: 'A@B.com', phone: '+1 (512) 555-0100' }), ['email:a@b.com', 'phone:25550100']);
+});
+
+test('id por booker y datos del cliente del enrich', () => {
+  assert.equal(guestIdForBooker(33488509), 'wb_33488509');
+  assert.equal(guestIdForBooker('Lucia'), null);
+  // nombre_huesped numérico es el booker (todavía sin enrich), no un nombre
+  assert.equal(guestFromCustomer({ nombre_huesped: '33488509' }).nombre, null);
+});
+
+test('el merge agrega contactos sin borrar los anteriores', () => {
+  const first = mergeGuestProfile({}, {
+    bookerId: '1', propiedad_id: '106', guest: { nombre: 'Ana', email: 'ana@x.com', phone: '+54 11 5555-1234' },
+  });
+  const second = mergeGuestProfile(first, { bookerId: '2', propiedad_id: '107', guest: { nombre: null, email: 'ana@y.com' } });
+  assert.equal(second.nombre, 'Ana');
+  assert.deepEqual(second.emails, ['ana@x.com', 'ana@y.com']);
+  assert.deepEqual(second.wubook_booker_ids, ['1', '2']);
+  assert.deepEqual(second.propiedad_ids, ['106', '107']);
+  assert.deepEqual(second.match_keys, ['email:ana@x.com', 'phone:55551234', 'email:ana@y.com']);
+  assert.deepEqual(mergeGuestProfile(second), second); // idempotente
+});
+
+test('historial: agrupa rooms por reserva y no suma canceladas', () => {
+  const { stays, totals, notes } = summarizeGuestStays([
+    { propiedad_id: '106', id_human: 'A-1', codigo_depto: '101', arrival_iso: '2025-01-10', departure_iso: '2025-01-13', toPay: 300,
+      payments: [{ amount: 100, currency: 'USD' }, { amount: 50000, currency: 'ARS', usd_equiv: 50 }],
+      notes: [{ text: 'Llega tarde', source: 'wubook', wubook_id: 1 }] },
+    { propiedad_id: '106', id_human: 'A-1', codigo_depto: '102', arrival_iso: '2025-01-10', departure_iso: '2025-01-13', toPay: 200,
+      notes: [{ text: 'Llega tarde', source: 'wubook', wubook_id: 1 }] },
+    { propiedad_id: '107', id_human: 'B-7', codigo_depto: '201', arrival_iso: '2025-03-01', departure_iso: '2025-03-02', toPay: 90, is_cancelled: true },
+  ]);
+  assert.deepEqual(stays.map((s) => [s.id_human, s.is_cancelled, s.nights]), [['B-7', true, 1], ['A-1', false, 3]]);
+  assert.deepEqual(stays[1].deptos, ['101', '102']);
+  assert.deepEqual(totals, {
+    stays: 1, cancelled: 1, nights: 3, spend_usd: 500, paid_usd: 150, first_arrival: '2025-01-10', last_arrival: '2025-01-10',
+  });
+  assert.equal(notes.length, 1);
+});
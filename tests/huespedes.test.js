@@ -0,0 +1,69 @@
+import test, { after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { PROP_ID, startHarness } from './mocks/handlerHarness.js';
+
+let h;
+let enrich;
+let huespedes;
+let reader;
+before(async () => {
+  h = await startHarness();
+  await h.importFixtures();
+  enrich = (await import('../api/enrichWubookData.js')).default;
+  huespedes = (await import('../api/huespedes.js')).default;
+  reader = await h.addUser('guests', { apps: ['huespedes'] });
+});
+after(() => h.close());
+
+test('enrich batch arma perfiles en Huespedes y el historial por huésped', async () => {
+  // los dos rooms de YW-0009 son del mismo booker: mismo perfil, no se duplica
+  await h.call(enrich, { body: { syncMode: 'pending', limit: 50 } });
+  for (const id of [`${PROP_ID}_YW-0009_12512`, `${PROP_ID}_YW-0009_29156`]) {
+    assert.equal((await h.firestore.collection('Reservas').doc(id).get()).data().huesped_id, 'wb_33488509');
+  }
+
+  const guest = (await h.firestore.collection('Huespedes').doc('wb_33488509').get()).data();
+  assert.equal(guest.nombre, 'Lucia Fernandez');
+  assert.deepEqual(guest.wubook_booker_ids, ['33488509']);
+  assert.ok(guest.match_keys.includes('email:lucia.fernandez@example.com'));
+
+  const byEmail = await h.call(huespedes, { method: 'GET', query: { email: 'Lucia.Fernandez@Example.com' }, headers: reader });
+  assert.deepEqual(byEmail.body.items.map((x) => x.id), ['wb_33488509']);
+
+  const history = await h.call(huespedes, { method: 'GET', query: { reservationId: `${PROP_ID}_YW-0009_12512` }, headers: reader });
+  assert.equal(history.statusCode, 200);
+  assert.equal(history.body.huesped.id, 'wb_33488509');
+  assert.deepEqual(history.body.stays.map((x) => [x.id_human, x.deptos.length]), [['YW-0009', 2]]);
+  assert.equal(history.body.totals.stays, 1);
+});
+
+test('consultar huéspedes requiere usuario con el permiso huespedes', async () => {
+  const query = { email: 'lucia.fernandez@example.com' };
+  const anon = await h.call(huespedes, { method: 'GET', query });
+  assert.equal(anon.statusCode, 401);
+  assert.equal(anon.body.items, undefined);
+  const other = await h.call(huespedes, { method: 'GET', query, headers: await h.addUser('host1', { apps: ['planilla'] }) });
+  assert.equal(other.statusCode, 403);
+  const badToken = await h.call(huespedes, { method: 'GET', query, headers: { authorization: 'Bearer nope' } });
+  assert.equal(badToken.statusCode, 401);
+});
+
+test('un doc viejo con solo el nombre del huésped no crea perfiles en Huespedes', async () => {
+  const ref = h.firestore.collection('Reservas').doc(`${PROP_ID}_AP-0103_29156`);
+  const { wubook_booker_id, huesped_id, ...legacy } = (await ref.get()).data();
+  await ref.set({ ...legacy, nombre_huesped: 'Juan Perez', customer_email: null, customer_phone: null });
+  const before = (await h.firestore.collection('Huespedes').get()).size;
+
+  await h.call(enrich, { body: { reservationId: ref.id } });
+  await h.call(enrich, { body: { reservationId: ref.id } });
+  const doc = (await ref.get()).data();
+  assert.equal(doc.nombre_huesped, 'Juan Perez');
+  assert.equal(doc.huesped_id, undefined);
+  assert.equal((await h.firestore.collection('Huespedes').get()).size, before);
+
+  // con un perfil ya linkeado se reusa ese
+  await ref.update({ huesped_id: 'wb_33488509' });
+  await h.call(enrich, { body: { reservationId: ref.id } });
+  assert.equal((await ref.get()).data().huesped_id, 'wb_33488509');
+  assert.equal((await h.firestore.collection('Huespedes').get()).size, before);
+});
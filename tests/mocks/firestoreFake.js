@@ -0,0 +1,349 @@
+// tests/mocks/firestoreFake.js
+// ─────────────────────────────────────────────────────────────────────────────
+// Firestore en memoria para probar los handlers sin el emulador (que necesita Java).
+// Cubre lo que usan api/ y lib/: colecciones y subcolecciones, set/update/delete
+// (merge, rutas con punto, FieldValue.serverTimestamp/delete/increment/arrayUnion/
+// arrayRemove), where (==, !=, <, <=, >, >=, in, not-in, array-contains,
+// array-contains-any), orderBy, limit, startAfter, getAll, batch, runTransaction,
+// bulkWriter y recursiveDelete.
+//
+// USO
+//   const fake = createFirestoreFake({ Timestamp });
+//   fake.install(firestore);   // reemplaza los métodos de la instancia real de firebase-admin
+//   fake.dump();               // { 'Reservas/x': {...}, ... } para inspeccionar
+//
+// Orden de resultados como Firestore: campos de orderBy (o el de la desigualdad) y
+// después el id del documento. Las desigualdades y orderBy excluyen docs sin el campo.
+
+const TYPE_RANK = { null: 0, boolean: 1, number: 2, timestamp: 3, string: 4, array: 5, object: 6 };
+
+export function createFirestoreFake({ Timestamp }) {
+  const store = new Map(); // 'col/doc/sub/doc' → datos
+  let autoId = 0;
+
+  const isTimestamp = (v) => v instanceof Timestamp;
+  const typeOf = (v) => {
+    if (v === null || v === undefined) return 'null';
+    if (isTimestamp(v)) return 'timestamp';
+    if (Array.isArray(v)) return 'array';
+    return typeof v === 'object' ? 'object' : typeof v;
+  };
+  const compare = (a, b) => {
+    const ta = typeOf(a), tb = typeOf(b);
+    if (ta !== tb) return TYPE_RANK[ta] - TYPE_RANK[tb];
+    if (ta === 'timestamp') return a.toMillis() - b.toMillis();
+    if (ta === 'number' || ta === 'boolean') return Number(a) - Number(b);
+    if (ta === 'string') return a < b ? -1 : a > b ? 1 : 0;
+    if (ta === 'null') return 0;
+    const sa = JSON.stringify(a), sb = JSON.stringify(b);
+    return sa < sb ? -1 : sa > sb ? 1 : 0;
+  };
+  const equal = (a, b) => typeOf(a) === typeOf(b) && compare(a, b) === 0;
+
+  const transformOf = (v) => {
+    const name = v && typeof v === 'object' && !Array.isArray(v) && !isTimestamp(v) ? v.methodName : null;
+    return typeof name === 'string' && name.startsWith('FieldValue.') ? name.slice('FieldValue.'.length) : null;
+  };
+
+  // copia profunda al escribir/leer: Date → Timestamp, sin compartir referencias con el test
+  const clone = (v, path = '') => {
+    if (v === undefined) throw new Error(`Cannot use "undefined" as a Firestore value (found in field "${path}")`);
+    if (v === null || typeof v !== 'object' || isTimestamp(v)) return v;
+    if (v instanceof Date) return Timestamp.fromDate(v);
+    if (v instanceof Uint8Array) return Buffer.from(v); // bytes: Firestore los devuelve como Buffer
+    if (Array.isArray(v)) return v.map((x, i) => clone(x, `${path}.${i}`));
+    if (transformOf(v)) throw new Error(`FieldValue.${transformOf(v)}() no se puede usar acá (${path})`);
+    const out = {};
+    for (const [k, x] of Object.entries(v)) out[k] = clone(x, path ? `${path}.${k}` : k);
+    return out;
+  };
+
+  const getField = (data, field) => {
+    if (field === '__name__') return undefined;
+    let cur = data;
+    for (const part of String(field).split('.')) {
+      if (cur === null || typeof cur !== 'object' || !(part in cur)) return undefined;
+      cur = cur[part];
+    }
+    return cur;
+  };
+
+  const applyValue = (current, v, path) => {
+    const t = transformOf(v);
+    if (!t) return clone(v, path);
+    if (t === 'serverTimestamp') return Timestamp.now();
+    if (t === 'increment') return (typeof current === 'number' ? current : 0) + v.operand;
+    if (t === 'arrayUnion') {
+      const arr = Array.isArray(current) ? [...current] : [];
+      for (const e of v.elements) if (!arr.some((x) => equal(x, e))) arr.push(clone(e, path));
+      return arr;
+    }
+    if (t === 'arrayRemove') return (Array.isArray(current) ? current : []).filter((x) => !v.elements.some((e) => equal(x, e)));
+    throw new Error(`FieldValue.${t} no soportado por el fake`);
+  };
+
+  // escribe `value` en `parts` (ruta ya partida); FieldValue.delete() borra
+  const setPath = (target, parts, value) => {
+    let cur = target;
+    for (const p of parts.slice(0, -1)) {
+      if (!cur[p] || typeof cur[p] !== 'object' || Array.isArray(cur[p]) || isTimestamp(cur[p])) cur[p] = {};
+      cur = cur[p];
+    }
+    const last = parts.at(-1);
+    if (transformOf(value) === 'delete') delete cur[last];
+    else cur[last] = applyValue(cur[last], value, parts.join('.'));
+  };
+
+  // set con merge: mezcla mapas en profundidad
+  const mergeInto = (target, src, prefix = []) => {
+    for (const [k, v] of Object.entries(src)) {
+      if (v === undefined) throw new Error(`Cannot use "undefined" as a Firestore value (found in field "${[...prefix, k].join('.')}")`);
+      const isMap = v && typeof v === 'object' && !Array.isArray(v) && !isTimestamp(v) && !(v instanceof Date)
+        && !(v instanceof Uint8Array) && !transformOf(v);
+      if (isMap) {
+        if (!target[k] || typeof target[k] !== 'object' || Array.isArray(target[k]) || isTimestamp(target[k])) target[k] = {};
+        mergeInto(target[k], v, [...prefix, k]);
+      } else {
+        setPath(target, [k], v);
+      }
+    }
+  };
+
+  const notFound = (path) => Object.assign(new Error(`5 NOT_FOUND: No document to update: ${path}`), { code: 5 });
+
+  // ---- escrituras (las usan doc refs, batch, transacciones y bulkWriter)
+  const write = {
+    set(path, data, opts = {}) {
+      if (opts.merge || opts.mergeFields) {
+        const next = clone(store.get(path) || {});
+        mergeInto(next, data);
+        store.set(path, next);
+      } else {
+        const next = {};
+        mergeInto(next, data);
+        store.set(path, next);
+      }
+    },
+    update(path, dataOrField, ...rest) {
+      if (!store.has(path)) throw notFound(path);
+      const pairs = typeof dataOrField === 'string' || dataOrField?.segments
+        ? [[String(dataOrField), rest[0]], ...rest.slice(1).reduce((acc, x, i, arr) => (i % 2 ? acc : [...acc, [String(x), arr[i + 1]]]), [])]
+        : Object.entries(dataOrField || {});
+      const next = clone(store.get(path));
+      for (const [k, v] of pairs) setPath(next, k.split('.'), v);
+      store.set(path, next);
+    },
+    create(path, data) {
+      if (store.has(path)) throw Object.assign(new Error(`6 ALREADY_EXISTS: Document already exists: ${path}`), { code: 6 });
+      write.set(path, data);
+    },
+    delete(path) { store.delete(path); },
+  };
+
+  // ---- snapshots
+  class DocumentSnapshot {
+    constructor(ref) {
+      this.ref = ref;
+      this.id = ref.id;
+      this._data = store.has(ref.path) ? clone(store.get(ref.path)) : undefined;
+      this.exists = this._data !== undefined;
+    }
+    data() { return this._data === undefined ? undefined : clone(this._data); }
+    get(field) { return this._data === undefined ? undefined : clone(getField(this._data, field) ?? null); }
+  }
+  const querySnapshot = (docs) => ({
+    docs,
+    size: docs.length,
+    empty: docs.length === 0,
+    forEach: (fn) => docs.forEach(fn),
+  });
+
+  // ---- referencias
+  class DocumentReference {
+    constructor(path) {
+      this.path = path;
+      this.id = path.split('/').at(-1);
+    }
+    get parent() { return new CollectionReference(this.path.split('/').slice(0, -1).join('/')); }
+    get firestore() { return api; }
+    collection(name) { return new CollectionReference(`${this.path}/${name}`); }
+    async get() { return new DocumentSnapshot(this); }
+    async set(data, opts) { write.set(this.path, data, opts); return { writeTime: Timestamp.now() }; }
+    async update(...args) { write.update(this.path, ...args); return { writeTime: Timestamp.now() }; }
+    async create(data) { write.create(this.path, data); return { writeTime: Timestamp.now() }; }
+    async delete() { write.delete(this.path); return { writeTime: Timestamp.now() }; }
+    isEqual(other) { return other?.path === this.path; }
+  }
+
+  const fieldName = (f) => (f && typeof f === 'object' && typeof f.toString === 'function' ? (f.segments ? f.segments.join('.') || '__name__' : String(f)) : String(f));
+  const isDocIdField = (f) => f === '__name__' || f === '';
+
+  class Query {
+    constructor(colPath, { filters = [], orders = [], max = null, after = null } = {}) {
+      this._col = colPath;
+      this._filters = filters;
+      this._orders = orders;
+      this._max = max;
+      this._after = after;
+    }
+    _with(patch) {
+      return new Query(this._col, { filters: this._filters, orders: this._orders, max: this._max, after: this._after, ...patch });
+    }
+    get firestore() { return api; }
+    where(field, op, value) { return this._with({ filters: [...this._filters, { field: fieldName(field), op, value }] }); }
+    orderBy(field, dir = 'asc') { return this._with({ orders: [...this._orders, { field: fieldName(field), dir }] }); }
+    limit(n) { return this._with({ max: n }); }
+    startAfter(...values) { return this._with({ after: values }); }
+
+    _ordering() {
+      const orders = [...this._orders];
+      const ineq = this._filters.find((f) => ['<', '<=', '>', '>=', '!=', 'not-in'].includes(f.op));
+      if (!orders.length && ineq) orders.push({ field: ineq.field, dir: 'asc' });
+      return orders.filter((o) => !isDocIdField(o.field));
+    }
+    _idDir() {
+      const byId = this._orders.find((o) => isDocIdField(o.field));
+      return byId?.dir === 'desc' || (!byId && this._orders.at(-1)?.dir === 'desc') ? -1 : 1;
+    }
+    _matches(data, id) {
+      for (const { field, op, value } of this._filters) {
+        const v = isDocIdField(field) ? id : getField(data, field);
+        const has = v !== undefined;
+        switch (op) {
+          case '==': if (!has || !equal(v, value)) return false; break;
+          case '!=': if (!has || v === null || equal(v, value)) return false; break;
+          case '<': if (!has || typeOf(v) !== typeOf(value) || compare(v, value) >= 0) return false; break;
+          case '<=': if (!has || typeOf(v) !== typeOf(value) || compare(v, value) > 0) return false; break;
+          case '>': if (!has || typeOf(v) !== typeOf(value) || compare(v, value) <= 0) return false; break;
+          case '>=': if (!has || typeOf(v) !== typeOf(value) || compare(v, value) < 0) return false; break;
+          case 'in': if (!has || !value.some((x) => equal(v, x))) return false; break;
+          case 'not-in': if (!has || v === null || value.some((x) => equal(v, x))) return false; break;
+          case 'array-contains': if (!Array.isArray(v) || !v.some((x) => equal(x, value))) return false; break;
+          case 'array-contains-any': if (!Array.isArray(v) || !v.some((x) => value.some((y) => equal(x, y)))) return false; break;
+          default: throw new Error(`Operador ${op} no soportado por el fake`);
+        }
+      }
+      return true;
+    }
+    _sortKey(path) {
+      const data = store.get(path);
+      return [...this._ordering().map((o) => getField(data, o.field)), path.split('/').at(-1)];
+    }
+    // compara claves [valores de orderBy..., id]; `n` limita a los primeros n campos (cursor parcial)
+    _cmpKeys(a, b, n = b.length) {
+      const orders = this._ordering();
+      for (let i = 0; i < Math.min(n, orders.length); i++) {
+        const c = compare(a[i], b[i]);
+        if (c) return orders[i].dir === 'desc' ? -c : c;
+      }
+      return n > orders.length ? this._idDir() * compare(a.at(-1), b.at(-1)) : 0;
+    }
+    async get() {
+      const prefix = `${this._col}/`;
+      const orders = this._ordering();
+      let paths = [...store.keys()].filter((p) => p.startsWith(prefix) && !p.slice(prefix.length).includes('/'))
+        .filter((p) => this._matches(store.get(p), p.split('/').at(-1)))
+        .filter((p) => orders.every((o) => getField(store.get(p), o.field) !== undefined));
+      paths.sort((a, b) => this._cmpKeys(this._sortKey(a), this._sortKey(b)));
+      if (this._after) {
+        const [first] = this._after;
+        let cursor;
+        if (first instanceof DocumentSnapshot) cursor = [...orders.map((o) => getField(first._data, o.field)), first.id];
+        else if (!orders.length) cursor = [String(first)]; // orderBy('__name__') + startAfter(id)
+        else cursor = this._after.slice(0, orders.length);
+        paths = paths.filter((p) => this._cmpKeys(this._sortKey(p), cursor, cursor.length) > 0);
+      }
+      if (this._max !== null) paths = paths.slice(0, this._max);
+      return querySnapshot(paths.map((p) => new DocumentSnapshot(new DocumentReference(p))));
+    }
+  }
+
+  class CollectionReference extends Query {
+    constructor(path) {
+      super(path);
+      this.path = path;
+      this.id = path.split('/').at(-1);
+    }
+    get parent() {
+      const parts = this.path.split('/');
+      return parts.length > 1 ? new DocumentReference(parts.slice(0, -1).join('/')) : null;
+    }
+    doc(id) {
+      const docId = id === undefined ? `auto${String(++autoId).padStart(16, '0')}` : String(id);
+      return new DocumentReference(`${this.path}/${docId}`);
+    }
+    async add(data) {
+      const ref = this.doc();
+      write.set(ref.path, data);
+      return ref;
+    }
+  }
+
+  // ---- lotes y transacciones (las escrituras se aplican al final, en orden)
+  const makeWriter = (ops) => ({
+    set(ref, data, opts) { ops.push(() => write.set(ref.path, data, opts)); return this; },
+    update(ref, ...args) { ops.push(() => write.update(ref.path, ...args)); return this; },
+    create(ref, data) { ops.push(() => write.create(ref.path, data)); return this; },
+    delete(ref) { ops.push(() => write.delete(ref.path)); return this; },
+  });
+  const commitAll = (ops) => {
+    const backup = new Map(store);
+    try {
+      for (const op of ops) op();
+    } catch (e) {
+      store.clear();
+      for (const [k, v] of backup) store.set(k, v);
+      throw e;
+    }
+  };
+
+  const api = {
+    collection: (path) => new CollectionReference(path),
+    doc: (path) => new DocumentReference(path),
+    async getAll(...refs) { return refs.map((r) => new DocumentSnapshot(r)); },
+    batch() {
+      const ops = [];
+      return { ...makeWriter(ops), async commit() { commitAll(ops); return []; } };
+    },
+    async runTransaction(fn) {
+      const ops = [];
+      const tx = {
+        ...makeWriter(ops),
+        async get(refOrQuery) { return refOrQuery instanceof DocumentReference ? new DocumentSnapshot(refOrQuery) : refOrQuery.get(); },
+        async getAll(...refs) { return refs.map((r) => new DocumentSnapshot(r)); },
+      };
+      const out = await fn(tx);
+      commitAll(ops);
+      return out;
+    },
+    bulkWriter() {
+      const ops = [];
+      const w = makeWriter(ops);
+      const wrap = (name) => (...args) => { w[name](...args); return Promise.resolve({ writeTime: Timestamp.now() }); };
+      return {
+        set: wrap('set'), update: wrap('update'), create: wrap('create'), delete: wrap('delete'),
+        onWriteError() {}, onWriteResult() {},
+        async flush() { commitAll(ops.splice(0)); },
+        async close() { commitAll(ops.splice(0)); },
+      };
+    },
+    async recursiveDelete(ref) {
+      const prefix = `${ref.path}/`;
+      for (const p of [...store.keys()]) if (p === ref.path || p.startsWith(prefix)) store.delete(p);
+    },
+  };
+
+  return {
+    ...api,
+    store,
+    /** Reemplaza los métodos de la instancia de firebase-admin por los del fake. */
+    install(firestore) {
+      for (const k of ['collection', 'doc', 'getAll', 'batch', 'runTransaction', 'bulkWriter', 'recursiveDelete']) {
+        firestore[k] = api[k];
+      }
+      return firestore;
+    },
+    clear() { store.clear(); },
+    dump() { return Object.fromEntries([...store].map(([k, v]) => [k, clone(v)])); },
+  };
+}
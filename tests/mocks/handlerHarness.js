@@ -0,0 +1,97 @@
+// tests/mocks/handlerHarness.js
+// Arma el entorno para correr handlers de api/ dentro de `npm test`, sin emulador:
+//   - mock de WuBook (./wubookMockServer.js) con los fixtures de tests/fixtures/wubook
+//   - Firestore en memoria (./firestoreFake.js) instalado sobre lib/firebaseAdmin.js
+//   - tokens de prueba para authAdmin.verifyIdToken (`h.tokens[token] = { uid, email }`)
+//   - propiedad PROP_ID con sus departamentos y la cotización USD del 10/10/2025
+//
+// Uso (un archivo de test por request; node --test corre cada archivo en su proceso):
+//   let h;
+//   before(async () => { h = await startHarness(); await h.importFixtures(); });
+//   after(() => h.close());
+//   const res = await h.call(handler, { method: 'GET', query: { ... } });
+
+import { startWubookMock } from './wubookMockServer.js';
+import { createFirestoreFake } from './firestoreFake.js';
+
+export const PROP_ID = '900';
+
+/** Invoca un handler estilo Vercel con req/res mínimos → { statusCode, body, headers }. */
+export const call = async (handler, { method = 'POST', body = {}, query = {}, headers = {} } = {}) => {
+  const res = {
+    statusCode: 0,
+    body: null,
+    headers: {},
+    setHeader(k, v) { this.headers[k.toLowerCase()] = v; },
+    status(code) { this.statusCode = code; return this; },
+    json(data) { this.body = data; return this; },
+    send(data) { this.body = data; return this; },
+    end(data) { if (data !== undefined) this.body = data; return this; },
+  };
+  await handler({ method, body, query, headers }, res);
+  return res;
+};
+
+export const bearer = (token) => ({ authorization: `Bearer ${token}` });
+
+export async function startHarness() {
+  const mock = await startWubookMock();
+  // los módulos leen las URLs al cargarse
+  process.env.WUBOOK_BASE_URL = mock.kpUrl;
+  process.env.WUBOOK_BASE_URL_KAPI = mock.kapiUrl;
+  delete process.env.PUBLIC_BASE_URL;
+  delete process.env.VERCEL_URL;
+  // firebase-admin se inicializa como contra el emulador, pero el fake reemplaza los
+  // métodos de la instancia antes de cualquier llamada: nunca se conecta
+  delete process.env.FIREBASE_SERVICE_ACCOUNT_JSON;
+  process.env.FIRESTORE_EMULATOR_HOST = '127.0.0.1:9';
+  process.env.GCLOUD_PROJECT = process.env.GCLOUD_PROJECT || 'demo-dashboard-hosts';
+
+  const admin = await import('../../lib/firebaseAdmin.js');
+  const fake = createFirestoreFake({ Timestamp: admin.Timestamp });
+  fake.install(admin.firestore);
+  const tokens = {};
+  admin.authAdmin.verifyIdToken = async (token) => {
+    if (!tokens[token]) throw new Error('token inválido');
+    return { ...tokens[token] };
+  };
+
+  const { firestore } = admin;
+  const propRef = firestore.collection('propiedades').doc(PROP_ID);
+  await propRef.set({
+    nombre: 'Propiedad Mock', api_key: 'mock-key', activar_para_planillas_diarias: true, wubook_push_payments: true,
+  });
+  await propRef.collection('departamentos').doc('12512').set({ codigo_depto: '101', nombre: 'Depto 101' });
+  await propRef.collection('departamentos').doc('29156').set({ codigo_depto: '102', nombre: 'Depto 102' });
+  // cotización USD para convertir la reserva en ARS (AP-0103, arrival 10/10/2025)
+  await firestore.doc('cotizaciones/USD/2025/10/10/cot').set({ fecha: '2025-10-10', compra: 980, venta: 1020 });
+
+  return {
+    mock,
+    fake,
+    firestore,
+    Timestamp: admin.Timestamp,
+    FieldValue: admin.FieldValue,
+    tokens,
+    call,
+    /** Usuario con token y `users/{uid}.apps` (permisos de las tarjetas del dashboard). */
+    async addUser(uid, { apps = [], email = `${uid}@example.com` } = {}) {
+      tokens[`tok-${uid}`] = { uid, email, name: null };
+      await firestore.collection('users').doc(uid).set({ email, apps });
+      return bearer(`tok-${uid}`);
+    },
+    /** Importa todas las reservas de los fixtures (sep–oct 2025) y, si se pide, las enriquece. */
+    async importFixtures({ enrich = false } = {}) {
+      const importByArrival = (await import('../../api/wubookImportByArrival.js')).default;
+      const res = await call(importByArrival, {
+        body: { propertyIds: [PROP_ID], fromDate: '01/09/2025', toDate: '31/10/2025' },
+      });
+      if (enrich) {
+        const enrichHandler = (await import('../../api/enrichWubookData.js')).default;
+        await call(enrichHandler, { body: { syncMode: 'pending', limit: 50 } });
+      }
+      return res;
+    },
+    close: () => mock.close(),
+  };
+}
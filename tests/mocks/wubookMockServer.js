@@ -0,0 +1,194 @@
+// tests/mocks/wubookMockServer.js
+// Servidor local que imita KP/KAPI de WuBook a partir de fixtures JSON.
+// Sirve para correr importadores y enrich offline apuntando
+//   WUBOOK_BASE_URL      = <url>/kp
+//   WUBOOK_BASE_URL_KAPI = <url>/kapi
+//
+// Fixtures (directorio, todos opcionales):
+//   reservations.json  → [reserva KP cruda, ...]   (campo extra opcional `modified: 'dd/MM/yyyy'`)
+//   today.json         → [id_human, ...]           (si falta, fetch_today devuelve todas)
+//   customers.json     → { [bookerId]: { main_info, contacts } }
+//   payments.json      → { [rcode]: [pago KAPI, ...] }   (add_payment agrega en memoria)
+//   extras.json        → { [id reserva]: [extra KP, ...] }
+//   rooms.json         → [room KP { id, name, shortname }, ...]
+//   notes.json         → { [rcode]: [nota KAPI, ...] }   (add_note agrega en memoria)
+// `fixtures.faults` ({ [path]: [status, ...] }) hace fallar las próximas llamadas a esa ruta
+// con esos status, en orden (para probar reintentos / 429 del cliente).
+// Además `seedFiles` acepta respuestas crudas de KP fetch_one (p.ej. respuesta_fetch_one_reservation.json).
+//
+// Uso standalone:  node tests/mocks/wubookMockServer.js [fixturesDir] [port]
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import express from 'express';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DEFAULT_FIXTURES_DIR = path.resolve(__dirname, '../fixtures/wubook');
+export const DEFAULT_SEED_FILES = [path.resolve(__dirname, '../../respuesta_fetch_one_reservation.json')];
+
+const readJson = (file, fallback) => {
+  if (!fs.existsSync(file)) return fallback;
+  // algunos dumps de PowerShell traen BOM
+  return JSON.parse(fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, ''));
+};
+
+/** Carga fixtures del directorio + seedFiles en un objeto mutable (los tests pueden tocarlo). */
+export function loadFixtures({ fixturesDir = DEFAULT_FIXTURES_DIR, seedFiles = DEFAULT_SEED_FILES } = {}) {
+  const reservations = readJson(path.join(fixturesDir, 'reservations.json'), []);
+  for (const f of seedFiles) {
+    const seeded = readJson(f, null)?.data;
+    if (seeded && !reservations.some((r) => r.id === seeded.id)) reservations.push(seeded);
+  }
+  return {
+    reservations,
+    today: readJson(path.join(fixturesDir, 'today.json'), null),
+    customers: readJson(path.join(fixturesDir, 'customers.json'), {}),
+    payments: readJson(path.join(fixturesDir, 'payments.json'), {}),
+    notes: readJson(path.join(fixturesDir, 'notes.json'), {}),
+    extras: readJson(path.join(fixturesDir, 'extras.json'), {}),
+    rooms: readJson(path.join(fixturesDir, 'rooms.json'), []),
+    faults: {},
+  };
+}
+
+// 'dd/MM/yyyy' → 20250916 (comparable)
+const euKey = (s) => {
+  const m = String(s || '').match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+  return m ? Number(`${m[3]}${m[2]}${m[1]}`) : null;
+};
+const inRange = (value, range) => {
+  if (!range) return true;
+  const v = euKey(value);
+  if (v === null) return false;
+  const from = euKey(range.from);
+  const to = euKey(range.to);
+  return (from === null || v >= from) && (to === null || v <= to);
+};
+const parseFilters = (raw) => {
+  try { return typeof raw === 'string' ? JSON.parse(raw) : (raw || {}); } catch { return {}; }
+};
+
+export function createWubookMockApp(fixtures = loadFixtures()) {
+  const app = express();
+  app.use(express.urlencoded({ extended: true }));
+  app.use(express.json());
+
+  const calls = [];
+  app.locals.calls = calls;
+  app.locals.fixtures = fixtures;
+
+  app.use((req, _res, next) => { calls.push({ path: req.path, body: req.body }); next(); });
+
+  app.use((req, res, next) => {
+    const status = fixtures.faults?.[req.path]?.shift();
+    if (!status) return next();
+    if (status === 429) res.setHeader('Retry-After', '0');
+    res.status(status).json({ message: `mock: falla inyectada ${status}` });
+  });
+
+  const requireKpKey = (req, res, next) => (req.headers['x-api-key']
+    ? next()
+    : res.status(401).json({ message: 'missing x-api-key' }));
+  const requireKapiAuth = (req, res, next) => (String(req.headers.authorization || '').startsWith('Basic ')
+    ? next()
+    : res.status(401).json({ message: 'missing basic auth' }));
+
+  // ---- KP
+  app.post('/kp/reservations/fetch_reservations', requireKpKey, (req, res) => {
+    const filters = parseFilters(req.body?.filters);
+    const { limit = 64, offset = 0 } = filters.pager || {};
+    const list = fixtures.reservations.filter((r) => (
+      inRange(r.dfrom || r.rooms?.[0]?.dfrom, filters.arrival)
+      && inRange(r.dto || r.rooms?.[0]?.dto, filters.departure)
+      && inRange(r.modified || r.created, filters.modified)
+    ));
+    res.json({ data: { reservations: list.slice(Number(offset), Number(offset) + Number(limit)) } });
+  });
+
+  app.post('/kp/reservations/fetch_today_reservations', requireKpKey, (_req, res) => {
+    const list = Array.isArray(fixtures.today)
+      ? fixtures.reservations.filter((r) => fixtures.today.includes(r.id_human))
+      : fixtures.reservations;
+    res.json({ data: { reservations: list } });
+  });
+
+  app.post('/kp/reservations/fetch_one_reservation', requireKpKey, (req, res) => {
+    const id = String(req.body?.id ?? '');
+    const r = fixtures.reservations.find((x) => String(x.id) === id || x.id_human === id);
+    if (!r) return res.status(404).json({ message: `reservation ${id} not found` });
+    res.json({ data: r });
+  });
+
+  app.post('/kp/reservations/get_extras', requireKpKey, (req, res) => {
+    res.json({ data: fixtures.extras[String(req.body?.id ?? '')] || [] });
+  });
+
+  app.post('/kp/property/fetch_rooms', requireKpKey, (_req, res) => {
+    res.json({ data: fixtures.rooms });
+  });
+
+  app.post('/kp/customers/fetch_one', requireKpKey, (req, res) => {
+    const c = fixtures.customers[String(req.body?.id ?? '')];
+    if (!c) return res.status(404).json({ message: 'customer not found' });
+    res.json({ data: c });
+  });
+
+  // ---- KAPI
+  app.post('/kapi/payments/get_payments', requireKapiAuth, (req, res) => {
+    res.json({ data: fixtures.payments[String(req.body?.rcode ?? '')] || [] });
+  });
+
+  app.post('/kapi/notes/get_notes', requireKapiAuth, (req, res) => {
+    res.json({ data: fixtures.notes[String(req.body?.rcode ?? '')] || [] });
+  });
+
+  app.post('/kapi/notes/add_note', requireKapiAuth, (req, res) => {
+    const rcode = String(req.body?.rcode ?? '');
+    const remarks = String(req.body?.remarks ?? '').trim();
+    if (!rcode || !remarks) return res.status(400).json({ message: 'rcode y remarks son obligatorios' });
+    const id = 8000 + Object.values(fixtures.notes).flat().length + 1;
+    fixtures.notes[rcode] = [...(fixtures.notes[rcode] || []), { id, remarks }];
+    res.json({ data: { id } });
+  });
+
+  app.post('/kapi/payments/add_payment', requireKapiAuth, (req, res) => {
+    const rcode = String(req.body?.rcode ?? '');
+    const value = Number(req.body?.amount);
+    if (!rcode || !Number.isFinite(value) || !value) return res.status(400).json({ message: 'rcode y amount son obligatorios' });
+    const id = 9500 + Object.values(fixtures.payments).flat().length + 1;
+    const payment = { id, value, currency: req.body?.currency || null, type: req.body?.type || null, remarks: req.body?.remarks || null };
+    fixtures.payments[rcode] = [...(fixtures.payments[rcode] || []), payment];
+    res.json({ data: { id } });
+  });
+
+  app.use((req, res) => res.status(404).json({ message: `mock: ruta no soportada ${req.method} ${req.path}` }));
+  return app;
+}
+
+/** Levanta el mock; port 0 = puerto libre. Devuelve { url, kpUrl, kapiUrl, calls, fixtures, close }. */
+export async function startWubookMock({ port = 0, fixtures } = {}) {
+  const app = createWubookMockApp(fixtures || loadFixtures());
+  const server = await new Promise((resolve) => {
+    const s = app.listen(port, '127.0.0.1', () => resolve(s));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+  return {
+    url,
+    kpUrl: `${url}/kp`,
+    kapiUrl: `${url}/kapi`,
+    calls: app.locals.calls,
+    fixtures: app.locals.fixtures,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const [, , dir, port] = process.argv;
+  const fixtures = loadFixtures({ fixturesDir: dir ? path.resolve(dir) : DEFAULT_FIXTURES_DIR });
+  startWubookMock({ port: Number(port) || 4010, fixtures }).then(({ kpUrl, kapiUrl }) => {
+    console.log('[WubookMock] escuchando');
+    console.log(`  WUBOOK_BASE_URL=${kpUrl}`);
+    console.log(`  WUBOOK_BASE_URL_KAPI=${kapiUrl}`);
+  });
+}
@@ -0,0 +1,36 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildNightlyRates, dailyPricesFromRoom, nightsBetweenISO, stayNightsISO } from '../lib/nightlyRates.js';
+
+test('noches y fechas de cada noche (la salida no cuenta)', () => {
+  assert.equal(nightsBetweenISO('2025-10-30', '2025-11-02'), 3);
+  assert.deepEqual(stayNightsISO('2025-10-30', '2025-11-02'), ['2025-10-30', '2025-10-31', '2025-11-01']);
+  assert.equal(nightsBetweenISO('2025-10-02', '2025-10-01'), 0);
+});
+
+test('sin precios diarios reparte parejo y la suma cuadra con baseUSD', () => {
+  const r = buildNightlyRates({ arrivalISO: '2025-10-01', departureISO: '2025-10-04', baseUSD: 100 });
+  assert.equal(r.nights, 3);
+  assert.equal(r.adr_usd, 33.33);
+  assert.equal(r.nightly_rates_source, 'split');
+  assert.deepEqual(r.nightly_rates.map((n) => n.amount_usd), [33.33, 33.33, 33.34]);
+});
+
+test('con precios diarios de WuBook la tarifa sigue su proporción', () => {
+  const daily = dailyPricesFromRoom({ daily_prices: { '01/10/2025': 100, '02/10/2025': 100, '03/10/2025': 200 } });
+  const r = buildNightlyRates({ arrivalISO: '2025-10-01', departureISO: '2025-10-04', baseUSD: 300, daily });
+  assert.equal(r.nightly_rates_source, 'wubook');
+  assert.deepEqual(r.nightly_rates, [
+    { date: '2025-10-01', amount_usd: 75 },
+    { date: '2025-10-02', amount_usd: 75 },
+    { date: '2025-10-03', amount_usd: 150 },
+  ]);
+  // formato array y días incompletos → parejo
+  const partial = dailyPricesFromRoom({ prices: [{ day: '2025-10-01', price: 90 }] });
+  assert.equal(buildNightlyRates({ arrivalISO: '2025-10-01', departureISO: '2025-10-03', baseUSD: 200, daily: partial }).nightly_rates_source, 'split');
+});
+
+test('sin baseUSD solo informa noches', () => {
+  assert.deepEqual(buildNightlyRates({ arrivalISO: '2025-10-01', departureISO: '2025-10-03', baseUSD: null }), { nights: 2 });
+  assert.equal(dailyPricesFromRoom({}), null);
+});
@@ -0,0 +1,40 @@
+import test, { after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { PROP_ID, startHarness } from './mocks/handlerHarness.js';
+
+let h;
+let backfill;
+let admin;
+const id = `${PROP_ID}_AP-0101_12512`;
+before(async () => {
+  h = await startHarness();
+  await h.firestore.doc('cotizaciones/USD/2025/10/01/cot').set({ fecha: '2025-10-01', compra: 1180, venta: 1220 });
+  await h.firestore.doc('cotizaciones/EUR/2025/10/01/cot').set({ fecha: '2025-10-01', moneda: 'EUR', compra: 1380, venta: 1420 });
+  await h.importFixtures();
+  backfill = (await import('../api/backfillPaymentFx.js')).default;
+  admin = await h.addUser('ops', { apps: ['fx_override'] });
+});
+after(() => h.close());
+
+test('un pago en EUR se pasa a USD con el cruzado vía ARS del día del pago', async () => {
+  const ref = h.firestore.collection('Reservas').doc(id);
+  const eur = { ts: h.Timestamp.fromDate(new Date('2025-10-01T15:00:00Z')), amount: 100, currency: 'EUR', method: 'Transferencia', source: 'host' };
+  await ref.update({ payments: [eur] });
+
+  const out = await h.call(backfill, { body: { since: '2025-10-01', until: '2025-10-31', propertyIds: [PROP_ID], dryRun: false }, headers: admin });
+  const change = out.body.items.find((x) => x.id === id).payments.find((p) => p.currency === 'EUR');
+  assert.deepEqual(change.to, {
+    usd_equiv: 116.67, fxRateUsed: 0.857143, fx_date: '2025-10-01', fx_source: 'payment_date',
+    fx_policy: { casa: 'oficial', side: 'mid', spread_pct: 0 },
+  });
+  const saved = (await ref.get()).data().payments.find((p) => p.currency === 'EUR');
+  assert.deepEqual(saved.fx_cross, { usd_ars: 1200, ccy_ars: 1400 });
+});
+
+test('addPayment rechaza monedas no soportadas', async () => {
+  const mutations = (await import('../api/reservationMutations.js')).default;
+  const headers = await h.addUser('host1');
+  const res = await h.call(mutations, { body: { id, action: 'addPayment', payload: { amount: 10, currency: 'GBP', method: 'Efectivo' } }, headers });
+  assert.equal(res.statusCode, 400);
+  assert.match(res.body.error, /Moneda no soportada/);
+});
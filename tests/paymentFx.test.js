@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parsePaymentFxPolicy, paymentDateISO, checkinFxRate, needsPaymentFx, applyPaymentFx, DEFAULT_PAYMENT_FX_POLICY,
+  isFxPayment, crossFxRate,
+} from '../lib/paymentFx.js';
+
+test('la política se lee en orden y descarta pasos desconocidos', () => {
+  assert.deepEqual(parsePaymentFxPolicy('checkin, payment_date,foo,checkin'), ['checkin', 'payment_date']);
+  assert.deepEqual(parsePaymentFxPolicy(''), DEFAULT_PAYMENT_FX_POLICY);
+  assert.deepEqual(parsePaymentFxPolicy('nada'), DEFAULT_PAYMENT_FX_POLICY);
+});
+
+test('la fecha del pago se toma en hora AR y las futuras usan hoy', () => {
+  // 02:00 UTC del 2 = 23:00 AR del 1
+  assert.equal(paymentDateISO({ seconds: Date.parse('2025-10-02T02:00:00Z') / 1000 }), '2025-10-01');
+  assert.equal(paymentDateISO({ toDate: () => new Date('2025-10-05T15:00:00Z') }), '2025-10-05');
+  assert.equal(paymentDateISO('2030-01-01', { todayISO: '2025-10-10' }), '2025-10-10');
+  assert.equal(paymentDateISO(null), null);
+});
+
+test('TC del check-in como fallback: promedio compra/venta', () => {
+  assert.equal(checkinFxRate({ usd_fx_on_checkin: { compra: 980, venta: 1020 } }), 1000);
+  assert.equal(checkinFxRate({}), null);
+});
+
+test('qué pagos se recalculan y cómo quedan', () => {
+  const legacy = { amount: 150000, currency: 'ARS', usd_equiv: 100, fxRateUsed: 1500 };
+  assert.equal(needsPaymentFx(legacy), true);
+  assert.equal(needsPaymentFx({ amount: 100, currency: 'USD' }), false);
+  const resolved = applyPaymentFx(legacy, { rate: 1200, date: '2025-10-01', source: 'payment_date' });
+  assert.deepEqual(resolved, { amount: 150000, currency: 'ARS', usd_equiv: 125, fxRateUsed: 1200, fx_date: '2025-10-01', fx_source: 'payment_date', fx_policy: null });
+  assert.equal(needsPaymentFx(resolved), false);
+  assert.equal(needsPaymentFx(resolved, { force: true }), true);
+  assert.equal(needsPaymentFx({ ...resolved, fx_source: 'payload' }, { force: true }), false);
+  assert.equal(applyPaymentFx(legacy, null).usd_equiv, null);
+});
+
+test('EUR, BRL, CLP y UYU también se convierten; USD y monedas desconocidas no', () => {
+  assert.equal(isFxPayment({ amount: 100, currency: 'eur' }), true);
+  assert.equal(isFxPayment({ amount: 100, currency: 'UYU' }), true);
+  assert.equal(isFxPayment({ amount: 100, currency: 'USD' }), false);
+  assert.equal(isFxPayment({ amount: 100, currency: 'MXN' }), false);
+  assert.equal(needsPaymentFx({ amount: 500, currency: 'BRL' }), true);
+});
+
+test('tipo cruzado vía ARS: unidades de la moneda por USD', () => {
+  assert.equal(crossFxRate(1200, 1400), 0.857143);
+  assert.equal(crossFxRate(1200, 1.25), 960);
+  assert.equal(crossFxRate(1200, null), null);
+  const p = applyPaymentFx({ amount: 100, currency: 'EUR' },
+    { rate: 0.857143, date: '2025-10-01', source: 'payment_date', casa: 'oficial', side: 'mid', spread_pct: 0, cross: { usd_ars: 1200, ccy_ars: 1400 } });
+  assert.equal(p.usd_equiv, 116.67);
+  assert.deepEqual(p.fx_cross, { usd_ars: 1200, ccy_ars: 1400 });
+});
@@ -0,0 +1,45 @@
+import test, { after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { PROP_ID, startHarness } from './mocks/handlerHarness.js';
+
+let h;
+let backfill;
+let admin;
+const id = `${PROP_ID}_AP-0101_12512`;
+before(async () => {
+  h = await startHarness();
+  await h.firestore.doc('cotizaciones/USD/2025/10/01/cot').set({ fecha: '2025-10-01', compra: 1180, venta: 1220 });
+  await h.firestore.doc('cotizaciones/USD/2025/10/01/cot_blue').set({ fecha: '2025-10-01', casa: 'blue', compra: 1480, venta: 1520 });
+  await h.importFixtures();
+  backfill = (await import('../api/backfillPaymentFx.js')).default;
+  admin = await h.addUser('ops', { apps: ['fx_override'] });
+});
+after(() => h.close());
+
+test('el enrich en lote guarda fx_policy en la copia de cada pago, igual que el individual', async () => {
+  const enrich = (await import('../api/enrichWubookData.js')).default;
+  const res = await h.call(enrich, { body: { syncMode: 'pending', limit: 50 } });
+  assert.equal(res.statusCode, 200);
+  const pays = await h.firestore.collection('Reservas').doc(id).collection('payments').get();
+  const pay = pays.docs.map((d) => d.data()).find((p) => p.wubook_id === 9101);
+  assert.deepEqual(pay.fx_policy, { casa: 'oficial', side: 'mid', spread_pct: 0 });
+});
+
+test('la política de FX por forma de cobro usa la casa configurada (blue para efectivo)', async () => {
+  const enrich = (await import('../api/enrichWubookData.js')).default;
+  await h.call(enrich, { body: { reservationId: id } });
+  const ref = h.firestore.collection('Reservas').doc(id);
+  assert.equal((await ref.get()).data().payments.find((p) => p.wubook_id === 9101).fxRateUsed, 1200);
+
+  await h.firestore.doc('configuracion/fx_policies').set({ byMethod: { efectivo: { casa: 'blue', side: 'compra' } } });
+  try {
+    // force: el pago ya estaba resuelto con la oficial
+    await h.call(backfill, { body: { since: '2025-10-01', until: '2025-10-31', propertyIds: [PROP_ID], force: true, dryRun: false }, headers: admin });
+    const pay = (await ref.get()).data().payments.find((p) => p.wubook_id === 9101);
+    assert.equal(pay.fxRateUsed, 1480);
+    assert.equal(pay.usd_equiv, 101.35);
+    assert.deepEqual(pay.fx_policy, { casa: 'blue', side: 'compra', spread_pct: 0 });
+  } finally {
+    await h.firestore.doc('configuracion/fx_policies').delete();
+  }
+});
@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  anonymizeReservationFields, anonymizeHistorialEntry, anonymizeGuestProfile, retentionCutoffISO,
+} from '../lib/piiErasure.js';
+
+const reserva = {
+  id_human: 'YW-0009',
+  nombre_huesped: 'Lucia Fernandez',
+  customer_email: 'lucia@example.com',
+  customer_phone: '+5493511234567',
+  customer_country: 'AR',
+  wubook_booker_id: '33488509',
+  notes: [{ text: 'Viene con mascota', source: 'host', ts: 1 }],
+  wubook_notes: [{ id: 7001, remarks: 'Pide cuna' }],
+  toPay: 350,
+  payments: [{ amount: 100, currency: 'USD' }],
+};
+
+test('anonimiza solo los campos personales que existen y conserva montos', () => {
+  const patch = anonymizeReservationFields(reserva);
+  assert.equal(patch.nombre_huesped, 'Huésped anonimizado');
+  assert.equal(patch.customer_email, null);
+  assert.equal(patch.wubook_booker_id, null);
+  assert.deepEqual(patch.notes, [{ text: '[nota anonimizada]', source: 'host', ts: 1 }]);
+  assert.deepEqual(patch.wubook_notes, [{ id: 7001, remarks: '[nota anonimizada]' }]);
+  assert.equal('customer_address' in patch, false); // no agrega campos que no estaban
+  assert.equal('toPay' in patch, false);
+  assert.equal('customer_country' in patch, false);
+});
+
+test('historial: snapshot, diff y nota del payload', () => {
+  const entry = {
+    changedKeys: ['nombre_huesped', 'toPay'],
+    diff: { nombre_huesped: { from: '33488509', to: 'Lucia Fernandez' }, toPay: { from: 300, to: 350 } },
+    snapshotAfter: reserva,
+    payload: { note: { text: 'Llamar al 351...' } },
+  };
+  const patch = anonymizeHistorialEntry(entry);
+  assert.deepEqual(patch.diff.nombre_huesped, { from: 'Huésped anonimizado', to: 'Huésped anonimizado' });
+  assert.deepEqual(patch.diff.toPay, { from: 300, to: 350 });
+  assert.equal(patch.snapshotAfter.customer_email, null);
+  assert.equal(patch.snapshotAfter.toPay, 350);
+  assert.equal(patch.payload.note.text, '[nota anonimizada]');
+  // ya anonimizado → nada que hacer
+  assert.equal(anonymizeHistorialEntry({ ...entry, ...patch }), null);
+  assert.equal(anonymizeHistorialEntry({ changeType: 'updated', payload: { accounting: {} } }), null);
+});
+
+test('perfil y fecha de corte de retención', () => {
+  const g = anonymizeGuestProfile({ nombre: 'Ana', emails: ['a@b.com'], country: 'AR', propiedad_ids: ['106'] });
+  assert.deepEqual(g.emails, []);
+  assert.deepEqual(g.propiedad_ids, ['106']);
+  assert.equal(retentionCutoffISO('2025-10-10', 730), '2023-10-11');
+  assert.equal(retentionCutoffISO('no-date'), null);
+});
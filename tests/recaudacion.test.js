@@ -66,3 +66,26 @@ test('una reserva con todos sus movimientos anulados queda como Sin pago', () =>
   assert.equal(rows[0].paymentMethod, 'Sin pago');
   assert.equal(rows[0].total, 0);
 });
+
+test('usa las noches guardadas por el import si existen', () => {
+  const rows = buildRecaudacionRows([{
+    id: 'x', propiedad_id: '1', arrival_iso: '2026-07-02', departure_iso: '2026-07-07', nights: 4, currency: 'USD',
+    payments: [{ amount: 100, currency: 'USD', method: 'Efectivo' }],
+  }]);
+  assert.equal(rows[0].nightCount, 4);
+});
+
+test('los pagos en EUR, BRL, CLP y UYU tienen su propia fila; monedas desconocidas se ignoran', () => {
+  const rows = buildRecaudacionRows([{
+    id: 'x', propiedad_id: '1', propiedad_nombre: 'P', arrival_iso: '2026-07-02', departure_iso: '2026-07-04', currency: 'EUR',
+    payments: [
+      { amount: 200, currency: 'EUR', method: 'Transferencia' },
+      { amount: 1500, currency: 'BRL', method: 'Transferencia' },
+      { amount: 10, currency: 'MXN', method: 'Transferencia' },
+    ],
+  }]);
+  assert.deepEqual(rows.map(({ currency, total }) => ({ currency, total })), [
+    { currency: 'BRL', total: 1500 },
+    { currency: 'EUR', total: 200 },
+  ]);
+});
@@ -0,0 +1,31 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mapReservationTerms, parseAgency } from '../lib/reservationTerms.js';
+
+test('separa nombre y código de la agencia', () => {
+  assert.deepEqual(parseAgency('Booking.com [3742576]'), { name: 'Booking.com', code: '3742576' });
+  assert.deepEqual(parseAgency('Despegar'), { name: 'Despegar', code: null });
+  assert.deepEqual(parseAgency(null), { name: null, code: null });
+});
+
+test('mapea régimen, política, agencia y fechas de la reserva cruda', () => {
+  const r = {
+    board: 'NB', cpolicy: 'Custom Policy', agency: 'Booking.com [3742576]',
+    created: '10/09/2025', expiration_date: '',
+    price: { meals: { amount: 0, vat: 0, total: 0, discount: 0 } },
+  };
+  assert.deepEqual(mapReservationTerms(r), {
+    board: 'nb',
+    cpolicy: 'Custom Policy',
+    agency: 'Booking.com [3742576]',
+    agency_name: 'Booking.com',
+    agency_code: '3742576',
+    wubook_created_iso: '2025-09-10',
+    expiration_iso: null,
+  });
+});
+
+test('las comidas cobradas se prorratean por room', () => {
+  const r = { board: 'hb', price: { rooms: { currency: 'usd' }, meals: { amount: 100, vat: 21, total: 121 } } };
+  assert.deepEqual(mapReservationTerms(r, { roomsCount: 2 }).meals_price, { amount: 50, vat: 10.5, total: 60.5, currency: 'USD' });
+});
@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DateTime } from 'luxon';
+import {
+  syncCountsFromResult, buildSyncSuccessPatch, buildSyncErrorPatch, buildEnrichPatch, computeSyncHealth, compareSyncHealth,
+} from '../lib/syncStatus.js';
+
+const prop = { id: '106', nombre: 'Propiedad 106' };
+const now = DateTime.fromISO('2025-10-10T12:00:00-03:00');
+const hoursAgo = (h) => now.minus({ hours: h }).toISO();
+
+test('guarda solo los contadores de upsertReservations', () => {
+  const counts = syncCountsFromResult({
+    upserts: 3, unchanged: 2, unmapped_rooms: [{ id_zak: '1' }], dry_run_report: [{}],
+  }, { found: 5 });
+  assert.equal(counts.found, 5);
+  assert.equal(counts.upserts, 3);
+  assert.equal(counts.cancelled, 0);
+  assert.equal(counts.unmapped_rooms, 1);
+  assert.equal('dry_run_report' in counts, false);
+});
+
+test('éxito resetea las fallas de la fuente; error las incrementa', () => {
+  const ok = buildSyncSuccessPatch({ prop, source: 'wubookSyncToday', at: 'T1', counts: {} });
+  assert.equal(ok.lastSuccessAt, 'T1');
+  assert.equal(ok.sources.wubookSyncToday.consecutiveFailures, 0);
+
+  const inc = Symbol('increment');
+  const err = buildSyncErrorPatch({ prop, source: 'wubookSyncToday', at: 'T2', error: { message: 'boom', kind: 'server' }, increment: inc });
+  assert.equal(err.sources.wubookSyncToday.consecutiveFailures, inc);
+  assert.equal(err.lastErrorKind, 'server');
+  assert.equal('lastSuccessAt' in err, false); // no pisa el último éxito
+
+  const enrich = buildEnrichPatch({ prop, at: 'T3', attempted: 4, errors: [], increment: inc });
+  assert.equal(enrich.enrich.consecutiveFailedRuns, 0);
+});
+
+test('salud: failing > never > stale > warning > ok', () => {
+  assert.equal(computeSyncHealth(null, { now }).health, 'never');
+  assert.equal(computeSyncHealth({ lastSuccessAt: hoursAgo(1) }, { now }).health, 'ok');
+  assert.equal(computeSyncHealth({ lastSuccessAt: hoursAgo(3) }, { now }).health, 'stale'); // imports cada 30 min
+  assert.equal(computeSyncHealth({ lastSuccessAt: hoursAgo(30) }, { now }).health, 'stale');
+  assert.equal(computeSyncHealth({ lastSuccessAt: hoursAgo(30) }, { now, staleHours: 48 }).health, 'ok');
+  assert.equal(computeSyncHealth({ lastSuccessAt: hoursAgo(1), enrich: { attempted: 5, failed: 2 } }, { now }).health, 'warning');
+
+  const failing = computeSyncHealth({
+    lastSuccessAt: hoursAgo(1),
+    sources: { wubookSyncToday: { consecutiveFailures: 3, lastErrorKind: 'rate_limited', lastError: '429' } },
+  }, { now });
+  assert.equal(failing.health, 'failing');
+  assert.match(failing.reasons[0], /wubookSyncToday: 3 fallas seguidas/);
+
+  assert.deepEqual(['ok', 'stale', 'failing'].sort(compareSyncHealth), ['failing', 'stale', 'ok']);
+});
@@ -0,0 +1,42 @@
+import test, { after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { PROP_ID, startHarness } from './mocks/handlerHarness.js';
+
+let h;
+let importByArrival;
+let syncStatus;
+before(async () => {
+  h = await startHarness();
+  importByArrival = (await import('../api/wubookImportByArrival.js')).default;
+  syncStatus = (await import('../api/syncStatus.js')).default;
+});
+after(() => h.close());
+
+const importOct = () => h.call(importByArrival, { body: { propertyIds: [PROP_ID], fromDate: '01/10/2025', toDate: '31/10/2025' } });
+
+test('cada import deja el estado de la propiedad en syncStatus', async () => {
+  await importOct();
+  const status = (await h.firestore.collection('syncStatus').doc(PROP_ID).get()).data();
+  assert.equal(status.lastSuccessSource, 'wubookImportByArrival');
+  assert.equal(status.sources.wubookImportByArrival.consecutiveFailures, 0);
+  assert.equal(typeof status.sources.wubookImportByArrival.lastCounts.upserts, 'number');
+});
+
+test('una propiedad que falla se lista como failing hasta la próxima corrida OK', async () => {
+  const ref = h.firestore.collection('syncStatus').doc(PROP_ID);
+  // 400 no se reintenta
+  h.mock.fixtures.faults['/kp/reservations/fetch_reservations'] = [400];
+  await importOct();
+  let status = (await ref.get()).data();
+  assert.equal(status.sources.wubookImportByArrival.consecutiveFailures, 1);
+  assert.equal(status.lastErrorKind, 'client');
+
+  const listed = await h.call(syncStatus, { method: 'GET', query: { onlyProblems: 'true' } });
+  assert.deepEqual(listed.body.items.map((x) => [x.propiedad_id, x.health]), [[PROP_ID, 'failing']]);
+
+  await importOct();
+  status = (await ref.get()).data();
+  assert.equal(status.sources.wubookImportByArrival.consecutiveFailures, 0);
+  const healthy = await h.call(syncStatus, { method: 'GET', query: { onlyProblems: 'true' } });
+  assert.equal(healthy.body.count, 0);
+});
@@ -0,0 +1,109 @@
+import test, { after, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { startWubookMock } from './mocks/wubookMockServer.js';
+import {
+  kpPost, kapiPost, WubookError, configureWubookClient,
+  getWubookMetrics, wubookMetricsSince, mapWithConcurrency,
+} from '../lib/wubookClient.js';
+
+let mock;
+before(async () => {
+  mock = await startWubookMock();
+  process.env.WUBOOK_BASE_URL = mock.kpUrl;
+  process.env.WUBOOK_BASE_URL_KAPI = mock.kapiUrl;
+  configureWubookClient({ minIntervalMs: 0, baseDelayMs: 1, maxDelayMs: 5, maxRetries: 3, maxConcurrency: 2 });
+});
+after(async () => { await mock.close(); });
+beforeEach(() => { mock.fixtures.faults = {}; });
+
+test('KP y KAPI devuelven `data` con la autenticación de cada API', async () => {
+  const today = await kpPost('key-a', '/reservations/fetch_today_reservations');
+  assert.ok(Array.isArray(today.reservations));
+  const extras = await kpPost('key-a', '/reservations/get_extras', { id: 24900101 });
+  assert.equal(extras.length, 2);
+  const pays = await kapiPost('key-a', '/payments/get_payments', { rcode: 'NOPE' });
+  assert.deepEqual(pays, []);
+});
+
+test('reintenta 429 y 5xx con backoff y lo cuenta en las métricas', async () => {
+  mock.fixtures.faults['/kp/reservations/fetch_today_reservations'] = [429, 503];
+  const m0 = getWubookMetrics();
+  const data = await kpPost('key-a', '/reservations/fetch_today_reservations');
+  assert.ok(Array.isArray(data.reservations));
+
+  const m = wubookMetricsSince(m0);
+  assert.equal(m.calls, 3);
+  assert.equal(m.retries, 2);
+  assert.equal(m.rate_limited, 1);
+  assert.equal(m.failed, 0);
+  assert.equal(m.byEndpoint['kp/reservations/fetch_today_reservations'].ok, 1);
+});
+
+test('agotados los reintentos tira WubookError tipado', async () => {
+  mock.fixtures.faults['/kp/reservations/fetch_today_reservations'] = [500, 500, 500, 500];
+  await assert.rejects(kpPost('key-a', '/reservations/fetch_today_reservations'), (e) => {
+    assert.ok(e instanceof WubookError);
+    assert.equal(e.kind, 'server');
+    assert.equal(e.status, 500);
+    assert.equal(e.attempts, 4);
+    return true;
+  });
+});
+
+test('404 no se reintenta y se informa como not_found', async () => {
+  const m0 = getWubookMetrics();
+  await assert.rejects(kpPost('key-a', '/customers/fetch_one', { id: 1 }), { name: 'WubookError', kind: 'not_found', attempts: 1 });
+  assert.equal(wubookMetricsSince(m0).calls, 1);
+});
+
+test('escrituras no idempotentes no se reintentan ante 5xx (sí ante 429)', async () => {
+  mock.fixtures.faults['/kapi/notes/add_note'] = [500];
+  await assert.rejects(
+    kapiPost('key-a', '/notes/add_note', { rcode: 'AP-0101', remarks: 'x' }, { idempotent: false }),
+    { kind: 'server', attempts: 1 },
+  );
+
+  mock.fixtures.faults['/kapi/notes/add_note'] = [429];
+  const data = await kapiPost('key-a', '/notes/add_note', { rcode: 'AP-0101', remarks: 'y' }, { idempotent: false });
+  assert.ok(data.id);
+});
+
+test('no supera maxConcurrency requests en vuelo por apiKey', async () => {
+  // servidor lento que mide cuántos requests atiende a la vez
+  let active = 0;
+  let peak = 0;
+  const server = http.createServer((req, res) => {
+    active++;
+    peak = Math.max(peak, active);
+    setTimeout(() => {
+      active--;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ data: { reservations: [] } }));
+    }, 20);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const kpUrl = process.env.WUBOOK_BASE_URL;
+  process.env.WUBOOK_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  try {
+    await Promise.all(Array.from({ length: 6 }, () => kpPost('key-b', '/reservations/fetch_today_reservations')));
+    assert.equal(peak, 2);
+  } finally {
+    process.env.WUBOOK_BASE_URL = kpUrl;
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+test('mapWithConcurrency respeta el límite y el orden', async () => {
+  let active = 0;
+  let peak = 0;
+  const out = await mapWithConcurrency([30, 10, 20, 5], 2, async (ms, i) => {
+    active++;
+    peak = Math.max(peak, active);
+    await new Promise((r) => setTimeout(r, ms));
+    active--;
+    return i;
+  });
+  assert.deepEqual(out, [0, 1, 2, 3]);
+  assert.equal(peak, 2);
+});
@@ -0,0 +1,117 @@
+// E2E offline: importadores + enrich contra el mock de WuBook y el Firestore en memoria
+// (tests/mocks/handlerHarness.js). Corre dentro de `npm test`, sin emulador.
+// Lo de cada endpoint posterior (push, huéspedes, FX, PII, ...) va en su propio archivo.
+import test, { after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { PROP_ID, call, startHarness } from './mocks/handlerHarness.js';
+
+let h;
+let mock;
+let firestore;
+let importByArrival;
+let syncToday;
+let enrich;
+
+before(async () => {
+  h = await startHarness();
+  ({ mock, firestore } = h);
+  importByArrival = (await import('../api/wubookImportByArrival.js')).default;
+  syncToday = (await import('../api/wubookSyncToday.js')).default;
+  enrich = (await import('../api/enrichWubookData.js')).default;
+});
+
+after(() => h.close());
+
+test('import por arrival crea un doc por room mapeado y saltea rooms sin mapa', async () => {
+  const res = await call(importByArrival, {
+    body: { propertyIds: [PROP_ID], fromDate: '01/09/2025', toDate: '31/10/2025' },
+  });
+  assert.equal(res.statusCode, 200);
+  const [summary] = res.body.summary;
+  assert.equal(summary.total_found, 4);
+  assert.equal(summary.upserts, 4);       // AP-0101 + AP-0103 (1 room c/u) + YW-0009 (2 de 3 rooms mapeados)
+  assert.equal(summary.skipped, 1);       // room 91193 sin departamento
+  assert.deepEqual(summary.unmapped_rooms, [
+    { id_zak: '91193', name: 'Depto 305 Terraza', reservations: 1, draft_created: true, ignored: false },
+  ]);
+  const draft = (await firestore.doc(`propiedades/${PROP_ID}/departamentos/91193`).get()).data();
+  assert.equal(draft.draft, true);
+  assert.equal(draft.codigo_depto, '305');
+  assert.equal(summary.skipped_cancelled, 1);
+
+  const doc = (await firestore.collection('Reservas').doc(`${PROP_ID}_AP-0101_12512`).get()).data();
+  assert.equal(doc.arrival_iso, '2025-10-01');
+  assert.equal(doc.codigo_depto, '101');
+  assert.equal(doc.toPay, 340);           // 300 base + 40 extras (1 room)
+  assert.deepEqual(doc.extras.map((x) => [x.name, x.amount, x.id_zak]), [['Limpieza', 25, '12512'], ['Late checkout', 15, null]]);
+  assert.equal(doc.extrasUSD, 40);
+  assert.equal(doc.nights, 3);
+  assert.equal(doc.board, 'bb');
+  assert.equal(doc.cpolicy, 'Flexible');
+  assert.equal(doc.wubook_created_iso, '2025-09-20');
+  assert.equal(doc.adr_usd, 100);
+  assert.deepEqual(doc.nightly_rates.map((n) => n.date), ['2025-10-01', '2025-10-02', '2025-10-03']);
+  assert.equal(doc.enrichmentStatus, 'pending');
+});
+
+test('una reserva en ARS se convierte a USD con la cotización del arrival', async () => {
+  const doc = (await firestore.collection('Reservas').doc(`${PROP_ID}_AP-0103_29156`).get()).data();
+  assert.equal(doc.toPay, 300);           // 300000 ARS / 1000 (promedio compra/venta)
+  assert.equal(doc.toPay_breakdown.originalCurrency, 'ARS');
+  assert.equal(doc.toPay_breakdown.originalAmount, 300000);
+  assert.equal(doc.toPay_breakdown.fxQuoteDate, '2025-10-10');
+});
+
+test('reimportar sin cambios no escribe (contentHash)', async () => {
+  const res = await call(importByArrival, {
+    body: { propertyIds: [PROP_ID], fromDate: '01/09/2025', toDate: '31/10/2025' },
+  });
+  const [summary] = res.body.summary;
+  assert.equal(summary.upserts, 0);
+  assert.equal(summary.unchanged, 4);
+  assert.equal(summary.unmapped_rooms[0].draft_created, false); // el borrador no se duplica ni entra al roomMap
+});
+
+test('import por departure + in-house trae estadías que no llegan en el rango', async () => {
+  // 04/10: nadie llega; AP-0101 sale ese día y AP-0102 (01→05/10) está alojada
+  const res = await call(importByArrival, {
+    body: { propertyIds: [PROP_ID], fromDate: '04/10/2025', toDate: '04/10/2025', ranges: 'arrival,departure,inhouse', dryRun: true },
+  });
+  assert.equal(res.statusCode, 200);
+  const [summary] = res.body.summary;
+  assert.deepEqual(summary.ranges, ['arrival', 'departure', 'inhouse']);
+  assert.deepEqual(summary.found_by_range, { arrival: 0, departure: 1, inhouse: 2 });
+  assert.equal(summary.total_found, 2);   // AP-0101 viene por departure e inhouse, una sola vez
+  assert.deepEqual(summary.dry_run_report.map((e) => [e.id, e.change]), [[`${PROP_ID}_AP-0101_12512`, 'unchanged']]);
+
+  const invalid = await call(importByArrival, { body: { propertyIds: [PROP_ID], ranges: ['checkout'] } });
+  assert.equal(invalid.statusCode, 400);
+});
+
+test('una reserva cancelada en WuBook marca el doc existente', async () => {
+  mock.fixtures.reservations.find((r) => r.id_human === 'AP-0101').status = 'Cancelled';
+  const res = await call(syncToday, { body: { propertyIds: [PROP_ID] } });
+  const [summary] = res.body.summary;
+  assert.equal(summary.cancelled, 1);
+
+  const doc = (await firestore.collection('Reservas').doc(`${PROP_ID}_AP-0101_12512`).get()).data();
+  assert.equal(doc.is_cancelled, true);
+  assert.ok(doc.cancelled_at);
+  mock.fixtures.reservations.find((r) => r.id_human === 'AP-0101').status = 'Confirmed';
+});
+
+test('enrich por reservationId trae cliente, pagos y notas del mock', async () => {
+  // el import guarda el booker (33488509) en wubook_booker_id; enrich lo usa para buscar el cliente
+  const id = `${PROP_ID}_YW-0009_12512`;
+  const res = await call(enrich, { body: { reservationId: id } });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.processed, 1);
+
+  const doc = (await firestore.collection('Reservas').doc(id).get()).data();
+  assert.equal(doc.nombre_huesped, 'Lucia Fernandez');
+  assert.equal(doc.customer_email, 'lucia.fernandez@example.com');
+  assert.deepEqual(doc.payments.map((p) => p.wubook_id), [9001]);
+  assert.deepEqual(doc.notes.map((n) => n.wubook_id), [7001]);
+  assert.equal(doc.enrichmentStatus, 'completed');
+  assert.equal(doc.huesped_id, 'wb_33488509');
+});
@@ -0,0 +1,79 @@
+import test, { after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import qs from 'qs';
+import { startWubookMock } from './mocks/wubookMockServer.js';
+
+let mock;
+const kp = (path, body) => axios.post(`${mock.kpUrl}${path}`, qs.stringify(body), {
+  headers: { 'x-api-key': 'test-key', 'Content-Type': 'application/x-www-form-urlencoded' },
+});
+const kapi = (path, body) => axios.post(`${mock.kapiUrl}${path}`, qs.stringify(body), {
+  auth: { username: 'test-key', password: '' },
+});
+
+before(async () => { mock = await startWubookMock(); });
+after(async () => { await mock.close(); });
+
+test('fetch_reservations filtra por arrival y pagina como KP', async () => {
+  const filters = { arrival: { from: '01/10/2025', to: '02/10/2025' }, pager: { limit: 1, offset: 0 } };
+  const first = await kp('/reservations/fetch_reservations', { filters: JSON.stringify(filters) });
+  assert.deepEqual(first.data.data.reservations.map((r) => r.id_human), ['AP-0101']);
+
+  filters.pager.offset = 1;
+  const second = await kp('/reservations/fetch_reservations', { filters: JSON.stringify(filters) });
+  assert.deepEqual(second.data.data.reservations.map((r) => r.id_human), ['AP-0102']);
+});
+
+test('la respuesta de fetch_one sembrada desde archivo queda disponible', async () => {
+  const { data } = await kp('/reservations/fetch_one_reservation', { id: 'YW-0009' });
+  assert.equal(data.data.id, 24846349);
+  assert.equal(data.data.rooms.length, 3);
+});
+
+test('get_extras devuelve los extras itemizados por id de reserva', async () => {
+  const { data } = await kp('/reservations/get_extras', { id: 24900101 });
+  assert.deepEqual(data.data.map((x) => [x.name, x.amount]), [['Limpieza', 25], ['Late checkout', 15]]);
+
+  const none = await kp('/reservations/get_extras', { id: 1 });
+  assert.deepEqual(none.data.data, []);
+});
+
+test('fetch_rooms devuelve el catálogo de rooms de la propiedad', async () => {
+  const { data } = await kp('/property/fetch_rooms', {});
+  assert.equal(data.data.find((x) => x.id === 91193).shortname, '305');
+});
+
+test('customers y KAPI devuelven los fixtures por booker/rcode', async () => {
+  const customer = await kp('/customers/fetch_one', { id: 33488509 });
+  assert.equal(customer.data.data.main_info.surname, 'Fernandez');
+
+  const pays = await kapi('/payments/get_payments', { rcode: 'YW-0009' });
+  assert.equal(pays.data.data[0].id, 9001);
+
+  const notes = await kapi('/notes/get_notes', { rcode: 'SIN-NOTAS' });
+  assert.deepEqual(notes.data.data, []);
+});
+
+test('add_note guarda la nota y la devuelve en get_notes con su id', async () => {
+  const { data } = await kapi('/notes/add_note', { rcode: 'AP-0101', remarks: 'Pidió cuna' });
+  assert.ok(data.data.id);
+
+  const notes = await kapi('/notes/get_notes', { rcode: 'AP-0101' });
+  assert.deepEqual(notes.data.data, [{ id: data.data.id, remarks: 'Pidió cuna' }]);
+});
+
+test('add_payment guarda el pago con remarks y lo devuelve en get_payments', async () => {
+  const { data } = await kapi('/payments/add_payment', {
+    rcode: 'AP-0102', amount: 50, currency: 'USD', type: 'Efectivo', remarks: 'Saldo [dh:0a1b2c]',
+  });
+  const pays = await kapi('/payments/get_payments', { rcode: 'AP-0102' });
+  assert.deepEqual(pays.data.data.map((p) => [p.id, p.value, p.remarks]), [[data.data.id, 50, 'Saldo [dh:0a1b2c]']]);
+});
+
+test('sin credenciales responde 401 como WuBook', async () => {
+  await assert.rejects(
+    axios.post(`${mock.kpUrl}/reservations/fetch_today_reservations`, ''),
+    (err) => err.response?.status === 401,
+  );
+});
@@ -0,0 +1,27 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+// lib/wubookPush.js también trae el envío (firebase-admin): se inicializa como en
+// tests/mocks/handlerHarness.js, sin conectarse (acá solo se prueban los helpers puros)
+delete process.env.FIREBASE_SERVICE_ACCOUNT_JSON;
+process.env.FIRESTORE_EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST || '127.0.0.1:9';
+const { newPushRef, notePushRef, parsePushRef, withPushRef } = await import('../lib/wubookPush.js');
+
+test('la marca [dh:<ref>] va al final de remarks y se puede sacar', () => {
+  const ref = newPushRef();
+  assert.match(ref, /^[a-f0-9]{12}$/);
+  assert.equal(withPushRef(' Saldo ', 'abc123'), 'Saldo [dh:abc123]');
+  assert.deepEqual(parsePushRef('Saldo [dh:ABC123] '), { text: 'Saldo', ref: 'abc123' });
+  assert.deepEqual(parsePushRef('Pide cuna'), { text: 'Pide cuna', ref: null });
+  assert.deepEqual(parsePushRef(null), { text: '', ref: null });
+});
+
+test('notePushRef usa el push_ref guardado o uno estable derivado de ts + texto', () => {
+  assert.equal(notePushRef({ push_ref: 'def456', text: 'x' }), 'def456');
+  const legacy = { ts: { seconds: 1760000000 }, text: 'Llega 23hs' };
+  assert.match(notePushRef(legacy), /^[a-f0-9]{12}$/);
+  assert.equal(notePushRef({ ...legacy, wubook_push_attempts: 2 }), notePushRef(legacy));
+  assert.notEqual(notePushRef({ ...legacy, text: 'Llega 22hs' }), notePushRef(legacy));
+  // la marca que vuelve de WuBook parsea al mismo ref
+  assert.equal(parsePushRef(withPushRef(legacy.text, notePushRef(legacy))).ref, notePushRef(legacy));
+});
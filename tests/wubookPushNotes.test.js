@@ -0,0 +1,54 @@
+import test, { after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { PROP_ID, startHarness } from './mocks/handlerHarness.js';
+
+let h;
+let enrich;
+let pushNotes;
+const id = `${PROP_ID}_YW-0009_12512`;
+before(async () => {
+  h = await startHarness();
+  await h.importFixtures();
+  enrich = (await import('../api/enrichWubookData.js')).default;
+  pushNotes = (await import('../api/wubookPushNotes.js')).default;
+  await h.call(enrich, { body: { reservationId: id } });
+});
+after(() => h.close());
+
+test('una nota host enviada a WuBook no se duplica aunque no se haya grabado el wubook_id', async () => {
+  const ref = h.firestore.collection('Reservas').doc(id);
+  const before = (await ref.get()).data();
+  const hostNote = { ts: h.Timestamp.now(), by: 'host', source: 'host', text: 'Llega 23hs', wubook_id: null, sent_to_wubook: false, push_ref: 'def456' };
+  await ref.update({ notes: [...(before.notes || []), hostNote], notes_pending_push: true });
+
+  const pushed = await h.call(pushNotes, { body: { reservationId: id } });
+  assert.equal(pushed.body.sent, 1);
+  const remote = h.mock.fixtures.notes['YW-0009'].at(-1);
+  assert.equal(remote.remarks, 'Llega 23hs [dh:def456]');
+  assert.equal((await ref.get()).data().notes_pending_push, false);
+
+  // como si la transacción del push hubiera fallado después de que WuBook guardó la nota
+  await ref.update({ notes: [...(before.notes || []), hostNote] });
+  await h.call(enrich, { body: { reservationId: id } });
+  const doc = (await ref.get()).data();
+  const copies = doc.notes.filter((n) => n.text === 'Llega 23hs');
+  assert.deepEqual(copies.map((n) => [n.source, n.wubook_id, n.sent_to_wubook]), [['host', remote.id, true]]);
+});
+
+test('una nota vieja sin push_ref se envía con una marca estable derivada de ts + texto', async () => {
+  const ref = h.firestore.collection('Reservas').doc(id);
+  const before = (await ref.get()).data();
+  const legacy = { ts: h.Timestamp.fromMillis(1760000000000), by: 'host', source: 'host', text: 'Pide cuna', wubook_id: null, sent_to_wubook: false };
+  await ref.update({ notes: [...before.notes, legacy], notes_pending_push: true });
+  h.mock.fixtures.faults['/kapi/notes/add_note'] = [500];
+
+  const failed = await h.call(pushNotes, { body: { reservationId: id } });
+  assert.equal(failed.body.failed, 1);
+  const retried = await h.call(pushNotes, { body: { reservationId: id } });
+  assert.equal(retried.body.sent, 1);
+  const remote = h.mock.fixtures.notes['YW-0009'].at(-1);
+  const saved = (await ref.get()).data().notes.find((n) => n.text === 'Pide cuna');
+  assert.equal(remote.remarks, `Pide cuna [dh:${saved.push_ref}]`);
+  assert.equal(saved.wubook_id, remote.id);
+  assert.equal(saved.wubook_push_attempts, 1);
+});
@@ -0,0 +1,54 @@
+import test, { after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { PROP_ID, startHarness } from './mocks/handlerHarness.js';
+
+let h;
+let enrich;
+let pushPayments;
+const id = `${PROP_ID}_YW-0009_12512`;
+before(async () => {
+  h = await startHarness();
+  await h.importFixtures();
+  enrich = (await import('../api/enrichWubookData.js')).default;
+  pushPayments = (await import('../api/wubookPushPayments.js')).default;
+  await h.call(enrich, { body: { reservationId: id } });
+});
+after(() => h.close());
+
+const hostPayment = (extra = {}) => ({
+  ts: h.Timestamp.now(), by: 'host', source: 'host', wubook_id: null, sent_to_wubook: false,
+  amount: 100, currency: 'USD', method: 'Efectivo', concept: 'Saldo', ...extra,
+});
+
+test('un pago host espejado en WuBook no se duplica al re-enriquecer', async () => {
+  const ref = h.firestore.collection('Reservas').doc(id);
+  const before = (await ref.get()).data();
+  await ref.update({ payments: [...before.payments, hostPayment({ push_ref: 'abc123' })], payments_pending_push: true });
+
+  const pushed = await h.call(pushPayments, { body: { reservationId: id } });
+  assert.equal(pushed.body.sent, 1);
+  const remote = h.mock.fixtures.payments['YW-0009'].at(-1);
+  assert.equal(remote.remarks, 'Saldo [dh:abc123]');
+
+  await h.call(enrich, { body: { reservationId: id } });
+  const doc = (await ref.get()).data();
+  assert.deepEqual(doc.payments.map((p) => [p.source, p.wubook_id]), [['wubook', 9001], ['host', remote.id]]);
+  assert.equal(doc.payments_pending_push, false);
+  const hist = await ref.collection('historial').get();
+  assert.ok(hist.docs.some((d) => d.id.endsWith('_pushPayments') && d.data().source === 'wubook_push_payments'));
+});
+
+test('si KAPI falla el pago queda pendiente con el intento contado', async () => {
+  const ref = h.firestore.collection('Reservas').doc(id);
+  const before = (await ref.get()).data();
+  await ref.update({ payments: [...before.payments, hostPayment({ push_ref: 'fff001', amount: 50 })], payments_pending_push: true });
+  h.mock.fixtures.faults['/kapi/payments/add_payment'] = [500];
+
+  const pushed = await h.call(pushPayments, { body: { reservationId: id } });
+  assert.deepEqual([pushed.body.sent, pushed.body.failed], [0, 1]);
+  const doc = (await ref.get()).data();
+  const pay = doc.payments.find((p) => p.push_ref === 'fff001');
+  assert.equal(pay.wubook_push_attempts, 1);
+  assert.ok(pay.wubook_push_error);
+  assert.equal(doc.payments_pending_push, true);
+});
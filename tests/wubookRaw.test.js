@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeRawReservation, decodeRawReservation, rawIdOf, RAW_ENCODING } from '../lib/wubookRaw.js';
+
+const reserva = {
+  id: 24900101,
+  id_human: 'AP-0101',
+  status: 'Confirmed',
+  rooms: [
+    { id_zak_room: 12512, dfrom: '03/10/2025', dto: '05/10/2025' },
+    { id_zak_room: 29156, dfrom: '01/10/2025', dto: '04/10/2025' },
+  ],
+  price: { extras: { amount: 40 } },
+};
+const extras = [{ id: 1, name: 'Desayuno', amount: 40 }];
+
+test('encode/decode conserva la reserva y los extras', () => {
+  const doc = encodeRawReservation(reserva, { propiedad_id: '900', extras, source: 'wubookImportByArrival' });
+  assert.equal(doc.rsrvid, '24900101');
+  assert.equal(doc.encoding, RAW_ENCODING);
+  assert.ok(Buffer.isBuffer(doc.payload));
+  assert.deepEqual(decodeRawReservation(doc), { reservation: reserva, extras });
+  // Bytes de Firestore (toUint8Array) también se leen
+  const bytes = { toUint8Array: () => new Uint8Array(doc.payload) };
+  assert.deepEqual(decodeRawReservation({ ...doc, payload: bytes }).reservation, reserva);
+});
+
+test('fechas indexables: llegada más temprana y salida más tardía entre rooms', () => {
+  const doc = encodeRawReservation(reserva, { propiedad_id: '900' });
+  assert.equal(doc.arrival_iso, '2025-10-01');
+  assert.equal(doc.departure_iso, '2025-10-05');
+});
+
+test('el sha1 cambia solo si cambia el contenido', () => {
+  const a = encodeRawReservation(reserva, { extras });
+  const b = encodeRawReservation(structuredClone(reserva), { extras, source: 'otro' });
+  const c = encodeRawReservation({ ...reserva, status: 'Cancelled' }, { extras });
+  assert.equal(a.sha1, b.sha1);
+  assert.notEqual(a.sha1, c.sha1);
+});
+
+test('sin id no hay doc; encoding desconocido falla', () => {
+  assert.equal(rawIdOf({ id_human: 'X' }), null);
+  assert.equal(encodeRawReservation({ id_human: 'X' }), null);
+  assert.throws(() => decodeRawReservation({ payload: Buffer.from('x'), encoding: 'brotli' }), /encoding/);
+});
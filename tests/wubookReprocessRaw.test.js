@@ -0,0 +1,37 @@
+import test, { after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { PROP_ID, startHarness } from './mocks/handlerHarness.js';
+
+let h;
+let reprocess;
+before(async () => {
+  h = await startHarness();
+  await h.importFixtures();
+  reprocess = (await import('../api/wubookReprocessRaw.js')).default;
+});
+after(() => h.close());
+
+test('el crudo queda en WubookRaw comprimido', async () => {
+  const raw = (await h.firestore.collection('WubookRaw').doc('24900103').get()).data();
+  assert.equal(raw.propiedad_id, PROP_ID);
+  assert.equal(raw.arrival_iso, '2025-10-10');
+  assert.equal(raw.encoding, 'gzip+json');
+});
+
+test('el reproceso rearma la reserva desde WubookRaw sin llamar a WuBook', async () => {
+  const ref = h.firestore.collection('Reservas').doc(`${PROP_ID}_AP-0103_29156`);
+  const before = (await ref.get()).data();
+  await ref.delete();
+
+  const callsBefore = h.mock.calls.length;
+  const res = await h.call(reprocess, { body: { propertyIds: [PROP_ID], dateFrom: '2025-10-01', dateTo: '2025-10-31' } });
+  assert.equal(res.statusCode, 200);
+  assert.equal(h.mock.calls.length, callsBefore);
+  assert.ok(res.body.summary[0].found_raw >= 3);
+  assert.equal(res.body.summary[0].decode_errors, 0);
+
+  const after = (await ref.get()).data();
+  assert.equal(after.toPay, before.toPay);
+  assert.deepEqual(after.wubook_price, before.wubook_price);
+  assert.equal(after.codigo_depto, before.codigo_depto);
+});
@@ -0,0 +1,41 @@
+import test, { after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { PROP_ID, startHarness } from './mocks/handlerHarness.js';
+
+let h;
+let webhook;
+const headers = { 'x-webhook-secret': 'hook-secret' };
+before(async () => {
+  process.env.WUBOOK_WEBHOOK_SECRET = 'hook-secret';
+  h = await startHarness();
+  webhook = (await import('../api/wubook/webhook.js')).default;
+});
+after(() => h.close());
+
+test('el push importa la reserva y la enriquece en el mismo proceso', async () => {
+  const res = await h.call(webhook, { query: { property: PROP_ID }, body: { rcode: 'AP-0101' }, headers });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.processed[0].status, 'done');
+  assert.equal(res.body.processed[0].enriched, 1);
+
+  const doc = (await h.firestore.collection('Reservas').doc(`${PROP_ID}_AP-0101_12512`).get()).data();
+  assert.equal(doc.enrichmentStatus, 'completed');
+  assert.ok(doc.payments.some((p) => p.wubook_id === 9101));
+});
+
+test('el drain del cron reintenta la cola en error y deja en failed las agotadas', async () => {
+  const res = await h.call(webhook, { query: { property: PROP_ID }, body: { rcode: 'ZZ-404' }, headers });
+  assert.equal(res.body.processed[0].status, 'error');
+  const qRef = h.firestore.collection('WubookWebhookQueue').doc(`${PROP_ID}_ZZ-404`);
+
+  assert.equal((await h.call(webhook, { body: { drain: true } })).statusCode, 401);
+  const drained = await h.call(webhook, { body: { drain: true }, headers });
+  assert.deepEqual(drained.body, { ok: true, drained: 1, retried: 1, failed: 0 });
+  assert.equal((await qRef.get()).data().attempts, 2);
+
+  await qRef.set({ attempts: 5 }, { merge: true });
+  const last = await h.call(webhook, { body: { drain: true }, headers });
+  assert.deepEqual(last.body, { ok: true, drained: 1, retried: 0, failed: 1 });
+  assert.equal((await qRef.get()).data().status, 'failed');
+  assert.deepEqual((await h.call(webhook, { body: { drain: true }, headers })).body, { ok: true, drained: 0, retried: 0, failed: 0 });
+});